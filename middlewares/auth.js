@@ -72,15 +72,36 @@ const verifyToken = (req, res, next) => {
         });
       }
 
-      // Attach decoded user info to request object
-      req.user = decoded;
-
-      // Log successful authentication for debugging (only in development)
-      if (process.env.NODE_ENV === "development") {
-        console.log(`✅ User authenticated: ${decoded.id}`);
-      }
-
-      next(); // Proceed to the next middleware/route handler
+      // Reject tokens of deleted or deactivated users and of revoked sessions
+      const { checkTokenSubject } = require("../utils/authTokens");
+      checkTokenSubject(decoded)
+        .then((problem) => {
+          if (problem) {
+            return res.status(problem.status).json({
+              success: false,
+              message: problem.message,
+              code: problem.code,
+            });
+          }
+
+          // Attach decoded user info to request object
+          req.user = decoded;
+
+          // Log successful authentication for debugging (only in development)
+          if (process.env.NODE_ENV === "development") {
+            console.log(`✅ User authenticated: ${decoded.id}`);
+          }
+
+          next(); // Proceed to the next middleware/route handler
+        })
+        .catch((error) => {
+          console.error("❌ Auth middleware session check error:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error during authentication",
+            code: "AUTH_SERVER_ERROR",
+          });
+        });
     });
   } catch (error) {
     // Catch and log any other unexpected errors
@@ -121,11 +142,21 @@ const optionalAuth = (req, res, next) => {
       if (err || !decoded || !decoded.id) {
         // Token is invalid, but that's okay for optional auth
         req.user = null;
-      } else {
-        // Token is valid, attach user info
-        req.user = decoded;
+        return next();
       }
-      next();
+
+      // Tokens of inactive users or revoked sessions count as anonymous
+      const { checkTokenSubject } = require("../utils/authTokens");
+      checkTokenSubject(decoded)
+        .then((problem) => {
+          req.user = problem ? null : decoded;
+          next();
+        })
+        .catch((error) => {
+          console.error("❌ Optional auth session check error:", error);
+          req.user = null;
+          next();
+        });
     });
   } catch (error) {
     console.error("❌ Optional auth error:", error);
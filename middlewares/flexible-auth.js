@@ -1,6 +1,36 @@
 const jwt = require("jsonwebtoken");
 require("dotenv").config();
 
+/**
+ * Verify an x-admin-token and the admin session it belongs to.
+ * Tokens must carry the id of an AdminSession that is neither revoked nor expired,
+ * and only count while their owner is still an active admin.
+ * @param {string} adminToken - The x-admin-token header value
+ * @param {string} userId - The authenticated user's id
+ * @returns {Promise<Object|null>} { decoded, session } or null when the token is not usable
+ */
+const verifyAdminSessionToken = async (adminToken, userId) => {
+  const adminDecoded = jwt.verify(adminToken, process.env.JWT_SECRET);
+  if (!adminDecoded.adminVerified || adminDecoded.userId !== userId || !adminDecoded.sid) {
+    return null;
+  }
+
+  const AdminSession = require('../server/models/AdminSession');
+  const session = await AdminSession.findActive(adminDecoded.sid, userId);
+  if (!session) return null;
+
+  const User = require('../server/models/User');
+  const user = await User.findById(userId).select('role isAdmin isActive');
+  if (!user || user.isActive === false || !user.isAdminUser()) return null;
+
+  // Track activity without writing on every request
+  if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+    AdminSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => {});
+  }
+
+  return { decoded: adminDecoded, session };
+};
+
 // Original token verification (reused from auth.js)
 const verifyToken = (req, res, next) => {
   try {
@@ -60,8 +90,29 @@ const verifyToken = (req, res, next) => {
         });
       }
 
-      req.user = decoded;
-      next();
+      // Reject tokens of deleted or deactivated users and of revoked sessions
+      const { checkTokenSubject } = require("../utils/authTokens");
+      checkTokenSubject(decoded)
+        .then((problem) => {
+          if (problem) {
+            return res.status(problem.status).json({
+              success: false,
+              message: problem.message,
+              code: problem.code,
+            });
+          }
+
+          req.user = decoded;
+          next();
+        })
+        .catch((error) => {
+          console.error("❌ Auth middleware session check error:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error during authentication",
+            code: "AUTH_SERVER_ERROR",
+          });
+        });
     });
   } catch (error) {
     console.error("❌ Auth middleware unexpected error:", error);
@@ -93,26 +144,16 @@ const requireAdminAccess = async (req, res, next) => {
     if (adminToken) {
       try {
         console.log(`🔍 Attempting to verify admin token...`);
-        const adminDecoded = jwt.verify(adminToken, process.env.JWT_SECRET);
-        console.log(`🔍 Admin token decoded:`, {
-          userId: adminDecoded.userId,
-          adminVerified: adminDecoded.adminVerified,
-          isAdmin: adminDecoded.isAdmin,
-          exp: adminDecoded.exp ? new Date(adminDecoded.exp * 1000) : null
-        });
+        const adminSession = await verifyAdminSessionToken(adminToken, req.user.id);
 
-        if (adminDecoded.adminVerified && adminDecoded.userId === req.user.id) {
+        if (adminSession) {
           console.log(`🔐 PIN-based admin access granted to user: ${req.user.id}`);
           req.adminVerified = true;
           req.adminMethod = 'pin';
+          req.adminSessionId = adminSession.session._id.toString();
           return next();
         } else {
-          console.log(`❌ Admin token verification failed:`, {
-            adminVerified: adminDecoded.adminVerified,
-            userIdMatch: adminDecoded.userId === req.user.id,
-            tokenUserId: adminDecoded.userId,
-            requestUserId: req.user.id
-          });
+          console.log(`❌ Admin token rejected: session missing, revoked, expired or for another user`);
         }
       } catch (adminTokenError) {
         console.log('❌ Invalid admin token error:', adminTokenError.message);
@@ -214,8 +255,14 @@ const requirePinAdmin = async (req, res, next) => {
       });
     }
 
-    const adminDecoded = jwt.verify(adminToken, process.env.JWT_SECRET);
-    if (!adminDecoded.adminVerified || adminDecoded.userId !== req.user.id) {
+    let adminSession = null;
+    try {
+      adminSession = await verifyAdminSessionToken(adminToken, req.user.id);
+    } catch (adminTokenError) {
+      console.log('❌ Invalid admin token error:', adminTokenError.message);
+    }
+
+    if (!adminSession) {
       return res.status(403).json({
         success: false,
         message: "Invalid admin session",
@@ -226,6 +273,7 @@ const requirePinAdmin = async (req, res, next) => {
     console.log(`🔐 PIN admin access granted to user: ${req.user.id}`);
     req.adminVerified = true;
     req.adminMethod = 'pin';
+    req.adminSessionId = adminSession.session._id.toString();
     next();
 
   } catch (error) {
@@ -241,5 +289,6 @@ const requirePinAdmin = async (req, res, next) => {
 module.exports = {
   verifyToken,
   requireAdminAccess,
-  requirePinAdmin
+  requirePinAdmin,
+  verifyAdminSessionToken
 };
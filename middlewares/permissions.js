@@ -0,0 +1,103 @@
+const { verifyAdminSessionToken } = require("./flexible-auth");
+const { getEffectivePermissions } = require("../utils/permissions");
+
+/**
+ * Require at least one of the given permissions (see utils/permissions.js).
+ * Must run after verifyToken. Permissions always come from the user's role and
+ * overrides; a valid admin PIN session is a second factor on top of them and never
+ * adds permissions of its own.
+ *
+ * Sets req.permissions (array of effective permissions) and req.user.role.
+ * @param {...string} required - Permission names, any one of which is enough
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...required) => async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        code: "AUTH_REQUIRED"
+      });
+    }
+
+    const User = require("../server/models/User");
+    const user = await User.findById(req.user.id).select('role isAdmin isActive permissionOverrides');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND"
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account is deactivated",
+        code: "ACCOUNT_INACTIVE"
+      });
+    }
+
+    const permissions = await getEffectivePermissions(user);
+
+    const adminToken = req.headers['x-admin-token'];
+    let adminSession = null;
+
+    if (adminToken) {
+      try {
+        adminSession = await verifyAdminSessionToken(adminToken, req.user.id);
+      } catch (adminTokenError) {
+        console.log('❌ Invalid admin token error:', adminTokenError.message);
+      }
+    }
+
+    if (user.isAdminUser()) {
+      req.adminVerified = true;
+      req.adminMethod = adminSession ? 'pin' : 'database';
+      if (adminSession) {
+        req.adminSessionId = adminSession.session._id.toString();
+      }
+    }
+
+    req.user.role = user.role;
+    req.user.isAdmin = user.isAdmin;
+    req.permissions = Array.from(permissions);
+
+    if (required.some(permission => permissions.has(permission))) {
+      return next();
+    }
+
+    console.log(`🚫 Permission denied for user ${req.user.id} (role: ${user.role}) on ${req.method} ${req.originalUrl}: needs ${required.join(' or ')}`);
+    return res.status(403).json({
+      success: false,
+      message: "You do not have permission to perform this action",
+      code: "PERMISSION_DENIED",
+      required
+    });
+
+  } catch (error) {
+    console.error("❌ Error in permission check:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying permissions",
+      code: "PERMISSION_CHECK_ERROR"
+    });
+  }
+};
+
+/**
+ * Check a permission inside a handler that already ran requirePermission
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (req, permission) => {
+  return Array.isArray(req.permissions) && req.permissions.includes(permission);
+};
+
+module.exports = {
+  requirePermission,
+  hasPermission
+};
@@ -0,0 +1,83 @@
+/**
+ * FCM Token Migration Script
+ *
+ * Push tokens used to be stored in the single User.fcmToken field, so a member
+ * only received pushes on the device that registered last. Delivery now fans out
+ * to every entry of User.fcmTokens. This script folds each legacy fcmToken into
+ * the fcmTokens array:
+ *   - the token is added as a device without a device id, with the legacy platform
+ *   - users whose array already holds the token are skipped, so it is safe to re-run
+ *   - fcmToken itself is left in place for older clients that still read it
+ *
+ * Usage: node migrate-fcm-tokens.js
+ */
+
+const mongoose = require('mongoose');
+const User = require('./server/models/User');
+require('dotenv').config();
+
+async function migrateFcmTokens() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const usersWithLegacyToken = await User.find({
+      fcmToken: { $nin: [null, ''] }
+    }).select('_id name fcmToken fcmTokenPlatform fcmTokenUpdated fcmTokens').lean();
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const user of usersWithLegacyToken) {
+      const alreadyListed = (user.fcmTokens || []).some(device => device.token === user.fcmToken);
+      if (alreadyListed) {
+        skipped++;
+        continue;
+      }
+
+      // Conditional update so a token registered meanwhile is not added twice
+      const result = await User.updateOne(
+        { _id: user._id, 'fcmTokens.token': { $ne: user.fcmToken } },
+        {
+          $push: {
+            fcmTokens: {
+              token: user.fcmToken,
+              deviceId: null,
+              platform: user.fcmTokenPlatform || null,
+              lastUsed: user.fcmTokenUpdated || new Date()
+            }
+          }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        migrated++;
+        console.log(`📱 Moved token of ${user.name} (${user.fcmTokenPlatform || 'unknown platform'}) into fcmTokens`);
+      } else {
+        skipped++;
+      }
+    }
+
+    // Make sure the index on fcmTokens.token exists
+    await User.createIndexes();
+
+    console.log('\n📊 Migration summary:');
+    console.log(`   Users with a legacy token: ${usersWithLegacyToken.length}`);
+    console.log(`   Tokens moved into fcmTokens: ${migrated}`);
+    console.log(`   Already migrated: ${skipped}`);
+    console.log(`   Users with push devices: ${await User.countDocuments(User.pushTokenFilter())}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating FCM tokens:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+console.log('🔧 FCM Token Migration Script');
+console.log('='.repeat(50));
+
+migrateFcmTokens();
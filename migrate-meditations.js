@@ -0,0 +1,56 @@
+/**
+ * Meditation Migration Script
+ *
+ * Meditations used to live in an in-memory array inside server/routes/meditation.js
+ * and were addressed by numeric ids (1, 2, ...). They are now stored in MongoDB; this
+ * script prepares the collection for that:
+ *   - assigns numeric ids to any stored meditation that does not have one yet
+ *   - creates the unique indexes on id and week
+ * The old sample meditations are not carried over.
+ *
+ * Usage: node migrate-meditations.js
+ */
+
+const mongoose = require('mongoose');
+const Meditation = require('./server/models/Meditation');
+require('dotenv').config();
+
+async function migrateMeditations() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Backfill numeric ids for documents inserted without one
+    const withoutId = await Meditation.collection
+      .find({ $or: [{ id: { $exists: false } }, { id: null }] })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    let nextId = await Meditation.nextNumericId();
+    for (const doc of withoutId) {
+      await Meditation.collection.updateOne({ _id: doc._id }, { $set: { id: nextId } });
+      console.log(`🔢 Assigned ID ${nextId} to meditation for week ${doc.week}`);
+      nextId++;
+    }
+
+    // Make sure the unique indexes on id and week exist
+    await Meditation.createIndexes();
+
+    console.log('\n📊 Migration summary:');
+    console.log(`   Numeric IDs assigned: ${withoutId.length}`);
+    console.log(`   Total meditations: ${await Meditation.countDocuments()}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating meditations:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+console.log('🔧 Meditation Migration Script');
+console.log('='.repeat(50));
+
+migrateMeditations();
@@ -0,0 +1,80 @@
+/**
+ * Partner Pairing Migration Script
+ *
+ * Prayer partner history used to live only on the User documents (currentPartner,
+ * last_paired_with), so every reshuffle overwrote the past. This script seeds the
+ * PartnerPairing collection with the pairs (and trios) that are current right now:
+ *   - one open pairing per current pair, marked manual when the pair is admin-pinned
+ *   - users already covered by an open pairing are skipped, so it is safe to re-run
+ *
+ * Usage: node migrate-partner-pairings.js
+ */
+
+const mongoose = require('mongoose');
+const User = require('./server/models/User');
+const PartnerPairing = require('./server/models/PartnerPairing');
+require('dotenv').config();
+
+async function migratePartnerPairings() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const pairedUsers = await User.find({
+      isActive: true,
+      currentPartner: { $ne: null }
+    }).select('_id name currentPartner partnerGroup partnerPinned updatedAt').lean();
+
+    // Users that already have an open pairing
+    const openPairings = await PartnerPairing.find({ endedAt: null }).select('members').lean();
+    const covered = new Set(openPairings.flatMap(p => p.members.map(id => id.toString())));
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const user of pairedUsers) {
+      if (covered.has(user._id.toString())) {
+        skipped++;
+        continue;
+      }
+
+      const partnerIds = user.partnerGroup && user.partnerGroup.length > 0
+        ? user.partnerGroup
+        : [user.currentPartner];
+      const members = [user._id, ...partnerIds];
+
+      await PartnerPairing.create({
+        members,
+        source: user.partnerPinned ? 'manual' : 'auto',
+        pinned: user.partnerPinned === true,
+        createdAt: user.updatedAt
+      });
+
+      members.forEach(id => covered.add(id.toString()));
+      created++;
+      console.log(`✅ Recorded current pairing for ${user.name} (${members.length} members)`);
+    }
+
+    // Make sure the indexes exist
+    await PartnerPairing.syncIndexes();
+
+    console.log('\n📊 Migration summary:');
+    console.log(`   Paired users checked: ${pairedUsers.length}`);
+    console.log(`   Pairings created: ${created}`);
+    console.log(`   Users already covered: ${skipped}`);
+    console.log(`   Total pairings: ${await PartnerPairing.countDocuments()}`);
+
+  } catch (error) {
+    console.error('❌ Error migrating partner pairings:', error.message);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+console.log('🔧 Partner Pairing Migration Script');
+console.log('='.repeat(50));
+
+migratePartnerPairings();
@@ -1,49 +1,59 @@
 #!/usr/bin/env node
 
 /**
- * Enhanced CLI Notification Sender for Glitch
+ * CLI Notification Sender
+ *
+ * Sends a notification to every active member through the notification
+ * service, so it lands in their in-app inbox and is pushed to their devices.
+ * Run it where the backend's environment (MONGO_URI, Firebase credentials) is set.
  *
  * Usage:
- * node send-notification-cli.js "Title" "Message" [type]
+ * node send-notification-cli.js "Title" "Message" [type] [--urgent] [--segment=<name>] [--dry-run]
+ * node send-notification-cli.js --template=<key> [--var=<name>=<value>...] [--urgent] [--segment=<name>] [--dry-run]
+ *
+ * Members' quiet hours hold pushes back unless --urgent is given.
+ * --template sends a notification template instead of a title and message; every
+ * member gets it in their language, with {{name}} set to their name and the other
+ * placeholders filled in from --var.
+ * --segment sends only to the members of a saved audience segment (name or id);
+ * --dry-run prints how many members would be notified without sending.
  *
  * Examples:
  * node send-notification-cli.js "Sunday Service" "Service starts at 9 AM"
  * node send-notification-cli.js "Prayer Meeting" "Join us for prayer" "prayer"
- *
- * Environment Variables:
- * - CLI_API_KEY: API key for CLI access (default: church-cli-2024)
- * - GLITCH_BACKEND_URL: Your Glitch backend URL (default: current domain)
+ * node send-notification-cli.js --template=service-reminder
  */
 
-const axios = require("axios");
-
-// Configuration
-const DEFAULT_API_KEY = "church-cli-2024";
-const API_KEY = process.env.CLI_API_KEY || DEFAULT_API_KEY;
-
-// Determine backend URL
-let BACKEND_URL;
-if (process.env.GLITCH_BACKEND_URL) {
-  BACKEND_URL = process.env.GLITCH_BACKEND_URL;
-} else if (process.env.PROJECT_DOMAIN) {
-  // Running on Glitch
-  BACKEND_URL = `https://${process.env.PROJECT_DOMAIN}.glitch.me`;
-} else {
-  // Local development
-  BACKEND_URL = "http://localhost:3000";
-}
+const mongoose = require("mongoose");
+require("dotenv").config();
 
-// Parse command line arguments
-const title = process.argv[2];
-const body = process.argv[3];
-const type = process.argv[4] || "announcement";
+const Notification = require("./server/models/Notification");
+const { previewNotification } = require("./utils/notificationService");
+const { resolveAudience } = require("./utils/audienceSegments");
+const { createBroadcast, processBroadcast } = require("./utils/notificationOutbox");
+const { getTemplate, renderTemplate, previewTemplate } = require("./utils/notificationTemplates");
 
-// Validate arguments
-if (!title || !body) {
-  console.log("🚨 Error: Title and message are required");
+function printTypes() {
+  console.log("🎯 Available Types:");
+  console.log("  - announcement (default)");
+  Notification.TYPES.filter((type) => type !== "announcement").forEach((type) => {
+    console.log(`  - ${type}`);
+  });
+}
+
+// Add helpful flags
+if (process.argv.includes("--help") || process.argv.includes("-h")) {
+  console.log("🔔 CLI Notification Sender for PCEA Turi Church App");
   console.log("");
   console.log("📋 Usage:");
-  console.log('  node send-notification-cli.js "Title" "Message" [type]');
+  console.log('  node send-notification-cli.js "Title" "Message" [type] [--urgent] [--segment=<name>] [--dry-run]');
+  console.log("  node send-notification-cli.js --template=<key> [--var=<name>=<value>...] [--urgent] [--segment=<name>] [--dry-run]");
+  console.log("");
+  console.log("  --template=<key>  Send a notification template, in each member's language");
+  console.log("  --var=<n>=<v>     Value for a template placeholder, e.g. --var=eventTitle=\"Youth Camp\"");
+  console.log("  --urgent          Push even to members who are in their quiet hours");
+  console.log("  --segment=<name>  Only notify the members of a saved audience segment (name or id)");
+  console.log("  --dry-run         Show how many members would be notified, without sending");
   console.log("");
   console.log("📝 Examples:");
   console.log(
@@ -52,187 +62,212 @@ if (!title || !body) {
   console.log(
     '  node send-notification-cli.js "Prayer Meeting" "Join us for prayer" "prayer"',
   );
+  console.log(
+    '  node send-notification-cli.js "Youth Event" "Youth meeting tonight" "event"',
+  );
+  console.log(
+    '  node send-notification-cli.js "Youth Event" "Youth meeting tonight" "event" --segment="Youth" --dry-run',
+  );
+  console.log("  node send-notification-cli.js --template=service-reminder");
   console.log("");
-  console.log("🎯 Available Types:");
-  console.log("  - announcement (default)");
-  console.log("  - prayer");
-  console.log("  - service");
-  console.log("  - event");
-  console.log("  - reminder");
-  console.log("  - general");
+  printTypes();
+  console.log("");
+  console.log("🔧 Environment Variables:");
+  console.log("  MONGO_URI                 MongoDB connection string");
+  console.log("  FIREBASE_SERVICE_ACCOUNT  Firebase service account JSON");
+  process.exit(0);
+}
+
+if (process.argv.includes("--version") || process.argv.includes("-v")) {
+  console.log("CLI Notification Sender v3.0.0");
+  process.exit(0);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+const title = args[0];
+const body = args[1];
+const type = args[2] || "announcement";
+const urgent = process.argv.includes("--urgent");
+const dryRun = process.argv.includes("--dry-run");
+const segmentArg = process.argv.find((arg) => arg.startsWith("--segment="));
+const segmentId = segmentArg ? segmentArg.slice("--segment=".length) : null;
+const templateArg = process.argv.find((arg) => arg.startsWith("--template="));
+const templateKey = templateArg ? templateArg.slice("--template=".length) : null;
+const variables = process.argv
+  .filter((arg) => arg.startsWith("--var="))
+  .reduce((acc, arg) => {
+    const [name, ...value] = arg.slice("--var=".length).split("=");
+    acc[name] = value.join("=");
+    return acc;
+  }, {});
+
+// Validate arguments
+if (!templateKey && (!title || !body)) {
+  console.log("🚨 Error: Title and message are required");
+  console.log("");
+  console.log("📋 Usage:");
+  console.log('  node send-notification-cli.js "Title" "Message" [type]');
+  console.log("");
+  printTypes();
   console.log("");
   process.exit(1);
 }
 
-// Notification data
-const notificationData = {
-  title,
-  body,
-  type,
-  apiKey: API_KEY,
-};
+if (!templateKey && !Notification.TYPES.includes(type)) {
+  console.log(`🚨 Error: Unknown type "${type}"`);
+  console.log("");
+  printTypes();
+  process.exit(1);
+}
 
 // Send notification function
 async function sendNotification() {
+  let exitCode = 0;
+
   try {
     console.log("🚀 CLI Notification Sender");
     console.log("=".repeat(50));
-    console.log(`📝 Title: ${title}`);
-    console.log(`📝 Message: ${body}`);
-    console.log(`🏷️ Type: ${type}`);
-    console.log(`🌐 Backend: ${BACKEND_URL}`);
+    if (templateKey) {
+      console.log(`📝 Template: ${templateKey}`);
+    } else {
+      console.log(`📝 Title: ${title}`);
+      console.log(`📝 Message: ${body}`);
+      console.log(`🏷️ Type: ${type}`);
+    }
+    if (urgent) console.log("🚨 Urgent: ignores quiet hours");
+    if (segmentId) console.log(`🎯 Segment: ${segmentId}`);
+    if (dryRun) console.log("🧪 Dry run: nothing will be sent");
     console.log("=".repeat(50));
-    console.log("📤 Sending notification...");
 
-    const response = await axios.post(
-      `${BACKEND_URL}/api/cli/send-notification`,
-      notificationData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 30000, // 30 second timeout
-      },
-    );
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
 
-    if (response.data.success) {
-      console.log("✅ Notification sent successfully!");
-      console.log("");
-      console.log("📊 Results:");
-      console.log(`  • Total Targets: ${response.data.stats.totalTargets}`);
-      console.log(`  • Successfully Sent: ${response.data.stats.successCount}`);
-      console.log(`  • Failed: ${response.data.stats.failureCount}`);
-      console.log(`  • Stored in Database: ${response.data.stats.storedInDB}`);
-
-      if (response.data.stats.cleanedTokens > 0) {
-        console.log(
-          `  • Cleaned Invalid Tokens: ${response.data.stats.cleanedTokens}`,
-        );
-      }
-
-      console.log("");
-      console.log(`⏰ Sent at: ${response.data.timestamp}`);
+    const template = templateKey ? await getTemplate(templateKey) : null;
+    if (templateKey && !template) {
+      console.log(`❌ Notification template not found: ${templateKey}`);
+      exitCode = 1;
+      return;
+    }
+    const notificationType = template ? template.type : type;
 
-      // Success rate
-      const successRate = (
-        (response.data.stats.successCount / response.data.stats.totalTargets) *
-        100
-      ).toFixed(1);
-      console.log(`📈 Success Rate: ${successRate}%`);
+    const audience = segmentId || dryRun ? await resolveAudience({ segmentId }) : null;
 
-      if (response.data.stats.failureCount > 0) {
+    if (dryRun) {
+      const preview = await previewNotification(audience.userIds, { type: notificationType, urgent });
+      if (template) {
+        const { variants, missing } = previewTemplate(template, variables);
         console.log("");
-        console.log("⚠️ Some notifications failed to send. This is normal if:");
-        console.log("  • Users have uninstalled the app");
-        console.log("  • Devices are offline");
-        console.log("  • FCM tokens have expired");
-        console.log("  ✅ Invalid tokens were automatically cleaned up");
-      }
-    } else {
-      console.log("❌ Notification failed:", response.data.message);
-      if (response.data.hint) {
-        console.log(`💡 Hint: ${response.data.hint}`);
-      }
-      if (response.data.usage) {
-        console.log(`📋 Usage: ${response.data.usage}`);
+        console.log("📝 Template Preview:");
+        Object.entries(variants).filter(([, text]) => text).forEach(([language, text]) => {
+          console.log(`  [${language}] ${text.title}: ${text.message}`);
+        });
+        if (missing.length > 0) {
+          console.log(`  ⚠️ No value for: ${missing.join(", ")} (use --var=<name>=<value>)`);
+        }
       }
+      console.log("");
+      console.log("📊 Dry Run Results:");
+      console.log(`  • Would Notify: ${preview.recipients}`);
+      console.log(`  • Held for Quiet Hours: ${preview.deferred}`);
+      console.log(`  • By Email: ${preview.emails}`);
+      console.log(`  • Opted Out: ${preview.optedOut}`);
+      return;
     }
-  } catch (error) {
-    console.log("❌ Error sending notification:");
 
-    if (error.response) {
-      // Server responded with error
-      console.log(`   Status: ${error.response.status}`);
-      console.log(
-        `   Message: ${error.response.data?.message || "Unknown error"}`,
-      );
-
-      if (error.response.data?.debug) {
-        console.log(
-          `   Debug: ${JSON.stringify(error.response.data.debug, null, 2)}`,
-        );
-      }
+    console.log("📤 Sending notification...");
 
-      if (error.response.status === 401) {
-        console.log("");
-        console.log("🔑 Authentication Error Solutions:");
-        console.log(`   1. Check your API key (current: ${API_KEY})`);
-        console.log("   2. Set CLI_API_KEY environment variable");
-        console.log("   3. Ensure backend is configured correctly");
-      } else if (error.response.status === 503) {
-        console.log("");
-        console.log("🔧 Service Unavailable Solutions:");
-        console.log("   1. Check Firebase configuration on backend");
-        console.log(
-          "   2. Verify FIREBASE_SERVICE_ACCOUNT environment variable",
-        );
-        console.log("   3. Ensure backend is running properly");
+    // Stored in the outbox like admin broadcasts, so it shows up in the broadcast history
+    const text = template ? renderTemplate(template, { variables, keepMissing: true }) : { title, message: body };
+    const broadcast = await createBroadcast({
+      title: text.title,
+      message: text.message,
+      template: template ? { key: template.key, variants: template.variants, variables } : null,
+      type: notificationType,
+      urgent,
+      data: { source: "cli" },
+      audience: {
+        type: segmentId ? "segment" : "all",
+        segmentId,
+        segmentName: audience && audience.savedSegment ? audience.savedSegment.name : null,
+      },
+      source: "cli",
+    });
+    const sent = await processBroadcast(broadcast._id);
+
+    if (!sent) {
+      console.log(`📤 Broadcast ${broadcast._id} is being sent by the backend's send-broadcasts job.`);
+      return;
+    }
+
+    const { broadcast: processed, notifications, push, optedOut, deferred, email, error } = sent;
+
+    if (error) {
+      console.log(`❌ Error sending notification: ${error.message}`);
+      if (processed.status !== "failed") {
+        console.log("  The backend's send-broadcasts job will retry it.");
       }
-    } else if (error.request) {
-      // Network error
-      console.log(`   Network Error: Cannot reach ${BACKEND_URL}`);
-      console.log("");
-      console.log("🌐 Network Troubleshooting:");
-      console.log("   1. Check your internet connection");
-      console.log("   2. Verify backend URL is correct");
-      console.log("   3. Ensure backend server is running");
-      console.log(`   4. Try: curl ${BACKEND_URL}/health`);
-    } else {
-      // Other error
-      console.log(`   ${error.message}`);
+      exitCode = 1;
+      return;
     }
 
+    if (notifications.length === 0) {
+      console.log(optedOut > 0
+        ? "❌ Every member has turned off this kind of notification"
+        : audience
+          ? "❌ No active members match this segment"
+          : "❌ No active members found to notify");
+      exitCode = 1;
+      return;
+    }
+
+    const stats = push ? push.stats : {};
+
+    console.log("✅ Notification sent!");
     console.log("");
-    console.log("🆘 Need Help?");
-    console.log("   1. Check backend logs on Glitch");
-    console.log("   2. Test backend health: curl <backend-url>/health");
-    console.log("   3. Verify FCM tokens: curl <backend-url>/api/fcm-status");
+    console.log("📊 Results:");
+    console.log(`  • Stored in Inboxes: ${notifications.length}`);
+    console.log(`  • Devices Targeted: ${stats.totalTargets || 0}`);
+    console.log(`  • Successfully Pushed: ${stats.successCount || 0}`);
+    console.log(`  • Failed: ${stats.failureCount || 0}`);
+    console.log(`  • Held for Quiet Hours: ${deferred}`);
+    console.log(`  • Queued for Email: ${email.queued}`);
+    console.log(`  • Opted Out: ${optedOut}`);
 
-    process.exit(1);
-  }
-}
+    if (stats.cleanedTokens > 0) {
+      console.log(`  • Cleaned Invalid Tokens: ${stats.cleanedTokens}`);
+    }
 
-// Add helpful flags
-if (process.argv.includes("--help") || process.argv.includes("-h")) {
-  console.log("🔔 CLI Notification Sender for PCEA Turi Church App");
-  console.log("");
-  console.log("📋 Usage:");
-  console.log('  node send-notification-cli.js "Title" "Message" [type]');
-  console.log("");
-  console.log("📝 Examples:");
-  console.log(
-    '  node send-notification-cli.js "Sunday Service" "Service starts at 9 AM"',
-  );
-  console.log(
-    '  node send-notification-cli.js "Prayer Meeting" "Join us for prayer" "prayer"',
-  );
-  console.log(
-    '  node send-notification-cli.js "Youth Event" "Youth meeting tonight" "event"',
-  );
-  console.log("");
-  console.log("🎯 Available Types:");
-  console.log("  - announcement (default)");
-  console.log("  - prayer");
-  console.log("  - service");
-  console.log("  - event");
-  console.log("  - reminder");
-  console.log("  - general");
-  console.log("");
-  console.log("🔧 Environment Variables:");
-  console.log("  CLI_API_KEY         API key for authentication");
-  console.log("  GLITCH_BACKEND_URL  Backend URL override");
-  console.log("");
-  console.log("📞 Status Commands:");
-  console.log("  curl <backend-url>/health      - Check backend health");
-  console.log(
-    "  curl <backend-url>/api/fcm-status - Check notification readiness",
-  );
-  process.exit(0);
-}
+    if (stats.totalTargets > 0) {
+      const successRate = ((stats.successCount / stats.totalTargets) * 100).toFixed(1);
+      console.log(`📈 Success Rate: ${successRate}%`);
+    }
 
-if (process.argv.includes("--version") || process.argv.includes("-v")) {
-  console.log("CLI Notification Sender v2.0.0");
-  process.exit(0);
+    if (push && !push.success) {
+      console.log("");
+      console.log(`⚠️ Push delivery failed: ${push.message}`);
+      console.log("  Members will still see the notification in the app inbox.");
+    } else if (stats.failureCount > 0) {
+      console.log("");
+      console.log("⚠️ Some pushes failed. This is normal if:");
+      console.log("  • Users have uninstalled the app");
+      console.log("  • Devices are offline");
+      console.log("  • FCM tokens have expired");
+      console.log("  ✅ Invalid tokens were automatically cleaned up");
+    }
+  } catch (error) {
+    console.log("❌ Error sending notification:");
+    console.log(`   ${error.message}`);
+    console.log("");
+    console.log("🆘 Need Help?");
+    console.log("   1. Check that MONGO_URI is set");
+    console.log("   2. Verify the FIREBASE_SERVICE_ACCOUNT environment variable");
+    console.log("   3. Check FCM readiness: curl <backend-url>/api/fcm-status");
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
 }
 
 // Run the notification sender
@@ -1,99 +1,48 @@
 /**
  * Direct Backend Notification Sender
- * Run this script on your Glitch backend to send notifications directly
+ * Run this script on your backend to notify every active member directly
+ * (stored in their in-app inbox and pushed to their devices)
  * Usage: node send-notification.js "Title" "Message"
  */
 
-const admin = require("firebase-admin");
 const mongoose = require("mongoose");
 require("dotenv").config();
 
-// Initialize Firebase Admin (same as server.js)
-try {
-  let serviceAccount;
-
-  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-    serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-
-    // Ensure PEM format is restored for Render/production environments
-    if (serviceAccount.private_key) {
-      serviceAccount.private_key = serviceAccount.private_key.replace(/\\n/g, "\n");
-    }
-  } else {
-    serviceAccount = require("./churchapp-3efc3-firebase-adminsdk-fbsvc-b52a2b3e0e.json");
-  }
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: serviceAccount.project_id,
-  });
-
-  console.log("✅ Firebase Admin SDK initialized");
-} catch (error) {
-  console.error("❌ Firebase initialization failed:", error.message);
-  process.exit(1);
-}
-
-// User model (simplified)
-const userSchema = new mongoose.Schema({
-  name: String,
-  fcmToken: String,
-  fcmTokenPlatform: String,
-});
-const User = mongoose.model("User", userSchema);
+const { notifyAllUsers } = require("./utils/notificationService");
 
 // Main notification function
 async function sendNotification(title, body, data = {}) {
   try {
     // Connect to MongoDB
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
     console.log("✅ Connected to MongoDB");
 
-    // Get all users with FCM tokens
-    const users = await User.find({
-      fcmToken: { $ne: null, $exists: true },
-    }).select("fcmToken fcmTokenPlatform name");
+    console.log(`📤 Sending notification: "${title}"`);
 
-    const tokens = users.map((user) => user.fcmToken).filter((token) => token);
+    const { notifications, push, deferred } = await notifyAllUsers({
+      title,
+      message: body,
+      type: "general",
+      data: { source: "script", ...data },
+    });
 
-    if (!tokens.length) {
-      console.log("❌ No FCM tokens found in database");
-      console.log("💡 Make sure users have logged into the frontend app");
+    if (!notifications.length) {
+      console.log("❌ No active members found in database");
       return;
     }
 
-    console.log(`🎯 Found ${tokens.length} FCM tokens`);
-
-    // Prepare message
-    const message = {
-      notification: { title, body },
-      data: {
-        type: "script_notification",
-        timestamp: new Date().toISOString(),
-        ...data,
-      },
-      tokens,
-    };
-
-    console.log(`���� Sending notification: "${title}"`);
+    console.log(`✅ Notification stored for ${notifications.length} members`);
+    if (deferred > 0) {
+      console.log(`🌙 Held for quiet hours: ${deferred}`);
+    }
 
-    // Send notification
-    const response = await admin.messaging().sendEachForMulticast(message);
+    if (!push) return;
 
-    console.log(`✅ Notification sent!`);
-    console.log(`📊 Success: ${response.successCount}/${tokens.length}`);
-    console.log(`❌ Failed: ${response.failureCount}`);
+    console.log(`📊 Pushed: ${push.stats.successCount}/${push.stats.totalTargets}`);
+    console.log(`❌ Failed: ${push.stats.failureCount}`);
 
-    if (response.failureCount > 0) {
-      console.log("🔍 Failed tokens:");
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) {
-          console.log(`  - ${users[idx].name}: ${resp.error.code}`);
-        }
-      });
+    if (!push.success) {
+      console.log(`💡 ${push.message}`);
     }
   } catch (error) {
     console.error("❌ Error sending notification:", error.message);
@@ -1,13 +1,16 @@
 #!/usr/bin/env node
 
 /**
- * Super simple notification sender for Glitch terminal
+ * Super simple notification sender for the backend terminal
  * Usage: node send.js
  * Then follow the interactive prompts
  */
 
 const readline = require("readline");
-const axios = require("axios");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { notifyAllUsers } = require("./utils/notificationService");
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -77,68 +80,53 @@ async function sendNotification() {
 
     console.log("\n📤 Sending notification...");
 
-    // Determine backend URL
-    const BACKEND_URL = process.env.PROJECT_DOMAIN
-      ? `https://${process.env.PROJECT_DOMAIN}.glitch.me`
-      : "http://localhost:3000";
-
-    const response = await axios.post(
-      `${BACKEND_URL}/api/cli/send-notification`,
-      {
-        title: title.trim(),
-        body: message.trim(),
-        type,
-        apiKey: process.env.CLI_API_KEY || "church-cli-2024",
-      },
-      {
-        headers: { "Content-Type": "application/json" },
-        timeout: 30000,
-      },
+    await mongoose.connect(process.env.MONGO_URI || process.env.MONGODB_URI);
+
+    const { notifications, push, deferred } = await notifyAllUsers({
+      title: title.trim(),
+      message: message.trim(),
+      type,
+      data: { source: "cli" },
+    });
+
+    if (notifications.length === 0) {
+      console.log("❌ No active members found to notify");
+      return;
+    }
+
+    const stats = push ? push.stats : {};
+
+    console.log("\n✅ Notification sent successfully!");
+    console.log(`📥 Stored in ${notifications.length} inboxes`);
+    if (deferred > 0) {
+      console.log(`🌙 ${deferred} push(es) held until quiet hours end`);
+    }
+    console.log(
+      `📊 Results: ${stats.successCount || 0}/${stats.totalTargets || 0} delivered`,
     );
 
-    if (response.data.success) {
-      console.log("\n✅ Notification sent successfully!");
+    if (stats.failureCount > 0) {
       console.log(
-        `📊 Results: ${response.data.stats.successCount}/${response.data.stats.totalTargets} delivered`,
+        `⚠️ ${stats.failureCount} failed (invalid tokens cleaned up)`,
       );
+    }
 
-      if (response.data.stats.failureCount > 0) {
-        console.log(
-          `⚠️ ${response.data.stats.failureCount} failed (invalid tokens cleaned up)`,
-        );
-      }
-
+    if (stats.totalTargets > 0) {
       const successRate = (
-        (response.data.stats.successCount / response.data.stats.totalTargets) *
+        (stats.successCount / stats.totalTargets) *
         100
       ).toFixed(1);
       console.log(`📈 Success rate: ${successRate}%`);
-    } else {
-      console.log("❌ Failed to send notification:", response.data.message);
+    } else if (push && !push.success) {
+      console.log(`⚠️ Push not delivered: ${push.message}`);
     }
   } catch (error) {
     console.log("\n❌ Error sending notification:");
-
-    if (error.response) {
-      console.log(`   Status: ${error.response.status}`);
-      console.log(
-        `   Error: ${error.response.data?.message || "Unknown error"}`,
-      );
-
-      if (error.response.status === 401) {
-        console.log("\n💡 Try setting the CLI_API_KEY environment variable");
-      } else if (error.response.status === 400) {
-        console.log(
-          "\n💡 Check that users have the app installed and logged in",
-        );
-      }
-    } else if (error.request) {
-      console.log("   Network error - check your connection");
-    } else {
-      console.log(`   ${error.message}`);
-    }
+    console.log(`   ${error.message}`);
+    console.log("\n💡 Check that MONGO_URI and FIREBASE_SERVICE_ACCOUNT are set");
   } finally {
     rl.close();
+    await mongoose.disconnect();
   }
 }
 
@@ -80,22 +80,6 @@ app.get('/health', (req, res) => {
 // Test notification endpoint (proxy to notifications/test for frontend compatibility)
 app.get('/api/test-notification', async (req, res) => {
   try {
-    // Import notification model
-    const mongoose = require('mongoose');
-    let Notification;
-    try {
-      Notification = mongoose.model("Notification");
-    } catch (error) {
-      // If model doesn't exist, create minimal response
-      return res.json({
-        success: true,
-        message: 'Test notification endpoint is working',
-        data: {
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
     const notificationCount = await Notification.countDocuments();
 
     res.json({
@@ -189,13 +173,40 @@ const verifyToken = (req, res, next) => {
 
     jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
       if (err) {
+        // Expired access tokens get a 401 so clients know to use their refresh token
+        if (err.name === "TokenExpiredError") {
+          return res.status(401).json({
+            success: false,
+            message: "Token has expired. Please log in again.",
+            code: "TOKEN_EXPIRED"
+          });
+        }
         return res.status(403).json({
           success: false,
           message: "Invalid or expired token."
         });
       }
-      req.user = user;
-      next();
+
+      // Reject tokens of deleted or deactivated users and of revoked sessions
+      checkTokenSubject(user)
+        .then((problem) => {
+          if (problem) {
+            return res.status(problem.status).json({
+              success: false,
+              message: problem.message,
+              code: problem.code
+            });
+          }
+          req.user = user;
+          next();
+        })
+        .catch((error) => {
+          console.error("Session check error:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error"
+          });
+        });
     });
   } catch (error) {
     console.error("Token verification error:", error);
@@ -206,28 +217,6 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-// Notification Schema
-const notificationSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  title: { type: String, required: true },
-  message: { type: String, required: true },
-  type: {
-    type: String,
-    enum: ["announcement", "prayer", "service", "event", "reminder", "welcome", "general"],
-    default: "general",
-  },
-  data: { type: mongoose.Schema.Types.Mixed, default: {} },
-  read: { type: Boolean, default: false },
-  readAt: { type: Date, default: null },
-  receivedAt: { type: Date, default: Date.now },
-  createdAt: { type: Date, default: Date.now },
-});
-
-notificationSchema.index({ userId: 1, createdAt: -1 });
-notificationSchema.index({ userId: 1, read: 1 });
-
-const Notification = mongoose.model("Notification", notificationSchema);
-
 // Connect to MongoDB
 const connectDB = async () => {
   try {
@@ -271,11 +260,31 @@ const connectDB = async () => {
   }
 };
 
-// Initialize database connection
-connectDB();
+// Background jobs (scheduled publishing, prayer partner reshuffle etc.)
+const { registerJob, startJobs, stopJobs } = require('./utils/jobRunner');
+const { createSession, checkTokenSubject, revokeAllSessions } = require('./utils/authTokens');
+const { publishingJobs } = require('./utils/scheduledPublisher');
+const { pairingJobs } = require('./utils/prayerPartnerPairing');
+const { notificationJobs } = require('./utils/notificationService');
+const { outboxJobs } = require('./utils/notificationOutbox');
+const { digestJobs } = require('./utils/weeklyDigest');
+const { waitlistJobs } = require('./utils/eventWaitlist');
+const { reminderJobs } = require('./utils/eventReminders');
+publishingJobs.forEach(registerJob);
+pairingJobs.forEach(registerJob);
+notificationJobs.forEach(registerJob);
+outboxJobs.forEach(registerJob);
+digestJobs.forEach(registerJob);
+waitlistJobs.forEach(registerJob);
+reminderJobs.forEach(registerJob);
+
+// Initialize database connection, then start background jobs
+connectDB().then(() => startJobs());
 
 // Import models
 const User = require('./server/models/User');
+const Notification = require('./server/models/Notification');
+const UserSession = require('./server/models/UserSession');
 
 // Import routes
 const announcementRoutes = require('./server/routes/announcements');
@@ -291,6 +300,8 @@ const partnershipRequestRoutes = require('./server/routes/partnershipRequests');
 const prayerRequestRoutes = require('./server/routes/prayerRequests');
 const notificationRoutes = require('./server/routes/notifications');
 const userRoutes = require('./server/routes/profile');
+const otpRoutes = require('./server/routes/otp');
+const sessionRoutes = require('./server/routes/sessions');
 const adminRoutes = require('./server/routes/admin');
 const adminPinRoutes = require('./server/routes/admin-pin');
 
@@ -298,45 +309,55 @@ const adminPinRoutes = require('./server/routes/admin-pin');
 app.get('/api/fcm-status', async (req, res) => {
   try {
     const { getFirebaseStatus, isFirebaseAvailable } = require('./utils/firebaseUtils');
+    const { getPushTransport } = require('./utils/pushTransport');
 
-    // Get Firebase status
+    // Local transports (PUSH_TRANSPORT=file or memory) work without Firebase
+    const transport = getPushTransport();
     const firebaseStatus = getFirebaseStatus();
-    const isAvailable = isFirebaseAvailable();
+    const firebaseAvailable = transport.name === 'firebase' && isFirebaseAvailable();
+    const isAvailable = transport.name === 'firebase' ? firebaseAvailable : true;
 
     // Get user token statistics
     const totalUsers = await User.countDocuments({ isActive: { $ne: false } });
     const usersWithTokens = await User.countDocuments({
-      fcmToken: { $ne: null, $exists: true },
-      isActive: { $ne: false }
-    });
-
-    // Get tokens by platform
-    const webTokens = await User.countDocuments({
-      fcmToken: { $ne: null, $exists: true },
-      fcmTokenPlatform: 'web',
-      isActive: { $ne: false }
-    });
-
-    const nativeTokens = await User.countDocuments({
-      fcmToken: { $ne: null, $exists: true },
-      fcmTokenPlatform: 'native',
-      isActive: { $ne: false }
-    });
+      isActive: { $ne: false },
+      ...User.pushTokenFilter()
+    });
+
+    // Get devices by platform
+    const platformCounts = await User.aggregate([
+      { $match: { isActive: { $ne: false } } },
+      { $unwind: '$fcmTokens' },
+      { $group: { _id: '$fcmTokens.platform', count: { $sum: 1 } } }
+    ]);
+    const devicesByPlatform = platformCounts.reduce((acc, item) => {
+      acc[item._id || 'unknown'] = item.count;
+      return acc;
+    }, {});
+    const totalDevices = platformCounts.reduce((sum, item) => sum + item.count, 0);
 
     res.json({
       success: true,
       firebase: {
-        available: isAvailable,
+        available: firebaseAvailable,
         status: firebaseStatus
       },
+      push: {
+        transport: transport.name,
+        available: isAvailable,
+        status: transport.getStatus ? transport.getStatus() : null
+      },
       data: {
         totalUsers,
         usersWithTokens,
         usersWithoutTokens: totalUsers - usersWithTokens,
+        totalDevices,
         tokenBreakdown: {
-          web: webTokens,
-          native: nativeTokens,
-          unknown: usersWithTokens - webTokens - nativeTokens
+          web: devicesByPlatform.web || 0,
+          native: devicesByPlatform.native || 0,
+          android: devicesByPlatform.android || 0,
+          ios: devicesByPlatform.ios || 0,
+          unknown: devicesByPlatform.unknown || 0
         },
         readinessPercentage: totalUsers > 0 ? Math.round((usersWithTokens / totalUsers) * 100) : 0
       },
@@ -406,14 +427,12 @@ app.post('/api/user/register', async (req, res) => {
     await user.save();
     console.log(`✅ New user registered: ${name} (${phone})`);
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Open a session for this device
+    const tokens = await createSession(user, req, { loginMethod: 'register' });
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       message: "User registered successfully",
       user: {
         id: user._id,
@@ -462,25 +481,31 @@ app.post('/api/user/login', async (req, res) => {
       });
     }
 
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Your account is deactivated. Please contact the church office.",
+        code: "ACCOUNT_INACTIVE",
+      });
+    }
+
     // Update last login
     await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    // Open a session for this device
+    const tokens = await createSession(user, req, { loginMethod: 'password' });
 
     console.log(`✅ User logged in: ${user.name} (${user.phone})`);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       message: "Login successful",
       user: {
         id: user._id,
         name: user.name,
         phone: user.phone,
-        hasFCMToken: !!user.fcmToken,
+        hasFCMToken: User.collectPushTokens(user).length > 0,
       },
     });
   } catch (err) {
@@ -506,6 +531,10 @@ app.use('/api/prayer-partners', prayerPartnerRoutes);
 app.use('/api/partnership-requests', partnershipRequestRoutes);
 app.use('/api/prayer-requests', prayerRequestRoutes);
 app.use('/api/notifications', notificationRoutes);
+// Legacy inbox paths used by older app versions
+app.use('/api/user/notifications', notificationRoutes);
+app.use('/api/user/otp', otpRoutes);
+app.use('/api/user', sessionRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin-pin', adminPinRoutes);
@@ -529,7 +558,7 @@ app.use('/prayer-requests', prayerRequestRoutes);
 // Update FCM Token
 app.post('/api/user/update-fcm-token', verifyToken, async (req, res) => {
   try {
-    const { fcmToken, platform } = req.body;
+    const { fcmToken, platform, deviceId } = req.body;
 
     // Validation
     if (!fcmToken || typeof fcmToken !== "string") {
@@ -548,18 +577,27 @@ app.post('/api/user/update-fcm-token', verifyToken, async (req, res) => {
       });
     }
 
-    console.log(`📱 Updating FCM token for user ${req.user.id} on platform: ${platform}`);
+    if (deviceId !== undefined && (typeof deviceId !== "string" || !deviceId.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "deviceId must be a non-empty string",
+      });
+    }
+
+    // Fall back to the device the session was opened on
+    let device = deviceId ? deviceId.trim() : null;
+    if (!device && req.user.sid) {
+      const session = await UserSession.findById(req.user.sid).select("deviceId").lean();
+      device = session ? session.deviceId : null;
+    }
 
-    // Update user with new token
-    const updateData = {
-      fcmToken,
-      fcmTokenPlatform: platform,
-      fcmTokenUpdated: new Date(),
-    };
+    console.log(`📱 Updating FCM token for user ${req.user.id} on platform: ${platform}${device ? ` (device ${device})` : ""}`);
 
-    const updatedUser = await User.findByIdAndUpdate(req.user.id, updateData, {
-      new: true,
-      select: "-password",
+    // Add or replace this device's token; the member's other devices keep theirs
+    const updatedUser = await User.registerPushToken(req.user.id, {
+      token: fcmToken,
+      deviceId: device,
+      platform,
     });
 
     if (!updatedUser) {
@@ -577,6 +615,8 @@ app.post('/api/user/update-fcm-token', verifyToken, async (req, res) => {
       data: {
         fcmToken: updatedUser.fcmToken.substring(0, 20) + "...",
         platform: updatedUser.fcmTokenPlatform,
+        deviceId: device,
+        deviceCount: updatedUser.fcmTokens.length,
         updated: updatedUser.fcmTokenUpdated,
         userId: updatedUser._id,
       },
@@ -591,149 +631,6 @@ app.post('/api/user/update-fcm-token', verifyToken, async (req, res) => {
   }
 });
 
-// Get user notifications
-app.get('/api/user/notifications', verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
-
-    // Get notifications for the user
-    const notifications = await Notification.find({ userId })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .lean();
-
-    // Get counts
-    const totalCount = await Notification.countDocuments({ userId });
-    const unreadCount = await Notification.countDocuments({
-      userId,
-      read: false,
-    });
-
-    console.log(`📱 Retrieved ${notifications.length} notifications for user ${userId}`);
-
-    res.json({
-      success: true,
-      notifications,
-      pagination: {
-        total: totalCount,
-        unread: unreadCount,
-        limit,
-        skip,
-        hasMore: totalCount > skip + notifications.length,
-      },
-    });
-  } catch (err) {
-    console.error("❌ Error fetching user notifications:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch notifications",
-      error: err.message,
-    });
-  }
-});
-
-// Mark notification as received
-app.post('/api/user/notifications/received', verifyToken, async (req, res) => {
-  try {
-    const { notificationId, title, message, type } = req.body;
-    const userId = req.user.id;
-
-    // Store the notification in database
-    const notification = new Notification({
-      userId,
-      title: title || "New Notification",
-      message: message || "",
-      type: type || "general",
-      data: req.body.data || {},
-      receivedAt: new Date(),
-    });
-
-    await notification.save();
-
-    console.log(`📝 Stored notification for user ${userId}: ${title}`);
-
-    res.json({
-      success: true,
-      message: "Notification stored successfully",
-      notificationId: notification._id,
-    });
-  } catch (err) {
-    console.error("❌ Error storing notification:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to store notification",
-      error: err.message,
-    });
-  }
-});
-
-// Mark notification as read
-app.patch('/api/user/notifications/:notificationId/read', verifyToken, async (req, res) => {
-  try {
-    const { notificationId } = req.params;
-    const userId = req.user.id;
-
-    const updatedNotification = await Notification.findOneAndUpdate(
-      { _id: notificationId, userId },
-      { read: true, readAt: new Date() },
-      { new: true },
-    );
-
-    if (!updatedNotification) {
-      return res.status(404).json({
-        success: false,
-        message: "Notification not found",
-      });
-    }
-
-    console.log(`✅ Marked notification ${notificationId} as read for user ${userId}`);
-
-    res.json({
-      success: true,
-      message: "Notification marked as read",
-      notification: updatedNotification,
-    });
-  } catch (err) {
-    console.error("❌ Error marking notification as read:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to mark notification as read",
-      error: err.message,
-    });
-  }
-});
-
-// Clear notifications
-app.post('/api/user/notifications/clear', verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    // Mark all notifications as read for the user
-    const result = await Notification.updateMany(
-      { userId, read: false },
-      { read: true, readAt: new Date() }
-    );
-
-    console.log(`✅ Cleared ${result.modifiedCount} notifications for user ${userId}`);
-
-    res.json({
-      success: true,
-      message: "Notifications cleared successfully",
-      clearedCount: result.modifiedCount,
-    });
-  } catch (err) {
-    console.error("❌ Error clearing notifications:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to clear notifications",
-      error: err.message,
-    });
-  }
-});
-
 // Delete user account
 app.delete('/api/user/delete', verifyToken, async (req, res) => {
   try {
@@ -774,6 +671,10 @@ app.delete('/api/user/delete', verifyToken, async (req, res) => {
       console.log(`✅ Successfully unpaired user ${partnerOfThisUser._id} from user ${userId}`);
     }
 
+    // Close the user's pairings in the pairing history
+    const PartnerPairing = require('./server/models/PartnerPairing');
+    await PartnerPairing.endActive([userId], 'member_removed', userId);
+
     // Clean up prayer partner requests - expire all pending requests involving this user
     try {
       const PrayerPartnerRequest = require('./server/models/PrayerPartnerRequest');
@@ -802,6 +703,7 @@ app.delete('/api/user/delete', verifyToken, async (req, res) => {
 
     // Perform hard delete and clear prayer partner fields
     const deletedUser = await User.findByIdAndDelete(userId);
+    await revokeAllSessions(userId, 'deleted', userId);
 
     // Also delete user's notifications
     await Notification.deleteMany({ userId });
@@ -840,10 +742,15 @@ app.get('/api/status', (req, res) => {
       getUserNotifications: 'GET /api/user/notifications',
       markNotificationReceived: 'POST /api/user/notifications/received',
       markNotificationRead: 'PATCH /api/user/notifications/:id/read',
+      markNotificationOpened: 'PATCH /api/user/notifications/:id/opened',
       clearNotifications: 'POST /api/user/notifications/clear',
+      preferences: 'GET/PUT /api/user/preferences',
       // Content Management
       announcements: '/api/announcements',
       events: '/api/events',
+      eventsCalendar: 'GET /api/events/calendar.ics, /api/events/calendar/subscription, GET /api/events/:id.ics',
+      eventCheckIn: 'POST /api/events/:id/check-in, GET /api/events/:id/attendance, GET /api/events/attendance/me',
+      eventVolunteers: '/api/events/:id/volunteer-roles, GET /api/events/:id/volunteers, GET /api/events/serving/me',
       gallery: '/api/gallery',
       sermons: '/api/sermons',
       videos: '/api/videos',
@@ -856,6 +763,11 @@ app.get('/api/status', (req, res) => {
       prayerRequests: '/api/prayer-requests',
       // Admin
       notifications: '/api/notifications',
+      audienceSegments: '/api/notifications/segments',
+      broadcasts: 'GET /api/notifications/broadcasts',
+      notificationTemplates: '/api/notifications/templates',
+      digestPreview: 'GET /api/admin/digest/preview',
+      jobs: 'GET /api/admin/jobs, POST /api/admin/jobs/:name/run',
       upload: uploadRoutes ? '/api/upload' : 'not available'
     }
   });
@@ -887,6 +799,7 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM received, shutting down gracefully...');
+  stopJobs();
   mongoose.connection.close(() => {
     console.log('✅ MongoDB connection closed');
     process.exit(0);
@@ -895,6 +808,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🔄 SIGINT received, shutting down gracefully...');
+  stopJobs();
   mongoose.connection.close(() => {
     console.log('✅ MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.ADMIN_ACCESS_LOG_RETENTION_DAYS || '180');
+
+// Security log of admin PIN use: grants, failures, lockouts, PIN changes and session revocations
+const adminAccessLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: [
+      'pin_verified',
+      'pin_failed',
+      'pin_locked',
+      'pin_rotated',
+      'pin_reset',
+      'pin_removed',
+      'session_logout',
+      'session_revoked'
+    ],
+    required: true
+  },
+  // The account the event is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Who performed the action when it differs from user (e.g. an admin resetting a PIN)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminSession',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+adminAccessLogSchema.index({ user: 1, createdAt: -1 });
+adminAccessLogSchema.index({ event: 1, createdAt: -1 });
+adminAccessLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to record an event; logging problems never block the request
+adminAccessLogSchema.statics.record = async function(event, { user = null, actor = null, session = null, req = null, details = {} } = {}) {
+  try {
+    return await this.create({
+      event,
+      user,
+      actor,
+      session,
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') || null : null,
+      details
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record admin access event ${event}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AdminAccessLog', adminAccessLogSchema);
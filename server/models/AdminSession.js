@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Keep expired and revoked sessions around for a while so they can still be reviewed
+const SESSION_HISTORY_DAYS = 30;
+
+// Admin sessions opened with a personal admin PIN; the x-admin-token carries the session id
+const adminSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['pin'],
+    default: 'pin'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'pin_rotated', 'pin_reset', 'pin_removed', 'password_reset', 'deactivated', 'deleted', 'role_changed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+adminSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: SESSION_HISTORY_DAYS * 24 * 60 * 60 });
+
+// Virtual for whether the session can still be used
+adminSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find a usable session belonging to a user
+adminSessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve(null);
+
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every open session of a user
+adminSessionSchema.statics.revokeForUser = async function(userId, reason, revokedBy = null) {
+  return await this.updateMany(
+    { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedBy, revokeReason: reason }
+  );
+};
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
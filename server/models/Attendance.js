@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const CHECK_IN_METHODS = ['ticket', 'manual'];
+
+// RSVP the member had when checked in; 'none' for walk-ins
+const RSVP_STATUSES_AT_CHECK_IN = ['attending', 'maybe', 'not_attending', 'none'];
+
+// One member checked in at an event (one occurrence of a recurring event)
+const attendanceSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Original start of the occurrence (recurring events only)
+  occurrence: {
+    type: Date,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Usher who checked the member in
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 'ticket' for a scanned QR ticket, 'manual' for a lookup by phone
+  method: {
+    type: String,
+    enum: CHECK_IN_METHODS,
+    required: true
+  },
+  rsvpStatus: {
+    type: String,
+    enum: RSVP_STATUSES_AT_CHECK_IN,
+    default: 'none'
+  }
+}, {
+  timestamps: true
+});
+
+// A member is checked in once per occurrence
+attendanceSchema.index({ event: 1, occurrence: 1, user: 1 }, { unique: true });
+attendanceSchema.index({ user: 1, checkedInAt: -1 });
+
+attendanceSchema.statics.CHECK_IN_METHODS = CHECK_IN_METHODS;
+attendanceSchema.statics.RSVP_STATUSES_AT_CHECK_IN = RSVP_STATUSES_AT_CHECK_IN;
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
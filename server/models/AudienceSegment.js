@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Saved audience segment - a named set of criteria admins can target broadcasts at
+// (see utils/audienceSegments.js for how the criteria select members)
+const audienceSegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  criteria: {
+    fellowshipZones: [{
+      type: String,
+      trim: true
+    }],
+    roles: [{
+      type: String,
+      trim: true
+    }],
+    // Age in whole years, both ends inclusive
+    age: {
+      min: { type: Number, default: null },
+      max: { type: Number, default: null }
+    },
+    // Members who answered an event's RSVP with one of the statuses
+    event: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        default: null
+      },
+      rsvpStatuses: [{
+        type: String,
+        trim: true
+      }]
+    },
+    // 'paired', 'unpaired' or null to ignore prayer partners
+    prayerPartner: {
+      type: String,
+      enum: ['paired', 'unpaired', null],
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+audienceSegmentSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Static method to find a saved segment by id or (case-insensitive) name
+audienceSegmentSchema.statics.findByIdOrName = function(idOrName) {
+  const value = String(idOrName).trim();
+  if (/^[a-f\d]{24}$/i.test(value)) {
+    return this.findById(value);
+  }
+  return this.findOne({ name: value }).collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('AudienceSegment', audienceSegmentSchema);
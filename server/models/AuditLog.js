@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365');
+
+// Fields that are never copied into the log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'adminPin', 'refreshTokenHash', 'codeHash'];
+
+// Audit trail of admin and moderation actions: who changed what, and how
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  // How the actor proved admin access: 'pin', 'database' or null for role permissions
+  actorMethod: {
+    type: String,
+    default: null
+  },
+  // Dotted action name, e.g. "user.role_changed" or "prayer_request.approved"
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Id of the affected document; bulk actions list theirs in details.targetIds
+  targetId: {
+    type: String,
+    default: null
+  },
+  // Fields that changed, with their values before and after
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Turn a document or plain object into a plain object without ignored fields
+ */
+const toPlain = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : { ...value };
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change (document or plain object)
+ * @param {Object} after - Snapshot after the change (document or plain object)
+ * @returns {Object[]} [{ field, before, after }]
+ */
+const diffSnapshots = (before, after) => {
+  const beforePlain = toPlain(before);
+  const afterPlain = toPlain(after);
+  const fields = new Set([...Object.keys(beforePlain), ...Object.keys(afterPlain)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    const beforeValue = beforePlain[field] === undefined ? null : beforePlain[field];
+    const afterValue = afterPlain[field] === undefined ? null : afterPlain[field];
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.push({ field, before: beforeValue, after: afterValue });
+    }
+  });
+
+  return changes;
+};
+
+// Static method to record an action; logging problems never block the request
+auditLogSchema.statics.record = async function(action, { req = null, actor, targetType, targetId = null, before = null, after = null, details = {} } = {}) {
+  try {
+    return await this.create({
+      actor: actor !== undefined ? actor : (req && req.user ? req.user.id : null),
+      actorRole: req && req.user ? req.user.role || null : null,
+      actorMethod: req ? req.adminMethod || null : null,
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : null,
+      changes: before || after ? diffSnapshots(before, after) : [],
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') || null : null,
+      details
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit entry ${action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+const BROADCAST_STATUSES = ['scheduled', 'queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Admin broadcast in the notification outbox - one document per send, its members'
+// inbox entries point back to it (Notification.broadcastId) with per-recipient results
+const broadcastSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Notification.TYPES,
+    default: 'general'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  urgent: {
+    type: Boolean,
+    default: false
+  },
+  // Template the broadcast was written from: { key, variants, variables }. The variants are
+  // copied so editing the template later does not change a scheduled broadcast
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Who the broadcast goes to; segments are resolved when it is sent
+  audience: {
+    type: {
+      type: String,
+      enum: ['all', 'users', 'segment'],
+      default: 'all'
+    },
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    segment: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Saved segment id or name as given by the sender
+    segmentId: {
+      type: String,
+      default: null
+    },
+    segmentName: {
+      type: String,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: BROADCAST_STATUSES,
+    default: 'queued'
+  },
+  sendAt: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'cli', 'digest'],
+    default: 'admin'
+  },
+  // Attempts at resolving the audience and storing the inbox entries
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Members who got an inbox entry; null until the entries are stored
+  targetCount: {
+    type: Number,
+    default: null
+  },
+  optedOut: {
+    type: Number,
+    default: 0
+  },
+  // Pushes held back for quiet hours when the broadcast went out
+  deferred: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+broadcastSchema.index({ status: 1, sendAt: 1 });
+broadcastSchema.index({ createdAt: -1 });
+
+// Static method to get delivery, email, open and read counts per broadcast from its inbox entries
+broadcastSchema.statics.getDeliveryReports = async function(broadcastIds) {
+  const groups = await Notification.aggregate([
+    { $match: { broadcastId: { $in: broadcastIds } } },
+    {
+      $group: {
+        _id: '$broadcastId',
+        recipients: { $sum: 1 },
+        delivered: { $sum: { $cond: ['$push.delivered', 1, 0] } },
+        // Still waiting for quiet hours to end or for a retry
+        pending: { $sum: { $cond: [{ $and: [{ $eq: ['$push.attempted', false] }, { $ne: ['$push.deferredUntil', null] }] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $and: ['$push.attempted', { $not: ['$push.delivered'] }] }, 1, 0] } },
+        opened: { $sum: { $cond: [{ $or: [{ $ne: [{ $ifNull: ['$openedAt', null] }, null] }, '$read'] }, 1, 0] } },
+        read: { $sum: { $cond: ['$read', 1, 0] } },
+        emailed: { $sum: { $cond: [{ $eq: ['$email.status', 'sent'] }, 1, 0] } },
+        emailFailed: { $sum: { $cond: [{ $eq: ['$email.status', 'failed'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const reports = new Map();
+  groups.forEach(group => {
+    const { _id, ...counts } = group;
+    reports.set(_id.toString(), counts);
+  });
+  return reports;
+};
+
+broadcastSchema.statics.STATUSES = BROADCAST_STATUSES;
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
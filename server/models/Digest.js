@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const DIGEST_STATUSES = ['sent', 'skipped'];
+
+// Weekly church digest - one per ISO week, with a snapshot of what it contained
+// so the emails sent (and retried) later show the same content
+const digestSchema = new mongoose.Schema({
+  // ISO week the digest was composed in, e.g. "2025-W02"
+  week: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  content: {
+    announcements: [{
+      _id: false,
+      id: String,
+      title: String,
+      description: String,
+      category: String,
+      priority: String,
+      date: String,
+      time: String,
+      location: String
+    }],
+    events: [{
+      _id: false,
+      id: String,
+      title: String,
+      start: Date,
+      end: Date,
+      location: String,
+      category: String
+    }],
+    sermons: [{
+      _id: false,
+      id: String,
+      title: String,
+      speaker: String,
+      date: Date
+    }],
+    meditation: {
+      type: {
+        _id: false,
+        id: Number,
+        week: String,
+        scripture: String,
+        prayer: String
+      },
+      default: null
+    }
+  },
+  // Push and inbox text
+  summary: {
+    title: String,
+    message: String
+  },
+  // "skipped" when there was nothing to send that week
+  status: {
+    type: String,
+    enum: DIGEST_STATUSES,
+    default: 'sent'
+  },
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+digestSchema.index({ createdAt: -1 });
+
+digestSchema.statics.STATUSES = DIGEST_STATUSES;
+
+module.exports = mongoose.model('Digest', digestSchema);
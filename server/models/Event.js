@@ -1,5 +1,123 @@
 const mongoose = require('mongoose');
 
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WAITLIST_STATUSES = ['waiting', 'offered'];
+
+// Minutes before the start attendees are reminded (see utils/eventReminders.js)
+const DEFAULT_REMINDER_OFFSETS = [1440, 120];
+const MIN_REMINDER_OFFSET = 5;
+const MAX_REMINDER_OFFSET = 7 * 24 * 60;
+
+// RFC 5545-style recurrence rule (see utils/eventRecurrence.js)
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: RECURRENCE_FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Weekdays ("TU") or, for monthly rules, nth weekdays ("1SU", "-1FR")
+  byDay: [{
+    type: String,
+    match: /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/
+  }],
+  // Last possible start; the series has no end when neither until nor count is set
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null
+  }
+}, { _id: false });
+
+// Changes to a single occurrence of a recurring event; unset fields keep the series value
+const occurrenceOverrideSchema = new mongoose.Schema({
+  // Original start of the occurrence
+  occurrence: {
+    type: Date,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: null
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: null
+  },
+  start: {
+    type: Date,
+    default: null
+  },
+  end: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Volunteer role organizers need filled, e.g. ushers or sound (see utils/eventVolunteers.js)
+const volunteerRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // What volunteers need, e.g. training or a minimum age
+  requirements: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  // Volunteers needed, per occurrence for recurring events
+  slots: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 500
+  },
+  volunteers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Original start of the occurrence served at (recurring events only)
+    occurrence: {
+      type: Date,
+      default: null
+    },
+    signedUpAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+});
+
 // Event Schema for storing church events
 const eventSchema = new mongoose.Schema({
   title: {
@@ -64,10 +182,42 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Members asking to attend a full event join the waitlist (see utils/eventWaitlist.js)
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Hours a promoted member has to confirm before the seat passes on;
+  // null promotes straight to attending
+  waitlistConfirmHours: {
+    type: Number,
+    min: 1,
+    max: 168,
+    default: null
+  },
+  // Minutes before each occurrence that attendees get a reminder; empty turns reminders off
+  reminderOffsets: {
+    type: [{
+      type: Number,
+      min: MIN_REMINDER_OFFSET,
+      max: MAX_REMINDER_OFFSET
+    }],
+    default: () => DEFAULT_REMINDER_OFFSETS.slice()
+  },
   isRecurring: {
     type: Boolean,
     default: false
   },
+  // Set for recurring events; start and end are those of the first occurrence
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // Original starts of cancelled occurrences
+  exceptionDates: [{
+    type: Date
+  }],
+  overrides: [occurrenceOverrideSchema],
   tags: [{
     type: String,
     trim: true,
@@ -109,8 +259,44 @@ const eventSchema = new mongoose.Schema({
       type: String,
       enum: ['attending', 'maybe', 'not_attending'],
       default: 'attending'
+    },
+    // Original start of the occurrence answered for (recurring events only)
+    occurrence: {
+      type: Date,
+      default: null
     }
-  }]
+  }],
+  // Waiting members in order, per occurrence for recurring events
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    occurrence: {
+      type: Date,
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // 'offered' holds a freed seat until offerExpiresAt
+    status: {
+      type: String,
+      enum: WAITLIST_STATUSES,
+      default: 'waiting'
+    },
+    offeredAt: {
+      type: Date,
+      default: null
+    },
+    offerExpiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  volunteerRoles: [volunteerRoleSchema]
 }, {
   timestamps: true
 });
@@ -122,6 +308,9 @@ eventSchema.index({ category: 1, start: 1 });
 eventSchema.index({ createdBy: 1, start: 1 });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ requiresRSVP: 1, start: 1 });
+eventSchema.index({ 'recurrence.freq': 1, start: 1 });
+eventSchema.index({ 'waitlist.offerExpiresAt': 1 });
+eventSchema.index({ 'volunteerRoles.volunteers.user': 1 });
 
 // Text search index for title, description, and location
 eventSchema.index({ 
@@ -177,20 +366,39 @@ eventSchema.virtual('isFull').get(function() {
   return this.rsvpCount >= this.capacity;
 });
 
-// Method to add RSVP
-eventSchema.methods.addRSVP = function(userId, status = 'attending') {
+// Check whether an RSVP is for the given occurrence (null for single events)
+const isForOccurrence = (attendee, occurrence) => (attendee.occurrence ? attendee.occurrence.getTime() : null) ===
+  (occurrence ? new Date(occurrence).getTime() : null);
+
+// Method to count 'attending' RSVPs of one occurrence (null for single events)
+eventSchema.methods.countRSVPs = function(occurrence = null) {
+  return this.attendees.filter(attendee =>
+    attendee.status === 'attending' && isForOccurrence(attendee, occurrence)
+  ).length;
+};
+
+// Method to find a user's RSVP (per occurrence for recurring events)
+eventSchema.methods.findRSVP = function(userId, occurrence = null) {
+  return this.attendees.find(attendee =>
+    attendee.user.equals(userId) && isForOccurrence(attendee, occurrence)
+  ) || null;
+};
+
+// Method to add RSVP (per occurrence for recurring events)
+eventSchema.methods.addRSVP = function(userId, status = 'attending', occurrence = null) {
   // Remove existing RSVP from same user
   this.attendees = this.attendees.filter(attendee => 
-    !attendee.user.equals(userId)
+    !(attendee.user.equals(userId) && isForOccurrence(attendee, occurrence))
   );
   
   // Add new RSVP
   this.attendees.push({
     user: userId,
-    status: status
+    status: status,
+    occurrence: occurrence
   });
   
-  // Update RSVP count (only count 'attending' status)
+  // Update RSVP count (only count 'attending' status, across all occurrences)
   this.rsvpCount = this.attendees.filter(attendee => 
     attendee.status === 'attending'
   ).length;
@@ -198,10 +406,10 @@ eventSchema.methods.addRSVP = function(userId, status = 'attending') {
   return this.save();
 };
 
-// Method to remove RSVP
-eventSchema.methods.removeRSVP = function(userId) {
+// Method to remove RSVP (per occurrence for recurring events)
+eventSchema.methods.removeRSVP = function(userId, occurrence = null) {
   this.attendees = this.attendees.filter(attendee => 
-    !attendee.user.equals(userId)
+    !(attendee.user.equals(userId) && isForOccurrence(attendee, occurrence))
   );
   
   // Update RSVP count
@@ -322,5 +530,11 @@ eventSchema.statics.getStats = async function() {
   };
 };
 
+eventSchema.statics.RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCIES;
+eventSchema.statics.WAITLIST_STATUSES = WAITLIST_STATUSES;
+eventSchema.statics.DEFAULT_REMINDER_OFFSETS = DEFAULT_REMINDER_OFFSETS;
+eventSchema.statics.MIN_REMINDER_OFFSET = MIN_REMINDER_OFFSET;
+eventSchema.statics.MAX_REMINDER_OFFSET = MAX_REMINDER_OFFSET;
+
 // Export the model
 module.exports = mongoose.model('Event', eventSchema);
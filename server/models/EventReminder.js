@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// How long sent reminders are remembered after the occurrence started
+const RETENTION_DAYS = 30;
+
+// A reminder sent to the attendees and volunteers of an event (one occurrence of a recurring event)
+const eventReminderSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Original start of the occurrence (recurring events only)
+  occurrence: {
+    type: Date,
+    default: null
+  },
+  // Minutes before the start the reminder was due
+  offset: {
+    type: Number,
+    required: true
+  },
+  // Start the reminder was sent for; moving the event starts a new set of reminders
+  start: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  recipients: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// A reminder goes out once per offset and start
+eventReminderSchema.index({ event: 1, occurrence: 1, start: 1, offset: 1 }, { unique: true });
+eventReminderSchema.index({ start: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EventReminder', eventReminderSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// JobLock Schema - one document per lock name, held by the instance currently running the job
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Job name
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to try to take a lock.
+// Resolves to true when this instance now holds the lock, false when another instance does.
+jobLockSchema.statics.acquire = async function(job, instanceId, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: job,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        lockedBy: instanceId,
+        lockedAt: now,
+        lockedUntil: new Date(now.getTime() + ttlMs)
+      },
+      { new: true, upsert: true }
+    );
+
+    return lock.lockedBy === instanceId;
+  } catch (error) {
+    // Duplicate key on upsert means another instance holds an unexpired lock
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock held by this instance
+jobLockSchema.statics.release = function(job, instanceId) {
+  return this.updateOne(
+    { _id: job, lockedBy: instanceId },
+    { lockedBy: null, lockedUntil: null }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// How long job run records are kept before MongoDB removes them
+const RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 30;
+
+// JobRun Schema for recording every execution of a background job
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  instanceId: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  itemsAffected: {
+    type: Number,
+    default: 0
+  },
+  errorMessages: [{
+    type: String
+  }],
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Instance method to close the run with its outcome
+jobRunSchema.methods.finish = function(outcome = {}) {
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt - this.startedAt;
+  this.itemsAffected = outcome.itemsAffected || 0;
+  this.errorMessages = outcome.errors || [];
+  this.details = outcome.details || {};
+  this.status = outcome.failed ? 'failed' : 'succeeded';
+  return this.save();
+};
+
+// Static method to get the latest run of every job
+jobRunSchema.statics.getLatestByJob = async function() {
+  const latest = await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$job', run: { $first: '$$ROOT' } } }
+  ]);
+
+  return latest.reduce((acc, item) => {
+    acc[item._id] = item.run;
+    return acc;
+  }, {});
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// ISO week key format, e.g. "2025-W02"
+const WEEK_PATTERN = /^\d{4}-W(0[1-9]|[1-4]\d|5[0-3])$/;
+
+// Meditation Schema for storing the weekly meditation verse
+const meditationSchema = new mongoose.Schema({
+  // Numeric identifier kept for frontend compatibility (the old in-memory store used 1, 2, 3...)
+  id: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  week: {
+    type: String,
+    required: [true, 'Week is required'],
+    unique: true,
+    trim: true,
+    match: [WEEK_PATTERN, 'Week must be an ISO week such as 2025-W02']
+  },
+  scripture: {
+    type: String,
+    required: [true, 'Scripture is required'],
+    trim: true,
+    maxlength: [500, 'Scripture cannot exceed 500 characters']
+  },
+  reflection: {
+    type: String,
+    required: [true, 'Reflection is required'],
+    trim: true,
+    maxlength: [5000, 'Reflection cannot exceed 5000 characters']
+  },
+  prayer: {
+    type: String,
+    required: [true, 'Prayer is required'],
+    trim: true,
+    maxlength: [2000, 'Prayer cannot exceed 2000 characters']
+  },
+  publishDate: {
+    type: Date,
+    default: Date.now
+  },
+  scheduled: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  reminderSettings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  weeklyRecurrence: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true, // Automatically adds createdAt and updatedAt
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+meditationSchema.index({ status: 1, isActive: 1, week: -1 });
+meditationSchema.index({ scheduled: 1, publishDate: 1 });
+
+// Pre-save middleware to keep status, scheduled flag and publishedAt consistent
+meditationSchema.pre('save', function(next) {
+  if (this.isModified('scheduled') || this.isModified('publishDate')) {
+    if (this.scheduled && this.status !== 'archived') {
+      this.status = this.publishDate && this.publishDate > new Date() ? 'scheduled' : 'published';
+    } else if (!this.scheduled && this.status === 'scheduled') {
+      this.status = 'published';
+    }
+  }
+
+  if (this.isModified('status') && this.status === 'published') {
+    this.scheduled = false;
+    if (!this.publishedAt) {
+      this.publishedAt = new Date();
+    }
+  }
+
+  next();
+});
+
+// Static helper to build the ISO week key (e.g. "2025-W02") for a date
+meditationSchema.statics.getWeekKey = function(date = new Date()) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  // The ISO year is the year of the week's Thursday, not the calendar year
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Static helper to validate an ISO week key
+meditationSchema.statics.isValidWeek = function(week) {
+  return typeof week === 'string' && WEEK_PATTERN.test(week.trim());
+};
+
+// Static method to allocate the next numeric id
+meditationSchema.statics.nextNumericId = async function() {
+  const last = await this.findOne({}).sort({ id: -1 }).select('id').lean();
+  return (last?.id || 0) + 1;
+};
+
+// Static method to find a meditation by numeric id or ObjectId
+meditationSchema.statics.findByIdentifier = async function(identifier) {
+  const value = String(identifier);
+
+  if (/^\d+$/.test(value)) {
+    return this.findOne({ id: parseInt(value) });
+  }
+
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return this.findById(value);
+  }
+
+  return null;
+};
+
+// Static method to build the query matching multiple numeric ids / ObjectIds
+meditationSchema.statics.identifierQuery = function(identifiers = []) {
+  const numericIds = [];
+  const objectIds = [];
+
+  identifiers.forEach(identifier => {
+    const value = String(identifier);
+    if (/^\d+$/.test(value)) {
+      numericIds.push(parseInt(value));
+    } else if (mongoose.Types.ObjectId.isValid(value)) {
+      objectIds.push(value);
+    }
+  });
+
+  return { $or: [{ id: { $in: numericIds } }, { _id: { $in: objectIds } }] };
+};
+
+// Static method returning the filter for meditations members can see
+meditationSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    $or: [
+      { status: 'published' },
+      // Scheduled meditations become visible once their publish date has passed
+      { status: 'scheduled', publishDate: { $lte: now } }
+    ]
+  };
+};
+
+// Instance method to publish meditation
+meditationSchema.methods.publish = function() {
+  this.status = 'published';
+  this.scheduled = false;
+  if (!this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  return this.save();
+};
+
+// Export the model
+module.exports = mongoose.model('Meditation', meditationSchema);
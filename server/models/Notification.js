@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'announcement',
+  'prayer',
+  'prayer_partner',
+  'service',
+  'event',
+  'sermon',
+  'meditation',
+  'reminder',
+  'welcome',
+  'digest',
+  'general'
+];
+
+// In-app inbox entry; one per member per notification
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    default: 'general'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the member opened the push or the inbox entry
+  openedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin broadcast the entry belongs to, if any
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    default: null
+  },
+  // Urgent notifications were explicitly marked by an admin and ignore quiet hours
+  urgent: {
+    type: Boolean,
+    default: false
+  },
+  // Whether a push was attempted for this entry and whether it reached a device;
+  // deferredUntil is set when the push is held back until the member's quiet hours
+  // end, or until the next retry after a transient FCM error
+  push: {
+    attempted: { type: Boolean, default: false },
+    delivered: { type: Boolean, default: false },
+    deferredUntil: { type: Date, default: null },
+    attempts: { type: Number, default: 0 },
+    // FCM error code of the last failed attempt (or "no_device")
+    lastError: { type: String, default: null }
+  },
+  // Email copy of the entry, for members who chose email or have no push device;
+  // status is "none" when no email is sent, "pending" until it went out or was given up on
+  email: {
+    status: { type: String, enum: ['none', 'pending', 'sent', 'failed'], default: 'none' },
+    to: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    lastError: { type: String, default: null }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+notificationSchema.index({ 'push.attempted': 1, 'push.deferredUntil': 1 });
+notificationSchema.index({ broadcastId: 1 });
+notificationSchema.index({ 'email.status': 1, 'email.nextAttemptAt': 1 });
+
+// Static method to page through a member's inbox with read counts
+notificationSchema.statics.getInbox = async function(userId, { limit = 50, skip = 0, unreadOnly = false } = {}) {
+  const query = { userId };
+  if (unreadOnly) {
+    query.read = false;
+  }
+
+  const [notifications, total, unread] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .lean(),
+    this.countDocuments({ userId }),
+    this.countDocuments({ userId, read: false })
+  ]);
+
+  return { notifications, total, unread };
+};
+
+// Static method to mark every unread notification of a member as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany(
+    { userId, read: false },
+    { read: true, readAt: new Date() }
+  );
+};
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const User = require('./User');
+
+// Title and message of a template in one language; both may contain {{placeholders}}
+const variantSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  }
+}, { _id: false });
+
+// Reusable notification text with an English and an optional Kiswahili variant
+// (see utils/notificationTemplates.js for placeholders and the built-in system templates)
+const notificationTemplateSchema = new mongoose.Schema({
+  // Stable identifier used by code and the CLI, e.g. "service-reminder"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    maxlength: 60
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: Notification.TYPES,
+    default: 'general'
+  },
+  variants: {
+    en: {
+      type: variantSchema,
+      required: true
+    },
+    sw: {
+      type: variantSchema,
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationTemplateSchema.statics.LANGUAGES = User.LANGUAGES;
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const OTP_PURPOSES = ['login', 'reset_password', 'verify_phone'];
+
+// One-time codes sent by SMS for phone login, password reset and phone verification
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // bcrypt hash of the code - the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when a newer code replaced this one
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  delivery: {
+    provider: String,
+    messageId: String,
+    success: Boolean,
+    error: String
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ phone: 1, createdAt: -1 });
+// Remove codes a day after they expire (kept that long for throttling)
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for whether the code can still be used
+otpCodeSchema.virtual('isUsable').get(function() {
+  return !this.consumedAt &&
+    !this.supersededAt &&
+    this.expiresAt > new Date() &&
+    this.attempts < this.maxAttempts;
+});
+
+// Method to check a submitted code (needs codeHash selected)
+otpCodeSchema.methods.checkCode = async function(code) {
+  return await bcrypt.compare(String(code), this.codeHash);
+};
+
+// Static method to create a code, replacing any open code for the same phone and purpose
+otpCodeSchema.statics.issue = async function({ phone, purpose, user, code, ttlMinutes, maxAttempts, ipAddress }) {
+  await this.updateMany(
+    { phone, purpose, consumedAt: null, supersededAt: null },
+    { supersededAt: new Date() }
+  );
+
+  return await this.create({
+    phone,
+    purpose,
+    user: user || null,
+    codeHash: await bcrypt.hash(String(code), 10),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    maxAttempts,
+    ipAddress
+  });
+};
+
+// Static method to find the code a member is currently trying to use
+otpCodeSchema.statics.findOpen = function(phone, purpose) {
+  return this.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    supersededAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .select('+codeHash');
+};
+
+// Static method to list recent code requests for a phone (newest first), used for throttling
+otpCodeSchema.statics.findRecentRequests = function(phone, since) {
+  return this.find({ phone, createdAt: { $gte: since } })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+};
+
+otpCodeSchema.statics.PURPOSES = OTP_PURPOSES;
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
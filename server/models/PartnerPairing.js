@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { getIsoWeekKey, parseIsoWeekKey } = require('../../utils/dateUtils');
+
+// Prayer partner pairing history - one document per pair (or trio), kept after it ends
+const partnerPairingSchema = new mongoose.Schema({
+  members: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: members => members.length >= 2 && members.length <= 3,
+      message: 'A pairing must have two or three members'
+    }
+  },
+  // ISO week the pairing started in (e.g. "2025-W10")
+  weekKey: {
+    type: String,
+    match: /^\d{4}-W\d{2}$/
+  },
+  year: Number,
+  week: Number,
+  source: {
+    type: String,
+    enum: ['auto', 'manual', 'request'],
+    default: 'auto'
+  },
+  // Admin who created a manual pair, or the requester of an accepted partnership request
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrayerPartnerRequest',
+    default: null
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endReason: {
+    type: String,
+    enum: ['reshuffle', 'unpaired', 'member_removed', 'integrity_fix', null],
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+partnerPairingSchema.index({ members: 1, createdAt: -1 });
+partnerPairingSchema.index({ endedAt: 1 });
+partnerPairingSchema.index({ weekKey: 1, source: 1 });
+
+// Pre-validate middleware to fill in the week the pairing started in
+partnerPairingSchema.pre('validate', function(next) {
+  if (!this.weekKey) {
+    this.weekKey = getIsoWeekKey(this.createdAt || new Date());
+  }
+  const { year, week } = parseIsoWeekKey(this.weekKey);
+  this.year = year;
+  this.week = week;
+  next();
+});
+
+// Virtual for whether the pairing is still current
+partnerPairingSchema.virtual('isActive').get(function() {
+  return !this.endedAt;
+});
+
+// Static method to end every current pairing that includes any of the given users
+partnerPairingSchema.statics.endActive = async function(userIds, reason, endedBy = null) {
+  return await this.updateMany(
+    { members: { $in: userIds }, endedAt: null },
+    { endedAt: new Date(), endReason: reason, endedBy }
+  );
+};
+
+// Static method to find pairings involving any of the given users since a date
+partnerPairingSchema.statics.findSince = function(userIds, since) {
+  return this.find({
+    members: { $in: userIds },
+    createdAt: { $gte: since }
+  }).select('members createdAt').lean();
+};
+
+// Static method to get a member's past and current partners, newest first
+partnerPairingSchema.statics.getHistoryForUser = async function(userId, { page = 1, limit = 20 } = {}) {
+  const query = { members: userId };
+
+  const [pairings, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('members', 'name profileImage fellowshipZone')
+      .lean(),
+    this.countDocuments(query)
+  ]);
+
+  return { pairings, total };
+};
+
+// Static method to get statistics
+partnerPairingSchema.statics.getStatistics = async function(weekKey) {
+  const [active, total, thisWeek] = await Promise.all([
+    this.countDocuments({ endedAt: null }),
+    this.countDocuments(),
+    this.aggregate([
+      { $match: { weekKey } },
+      { $group: { _id: '$source', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const bySource = { auto: 0, manual: 0, request: 0 };
+  thisWeek.forEach(group => { bySource[group._id] = group.count; });
+
+  return { active, total, thisWeek: bySource };
+};
+
+module.exports = mongoose.model('PartnerPairing', partnerPairingSchema);
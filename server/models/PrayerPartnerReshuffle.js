@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Prayer partner reshuffle history - one document per reshuffle run
+const prayerPartnerReshuffleSchema = new mongoose.Schema({
+  weekKey: {
+    type: String,
+    required: true,
+    match: /^\d{4}-W\d{2}$/
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  week: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  totalPairs: {
+    type: Number,
+    default: 0
+  },
+  totalUsers: {
+    type: Number,
+    default: 0
+  },
+  totalTrios: {
+    type: Number,
+    default: 0
+  },
+  pinnedPairs: {
+    type: Number,
+    default: 0
+  },
+  unpairedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Why each unpaired member could not be matched
+  unmatched: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    detail: String
+  }],
+  notificationsSent: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+prayerPartnerReshuffleSchema.index({ createdAt: -1 });
+prayerPartnerReshuffleSchema.index({ weekKey: 1, type: 1 });
+
+module.exports = mongoose.model('PrayerPartnerReshuffle', prayerPartnerReshuffleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const SETTINGS_ID = 'prayer-partners';
+
+// Prayer partner settings - a single document holding the weekly reshuffle schedule and matching rules
+const prayerPartnerSettingsSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: SETTINGS_ID
+  },
+  reshuffle: {
+    // Day of week the reshuffle runs (0 = Sunday ... 6 = Saturday)
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: () => parseInt(process.env.PRAYER_PARTNER_RESHUFFLE_DAY || '1')
+    },
+    // Time of day in the church timezone, "HH:mm"
+    time: {
+      type: String,
+      match: /^([01]\d|2[0-3]):([0-5]\d)$/,
+      default: () => process.env.PRAYER_PARTNER_RESHUFFLE_TIME || '06:00'
+    },
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    // ISO weeks (e.g. "2025-W10") in which the automatic reshuffle is skipped
+    skipWeeks: [{
+      type: String,
+      match: /^\d{4}-W\d{2}$/
+    }],
+    lastRunWeek: {
+      type: String,
+      default: null
+    },
+    lastRunAt: {
+      type: Date,
+      default: null
+    }
+  },
+  matching: {
+    // Don't pair members who prayed together within this many weeks
+    avoidRepeatWeeks: {
+      type: Number,
+      min: 0,
+      max: 52,
+      default: 4
+    },
+    // How fellowship zones are used: ignored, preferred or required to match
+    zoneMode: {
+      type: String,
+      enum: ['ignore', 'prefer', 'require'],
+      default: 'prefer'
+    },
+    // Let a member left over from an odd count join a pair as a trio
+    allowTrio: {
+      type: Boolean,
+      default: true
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load the settings document, creating it with defaults if missing
+prayerPartnerSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findById(SETTINGS_ID);
+  if (settings) return settings;
+
+  try {
+    return await this.create({ _id: SETTINGS_ID });
+  } catch (error) {
+    // Another instance created it at the same time
+    if (error.code === 11000) {
+      return this.findById(SETTINGS_ID);
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PrayerPartnerSettings', prayerPartnerSettingsSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Role permission mapping - one document per role whose permissions were changed from the defaults
+const rolePermissionSchema = new mongoose.Schema({
+  // The role name (e.g. "pastor")
+  _id: {
+    type: String,
+    required: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for the role name
+rolePermissionSchema.virtual('role').get(function() {
+  return this._id;
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -194,9 +194,13 @@ const sermonSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  scheduledDate: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -232,6 +236,7 @@ sermonSchema.index({ tags: 1 });
 sermonSchema.index({ topic: 1, date: -1 });
 sermonSchema.index({ uploadedBy: 1, uploadedAt: -1 });
 sermonSchema.index({ isActive: 1, status: 1, date: -1 });
+sermonSchema.index({ scheduledDate: 1, status: 1 });
 
 // Text search index for title, description, speaker, topic, and tags
 sermonSchema.index({ 
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Admin PIN lockout: this many wrong PINs in a row locks PIN verification for a while
+const ADMIN_PIN_MAX_ATTEMPTS = parseInt(process.env.ADMIN_PIN_MAX_ATTEMPTS || '5');
+const ADMIN_PIN_LOCKOUT_MINUTES = parseInt(process.env.ADMIN_PIN_LOCKOUT_MINUTES || '15');
+
+// Push devices kept per member; registering another drops the oldest registration
+const MAX_PUSH_DEVICES = 10;
+
+// Languages notifications are written in (English, Kiswahili)
+const LANGUAGES = ['en', 'sw'];
+
+// Ways a notification can reach a member besides the in-app inbox
+const NOTIFICATION_CHANNELS = ['push', 'email'];
+
+// Channels per category until a member picks their own; the weekly digest is meant to be read by email too
+const DEFAULT_NOTIFICATION_CHANNELS = {
+  announcements: ['push'],
+  events: ['push'],
+  prayerPartners: ['push'],
+  general: ['push'],
+  weeklyDigest: ['push', 'email']
+};
+
+const channelList = (category) => ({
+  type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+  default: () => DEFAULT_NOTIFICATION_CHANNELS[category].slice()
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -54,13 +82,14 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['member', 'admin', 'pastor', 'elder'],
+    enum: ['member', 'admin', 'pastor', 'elder', 'ministry_leader'],
     default: 'member'
   },
   isAdmin: {
     type: Boolean,
     default: false
   },
+  // One entry per device the member receives pushes on (see registerPushToken)
   fcmTokens: [{
     token: String,
     deviceId: String,
@@ -70,7 +99,7 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  // Legacy FCM token field for backward compatibility
+  // Legacy FCM token field for backward compatibility; mirrors the most recently registered device
   fcmToken: {
     type: String,
     default: null
@@ -93,11 +122,31 @@ const userSchema = new mongoose.Schema({
     default: true
   },
   preferences: {
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      default: 'en'
+    },
     notifications: {
       announcements: { type: Boolean, default: true },
       events: { type: Boolean, default: true },
       prayerPartners: { type: Boolean, default: true },
-      general: { type: Boolean, default: true }
+      general: { type: Boolean, default: true },
+      weeklyDigest: { type: Boolean, default: true },
+      // Non-urgent pushes are held back during these hours (church timezone) and sent when they end
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):([0-5]\d)$/ },
+        end: { type: String, default: '06:00', match: /^([01]\d|2[0-3]):([0-5]\d)$/ }
+      },
+      // Channels per category; members with an email but no push device get emails instead of pushes
+      channels: {
+        announcements: channelList('announcements'),
+        events: channelList('events'),
+        prayerPartners: channelList('prayerPartners'),
+        general: channelList('general'),
+        weeklyDigest: channelList('weeklyDigest')
+      }
     },
     privacy: {
       profileVisibility: {
@@ -126,6 +175,70 @@ const userSchema = new mongoose.Schema({
   paired_this_week: {
     type: Boolean,
     default: false
+  },
+  // Everyone else in the user's current prayer group (two entries for a trio)
+  partnerGroup: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Pairs pinned by an admin are kept together by the weekly reshuffle
+  partnerPinned: {
+    type: Boolean,
+    default: false
+  },
+  // Per-user changes to the permissions of the user's role (see utils/permissions.js)
+  permissionOverrides: {
+    grant: [{
+      type: String,
+      trim: true
+    }],
+    revoke: [{
+      type: String,
+      trim: true
+    }]
+  },
+  // Personal calendar feed of the events the member RSVP'd to (see routes/events.js);
+  // only a hash of the feed token is stored
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Personal admin PIN used to open an admin session (see routes/admin-pin.js)
+  adminPin: {
+    hash: {
+      type: String,
+      select: false,
+      default: null
+    },
+    setAt: {
+      type: Date,
+      default: null
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Set when an admin resets the PIN; the owner should choose a new one
+    mustRotate: {
+      type: Boolean,
+      default: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -158,7 +271,9 @@ userSchema.index({ fellowshipZone: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ fcmToken: 1 });
+userSchema.index({ 'fcmTokens.token': 1 });
 userSchema.index({ currentPartner: 1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 });
 
 // Pre-save middleware to handle phone formatting
 userSchema.pre('save', function(next) {
@@ -174,6 +289,162 @@ userSchema.methods.isAdminUser = function() {
   return this.role === 'admin' || this.isAdmin === true;
 };
 
+// Method to check if user has an admin PIN
+userSchema.methods.hasAdminPin = function() {
+  return !!(this.adminPin && this.adminPin.setAt);
+};
+
+// Method to check if admin PIN verification is locked after too many failures
+userSchema.methods.isAdminPinLocked = function() {
+  return !!(this.adminPin && this.adminPin.lockedUntil && this.adminPin.lockedUntil > new Date());
+};
+
+// Method to set a new admin PIN (stored as a bcrypt hash); call save() afterwards
+userSchema.methods.setAdminPin = async function(pin, { setBy = null, mustRotate = false } = {}) {
+  this.adminPin = {
+    hash: await bcrypt.hash(pin, 12),
+    setAt: new Date(),
+    setBy,
+    mustRotate,
+    failedAttempts: 0,
+    lockedUntil: null
+  };
+};
+
+// Method to compare a PIN with the stored hash (the hash must be selected with +adminPin.hash)
+userSchema.methods.checkAdminPin = async function(pin) {
+  if (!this.adminPin || !this.adminPin.hash) return false;
+  return bcrypt.compare(String(pin), this.adminPin.hash);
+};
+
+// Static method to remove a user's admin PIN (their admin sessions are revoked separately)
+userSchema.statics.clearAdminPin = async function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      adminPin: {
+        hash: null,
+        setAt: null,
+        setBy: null,
+        mustRotate: false,
+        failedAttempts: 0,
+        lockedUntil: null
+      }
+    }
+  );
+};
+
+// Static method to count a failed PIN attempt, locking the PIN once the limit is reached
+userSchema.statics.recordAdminPinFailure = async function(userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { 'adminPin.failedAttempts': 1 } },
+    { new: true }
+  );
+
+  if (user.adminPin.failedAttempts < ADMIN_PIN_MAX_ATTEMPTS) {
+    return {
+      locked: false,
+      attemptsRemaining: ADMIN_PIN_MAX_ATTEMPTS - user.adminPin.failedAttempts
+    };
+  }
+
+  const lockedUntil = new Date(Date.now() + ADMIN_PIN_LOCKOUT_MINUTES * 60 * 1000);
+  await this.updateOne(
+    { _id: userId },
+    { 'adminPin.failedAttempts': 0, 'adminPin.lockedUntil': lockedUntil }
+  );
+
+  return { locked: true, attemptsRemaining: 0, lockedUntil };
+};
+
+// Static method to clear the failed PIN attempt counter after a successful verification
+userSchema.statics.clearAdminPinFailures = async function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { 'adminPin.failedAttempts': 0, 'adminPin.lockedUntil': null }
+  );
+};
+
+// Static method to build a filter matching users with at least one push device
+userSchema.statics.pushTokenFilter = function() {
+  return {
+    $or: [
+      { fcmTokens: { $elemMatch: { token: { $nin: [null, ''] } } } },
+      { fcmToken: { $nin: [null, ''] } }
+    ]
+  };
+};
+
+// Static method to list a user's push devices (works on documents and lean objects)
+userSchema.statics.collectPushTokens = function(user) {
+  const devices = (user.fcmTokens || [])
+    .filter(device => device.token)
+    .map(device => ({ token: device.token, deviceId: device.deviceId || null, platform: device.platform || null }));
+
+  // Tokens registered before fcmTokens existed and not migrated yet
+  if (user.fcmToken && !devices.some(device => device.token === user.fcmToken)) {
+    devices.push({ token: user.fcmToken, deviceId: null, platform: user.fcmTokenPlatform || null });
+  }
+
+  return devices;
+};
+
+// Static method to register a device's push token, replacing the device's previous token
+userSchema.statics.registerPushToken = async function(userId, { token, deviceId = null, platform }) {
+  const now = new Date();
+
+  // A token belongs to one device; drop it from any account that used the device before
+  await Promise.all([
+    this.updateMany(
+      { _id: { $ne: userId }, 'fcmTokens.token': token },
+      { $pull: { fcmTokens: { token } } }
+    ),
+    this.updateMany(
+      { _id: { $ne: userId }, fcmToken: token },
+      { $unset: { fcmToken: 1, fcmTokenPlatform: 1 } }
+    )
+  ]);
+
+  // Without a device id the token itself identifies the device
+  await this.updateOne(
+    { _id: userId },
+    { $pull: { fcmTokens: deviceId ? { $or: [{ deviceId }, { token }] } : { token } } }
+  );
+
+  return this.findByIdAndUpdate(
+    userId,
+    {
+      $push: {
+        fcmTokens: {
+          $each: [{ token, deviceId, platform, lastUsed: now }],
+          $slice: -MAX_PUSH_DEVICES
+        }
+      },
+      $set: { fcmToken: token, fcmTokenPlatform: platform, fcmTokenUpdated: now }
+    },
+    { new: true, select: '-password' }
+  );
+};
+
+// Static method to forget push tokens that FCM reported as dead, leaving the members' other devices
+userSchema.statics.removePushTokens = async function(tokens) {
+  if (!tokens || tokens.length === 0) return 0;
+
+  await Promise.all([
+    this.updateMany(
+      { 'fcmTokens.token': { $in: tokens } },
+      { $pull: { fcmTokens: { token: { $in: tokens } } } }
+    ),
+    this.updateMany(
+      { fcmToken: { $in: tokens } },
+      { $unset: { fcmToken: 1, fcmTokenPlatform: 1 }, $set: { fcmTokenUpdated: new Date() } }
+    )
+  ]);
+
+  return tokens.length;
+};
+
 // Method to get safe public profile
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -187,4 +458,8 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+userSchema.statics.LANGUAGES = LANGUAGES;
+userSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+userSchema.statics.DEFAULT_NOTIFICATION_CHANNELS = DEFAULT_NOTIFICATION_CHANNELS;
+
 module.exports = mongoose.model('User', userSchema);
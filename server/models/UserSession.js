@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Keep expired and revoked sessions around for a while so they can still be reviewed
+const SESSION_HISTORY_DAYS = 30;
+
+// Logged-in devices; each holds the hash of its current refresh token, which rotates on every use
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // SHA-256 of the token it replaced; seeing it again means the token was stolen
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    default: null
+  },
+  platform: {
+    type: String,
+    default: null
+  },
+  loginMethod: {
+    type: String,
+    enum: ['password', 'otp', 'register'],
+    default: 'password'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'replaced', 'password_reset', 'deactivated', 'deleted', 'token_reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+userSessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+userSessionSchema.index({ user: 1, deviceId: 1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: SESSION_HISTORY_DAYS * 24 * 60 * 60 });
+
+// Virtual for whether the session can still be used
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find a usable session belonging to a user
+userSessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return Promise.resolve(null);
+
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every open session of a user (optionally keeping one)
+userSessionSchema.statics.revokeForUser = async function(userId, reason, revokedBy = null, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return await this.updateMany(query, { revokedAt: new Date(), revokedBy, revokeReason: reason });
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
@@ -1,12 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { verifyToken } = require('../../middlewares/auth');
 
-// Admin PIN (should match frontend)
-const ADMIN_PIN = '2024pcea';
+const User = require('../models/User');
+const AdminSession = require('../models/AdminSession');
+const AdminAccessLog = require('../models/AdminAccessLog');
+const { verifyAdminSessionToken } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
-// POST /api/admin-pin/verify - Verify admin PIN and grant admin session
+// Admin sessions opened with a PIN expire after 2 hours
+const ADMIN_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+// PINs are 6-32 letters or digits
+const PIN_PATTERN = /^[A-Za-z0-9]{6,32}$/;
+
+// Helper to generate a temporary PIN handed out on reset
+const generateTemporaryPin = () => {
+  let pin = '';
+  for (let i = 0; i < 8; i++) pin += crypto.randomInt(0, 10);
+  return pin;
+};
+
+// POST /api/admin-pin/verify - Verify the user's own admin PIN and open an admin session
 router.post('/verify', verifyToken, async (req, res) => {
   try {
     const { pin } = req.body;
@@ -18,20 +35,82 @@ router.post('/verify', verifyToken, async (req, res) => {
       });
     }
 
-    if (pin !== ADMIN_PIN) {
+    const user = await User.findById(req.user.id).select('+adminPin.hash');
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The PIN is a second factor for admins, not a way to become one
+    if (!user.isAdminUser()) {
+      await AdminAccessLog.record('pin_failed', { user: user._id, req, details: { reason: 'not_admin' } });
+      return res.status(403).json({
+        success: false,
+        message: 'Admin PINs are only for admins',
+        code: 'ADMIN_ROLE_REQUIRED'
+      });
+    }
+
+    if (!user.hasAdminPin()) {
+      await AdminAccessLog.record('pin_failed', { user: user._id, req, details: { reason: 'no_pin' } });
+      return res.status(403).json({
+        success: false,
+        message: 'No admin PIN has been set for your account. Ask an administrator to set one.',
+        code: 'ADMIN_PIN_NOT_SET'
+      });
+    }
+
+    if (user.isAdminPinLocked()) {
+      await AdminAccessLog.record('pin_failed', { user: user._id, req, details: { reason: 'locked' } });
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed attempts. Admin PIN is temporarily locked.',
+        code: 'ADMIN_PIN_LOCKED',
+        lockedUntil: user.adminPin.lockedUntil
+      });
+    }
+
+    if (!(await user.checkAdminPin(pin))) {
+      const failure = await User.recordAdminPinFailure(user._id);
       console.log(`❌ Failed admin PIN attempt from user ${req.user.id}`);
+      await AdminAccessLog.record('pin_failed', { user: user._id, req, details: { reason: 'wrong_pin' } });
+
+      if (failure.locked) {
+        console.log(`🔒 Admin PIN locked for user ${req.user.id} until ${failure.lockedUntil.toISOString()}`);
+        await AdminAccessLog.record('pin_locked', { user: user._id, req, details: { lockedUntil: failure.lockedUntil } });
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed attempts. Admin PIN is temporarily locked.',
+          code: 'ADMIN_PIN_LOCKED',
+          lockedUntil: failure.lockedUntil
+        });
+      }
+
       return res.status(403).json({
         success: false,
-        message: 'Invalid admin PIN'
+        message: 'Invalid admin PIN',
+        attemptsRemaining: failure.attemptsRemaining
       });
     }
 
-    // Generate admin session token
+    await User.clearAdminPinFailures(user._id);
+
+    // Open an admin session and hand out a token that refers to it
     console.log(`🔑 Generating admin token for user ID: ${req.user.id}`);
 
+    const session = await AdminSession.create({
+      user: user._id,
+      expiresAt: new Date(Date.now() + ADMIN_SESSION_TTL_MS),
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    });
+
     const adminToken = jwt.sign(
       {
         userId: req.user.id,
+        sid: session._id.toString(),
         isAdmin: true,
         adminVerified: true,
         pinVerifiedAt: new Date().toISOString()
@@ -40,14 +119,18 @@ router.post('/verify', verifyToken, async (req, res) => {
       { expiresIn: '2h' } // Admin session expires in 2 hours
     );
 
+    await AdminAccessLog.record('pin_verified', { user: user._id, session: session._id, req });
+
     console.log(`✅ Admin PIN verified for user ${req.user.id}`);
-    console.log(`🔑 Admin token generated successfully`);
 
     res.json({
       success: true,
       message: 'Admin access granted',
       adminToken,
-      expiresIn: '2h'
+      sessionId: session._id,
+      expiresIn: '2h',
+      expiresAt: session.expiresAt,
+      mustRotate: user.adminPin.mustRotate
     });
 
   } catch (error) {
@@ -65,7 +148,7 @@ router.get('/status', verifyToken, async (req, res) => {
   try {
     // Check if user has valid admin session
     const adminToken = req.headers['x-admin-token'];
-    
+
     if (!adminToken) {
       return res.json({
         success: true,
@@ -74,23 +157,28 @@ router.get('/status', verifyToken, async (req, res) => {
       });
     }
 
-    // Verify admin token
-    jwt.verify(adminToken, process.env.JWT_SECRET, (err, decoded) => {
-      if (err || !decoded.adminVerified) {
-        return res.json({
-          success: true,
-          isAdmin: false,
-          message: 'Invalid or expired admin session'
-        });
-      }
+    let adminSession = null;
+    try {
+      adminSession = await verifyAdminSessionToken(adminToken, req.user.id);
+    } catch (tokenError) {
+      adminSession = null;
+    }
 
-      res.json({
+    if (!adminSession) {
+      return res.json({
         success: true,
-        isAdmin: true,
-        adminVerified: true,
-        pinVerifiedAt: decoded.pinVerifiedAt,
-        expiresAt: new Date(decoded.exp * 1000).toISOString()
+        isAdmin: false,
+        message: 'Invalid, expired or revoked admin session'
       });
+    }
+
+    res.json({
+      success: true,
+      isAdmin: true,
+      adminVerified: true,
+      sessionId: adminSession.session._id,
+      pinVerifiedAt: adminSession.decoded.pinVerifiedAt,
+      expiresAt: adminSession.session.expiresAt.toISOString()
     });
 
   } catch (error) {
@@ -103,6 +191,426 @@ router.get('/status', verifyToken, async (req, res) => {
   }
 });
 
+// POST /api/admin-pin/logout - Close the current admin session
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    const adminToken = req.headers['x-admin-token'];
+    let adminSession = null;
+
+    if (adminToken) {
+      try {
+        adminSession = await verifyAdminSessionToken(adminToken, req.user.id);
+      } catch (tokenError) {
+        adminSession = null;
+      }
+    }
+
+    if (adminSession) {
+      await AdminSession.updateOne(
+        { _id: adminSession.session._id },
+        { revokedAt: new Date(), revokedBy: req.user.id, revokeReason: 'logout' }
+      );
+      await AdminAccessLog.record('session_logout', { user: req.user.id, session: adminSession.session._id, req });
+    }
+
+    res.json({
+      success: true,
+      message: 'Admin session closed'
+    });
+  } catch (error) {
+    console.error('❌ Error closing admin session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close admin session',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin-pin/rotate - Change your own admin PIN
+router.post('/rotate', verifyToken, async (req, res) => {
+  try {
+    const { currentPin, newPin } = req.body;
+
+    if (!currentPin || !newPin) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPin and newPin are required'
+      });
+    }
+
+    if (!PIN_PATTERN.test(newPin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New PIN must be 6-32 letters or digits'
+      });
+    }
+
+    if (currentPin === newPin) {
+      return res.status(400).json({
+        success: false,
+        message: 'New PIN must be different from the current PIN'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+adminPin.hash');
+    if (!user || !user.hasAdminPin()) {
+      return res.status(403).json({
+        success: false,
+        message: 'No admin PIN has been set for your account',
+        code: 'ADMIN_PIN_NOT_SET'
+      });
+    }
+
+    if (user.isAdminPinLocked()) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed attempts. Admin PIN is temporarily locked.',
+        code: 'ADMIN_PIN_LOCKED',
+        lockedUntil: user.adminPin.lockedUntil
+      });
+    }
+
+    if (!(await user.checkAdminPin(currentPin))) {
+      const failure = await User.recordAdminPinFailure(user._id);
+      await AdminAccessLog.record('pin_failed', { user: user._id, req, details: { reason: 'wrong_pin', during: 'rotate' } });
+      if (failure.locked) {
+        await AdminAccessLog.record('pin_locked', { user: user._id, req, details: { lockedUntil: failure.lockedUntil } });
+      }
+
+      return res.status(failure.locked ? 423 : 403).json({
+        success: false,
+        message: failure.locked ? 'Too many failed attempts. Admin PIN is temporarily locked.' : 'Current PIN is incorrect',
+        attemptsRemaining: failure.attemptsRemaining,
+        lockedUntil: failure.lockedUntil
+      });
+    }
+
+    await user.setAdminPin(newPin, { setBy: user._id });
+    await user.save();
+
+    // Sessions opened with the old PIN are closed
+    const revoked = await AdminSession.revokeForUser(user._id, 'pin_rotated', user._id);
+    await AdminAccessLog.record('pin_rotated', { user: user._id, req, details: { sessionsRevoked: revoked.modifiedCount } });
+
+    console.log(`🔑 Admin PIN rotated by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Admin PIN changed. Please verify your new PIN to open an admin session.',
+      sessionsRevoked: revoked.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Error rotating admin PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change admin PIN',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin-pin/users/:userId/reset - Set or reset another user's admin PIN
+router.post('/users/:userId/reset', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use /api/admin-pin/rotate to change your own PIN'
+      });
+    }
+
+    // users:manage can be granted to non-admins; handing out admin PINs stays with admins
+    if (!req.adminVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can set admin PINs',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (req.body.pin !== undefined && !PIN_PATTERN.test(req.body.pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 6-32 letters or digits'
+      });
+    }
+
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    if (!user.isAdminUser()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin PINs can only be set for admins',
+        code: 'ADMIN_ROLE_REQUIRED'
+      });
+    }
+
+    // Without an explicit PIN a temporary one is generated; either way the owner must rotate it
+    const pin = req.body.pin || generateTemporaryPin();
+    const hadPin = user.hasAdminPin();
+    await user.setAdminPin(pin, { setBy: req.user.id, mustRotate: true });
+    await user.save();
+
+    const revoked = await AdminSession.revokeForUser(user._id, 'pin_reset', req.user.id);
+    await AdminAccessLog.record('pin_reset', {
+      user: user._id,
+      actor: req.user.id,
+      req,
+      details: { hadPin, sessionsRevoked: revoked.modifiedCount }
+    });
+
+    console.log(`🔑 Admin ${req.user.id} ${hadPin ? 'reset' : 'set'} the admin PIN of user ${userId}`);
+
+    res.json({
+      success: true,
+      message: hadPin ? 'Admin PIN reset successfully' : 'Admin PIN set successfully',
+      data: {
+        userId: user._id,
+        name: user.name,
+        temporaryPin: req.body.pin ? undefined : pin,
+        mustRotate: true,
+        sessionsRevoked: revoked.modifiedCount
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    console.error('❌ Error resetting admin PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset admin PIN',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin-pin/users/:userId - Remove a user's admin PIN and close their admin sessions
+router.delete('/users/:userId', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await User.clearAdminPin(user._id);
+    const revoked = await AdminSession.revokeForUser(user._id, 'pin_removed', req.user.id);
+    await AdminAccessLog.record('pin_removed', {
+      user: user._id,
+      actor: req.user.id,
+      req,
+      details: { sessionsRevoked: revoked.modifiedCount }
+    });
+
+    console.log(`🗑️ Admin ${req.user.id} removed the admin PIN of user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Admin PIN removed and admin sessions closed',
+      data: { userId: user._id, sessionsRevoked: revoked.modifiedCount }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    console.error('❌ Error removing admin PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove admin PIN',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin-pin/sessions - List admin sessions (open ones by default)
+router.get('/sessions', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId, status = 'active', page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const query = {};
+    if (userId) query.user = userId;
+    if (status === 'active') {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    }
+
+    const [sessions, totalCount] = await Promise.all([
+      AdminSession.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('user revokedBy', 'name phone'),
+      AdminSession.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          user: session.user ? { id: session.user._id, name: session.user.name, phone: session.user.phone } : null,
+          method: session.method,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          lastUsedAt: session.lastUsedAt,
+          ip: session.ip,
+          userAgent: session.userAgent,
+          isActive: session.isActive,
+          isCurrent: session._id.toString() === req.adminSessionId,
+          revokedAt: session.revokedAt,
+          revokedBy: session.revokedBy ? { id: session.revokedBy._id, name: session.revokedBy.name } : null,
+          revokeReason: session.revokeReason
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    console.error('❌ Error fetching admin sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin sessions',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin-pin/sessions/:sessionId - Revoke an admin session
+router.delete('/sessions/:sessionId', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const session = await AdminSession.findOneAndUpdate(
+      { _id: req.params.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user.id, revokeReason: 'revoked' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already revoked'
+      });
+    }
+
+    await AdminAccessLog.record('session_revoked', {
+      user: session.user,
+      actor: req.user.id,
+      session: session._id,
+      req
+    });
+
+    console.log(`🔒 Admin ${req.user.id} revoked admin session ${session._id} of user ${session.user}`);
+
+    res.json({
+      success: true,
+      message: 'Admin session revoked'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    console.error('❌ Error revoking admin session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke admin session',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin-pin/log - Admin access log (PIN grants, failures, lockouts, PIN and session changes)
+router.get('/log', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { event, userId, from, to, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const query = {};
+    if (event) query.event = { $in: event.split(',') };
+    if (userId) query.$or = [{ user: userId }, { actor: userId }];
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, totalCount] = await Promise.all([
+      AdminAccessLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('user actor', 'name phone')
+        .lean(),
+      AdminAccessLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(totalCount / limitNum),
+          totalCount,
+          hasNextPage: pageNum < Math.ceil(totalCount / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid filter value'
+      });
+    }
+    console.error('❌ Error fetching admin access log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin access log',
+      error: error.message
+    });
+  }
+});
+
 // DEBUG endpoint to test admin token verification
 router.post('/debug', verifyToken, async (req, res) => {
   try {
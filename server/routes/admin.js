@@ -1,10 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { verifyToken, requireAdminAccess } = require('../../middlewares/flexible-auth');
+const JobRun = require('../models/JobRun');
+const { verifyToken } = require('../../middlewares/flexible-auth');
+const { requirePermission, hasPermission } = require('../../middlewares/permissions');
+const RolePermission = require('../models/RolePermission');
+const AuditLog = require('../models/AuditLog');
+const AdminSession = require('../models/AdminSession');
+const AdminAccessLog = require('../models/AdminAccessLog');
+const { listJobs, runJob, hasJob } = require('../../utils/jobRunner');
+const { revokeAllSessions } = require('../../utils/authTokens');
+const { previewDigest } = require('../../utils/weeklyDigest');
+const { detachFromPartners } = require('../../utils/prayerPartnerCleanup');
+const {
+  PERMISSIONS,
+  ROLES,
+  FIXED_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  findUnknownPermissions,
+  getRoleMapping,
+  getEffectivePermissions,
+  clearPermissionCache
+} = require('../../utils/permissions');
+
+// Remove a member's admin PIN and close their admin sessions once their role changes,
+// so a PIN never outlives the admin rights it was set for
+const withdrawAdminPin = async (userId, req) => {
+  await User.clearAdminPin(userId);
+  const revoked = await AdminSession.revokeForUser(userId, 'role_changed', req.user.id);
+  await AdminAccessLog.record('pin_removed', {
+    user: userId,
+    actor: req.user.id,
+    req,
+    details: { reason: 'role_changed', sessionsRevoked: revoked.modifiedCount }
+  });
+  return revoked.modifiedCount;
+};
 
 // GET /api/admin/users - Get all users for admin panel
-router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/users', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const { page = 1, limit = 100, search, active, hasToken } = req.query;
 
@@ -27,14 +61,8 @@ router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
 
     // Token filter
     if (hasToken !== undefined) {
-      if (hasToken === 'true') {
-        query.fcmToken = { $ne: null, $exists: true };
-      } else {
-        query.$or = [
-          { fcmToken: null },
-          { fcmToken: { $exists: false } }
-        ];
-      }
+      const tokenFilter = User.pushTokenFilter();
+      query.$and = [hasToken === 'true' ? tokenFilter : { $nor: tokenFilter.$or }];
     }
 
     // Pagination
@@ -45,7 +73,7 @@ router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
     // Get users with pagination
     const [users, totalCount] = await Promise.all([
       User.find(query)
-        .select('_id name phone fcmToken fcmTokenPlatform lastLogin createdAt isActive role')
+        .select('_id name phone fcmToken fcmTokenPlatform fcmTokens lastLogin createdAt isActive role')
         .sort({ name: 1 })
         .skip(skip)
         .limit(limitNum)
@@ -54,12 +82,17 @@ router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
     ]);
 
     // Add notification capability status
-    const usersWithStatus = users.map(user => ({
-      ...user,
-      id: user._id.toString(), // Add id field for frontend compatibility
-      canReceiveNotifications: !!(user.fcmToken && user.fcmToken.length > 0),
-      lastLoginFormatted: user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never',
-    }));
+    const usersWithStatus = users.map(({ fcmTokens, ...user }) => {
+      const pushDevices = User.collectPushTokens({ ...user, fcmTokens });
+      return {
+        ...user,
+        id: user._id.toString(), // Add id field for frontend compatibility
+        pushDevices: pushDevices.length,
+        pushPlatforms: [...new Set(pushDevices.map(device => device.platform).filter(Boolean))],
+        canReceiveNotifications: pushDevices.length > 0,
+        lastLoginFormatted: user.lastLogin ? new Date(user.lastLogin).toLocaleDateString() : 'Never',
+      };
+    });
 
     console.log(`📊 Admin fetched ${users.length} users with query:`, req.query);
 
@@ -79,8 +112,8 @@ router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
         },
         stats: {
           total: totalCount,
-          withNotificationTokens: users.filter(u => u.fcmToken).length,
-          withoutTokens: users.filter(u => !u.fcmToken).length,
+          withNotificationTokens: usersWithStatus.filter(u => u.canReceiveNotifications).length,
+          withoutTokens: usersWithStatus.filter(u => !u.canReceiveNotifications).length,
           active: users.filter(u => u.isActive !== false).length
         }
       }
@@ -96,12 +129,12 @@ router.get('/users', verifyToken, requireAdminAccess, async (req, res) => {
 });
 
 // GET /api/admin/users/stats - Get user statistics
-router.get('/users/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/users/stats', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const stats = await Promise.all([
       User.countDocuments(),
       User.countDocuments({ isActive: true }),
-      User.countDocuments({ fcmToken: { $ne: null, $exists: true } }),
+      User.countDocuments(User.pushTokenFilter()),
       User.countDocuments({ role: 'admin' }),
       User.countDocuments({ currentPartner: { $ne: null } })
     ]);
@@ -131,7 +164,7 @@ router.get('/users/stats', verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // PUT /api/admin/users/:userId/status - Update user status
-router.put('/users/:userId/status', verifyToken, requireAdminAccess, async (req, res) => {
+router.put('/users/:userId/status', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -143,6 +176,8 @@ router.put('/users/:userId/status', verifyToken, requireAdminAccess, async (req,
       });
     }
 
+    const previousUser = await User.findById(userId).select('isActive').lean();
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       { isActive },
@@ -156,12 +191,28 @@ router.put('/users/:userId/status', verifyToken, requireAdminAccess, async (req,
       });
     }
 
+    // Deactivated members are logged out of every device straight away
+    let sessionsRevoked = 0;
+    if (!isActive) {
+      sessionsRevoked = await revokeAllSessions(userId, 'deactivated', req.user.id);
+    }
+
+    await AuditLog.record(isActive ? 'user.activated' : 'user.deactivated', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: previousUser,
+      after: { isActive },
+      details: { sessionsRevoked }
+    });
+
     console.log(`👤 Admin ${req.user.id} updated user ${userId} status to ${isActive ? 'active' : 'inactive'}`);
 
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
-      user: updatedUser
+      user: updatedUser,
+      sessionsRevoked
     });
   } catch (error) {
     console.error('❌ Error updating user status:', error);
@@ -174,17 +225,16 @@ router.put('/users/:userId/status', verifyToken, requireAdminAccess, async (req,
 });
 
 // PUT /api/admin/users/:userId/role - Update user role and admin status
-router.put('/users/:userId/role', verifyToken, requireAdminAccess, async (req, res) => {
+router.put('/users/:userId/role', verifyToken, requirePermission('roles:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role, isAdmin } = req.body;
 
     // Validate role
-    const validRoles = ['member', 'admin', 'pastor', 'elder'];
-    if (!validRoles.includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be one of: ' + validRoles.join(', ')
+        message: 'Invalid role. Must be one of: ' + ROLES.join(', ')
       });
     }
 
@@ -196,6 +246,17 @@ router.put('/users/:userId/role', verifyToken, requireAdminAccess, async (req, r
       });
     }
 
+    // Only admins can hand out admin rights, even if roles:manage was granted to someone else
+    if ((role === 'admin' || isAdmin) && !req.adminVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can grant admin access',
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    const previousUser = await User.findById(userId).select('role isAdmin').lean();
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       {
@@ -212,6 +273,18 @@ router.put('/users/:userId/role', verifyToken, requireAdminAccess, async (req, r
       });
     }
 
+    if (previousUser && (previousUser.role !== updatedUser.role || !!previousUser.isAdmin !== updatedUser.isAdmin)) {
+      await withdrawAdminPin(updatedUser._id, req);
+    }
+
+    await AuditLog.record('user.role_changed', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: previousUser,
+      after: { role: updatedUser.role, isAdmin: updatedUser.isAdmin }
+    });
+
     console.log(`👤 Admin ${req.user.id} updated user ${userId} role to ${role} (isAdmin: ${updatedUser.isAdmin})`);
 
     res.json({
@@ -230,7 +303,7 @@ router.put('/users/:userId/role', verifyToken, requireAdminAccess, async (req, r
 });
 
 // PUT /api/admin/users/:userId - Update user profile (admin access)
-router.put('/users/:userId', verifyToken, requireAdminAccess, async (req, res) => {
+router.put('/users/:userId', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const {
@@ -286,11 +359,17 @@ router.put('/users/:userId', verifyToken, requireAdminAccess, async (req, res) =
       }
     }
 
-    // Role validation
-    if (role !== undefined) {
-      const validRoles = ['member', 'admin', 'pastor', 'elder'];
-      if (!validRoles.includes(role)) {
-        errors.push("Invalid role. Must be one of: " + validRoles.join(', '));
+    // Role validation - changing the role needs the same rights as PUT /users/:userId/role
+    if (role !== undefined && role !== user.role) {
+      if (!ROLES.includes(role)) {
+        errors.push("Invalid role. Must be one of: " + ROLES.join(', '));
+      } else if (!hasPermission(req, 'roles:manage') || (role === 'admin' && !req.adminVerified)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to change member roles',
+          code: 'PERMISSION_DENIED',
+          required: ['roles:manage']
+        });
       }
     }
 
@@ -347,6 +426,25 @@ router.put('/users/:userId', verifyToken, requireAdminAccess, async (req, res) =
       });
     }
 
+    if (isActive === false) {
+      await revokeAllSessions(userId, 'deactivated', req.user.id);
+    }
+
+    if (role !== undefined && (role !== user.role || updatedUser.isAdmin !== !!user.isAdmin)) {
+      await withdrawAdminPin(userId, req);
+    }
+
+    const previousFields = {};
+    Object.keys(updateFields).forEach(field => { previousFields[field] = user[field]; });
+
+    await AuditLog.record('user.updated', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: previousFields,
+      after: updateFields
+    });
+
     console.log(`👤 Admin ${req.user.id} updated user ${userId} profile:`, Object.keys(updateFields));
 
     res.json({
@@ -385,7 +483,7 @@ router.put('/users/:userId', verifyToken, requireAdminAccess, async (req, res) =
 });
 
 // DELETE /api/admin/users/:userId - Delete user with proper prayer partner cleanup
-router.delete('/users/:userId', verifyToken, requireAdminAccess, async (req, res) => {
+router.delete('/users/:userId', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
     const PrayerPartnerRequest = require('../models/PrayerPartnerRequest');
@@ -407,31 +505,8 @@ router.delete('/users/:userId', verifyToken, requireAdminAccess, async (req, res
       });
     }
 
-    // Handle prayer partner cleanup if user has a current partner
-    if (user.currentPartner) {
-      console.log(`🔗 User ${userId} has prayer partner ${user.currentPartner}, unpairing...`);
-
-      // Remove partner relationship for both users
-      await User.findByIdAndUpdate(user.currentPartner, {
-        currentPartner: null,
-        paired_this_week: false
-      });
-
-      console.log(`✅ Successfully unpaired partner ${user.currentPartner} from deleted user ${userId}`);
-    }
-
-    // Also check if this user is someone else's partner and clean up
-    const partnerOfThisUser = await User.findOne({ currentPartner: userId });
-    if (partnerOfThisUser) {
-      console.log(`🔗 Found user ${partnerOfThisUser._id} who has ${userId} as partner, unpairing...`);
-
-      await User.findByIdAndUpdate(partnerOfThisUser._id, {
-        currentPartner: null,
-        paired_this_week: false
-      });
-
-      console.log(`✅ Successfully unpaired user ${partnerOfThisUser._id} from deleted user ${userId}`);
-    }
+    // Unpair the user's partners (a trio's other two stay together) and close the pairing history
+    await detachFromPartners([userId], 'member_removed', req.user.id);
 
     // Clean up prayer partner requests - expire all pending requests involving this user
     const requestCleanupResult = await PrayerPartnerRequest.updateMany(
@@ -462,11 +537,24 @@ router.delete('/users/:userId', verifyToken, requireAdminAccess, async (req, res
         // Clear prayer partner fields
         currentPartner: null,
         paired_this_week: false,
+        partnerGroup: [],
+        partnerPinned: false,
         last_paired_with: null
       },
       { new: true, select: '_id name phone isActive currentPartner' }
     );
 
+    await revokeAllSessions(userId, 'deleted', req.user.id);
+
+    await AuditLog.record('user.deleted', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: { isActive: user.isActive, deletedAt: user.deletedAt || null, currentPartner: user.currentPartner },
+      after: { isActive: false, deletedAt: updatedUser.deletedAt || null, currentPartner: null },
+      details: { name: user.name, requestsExpired: requestCleanupResult.modifiedCount }
+    });
+
     console.log(`👤 Admin ${req.user.id} soft-deleted user ${userId} with complete prayer partner cleanup`);
 
     res.json({
@@ -489,10 +577,12 @@ router.delete('/users/:userId', verifyToken, requireAdminAccess, async (req, res
 });
 
 // PUT /api/admin/users/:userId/restore - Restore user (Admin only)
-router.put('/users/:userId/restore', verifyToken, requireAdminAccess, async (req, res) => {
+router.put('/users/:userId/restore', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const userId = req.params.userId;
 
+    const previousUser = await User.findById(userId).select('isActive deletedAt').lean();
+
     const user = await User.findByIdAndUpdate(
       userId,
       {
@@ -513,6 +603,15 @@ router.put('/users/:userId/restore', verifyToken, requireAdminAccess, async (req
       });
     }
 
+    await AuditLog.record('user.restored', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: previousUser,
+      after: { isActive: true, deletedAt: null },
+      details: { name: user.name }
+    });
+
     console.log(`👤 Admin ${req.user.id} restored user account: ${user.email} (ID: ${userId})`);
 
     res.json({
@@ -531,7 +630,7 @@ router.put('/users/:userId/restore', verifyToken, requireAdminAccess, async (req
 });
 
 // POST /api/admin/users/bulk-delete - Bulk delete users with prayer partner cleanup
-router.post('/users/bulk-delete', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/users/bulk-delete', verifyToken, requirePermission('users:manage'), async (req, res) => {
   try {
     const { userIds } = req.body;
     const PrayerPartnerRequest = require('../models/PrayerPartnerRequest');
@@ -551,33 +650,8 @@ router.post('/users/bulk-delete', verifyToken, requireAdminAccess, async (req, r
       });
     }
 
-    // Get users to be deleted and their prayer partners
-    const usersToDelete = await User.find({ _id: { $in: userIds } });
-    const partnerIds = usersToDelete
-      .filter(user => user.currentPartner)
-      .map(user => user.currentPartner);
-
-    // Find users who have any of the deleted users as partners
-    const usersWithDeletedPartners = await User.find({
-      currentPartner: { $in: userIds }
-    });
-
-    console.log(`🔗 Found ${partnerIds.length} direct partners and ${usersWithDeletedPartners.length} reverse partners to unpair`);
-
-    // Unpair all affected users (both directions)
-    const allAffectedPartnerIds = [...new Set([...partnerIds, ...usersWithDeletedPartners.map(u => u._id)])];
-
-    if (allAffectedPartnerIds.length > 0) {
-      await User.updateMany(
-        { _id: { $in: allAffectedPartnerIds } },
-        {
-          currentPartner: null,
-          paired_this_week: false
-        }
-      );
-
-      console.log(`✅ Unpaired ${allAffectedPartnerIds.length} users from prayer partnerships`);
-    }
+    // Unpair the users' partners (a trio's other two stay together) and close the pairing history
+    const { unpairedIds, repairedPairs } = await detachFromPartners(userIds, 'member_removed', req.user.id);
 
     // Clean up prayer partner requests - expire all pending requests involving deleted users
     const requestCleanupResult = await PrayerPartnerRequest.updateMany(
@@ -608,10 +682,26 @@ router.post('/users/bulk-delete', verifyToken, requireAdminAccess, async (req, r
         // Clear prayer partner fields
         currentPartner: null,
         paired_this_week: false,
+        partnerGroup: [],
+        partnerPinned: false,
         last_paired_with: null
       }
     );
 
+    for (const userId of userIds) {
+      await revokeAllSessions(userId, 'deleted', req.user.id);
+    }
+
+    await AuditLog.record('user.bulk_deleted', {
+      req,
+      targetType: 'User',
+      details: {
+        targetIds: userIds,
+        deletedCount: result.modifiedCount,
+        requestsExpired: requestCleanupResult.modifiedCount
+      }
+    });
+
     console.log(`👤 Admin ${req.user.id} bulk-deactivated ${result.modifiedCount} users with complete prayer partner cleanup`);
 
     res.json({
@@ -620,7 +710,8 @@ router.post('/users/bulk-delete', verifyToken, requireAdminAccess, async (req, r
       data: {
         requested: userIds.length,
         deletedCount: result.modifiedCount,
-        unpairedPartners: allAffectedPartnerIds.length,
+        unpairedPartners: unpairedIds.length,
+        triosKeptAsPairs: repairedPairs.length,
         requestsExpired: requestCleanupResult.modifiedCount
       }
     });
@@ -635,4 +726,516 @@ router.post('/users/bulk-delete', verifyToken, requireAdminAccess, async (req, r
   }
 });
 
+// GET /api/admin/roles - List the permission catalog and what each role can do
+router.get('/roles', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const [mapping, roleCounts] = await Promise.all([
+      getRoleMapping(),
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = {};
+    roleCounts.forEach(group => { counts[group._id] = group.count; });
+
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+        roles: ROLES.map(role => ({
+          role,
+          ...mapping[role],
+          defaultPermissions: DEFAULT_ROLE_PERMISSIONS[role],
+          userCount: counts[role] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/admin/roles/:role - Replace the permissions of a role
+router.put('/roles/:role', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown role: ${role}`
+      });
+    }
+
+    if (FIXED_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${role} role always has every permission and cannot be changed`
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be an array of permission names'
+      });
+    }
+
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permissions: ' + unknown.join(', ')
+      });
+    }
+
+    const previousMapping = await getRoleMapping();
+
+    await RolePermission.findByIdAndUpdate(
+      role,
+      { permissions: [...new Set(permissions)], updatedBy: req.user.id },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    clearPermissionCache();
+
+    await AuditLog.record('role.permissions_updated', {
+      req,
+      targetType: 'Role',
+      targetId: role,
+      before: { permissions: previousMapping[role].permissions },
+      after: { permissions: [...new Set(permissions)] }
+    });
+
+    console.log(`🔑 Admin ${req.user.id} set permissions of role ${role}: ${permissions.join(', ') || '(none)'}`);
+
+    const mapping = await getRoleMapping();
+
+    res.json({
+      success: true,
+      message: `Permissions of the ${role} role updated`,
+      data: { role, ...mapping[role] }
+    });
+  } catch (error) {
+    console.error('❌ Error updating role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role permissions',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/roles/:role - Reset a role to its default permissions
+router.delete('/roles/:role', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown role: ${role}`
+      });
+    }
+
+    const previousMapping = await getRoleMapping();
+
+    await RolePermission.deleteOne({ _id: role });
+    clearPermissionCache();
+
+    await AuditLog.record('role.permissions_reset', {
+      req,
+      targetType: 'Role',
+      targetId: role,
+      before: { permissions: previousMapping[role].permissions },
+      after: { permissions: DEFAULT_ROLE_PERMISSIONS[role] }
+    });
+
+    console.log(`🔑 Admin ${req.user.id} reset permissions of role ${role} to defaults`);
+
+    const mapping = await getRoleMapping();
+
+    res.json({
+      success: true,
+      message: `Permissions of the ${role} role reset to defaults`,
+      data: { role, ...mapping[role] }
+    });
+  } catch (error) {
+    console.error('❌ Error resetting role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset role permissions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/users/:userId/permissions - A member's role, overrides and effective permissions
+router.get('/users/:userId/permissions', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name role isAdmin permissionOverrides');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const effective = await getEffectivePermissions(user);
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        name: user.name,
+        role: user.role,
+        isAdmin: user.isAdmin,
+        overrides: {
+          grant: user.permissionOverrides?.grant || [],
+          revoke: user.permissionOverrides?.revoke || []
+        },
+        permissions: Array.from(effective)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching user permissions:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user permissions',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/admin/users/:userId/permissions - Grant or revoke single permissions for a member
+router.put('/users/:userId/permissions', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { grant = [], revoke = [] } = req.body;
+
+    if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+      return res.status(400).json({
+        success: false,
+        message: 'grant and revoke must be arrays of permission names'
+      });
+    }
+
+    const unknown = findUnknownPermissions([...grant, ...revoke]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permissions: ' + unknown.join(', ')
+      });
+    }
+
+    const conflicting = grant.filter(permission => revoke.includes(permission));
+    if (conflicting.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions cannot be both granted and revoked: ' + conflicting.join(', ')
+      });
+    }
+
+    const previousUser = await User.findById(userId).select('permissionOverrides').lean();
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { permissionOverrides: { grant: [...new Set(grant)], revoke: [...new Set(revoke)] } },
+      { new: true, select: '_id name role isAdmin permissionOverrides' }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const effective = await getEffectivePermissions(user);
+
+    await AuditLog.record('user.permissions_changed', {
+      req,
+      targetType: 'User',
+      targetId: userId,
+      before: { permissionOverrides: previousUser ? previousUser.permissionOverrides : null },
+      after: { permissionOverrides: user.permissionOverrides.toObject() }
+    });
+
+    console.log(`🔑 Admin ${req.user.id} set permission overrides for user ${userId} (grant: ${grant.join(', ') || '-'}; revoke: ${revoke.join(', ') || '-'})`);
+
+    res.json({
+      success: true,
+      message: 'Permission overrides updated successfully',
+      data: {
+        userId: user._id,
+        name: user.name,
+        role: user.role,
+        overrides: user.permissionOverrides,
+        permissions: Array.from(effective)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error updating user permissions:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user permissions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/audit - Page through the audit log
+router.get('/audit', verifyToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, action, targetType, targetId, from, to } = req.query;
+
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    // "user.role_changed" matches one action, "user." or "user.*" every user action
+    if (action) {
+      const prefix = action.endsWith('.*') ? action.slice(0, -1) : action;
+      query.action = prefix.endsWith('.')
+        ? new RegExp('^' + prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        : action;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [entries, totalCount] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('actor', 'name phone role')
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limitNum),
+          hasNext: skip + limitNum < totalCount,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid actor ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/jobs - List background jobs with their latest run
+router.get('/jobs', verifyToken, requirePermission('jobs:run'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('❌ Error fetching background jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch background jobs',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/jobs/:name/runs - Run history for a background job
+router.get('/jobs/:name/runs', verifyToken, requirePermission('jobs:run'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (!hasJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job: ${name}`
+      });
+    }
+
+    const query = { job: name };
+    if (status) query.status = status;
+
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [runs, totalCount] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('triggeredBy', 'name')
+        .lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limitNum),
+          hasNext: skip + limitNum < totalCount,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/jobs/:name/run - Run a background job now
+router.post('/jobs/:name/run', verifyToken, requirePermission('jobs:run'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!hasJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job: ${name}`
+      });
+    }
+
+    console.log(`⚙️ Admin ${req.user.id} triggered job ${name}`);
+
+    const result = await runJob(name, { trigger: 'manual', triggeredBy: req.user.id });
+
+    if (result.ran) {
+      await AuditLog.record('job.run', {
+        req,
+        targetType: 'Job',
+        targetId: name,
+        details: { runId: result.run._id, status: result.run.status }
+      });
+    }
+
+    if (!result.ran) {
+      return res.status(409).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.json({
+      success: result.run.status === 'succeeded',
+      message: result.run.status === 'succeeded'
+        ? `Job ${name} completed: ${result.run.itemsAffected} items affected`
+        : `Job ${name} failed`,
+      data: result.run
+    });
+  } catch (error) {
+    console.error('❌ Error running background job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run background job',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/digest/preview - The weekly digest as it would go out now (or as of ?date=)
+router.get('/digest/preview', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const now = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(now.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a valid date'
+      });
+    }
+
+    const digest = await previewDigest({ now });
+
+    res.json({
+      success: true,
+      message: digest.isEmpty
+        ? 'Nothing to include; the digest would be skipped'
+        : `The digest would go to ${digest.recipients.recipients} member(s), ${digest.recipients.emails} by email`,
+      data: digest
+    });
+  } catch (error) {
+    console.error('❌ Error previewing weekly digest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview weekly digest',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
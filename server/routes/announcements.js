@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Announcement = require('../models/Announcement');
 const { verifyToken, requireAdmin } = require('../../middlewares/auth');
-const { requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
+const AuditLog = require('../models/AuditLog');
 
 // GET /announcements - Get all announcements
 router.get('/', async (req, res) => {
@@ -82,7 +83,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /announcements/admin/stats - Get announcement statistics for admin
-router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const total = await Announcement.countDocuments();
     const published = await Announcement.countDocuments({ status: 'published' });
@@ -189,7 +190,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /announcements - Create new announcement
-router.post('/', async (req, res) => {
+router.post('/', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const {
       title,
@@ -260,6 +261,13 @@ router.post('/', async (req, res) => {
 
     console.log(`✅ Announcement created: "${title}" with status: ${status}`);
 
+    await AuditLog.record('announcement.created', {
+      req,
+      targetType: 'Announcement',
+      targetId: savedAnnouncement._id,
+      after: savedAnnouncement
+    });
+
     // If it's urgent/high priority and published, log for potential notifications
     if ((priority === 'urgent' || priority === 'high') && status === 'published') {
       console.log(`🚨 High priority announcement published: "${title}" - ID: ${savedAnnouncement._id}`);
@@ -293,7 +301,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /announcements/:id - Update announcement
-router.put('/:id', async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -331,6 +339,8 @@ router.put('/:id', async (req, res) => {
       updateData.scheduledDate = new Date(updateData.scheduledDate);
     }
 
+    const previousAnnouncement = await Announcement.findById(id).lean();
+
     // Update announcement
     const updatedAnnouncement = await Announcement.findByIdAndUpdate(
       id,
@@ -347,6 +357,14 @@ router.put('/:id', async (req, res) => {
 
     console.log(`✅ Announcement updated: "${updatedAnnouncement.title}" - ID: ${id}`);
 
+    await AuditLog.record('announcement.updated', {
+      req,
+      targetType: 'Announcement',
+      targetId: id,
+      before: previousAnnouncement,
+      after: updatedAnnouncement
+    });
+
     res.json({
       success: true,
       message: 'Announcement updated successfully',
@@ -382,7 +400,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /announcements/:id - Delete announcement
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -397,6 +415,13 @@ router.delete('/:id', async (req, res) => {
 
     console.log(`🗑️ Announcement deleted: "${deletedAnnouncement.title}" - ID: ${id}`);
 
+    await AuditLog.record('announcement.deleted', {
+      req,
+      targetType: 'Announcement',
+      targetId: id,
+      before: deletedAnnouncement
+    });
+
     res.json({
       success: true,
       message: 'Announcement deleted successfully',
@@ -422,7 +447,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /announcements/:id/publish - Publish/unpublish announcement
-router.post('/:id/publish', async (req, res) => {
+router.post('/:id/publish', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status = 'published' } = req.body;
@@ -434,6 +459,8 @@ router.post('/:id/publish', async (req, res) => {
       });
     }
 
+    const previousAnnouncement = await Announcement.findById(id).lean();
+
     const updatedAnnouncement = await Announcement.findByIdAndUpdate(
       id,
       { 
@@ -460,6 +487,14 @@ router.post('/:id/publish', async (req, res) => {
 
     console.log(`📝 Announcement status changed to "${status}": "${updatedAnnouncement.title}"`);
 
+    await AuditLog.record('announcement.status_changed', {
+      req,
+      targetType: 'Announcement',
+      targetId: id,
+      before: previousAnnouncement,
+      after: updatedAnnouncement
+    });
+
     res.json({
       success: true,
       message: `Announcement ${status} successfully`,
@@ -484,7 +519,7 @@ router.post('/:id/publish', async (req, res) => {
 });
 
 // POST /announcements/:id/schedule - Schedule announcement
-router.post('/:id/schedule', async (req, res) => {
+router.post('/:id/schedule', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { scheduledDate, scheduledTime } = req.body;
@@ -505,6 +540,8 @@ router.post('/:id/schedule', async (req, res) => {
       });
     }
 
+    const previousAnnouncement = await Announcement.findById(id).lean();
+
     const updatedAnnouncement = await Announcement.findByIdAndUpdate(
       id,
       { 
@@ -524,6 +561,14 @@ router.post('/:id/schedule', async (req, res) => {
 
     console.log(`⏰ Announcement scheduled: "${updatedAnnouncement.title}" for ${scheduledDateTime}`);
 
+    await AuditLog.record('announcement.scheduled', {
+      req,
+      targetType: 'Announcement',
+      targetId: id,
+      before: previousAnnouncement,
+      after: updatedAnnouncement
+    });
+
     res.json({
       success: true,
       message: 'Announcement scheduled successfully',
@@ -548,7 +593,7 @@ router.post('/:id/schedule', async (req, res) => {
 });
 
 // POST /announcements/bulk-actions - Bulk operations
-router.post('/bulk-actions', async (req, res) => {
+router.post('/bulk-actions', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     const { action, announcementIds } = req.body;
 
@@ -607,6 +652,15 @@ router.post('/bulk-actions', async (req, res) => {
 
     console.log(`📋 Bulk ${action} completed: ${result.modifiedCount || result.deletedCount} announcements affected`);
 
+    await AuditLog.record(`announcement.bulk_${action}`, {
+      req,
+      targetType: 'Announcement',
+      details: {
+        targetIds: announcementIds,
+        affected: result.modifiedCount || result.deletedCount || 0
+      }
+    });
+
     res.json({
       success: true,
       message: `Bulk ${action} completed successfully`,
@@ -698,7 +752,7 @@ router.get('/test', async (req, res) => {
 });
 
 // POST /announcements/dev/seed - Create seed data for development (only in dev mode)
-router.post('/dev/seed', async (req, res) => {
+router.post('/dev/seed', verifyToken, requirePermission('announcements:manage'), async (req, res) => {
   try {
     // Only allow in development
     if (process.env.NODE_ENV === 'production') {
@@ -1,11 +1,328 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
+const User = require('../models/User');
 const { verifyToken, optionalAuth } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permissions');
+const {
+  OVERRIDE_FIELDS,
+  MAX_WINDOW_DAYS,
+  normalizeRecurrence,
+  formatRRule,
+  isRecurringEvent,
+  isOccurrence,
+  isException,
+  findOverride,
+  buildOccurrence,
+  expandOccurrences,
+  findOccurrences,
+  getOccurrenceId,
+  parseOccurrence
+} = require('../../utils/eventRecurrence');
+const { buildEventsFeed, buildEventCalendar } = require('../../utils/icalendar');
+const {
+  issueTicket,
+  verifyTicket,
+  findMemberByPhone,
+  checkIn,
+  getEventAttendanceReport,
+  getMemberAttendanceReport
+} = require('../../utils/eventAttendance');
+const {
+  findEntry,
+  getEntries,
+  getPosition,
+  getFreeSeats,
+  withEventRetry,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteFromWaitlist,
+  promoteAllOccurrences,
+  reorderWaitlist,
+  formatWaitlist
+} = require('../../utils/eventWaitlist');
+const {
+  normalizeReminderOffsets,
+  getReminderOffsets,
+  notifyEventCancelled
+} = require('../../utils/eventReminders');
+const {
+  addRole,
+  updateRole,
+  findRole,
+  signUp,
+  withdraw,
+  formatRoles,
+  getRoster,
+  buildRosterCsv,
+  getMemberServing
+} = require('../../utils/eventVolunteers');
+const { hashToken } = require('../../utils/authTokens');
+const { CHURCH_NAME } = require('../../utils/emailTemplates');
+
+// Occurrences listed on a single recurring event
+const NEXT_OCCURRENCES = 10;
+
+/**
+ * Read recurrence fields from a request body
+ * @param {Object} body - { recurrence, isRecurring, exceptionDates }
+ * @returns {Object} { update, error } with the Event fields to set
+ */
+function parseRecurrenceFields({ recurrence, isRecurring, exceptionDates }) {
+  const update = {};
+
+  if (recurrence !== undefined && recurrence !== null && recurrence !== '') {
+    const { recurrence: rule, errors } = normalizeRecurrence(recurrence);
+    if (errors.length > 0) {
+      return { error: `Invalid recurrence: ${errors.join('; ')}` };
+    }
+    update.recurrence = rule;
+  } else if (recurrence === null || recurrence === '' || isRecurring === false || isRecurring === 'false') {
+    update.recurrence = null;
+  } else if (isRecurring !== undefined && Boolean(isRecurring)) {
+    // A bare isRecurring flag repeats the event weekly
+    update.recurrence = { freq: 'WEEKLY', interval: 1, byDay: [], until: null, count: null };
+  }
+  if (update.recurrence !== undefined) {
+    update.isRecurring = update.recurrence !== null;
+  }
+
+  if (exceptionDates !== undefined) {
+    const dates = (Array.isArray(exceptionDates) ? exceptionDates : [exceptionDates])
+      .filter(date => date !== null && date !== '')
+      .map(parseOccurrence);
+    if (dates.some(date => !date)) {
+      return { error: 'exceptionDates must be a list of occurrence start dates' };
+    }
+    update.exceptionDates = dates;
+  }
+
+  return { update };
+}
+
+/**
+ * Read the waitlist settings from a request body
+ * @param {Object} body - { waitlistEnabled, waitlistConfirmHours }
+ * @returns {Object} { update, error } with the Event fields to set
+ */
+function parseWaitlistFields({ waitlistEnabled, waitlistConfirmHours }) {
+  const update = {};
+
+  if (waitlistEnabled !== undefined) {
+    update.waitlistEnabled = waitlistEnabled !== false && waitlistEnabled !== 'false';
+  }
+
+  if (waitlistConfirmHours !== undefined) {
+    if (waitlistConfirmHours === null || waitlistConfirmHours === '' || waitlistConfirmHours === 0) {
+      update.waitlistConfirmHours = null;
+    } else {
+      const hours = Number(waitlistConfirmHours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+        return { error: 'waitlistConfirmHours must be a whole number of hours from 1 to 168, or null' };
+      }
+      update.waitlistConfirmHours = hours;
+    }
+  }
+
+  return { update };
+}
+
+/**
+ * Read the reminder offsets from a request body
+ * @param {Object} body - { reminderOffsets }
+ * @returns {Object} { update, error } with the Event fields to set
+ */
+function parseReminderFields({ reminderOffsets }) {
+  if (reminderOffsets === undefined) {
+    return { update: {} };
+  }
+
+  const { offsets, error } = normalizeReminderOffsets(reminderOffsets);
+  return error ? { error } : { update: { reminderOffsets: offsets } };
+}
+
+/**
+ * Format the recurrence fields of an event for the frontend
+ * @param {Object} event - Event
+ * @returns {Object} { recurrence, rrule, exceptionDates, overrides }
+ */
+function formatRecurrence(event) {
+  const recurring = isRecurringEvent(event);
+  return {
+    recurrence: recurring ? event.recurrence : null,
+    rrule: recurring ? formatRRule(event.recurrence) : null,
+    exceptionDates: recurring ? event.exceptionDates || [] : [],
+    overrides: recurring ? event.overrides || [] : []
+  };
+}
+
+/**
+ * Format an occurrence of an event for the frontend
+ * @param {Object} event - Event (lean, createdBy populated)
+ * @param {Object} occurrence - Occurrence from expandOccurrences
+ * @returns {Object} Occurrence with the series fields
+ */
+function formatOccurrence(event, occurrence) {
+  const isThisOccurrence = (entry) => (entry.occurrence ? new Date(entry.occurrence).getTime() : null) ===
+    (occurrence.occurrenceStart ? occurrence.occurrenceStart.getTime() : null);
+  const rsvpCount = (event.attendees || []).filter(attendee =>
+    attendee.status === 'attending' && isThisOccurrence(attendee)
+  ).length;
+  const waitlist = (event.waitlist || []).filter(isThisOccurrence);
+  // Seats offered to waitlisted members are held for them
+  const heldSeats = rsvpCount + waitlist.filter(entry => entry.status === 'offered').length;
+
+  return {
+    id: event._id,
+    occurrenceId: getOccurrenceId(event, occurrence.occurrenceStart),
+    occurrenceStart: occurrence.occurrenceStart,
+    title: occurrence.title,
+    description: occurrence.description,
+    start: occurrence.start,
+    end: occurrence.end,
+    category: event.category,
+    location: occurrence.location,
+    capacity: event.capacity,
+    requiresRSVP: event.requiresRSVP,
+    isRecurring: isRecurringEvent(event),
+    isOverridden: occurrence.isOverridden,
+    rrule: formatRRule(event.recurrence),
+    tags: event.tags,
+    rsvpCount,
+    availableSpots: event.capacity ? Math.max(0, event.capacity - heldSeats) : null,
+    waitlistCount: waitlist.length,
+    createdBy: event.createdBy?.name || 'Admin',
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt
+  };
+}
+
+/**
+ * Read the occurrence an RSVP is for; single events have none
+ * @param {Object} event - Event
+ * @param {string} value - Occurrence start or occurrence id from the request
+ * @param {Object} options - { includeCancelled: also accept cancelled occurrences }
+ * @returns {Object} { occurrence, error, status }
+ */
+function resolveRSVPOccurrence(event, value, { includeCancelled = false } = {}) {
+  if (!isRecurringEvent(event)) {
+    return { occurrence: null };
+  }
+  if (value === undefined || value === null || value === '') {
+    return { error: 'occurrence is required for recurring events', status: 400 };
+  }
+  const occurrence = parseOccurrence(value);
+  if (!occurrence) {
+    return { error: 'Invalid occurrence', status: 400 };
+  }
+  if (!isOccurrence(event, occurrence, { includeCancelled })) {
+    return { error: 'Occurrence not found', status: 404 };
+  }
+  return { occurrence };
+}
+
+// RSVP statuses whose events go into a member's calendar feed
+const CALENDAR_RSVP_STATUSES = ['attending', 'maybe'];
+
+/**
+ * Send an iCalendar document
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar text
+ * @param {string} filename - File name offered for downloads
+ * @param {boolean} download - Send as an attachment instead of inline
+ */
+function sendCalendar(res, calendar, filename, download = false) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.send(calendar);
+}
+
+/**
+ * Build the URLs of a personal calendar feed
+ * @param {Object} req - Express request
+ * @param {string} token - Feed token
+ * @returns {Object} { url, webcalUrl }
+ */
+function buildFeedUrls(req, token) {
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+/**
+ * Answer GET / with the occurrences of events within the from/to window;
+ * recurring events are expanded and single events give one occurrence
+ */
+async function listOccurrences(req, res) {
+  const { category, limit = 50, offset = 0, search, sortBy = 'start_asc', tags, from, to } = req.query;
+
+  const fromDate = new Date(from);
+  const toDate = new Date(to);
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from or to date format'
+    });
+  }
+  if (toDate <= fromDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'to must be after from'
+    });
+  }
+  if (toDate - fromDate > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      success: false,
+      message: `The window cannot be longer than ${MAX_WINDOW_DAYS} days`
+    });
+  }
+
+  const filter = {};
+  if (category && category !== 'all' && category !== 'All') {
+    filter.category = category;
+  }
+  if (tags) {
+    filter.tags = { $in: tags.split(',').map(tag => tag.trim().toLowerCase()) };
+  }
+  if (search && search.trim()) {
+    filter.$text = { $search: search.trim() };
+  }
+
+  const occurrences = await findOccurrences(fromDate, toDate, filter);
+  if (sortBy === 'start_desc') {
+    occurrences.reverse();
+  }
+
+  const page = occurrences.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+  res.json({
+    success: true,
+    message: 'Event occurrences retrieved successfully',
+    data: page.map(({ event, occurrence }) => formatOccurrence(event, occurrence)),
+    window: { from: fromDate, to: toDate },
+    pagination: {
+      total: occurrences.length,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      hasMore: (parseInt(offset) + parseInt(limit)) < occurrences.length
+    }
+  });
+}
 
 // GET all events (public endpoint with optional auth)
 router.get('/', optionalAuth, async (req, res) => {
   try {
+    // With a window, recurring events are expanded into their occurrences
+    if (req.query.from || req.query.to) {
+      if (!req.query.from || !req.query.to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both from and to are required to list occurrences'
+        });
+      }
+      return await listOccurrences(req, res);
+    }
+
     const { 
       category, 
       limit = 50, 
@@ -112,6 +429,7 @@ router.get('/', optionalAuth, async (req, res) => {
       capacity: event.capacity,
       requiresRSVP: event.requiresRSVP,
       isRecurring: event.isRecurring,
+      ...formatRecurrence(event),
       tags: event.tags,
       rsvpCount: event.rsvpCount,
       createdBy: event.createdBy?.name || 'Admin',
@@ -141,6 +459,312 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// GET public iCalendar feed of church events (category and tags filters)
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const { category, tags } = req.query;
+    const filter = {};
+
+    if (category && category !== 'all' && category !== 'All') {
+      filter.category = category;
+    }
+    if (tags) {
+      filter.tags = { $in: tags.split(',').map(tag => tag.trim().toLowerCase()) };
+    }
+
+    const calendar = await buildEventsFeed({
+      name: filter.category ? `${CHURCH_NAME} - ${filter.category}` : `${CHURCH_NAME} Events`,
+      filter
+    });
+
+    sendCalendar(res, calendar, 'church-events.ics');
+
+  } catch (error) {
+    console.error('Error building events calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build events calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET personal calendar feed status (authenticated users)
+router.get('/calendar/subscription', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('calendarFeed.createdAt').lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const createdAt = user.calendarFeed && user.calendarFeed.createdAt;
+    res.json({
+      success: true,
+      message: 'Calendar subscription retrieved successfully',
+      data: {
+        active: !!createdAt,
+        createdAt: createdAt || null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST create the personal calendar feed URL (authenticated users)
+// The URL is only shown here; creating a new one stops the previous URL from working
+router.post('/calendar/subscription', verifyToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const createdAt = new Date();
+
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      'calendarFeed.tokenHash': hashToken(token),
+      'calendarFeed.createdAt': createdAt
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`📅 Calendar feed created for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar subscription created successfully',
+      data: {
+        ...buildFeedUrls(req, token),
+        createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE stop the personal calendar feed (authenticated users)
+router.delete('/calendar/subscription', verifyToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      'calendarFeed.tokenHash': null,
+      'calendarFeed.createdAt': null
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar subscription removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing calendar subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove calendar subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET personal iCalendar feed: the events (or occurrences) the member RSVP'd to
+// The token in the URL is the only credential, since calendar apps cannot log in
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      'calendarFeed.tokenHash': hashToken(req.params.token),
+      isActive: true
+    }).select('_id name').lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const rsvps = (event) => (event.attendees || []).filter(attendee =>
+      attendee.user && attendee.user.toString() === user._id.toString() &&
+      CALENDAR_RSVP_STATUSES.includes(attendee.status)
+    );
+
+    const calendar = await buildEventsFeed({
+      name: `${CHURCH_NAME} - My Events`,
+      filter: {
+        attendees: { $elemMatch: { user: user._id, status: { $in: CALENDAR_RSVP_STATUSES } } }
+      },
+      includeOccurrence: (event, occurrenceStart) => rsvps(event).some(attendee =>
+        (attendee.occurrence ? new Date(attendee.occurrence).getTime() : null) ===
+          (occurrenceStart ? occurrenceStart.getTime() : null)
+      )
+    });
+
+    sendCalendar(res, calendar, 'my-church-events.ics');
+
+  } catch (error) {
+    console.error('Error building personal calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Answer a member attendance report request (from and to limit the event dates)
+ */
+async function sendMemberAttendance(req, res, userId) {
+  const { from, to } = req.query;
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : new Date();
+
+  if ((fromDate && isNaN(fromDate.getTime())) || isNaN(toDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from or to date format'
+    });
+  }
+
+  const report = await getMemberAttendanceReport(userId, { from: fromDate, to: toDate });
+
+  res.json({
+    success: true,
+    message: 'Attendance retrieved successfully',
+    data: {
+      userId,
+      ...report
+    }
+  });
+}
+
+// GET the member's own attendance vs RSVPs (authenticated users)
+router.get('/attendance/me', verifyToken, async (req, res) => {
+  try {
+    await sendMemberAttendance(req, res, req.user.id);
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET a member's attendance vs RSVPs (admin only)
+router.get('/attendance/members/:userId', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id').lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await sendMemberAttendance(req, res, user._id);
+  } catch (error) {
+    console.error('Error fetching member attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET the volunteer roles the member serves in, upcoming first (authenticated users)
+// from (default now) and to limit the event dates
+router.get('/serving/me', verifyToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : null;
+
+    if (isNaN(fromDate.getTime()) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date format'
+      });
+    }
+
+    const serving = await getMemberServing(req.user.id, { from: fromDate, to: toDate });
+
+    res.json({
+      success: true,
+      message: 'Volunteer roles retrieved successfully',
+      data: {
+        serving,
+        count: serving.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching volunteer roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch volunteer roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET single event as an .ics download (a recurring event's occurrences, or one with ?occurrence=)
+router.get('/:id.ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true }).select('-attendees').lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    let occurrence = null;
+    if (req.query.occurrence && isRecurringEvent(event)) {
+      occurrence = parseOccurrence(req.query.occurrence);
+      if (!occurrence || !isOccurrence(event, occurrence)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Occurrence not found'
+        });
+      }
+    }
+
+    sendCalendar(res, buildEventCalendar(event, { occurrence }), `event-${id}.ics`, true);
+
+  } catch (error) {
+    console.error('Error exporting event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // GET single event by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -170,9 +794,27 @@ router.get('/:id', async (req, res) => {
       capacity: event.capacity,
       requiresRSVP: event.requiresRSVP,
       isRecurring: event.isRecurring,
+      ...formatRecurrence(event),
       tags: event.tags,
       rsvpCount: event.rsvpCount,
       attendees: event.attendees,
+      waitlistEnabled: event.waitlistEnabled,
+      waitlistConfirmHours: event.waitlistConfirmHours,
+      waitlistCount: (event.waitlist || []).length,
+      reminderOffsets: getReminderOffsets(event),
+      // Sign-ups per occurrence are listed by GET /:id/volunteer-roles
+      volunteerRoles: (event.volunteerRoles || []).map(role => ({
+        id: role._id,
+        name: role.name,
+        description: role.description,
+        requirements: role.requirements,
+        slots: role.slots
+      })),
+      nextOccurrences: isRecurringEvent(event)
+        ? expandOccurrences(event, new Date(), new Date(Date.now() + MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000))
+          .slice(0, NEXT_OCCURRENCES)
+          .map(occurrence => formatOccurrence(event, occurrence))
+        : [],
       createdBy: event.createdBy?.name || 'Admin',
       createdAt: event.createdAt,
       updatedAt: event.updatedAt
@@ -195,7 +837,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create new event (admin only)
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const {
       title,
@@ -207,6 +849,11 @@ router.post('/', verifyToken, async (req, res) => {
       capacity,
       requiresRSVP,
       isRecurring,
+      recurrence,
+      exceptionDates,
+      waitlistEnabled,
+      waitlistConfirmHours,
+      reminderOffsets,
       tags
     } = req.body;
 
@@ -250,6 +897,16 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    const recurrenceFields = parseRecurrenceFields({ recurrence, isRecurring, exceptionDates });
+    const waitlistFields = parseWaitlistFields({ waitlistEnabled, waitlistConfirmHours });
+    const reminderFields = parseReminderFields({ reminderOffsets });
+    if (recurrenceFields.error || waitlistFields.error || reminderFields.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceFields.error || waitlistFields.error || reminderFields.error
+      });
+    }
+
     // Create event object
     const eventData = {
       title: title.trim(),
@@ -260,7 +917,11 @@ router.post('/', verifyToken, async (req, res) => {
       location: location?.trim() || '',
       capacity: capacity ? parseInt(capacity) : null,
       requiresRSVP: Boolean(requiresRSVP),
-      isRecurring: Boolean(isRecurring),
+      isRecurring: false,
+      recurrence: null,
+      ...recurrenceFields.update,
+      ...waitlistFields.update,
+      ...reminderFields.update,
       tags: Array.isArray(tags) ? tags.map(tag => tag.trim().toLowerCase()) : [],
       createdBy: req.user?.id || null
     };
@@ -288,6 +949,10 @@ router.post('/', verifyToken, async (req, res) => {
       capacity: savedEvent.capacity,
       requiresRSVP: savedEvent.requiresRSVP,
       isRecurring: savedEvent.isRecurring,
+      ...formatRecurrence(savedEvent),
+      waitlistEnabled: savedEvent.waitlistEnabled,
+      waitlistConfirmHours: savedEvent.waitlistConfirmHours,
+      reminderOffsets: savedEvent.reminderOffsets,
       tags: savedEvent.tags,
       rsvpCount: savedEvent.rsvpCount,
       createdAt: savedEvent.createdAt,
@@ -322,7 +987,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT update event by ID (admin only)
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -335,6 +1000,11 @@ router.put('/:id', verifyToken, async (req, res) => {
       capacity,
       requiresRSVP,
       isRecurring,
+      recurrence,
+      exceptionDates,
+      waitlistEnabled,
+      waitlistConfirmHours,
+      reminderOffsets,
       tags
     } = req.body;
 
@@ -392,13 +1062,25 @@ router.put('/:id', verifyToken, async (req, res) => {
     
     if (title !== undefined) updateData.title = title.trim();
     if (description !== undefined) updateData.description = description?.trim() || '';
+    // Reminders follow the start, so moving it reschedules them (see utils/eventReminders.js)
     if (start !== undefined) updateData.start = startDate;
     if (end !== undefined) updateData.end = endDate;
     if (category !== undefined) updateData.category = category;
     if (location !== undefined) updateData.location = location?.trim() || '';
     if (capacity !== undefined) updateData.capacity = capacity ? parseInt(capacity) : null;
     if (requiresRSVP !== undefined) updateData.requiresRSVP = Boolean(requiresRSVP);
-    if (isRecurring !== undefined) updateData.isRecurring = Boolean(isRecurring);
+
+    // Overrides and RSVPs of occurrences a changed rule no longer produces are ignored
+    const recurrenceFields = parseRecurrenceFields({ recurrence, isRecurring, exceptionDates });
+    const waitlistFields = parseWaitlistFields({ waitlistEnabled, waitlistConfirmHours });
+    const reminderFields = parseReminderFields({ reminderOffsets });
+    if (recurrenceFields.error || waitlistFields.error || reminderFields.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceFields.error || waitlistFields.error || reminderFields.error
+      });
+    }
+    Object.assign(updateData, recurrenceFields.update, waitlistFields.update, reminderFields.update);
     if (tags !== undefined) updateData.tags = Array.isArray(tags) ? tags.map(tag => tag.trim().toLowerCase()) : [];
 
     // Validate capacity
@@ -418,6 +1100,11 @@ router.put('/:id', verifyToken, async (req, res) => {
       }
     );
 
+    // More seats (or no limit any more) go to the members waiting
+    if (capacity !== undefined || waitlistConfirmHours !== undefined) {
+      await promoteAllOccurrences(updatedEvent);
+    }
+
     // Format response
     const formattedEvent = {
       id: updatedEvent._id,
@@ -430,6 +1117,10 @@ router.put('/:id', verifyToken, async (req, res) => {
       capacity: updatedEvent.capacity,
       requiresRSVP: updatedEvent.requiresRSVP,
       isRecurring: updatedEvent.isRecurring,
+      ...formatRecurrence(updatedEvent),
+      waitlistEnabled: updatedEvent.waitlistEnabled,
+      waitlistConfirmHours: updatedEvent.waitlistConfirmHours,
+      reminderOffsets: updatedEvent.reminderOffsets,
       tags: updatedEvent.tags,
       rsvpCount: updatedEvent.rsvpCount,
       createdAt: updatedEvent.createdAt,
@@ -464,7 +1155,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE event by ID (admin only)
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -480,10 +1171,12 @@ router.delete('/:id', verifyToken, async (req, res) => {
     // Soft delete by setting isActive to false
     await Event.findByIdAndUpdate(id, { isActive: false });
 
+    const attendeesNotified = await notifyEventCancelled(event);
+
     res.json({
       success: true,
       message: 'Event deleted successfully',
-      data: { id }
+      data: { id, attendeesNotified }
     });
 
   } catch (error) {
@@ -496,22 +1189,15 @@ router.delete('/:id', verifyToken, async (req, res) => {
   }
 });
 
-// POST RSVP to event (authenticated users)
-router.post('/:id/rsvp', verifyToken, async (req, res) => {
+// PUT change or cancel a single occurrence of a recurring event (admin only)
+// Fields set to null fall back to the series; cancelled: false restores a cancelled occurrence
+router.put('/:id/occurrences/:occurrence', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status = 'attending' } = req.body;
-    const userId = req.user.id;
-
-    if (!['attending', 'maybe', 'not_attending'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid RSVP status'
-      });
-    }
+    const { cancelled } = req.body;
 
     const event = await Event.findOne({ _id: id, isActive: true });
-    
+
     if (!event) {
       return res.status(404).json({
         success: false,
@@ -519,36 +1205,268 @@ router.post('/:id/rsvp', verifyToken, async (req, res) => {
       });
     }
 
-    if (!event.requiresRSVP) {
+    if (!isRecurringEvent(event)) {
       return res.status(400).json({
         success: false,
-        message: 'This event does not require RSVP'
+        message: 'Only recurring events have occurrences'
       });
     }
 
-    // Check if event is full (only for 'attending' status)
-    if (status === 'attending' && event.capacity && event.rsvpCount >= event.capacity) {
-      return res.status(400).json({
+    const occurrenceStart = parseOccurrence(req.params.occurrence);
+    if (!occurrenceStart || !isOccurrence(event, occurrenceStart, { includeCancelled: true })) {
+      return res.status(404).json({
         success: false,
-        message: 'Event is full'
+        message: 'Occurrence not found'
       });
     }
 
-    await event.addRSVP(userId, status);
-
-    res.json({
-      success: true,
-      message: 'RSVP updated successfully',
+    const existing = findOverride(event, occurrenceStart);
+    const override = existing ? existing.toObject() : { occurrence: occurrenceStart };
+
+    for (const field of OVERRIDE_FIELDS) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+
+      if (value === null || value === '') {
+        override[field] = null;
+      } else if (field === 'start' || field === 'end') {
+        override[field] = new Date(value);
+        if (isNaN(override[field].getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} date format`
+          });
+        }
+      } else if (typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be text`
+        });
+      } else {
+        override[field] = value.trim();
+      }
+    }
+
+    // Check the dates the occurrence ends up with
+    const hasChanges = OVERRIDE_FIELDS.some(field => override[field]);
+    const overrides = event.overrides.filter(candidate => candidate.occurrence.getTime() !== occurrenceStart.getTime());
+    const result = buildOccurrence({ ...event.toObject(), overrides: hasChanges ? [override] : [] }, occurrenceStart);
+    if (result.end && result.end <= result.start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    event.overrides = hasChanges ? [...overrides, override] : overrides;
+
+    const wasCancelled = isException(event, occurrenceStart);
+    if (cancelled !== undefined) {
+      event.exceptionDates = event.exceptionDates.filter(date => date.getTime() !== occurrenceStart.getTime());
+      if (cancelled === true || cancelled === 'true') {
+        event.exceptionDates.push(occurrenceStart);
+      }
+    }
+
+    await event.save();
+
+    if (!wasCancelled && isException(event, occurrenceStart)) {
+      await notifyEventCancelled(event, { occurrences: [occurrenceStart] });
+    }
+
+    const saved = event.toObject();
+    res.json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      data: {
+        ...formatOccurrence(saved, buildOccurrence(saved, occurrenceStart)),
+        cancelled: isException(saved, occurrenceStart)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating occurrence:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE cancel a single occurrence of a recurring event (admin only)
+router.delete('/:id/occurrences/:occurrence', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!isRecurringEvent(event)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only recurring events have occurrences'
+      });
+    }
+
+    const occurrenceStart = parseOccurrence(req.params.occurrence);
+    if (!occurrenceStart || !isOccurrence(event, occurrenceStart)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    event.exceptionDates.push(occurrenceStart);
+    await event.save();
+
+    const attendeesNotified = await notifyEventCancelled(event, { occurrences: [occurrenceStart] });
+
+    res.json({
+      success: true,
+      message: 'Occurrence cancelled successfully',
+      data: {
+        id,
+        occurrenceId: getOccurrenceId(event, occurrenceStart),
+        occurrenceStart,
+        attendeesNotified
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel occurrence',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST RSVP to event (authenticated users)
+// Recurring events take an RSVP per occurrence (occurrence: start or occurrence id)
+router.post('/:id/rsvp', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = 'attending' } = req.body;
+    const userId = req.user.id;
+
+    if (!['attending', 'maybe', 'not_attending'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid RSVP status'
+      });
+    }
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.requiresRSVP) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event does not require RSVP'
+      });
+    }
+
+    const { occurrence, error, status: errorStatus } = resolveRSVPOccurrence(event, req.body.occurrence);
+    if (error) {
+      return res.status(errorStatus).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Worked out again on a fresh copy when someone else took a seat in the meantime
+    const { event: saved, result } = await withEventRetry(event, async (current) => {
+      const previous = current.findRSVP(userId, occurrence);
+      const entry = findEntry(current, userId, occurrence);
+      const hasOffer = !!(entry && entry.status === 'offered');
+
+      // A full event puts the member on the waitlist (only for 'attending' status);
+      // a seat offered from the waitlist is theirs to take
+      if (status === 'attending' && !hasOffer && getFreeSeats(current, occurrence, userId) <= 0) {
+        const position = joinWaitlist(current, userId, occurrence);
+        await current.save();
+        return { waitlisted: true, position };
+      }
+
+      // Answering takes the member off the waitlist (taking or turning down an offer)
+      leaveWaitlist(current, userId, occurrence);
+      await current.addRSVP(userId, status, occurrence);
+      return { waitlisted: false, previous, hasOffer };
+    });
+
+    if (result.waitlisted) {
+      return res.status(202).json({
+        success: true,
+        message: 'Event is full. You have been added to the waitlist',
+        data: {
+          eventId: id,
+          occurrence,
+          status: 'waitlisted',
+          position: result.position,
+          rsvpCount: saved.countRSVPs(occurrence),
+          availableSpots: 0
+        }
+      });
+    }
+
+    // A seat given up passes to the next member waiting
+    const { previous, hasOffer } = result;
+    if (status !== 'attending' && ((previous && previous.status === 'attending') || hasOffer)) {
+      await promoteFromWaitlist(saved, occurrence);
+    }
+
+    const rsvpCount = saved.countRSVPs(occurrence);
+    const freeSeats = getFreeSeats(saved, occurrence);
+
+    res.json({
+      success: true,
+      message: 'RSVP updated successfully',
       data: {
         eventId: id,
+        occurrence,
         status,
-        rsvpCount: event.rsvpCount,
-        availableSpots: event.capacity ? event.capacity - event.rsvpCount : null
+        rsvpCount,
+        availableSpots: freeSeats === Infinity ? null : freeSeats,
+        // Shown as a QR code and scanned at check-in
+        ticket: status === 'attending' ? issueTicket(event._id, userId, occurrence) : null
       }
     });
 
   } catch (error) {
     console.error('Error updating RSVP:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update RSVP',
@@ -557,7 +1475,7 @@ router.post('/:id/rsvp', verifyToken, async (req, res) => {
   }
 });
 
-// DELETE RSVP from event (authenticated users)
+// DELETE RSVP from event (authenticated users; occurrence in the body or query for recurring events)
 router.delete('/:id/rsvp', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -572,20 +1490,54 @@ router.delete('/:id/rsvp', verifyToken, async (req, res) => {
       });
     }
 
-    await event.removeRSVP(userId);
+    const { occurrence, error, status } = resolveRSVPOccurrence(
+      event,
+      req.body?.occurrence || req.query.occurrence,
+      { includeCancelled: true }
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { event: saved, result: { previous, entry } } = await withEventRetry(event, async (current) => {
+      const previousRSVP = current.findRSVP(userId, occurrence);
+      const removedEntry = leaveWaitlist(current, userId, occurrence);
+      await current.removeRSVP(userId, occurrence);
+      return { previous: previousRSVP, entry: removedEntry };
+    });
+
+    // A seat given up passes to the next member waiting
+    if ((previous && previous.status === 'attending') || (entry && entry.status === 'offered')) {
+      await promoteFromWaitlist(saved, occurrence);
+    }
+
+    const rsvpCount = saved.countRSVPs(occurrence);
+    const freeSeats = getFreeSeats(saved, occurrence);
 
     res.json({
       success: true,
       message: 'RSVP removed successfully',
       data: {
         eventId: id,
-        rsvpCount: event.rsvpCount,
-        availableSpots: event.capacity ? event.capacity - event.rsvpCount : null
+        occurrence,
+        rsvpCount,
+        availableSpots: freeSeats === Infinity ? null : freeSeats
       }
     });
 
   } catch (error) {
     console.error('Error removing RSVP:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to remove RSVP',
@@ -594,8 +1546,783 @@ router.delete('/:id/rsvp', verifyToken, async (req, res) => {
   }
 });
 
+// GET the member's place on the waitlist (authenticated users)
+router.get('/:id/waitlist/position', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const entry = findEntry(event, req.user.id, occurrence);
+
+    res.json({
+      success: true,
+      message: entry ? 'Waitlist position retrieved successfully' : 'You are not on the waitlist',
+      data: {
+        eventId: id,
+        occurrence,
+        onWaitlist: !!entry,
+        status: entry ? entry.status : null,
+        position: getPosition(event, req.user.id, occurrence),
+        offerExpiresAt: entry ? entry.offerExpiresAt : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist position:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist position',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET an event's waitlist (admin only; occurrence in the query for recurring events)
+router.get('/:id/waitlist', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true })
+      .populate('waitlist.user', 'name phone');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const freeSeats = getFreeSeats(event, occurrence);
+
+    res.json({
+      success: true,
+      message: 'Waitlist retrieved successfully',
+      data: {
+        eventId: id,
+        occurrence,
+        capacity: event.capacity,
+        rsvpCount: event.countRSVPs(occurrence),
+        availableSpots: freeSeats === Infinity ? null : freeSeats,
+        waitlistEnabled: event.waitlistEnabled,
+        waitlistConfirmHours: event.waitlistConfirmHours,
+        waitlist: formatWaitlist(event, occurrence)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// PUT reorder an event's waitlist (admin only)
+// Body: { userIds: every waiting member in the new order, occurrence for recurring events }
+router.put('/:id/waitlist', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.body.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    reorderWaitlist(event, occurrence, req.body.userIds);
+    await event.save();
+    await event.populate('waitlist.user', 'name phone');
+
+    console.log(`🎟️ Waitlist of event ${id} reordered by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Waitlist reordered successfully',
+      data: {
+        eventId: id,
+        occurrence,
+        waitlist: formatWaitlist(event, occurrence)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error reordering waitlist:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE remove a member's RSVP or waitlist place (admin only; occurrence in the query for recurring events)
+router.delete('/:id/attendees/:userId', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { event: saved, result: { previous, entry } } = await withEventRetry(event, async (current) => {
+      const previousRSVP = current.findRSVP(userId, occurrence);
+      const removedEntry = leaveWaitlist(current, userId, occurrence);
+      if (previousRSVP || removedEntry) {
+        await current.removeRSVP(userId, occurrence);
+      }
+      return { previous: previousRSVP, entry: removedEntry };
+    });
+
+    if (!previous && !entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member has no RSVP or waitlist place for this event'
+      });
+    }
+
+    console.log(`🎟️ Member ${userId} removed from event ${id} by ${req.user.id}`);
+
+    // A freed seat passes to the next member waiting
+    let promotion = { promoted: [], offered: [] };
+    if ((previous && previous.status === 'attending') || (entry && entry.status === 'offered')) {
+      promotion = await promoteFromWaitlist(saved, occurrence);
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {
+        eventId: id,
+        occurrence,
+        userId,
+        rsvpCount: saved.countRSVPs(occurrence),
+        waitlistCount: getEntries(saved, occurrence).length,
+        promoted: promotion.promoted,
+        offered: promotion.offered
+      }
+    });
+
+  } catch (error) {
+    console.error('Error removing member from event:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET the member's ticket for an event they are attending (authenticated users)
+router.get('/:id/ticket', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rsvp = event.findRSVP(req.user.id, occurrence);
+    if (!rsvp || rsvp.status !== 'attending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tickets are only issued to members attending the event'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket retrieved successfully',
+      data: {
+        eventId: id,
+        occurrence,
+        ticket: issueTicket(event._id, req.user.id, occurrence)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ticket',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST check a member in (ushers)
+// Body: { ticket } from the QR code, or { phone, occurrence } to look the member up by hand
+router.post('/:id/check-in', verifyToken, requirePermission('events:check_in', 'events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ticket, phone } = req.body;
+
+    if (!ticket && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'A ticket or a phone number is required'
+      });
+    }
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    let userId;
+    let occurrence;
+    let method;
+
+    if (ticket) {
+      const scanned = verifyTicket(ticket);
+      if (scanned.eventId !== event._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ticket is for a different event'
+        });
+      }
+      if (isRecurringEvent(event) && !isOccurrence(event, scanned.occurrence)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This ticket is for an occurrence that no longer takes place'
+        });
+      }
+      userId = scanned.userId;
+      occurrence = isRecurringEvent(event) ? scanned.occurrence : null;
+      method = 'ticket';
+    } else {
+      const resolved = resolveRSVPOccurrence(event, req.body.occurrence);
+      if (resolved.error) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+
+      const member = await findMemberByPhone(phone);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'No member found with that phone number'
+        });
+      }
+      userId = member._id;
+      occurrence = resolved.occurrence;
+      method = 'manual';
+    }
+
+    const { attendance, member, rsvpStatus } = await checkIn(event, {
+      userId,
+      occurrence,
+      method,
+      checkedInBy: req.user.id
+    });
+
+    console.log(`✅ ${member.name} checked in at event ${id} by ${req.user.id} (${method})`);
+
+    res.status(201).json({
+      success: true,
+      message: `${member.name} checked in successfully`,
+      data: {
+        id: attendance._id,
+        eventId: id,
+        occurrence,
+        member: { id: member._id, name: member.name, phone: member.phone },
+        rsvpStatus,
+        method,
+        checkedInAt: attendance.checkedInAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking in:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.attendance && { data: { checkedInAt: error.attendance.checkedInAt } })
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET attendance vs RSVP report of an event (ushers and admins; occurrence in the query for recurring events)
+router.get('/:id/attendance', verifyToken, requirePermission('events:check_in', 'events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findById(id).lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const report = await getEventAttendanceReport(event, occurrence);
+
+    res.json({
+      success: true,
+      message: 'Attendance report retrieved successfully',
+      data: {
+        eventId: id,
+        title: event.title,
+        occurrence,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching attendance report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET volunteer roles of an event with their open slots (occurrence in the query for recurring events)
+router.get('/:id/volunteer-roles', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true }).select('-attendees -waitlist').lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Volunteer roles retrieved successfully',
+      data: {
+        eventId: id,
+        occurrence,
+        roles: formatRoles(event, occurrence, req.user?.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching volunteer roles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch volunteer roles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST add a volunteer role { name, description, requirements, slots } (admin only)
+router.post('/:id/volunteer-roles', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const role = addRole(event, req.body);
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Volunteer role added successfully',
+      data: {
+        id: role._id,
+        name: role.name,
+        description: role.description,
+        requirements: role.requirements,
+        slots: role.slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding volunteer role:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add volunteer role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// PUT change a volunteer role (admin only)
+router.put('/:id/volunteer-roles/:roleId', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const role = updateRole(event, roleId, req.body);
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Volunteer role updated successfully',
+      data: {
+        id: role._id,
+        name: role.name,
+        description: role.description,
+        requirements: role.requirements,
+        slots: role.slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating volunteer role:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update volunteer role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE a volunteer role and its sign-ups (admin only)
+router.delete('/:id/volunteer-roles/:roleId', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const role = findRole(event, roleId);
+    const volunteersRemoved = role.volunteers.length;
+    event.volunteerRoles.pull(role._id);
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Volunteer role deleted successfully',
+      data: { id: roleId, volunteersRemoved }
+    });
+
+  } catch (error) {
+    console.error('Error deleting volunteer role:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete volunteer role',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// POST sign up for a volunteer role (authenticated users; occurrence for recurring events)
+router.post('/:id/volunteer-roles/:roleId/signup', verifyToken, async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.body.occurrence);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { event: updated, role } = await signUp(event, roleId, req.user.id, occurrence);
+
+    res.status(201).json({
+      success: true,
+      message: `You are signed up as ${role.name}`,
+      data: {
+        eventId: id,
+        occurrence,
+        role: formatRoles(updated, occurrence, req.user.id).find(candidate => candidate.id.equals(role._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error signing up as volunteer:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign up',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// DELETE withdraw from a volunteer role (authenticated users; occurrence in the body or query for recurring events)
+router.delete('/:id/volunteer-roles/:roleId/signup', verifyToken, async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+
+    const event = await Event.findOne({ _id: id, isActive: true });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(
+      event,
+      (req.body && req.body.occurrence) || req.query.occurrence,
+      { includeCancelled: true }
+    );
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const role = withdraw(event, roleId, req.user.id, occurrence);
+    await event.save();
+
+    res.json({
+      success: true,
+      message: `You are no longer signed up as ${role.name}`,
+      data: {
+        eventId: id,
+        occurrence,
+        role: formatRoles(event, occurrence, req.user.id).find(candidate => candidate.id.equals(role._id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error withdrawing as volunteer:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET volunteer roster of an event (admin only; occurrence in the query for recurring events)
+// ?format=csv downloads it as a spreadsheet
+router.get('/:id/volunteers', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await Event.findById(id).select('-attendees -waitlist').lean();
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { occurrence, error, status } = resolveRSVPOccurrence(event, req.query.occurrence, { includeCancelled: true });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const roster = await getRoster(event, occurrence);
+
+    if (req.query.format === 'csv') {
+      const date = (occurrence || event.start).toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="volunteers-${id}-${date}.csv"`);
+      return res.send(buildRosterCsv(roster));
+    }
+
+    res.json({
+      success: true,
+      message: 'Volunteer roster retrieved successfully',
+      data: {
+        eventId: id,
+        title: event.title,
+        occurrence,
+        ...roster
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching volunteer roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch volunteer roster',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // GET event statistics (admin only)
-router.get('/admin/stats', verifyToken, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const stats = await Event.getStats();
 
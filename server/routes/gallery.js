@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Gallery = require('../models/Gallery');
 const { verifyToken, optionalAuth } = require('../../middlewares/auth');
-const { requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
 // GET all gallery items (public endpoint with optional auth)
 router.get('/', optionalAuth, async (req, res) => {
@@ -130,7 +130,7 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // POST new gallery item (admin only)
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const {
       title,
@@ -248,7 +248,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT update gallery item (admin only)
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -329,7 +329,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE gallery item (admin only)
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -460,7 +460,7 @@ router.get('/admin/categories', async (req, res) => {
 });
 
 // POST bulk upload (admin only)
-router.post('/bulk', verifyToken, async (req, res) => {
+router.post('/bulk', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const { items } = req.body;
 
@@ -565,7 +565,7 @@ router.post('/bulk', verifyToken, async (req, res) => {
 });
 
 // GET gallery statistics (admin only)
-router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const stats = await Gallery.getStats();
     
@@ -585,7 +585,7 @@ router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // POST toggle featured status (admin only)
-router.post('/:id/toggle-featured', verifyToken, async (req, res) => {
+router.post('/:id/toggle-featured', verifyToken, requirePermission('gallery:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
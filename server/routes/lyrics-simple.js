@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const { verifyToken } = require('../../middlewares/auth');
+const { requirePermission, hasPermission } = require('../../middlewares/permissions');
 
 // Simplified Song Schema for easier creation
 const simpleSongSchema = new mongoose.Schema({
@@ -164,7 +165,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/lyrics-simple/admin - Get all songs for admin (all statuses)
-router.get('/admin', verifyToken, async (req, res) => {
+router.get('/admin', verifyToken, requirePermission('songs:edit', 'songs:publish'), async (req, res) => {
   try {
     const {
       category,
@@ -224,7 +225,7 @@ router.get('/admin', verifyToken, async (req, res) => {
 });
 
 // GET /api/lyrics-simple/stats - Get statistics (MUST be before /:id route)
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', verifyToken, requirePermission('songs:edit', 'songs:publish'), async (req, res) => {
   try {
     const totalSongs = await SimpleSong.countDocuments();
     const publishedSongs = await SimpleSong.countDocuments({ status: 'published' });
@@ -267,7 +268,7 @@ router.get('/stats', verifyToken, async (req, res) => {
 });
 
 // POST /api/lyrics-simple/:id/publish - Publish song (MUST be before /:id route)
-router.post('/:id/publish', verifyToken, async (req, res) => {
+router.post('/:id/publish', verifyToken, requirePermission('songs:publish'), async (req, res) => {
   try {
     const song = await SimpleSong.findById(req.params.id);
 
@@ -332,7 +333,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/lyrics-simple - Create new song
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     const {
       title,
@@ -358,6 +359,16 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    // Editors without songs:publish can only save drafts
+    if (((status && status !== 'draft') || featured) && !hasPermission(req, 'songs:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish or feature songs',
+        code: 'PERMISSION_DENIED',
+        required: ['songs:publish']
+      });
+    }
+
     // Validate lyrics
     if (!lyrics || lyrics.length === 0) {
       return res.status(400).json({
@@ -440,7 +451,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT /api/lyrics-simple/:id - Update song
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     const song = await SimpleSong.findById(req.params.id);
 
@@ -467,6 +478,18 @@ router.put('/:id', verifyToken, async (req, res) => {
       featured
     } = req.body;
 
+    // Editors without songs:publish cannot change the status or featured flag
+    const changesPublishing = (status && status !== song.status) ||
+      (featured !== undefined && Boolean(featured) !== song.featured);
+    if (changesPublishing && !hasPermission(req, 'songs:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish or feature songs',
+        code: 'PERMISSION_DENIED',
+        required: ['songs:publish']
+      });
+    }
+
     // Update fields if provided
     if (title) song.title = title.trim();
     if (artist) song.artist = artist.trim();
@@ -531,7 +554,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE /api/lyrics-simple/:id - Delete song
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     const song = await SimpleSong.findById(req.params.id);
 
@@ -560,7 +583,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
 
 
 // TEST ENDPOINT - Create sample song for debugging (remove in production)
-router.post('/test/create-sample', verifyToken, async (req, res) => {
+router.post('/test/create-sample', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     console.log('🧪 Creating sample song for testing...');
 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Song = require('../models/Song');
 const { verifyToken } = require('../../middlewares/auth');
+const { requirePermission, hasPermission } = require('../../middlewares/permissions');
 
 // GET /api/lyrics - Get all published songs with optional filtering
 router.get('/', async (req, res) => {
@@ -130,7 +131,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/lyrics - Create new song (Admin only)
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -153,6 +154,16 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    // Editors without songs:publish can only save drafts or submit songs for review
+    if ((['published', 'archived'].includes(songData.status) || songData.featured) && !hasPermission(req, 'songs:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish or feature songs',
+        code: 'PERMISSION_DENIED',
+        required: ['songs:publish']
+      });
+    }
+
     // Check for duplicate songs
     const existingSong = await Song.findOne({
       title: { $regex: new RegExp(`^${songData.title}$`, 'i') },
@@ -189,7 +200,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT /api/lyrics/:id - Update song (Admin only)
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -208,6 +219,20 @@ router.put('/:id', verifyToken, async (req, res) => {
       });
     }
 
+    // Editors without songs:publish cannot change the status or featured flag
+    const publishedStatuses = ['published', 'archived'];
+    const changesPublishing = (req.body.status !== undefined && req.body.status !== song.status &&
+        (publishedStatuses.includes(req.body.status) || publishedStatuses.includes(song.status))) ||
+      (req.body.featured !== undefined && Boolean(req.body.featured) !== song.featured);
+    if (changesPublishing && !hasPermission(req, 'songs:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish or feature songs',
+        code: 'PERMISSION_DENIED',
+        required: ['songs:publish']
+      });
+    }
+
     // Update song data
     Object.assign(song, req.body);
     song.updatedBy = req.user.id;
@@ -235,7 +260,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE /api/lyrics/:id - Delete song (Admin only)
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -274,7 +299,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
 });
 
 // POST /api/lyrics/:id/publish - Publish song (Admin only)
-router.post('/:id/publish', verifyToken, async (req, res) => {
+router.post('/:id/publish', verifyToken, requirePermission('songs:publish'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -315,7 +340,7 @@ router.post('/:id/publish', verifyToken, async (req, res) => {
 });
 
 // POST /api/lyrics/:id/archive - Archive song (Admin only)
-router.post('/:id/archive', verifyToken, async (req, res) => {
+router.post('/:id/archive', verifyToken, requirePermission('songs:publish'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -589,7 +614,7 @@ router.get('/recent', async (req, res) => {
 });
 
 // GET /api/lyrics/stats - Get song statistics (Admin only)
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', verifyToken, requirePermission('songs:edit', 'songs:publish'), async (req, res) => {
   try {
     const stats = await Song.getStats();
 
@@ -608,7 +633,7 @@ router.get('/stats', verifyToken, async (req, res) => {
 });
 
 // POST /api/lyrics/:id/chords - Upload chord chart (Admin only)
-router.post('/:id/chords', verifyToken, async (req, res) => {
+router.post('/:id/chords', verifyToken, requirePermission('songs:edit'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -653,7 +678,7 @@ router.post('/:id/chords', verifyToken, async (req, res) => {
 });
 
 // GET /api/lyrics/admin - Get all songs for admin (Admin only)
-router.get('/admin', verifyToken, async (req, res) => {
+router.get('/admin', verifyToken, requirePermission('songs:edit', 'songs:publish'), async (req, res) => {
   try {
     const {
       status,
@@ -1,74 +1,41 @@
 const express = require('express');
 const router = express.Router();
+const Meditation = require('../models/Meditation');
 const { verifyToken } = require('../../middlewares/auth');
-
-// Mock data storage (in a real app, this would be a database)
-let meditations = [
-  {
-    id: 1,
-    week: "2025-W02",
-    scripture: "Psalm 46:10 - Be still, and know that I am God.",
-    reflection: "This verse calls us to pause and trust in God's sovereignty, even in the chaos of life. This week, take a moment each day to find stillness and reflect on His presence in your life.",
-    prayer: "Heavenly Father, teach me to be still in Your presence and to trust You in all circumstances. Help me rest in the knowledge that You are in control. Amen.",
-    isActive: true,
-    scheduled: false,
-    publishDate: "2025-01-06T06:00:00.000Z",
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  },
-  {
-    id: 2,
-    week: "2025-W03",
-    scripture: "Isaiah 41:10 - Fear not, for I am with you; be not dismayed, for I am your God.",
-    reflection: "God promises to be with us in every situation. This week, meditate on His constant presence and let His assurance dispel any fear or worry.",
-    prayer: "Lord, thank You for always being by my side. Strengthen me with Your presence and remind me that I am never alone. Amen.",
-    isActive: true,
-    scheduled: false,
-    publishDate: "2025-01-13T06:00:00.000Z",
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  }
-];
+const { requirePermission } = require('../../middlewares/permissions');
 
 // Helper function to get current week
-const getCurrentWeek = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const week = getWeekNumber(now);
-  return `${year}-W${String(week).padStart(2, '0')}`;
-};
+const getCurrentWeek = () => Meditation.getWeekKey(new Date());
 
-const getWeekNumber = (date) => {
-  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+// Helper to derive the status for a meditation from its schedule
+const resolveStatus = (scheduled, publishDate) => {
+  if (scheduled && publishDate && new Date(publishDate) > new Date()) {
+    return 'scheduled';
+  }
+  return 'published';
 };
 
-
 // Root endpoint - Get all meditations (public, limited info)
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
     const { limit = 10, status = 'active' } = req.query;
 
-    let filteredMeditations = [...meditations];
-
     // Filter by status for public endpoint
-    if (status === 'active') {
-      filteredMeditations = filteredMeditations.filter(m => m.isActive);
-    }
+    const query = status === 'active' ? Meditation.visibleFilter() : {};
 
     // Sort by week descending (most recent first)
-    filteredMeditations.sort((a, b) => b.week.localeCompare(a.week));
-
-    // Limit results
-    const limitedMeditations = filteredMeditations.slice(0, parseInt(limit));
+    const [meditations, total] = await Promise.all([
+      Meditation.find(query)
+        .sort({ week: -1 })
+        .limit(parseInt(limit))
+        .lean(),
+      Meditation.countDocuments(query)
+    ]);
 
     res.json({
       success: true,
-      data: limitedMeditations,
-      total: filteredMeditations.length
+      data: meditations,
+      total
     });
   } catch (error) {
     console.error('Error fetching meditations:', error);
@@ -80,16 +47,18 @@ router.get('/', (req, res) => {
 });
 
 // Public endpoint - Get current week's meditation
-router.get('/weekly', (req, res) => {
+router.get('/weekly', async (req, res) => {
   try {
     const currentWeek = getCurrentWeek();
-    let meditation = meditations.find(m => m.week === currentWeek && m.isActive);
+    const visible = Meditation.visibleFilter();
+
+    let meditation = await Meditation.findOne({ ...visible, week: currentWeek }).lean();
 
     if (!meditation) {
       // Find the most recent active meditation
-      meditation = meditations
-        .filter(m => m.isActive && m.week < currentWeek)
-        .sort((a, b) => b.week.localeCompare(a.week))[0];
+      meditation = await Meditation.findOne({ ...visible, week: { $lt: currentWeek } })
+        .sort({ week: -1 })
+        .lean();
 
       if (!meditation) {
         return res.status(404).json({ 
@@ -115,48 +84,42 @@ router.get('/weekly', (req, res) => {
 // Admin endpoints
 
 // Get all meditations (admin only)
-router.get('/admin', verifyToken, (req, res) => {
+router.get('/admin', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = 'all', sortBy = 'week', order = 'desc' } = req.query;
     
-    let filteredMeditations = [...meditations];
-    
     // Filter by status
-    if (status !== 'all') {
-      filteredMeditations = filteredMeditations.filter(m => {
-        if (status === 'active') return m.isActive;
-        if (status === 'inactive') return !m.isActive;
-        if (status === 'scheduled') return m.scheduled;
-        return true;
-      });
-    }
+    const query = {};
+    if (status === 'active') query.isActive = true;
+    if (status === 'inactive') query.isActive = false;
+    if (status === 'scheduled') query.status = 'scheduled';
     
     // Sort meditations
-    filteredMeditations.sort((a, b) => {
-      let comparison = 0;
-      if (sortBy === 'week') {
-        comparison = a.week.localeCompare(b.week);
-      } else if (sortBy === 'createdAt') {
-        comparison = new Date(a.createdAt) - new Date(b.createdAt);
-      } else if (sortBy === 'updatedAt') {
-        comparison = new Date(a.updatedAt) - new Date(b.updatedAt);
-      }
-      return order === 'desc' ? -comparison : comparison;
-    });
+    const sortField = ['week', 'createdAt', 'updatedAt'].includes(sortBy) ? sortBy : 'week';
+    const sortObj = { [sortField]: order === 'desc' ? -1 : 1 };
     
     // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedMeditations = filteredMeditations.slice(startIndex, endIndex);
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.max(1, parseInt(limit));
+
+    const [meditations, totalItems] = await Promise.all([
+      Meditation.find(query)
+        .sort(sortObj)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('author', 'name')
+        .lean(),
+      Meditation.countDocuments(query)
+    ]);
     
     res.json({
       success: true,
-      data: paginatedMeditations,
+      data: meditations,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(filteredMeditations.length / limit),
-        totalItems: filteredMeditations.length,
-        itemsPerPage: parseInt(limit)
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalItems / limitNum),
+        totalItems,
+        itemsPerPage: limitNum
       }
     });
   } catch (error) {
@@ -169,13 +132,21 @@ router.get('/admin', verifyToken, (req, res) => {
 });
 
 // Get meditation statistics (admin only)
-router.get('/admin/stats', verifyToken, (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     const currentWeek = getCurrentWeek();
-    const total = meditations.length;
-    const active = meditations.filter(m => m.isActive).length;
-    const scheduled = meditations.filter(m => m.scheduled).length;
-    const currentMeditation = meditations.find(m => m.week === currentWeek);
+
+    const [total, active, scheduled, currentMeditation, recent] = await Promise.all([
+      Meditation.countDocuments(),
+      Meditation.countDocuments({ isActive: true }),
+      Meditation.countDocuments({ status: 'scheduled' }),
+      Meditation.exists({ week: currentWeek }),
+      Meditation.find()
+        .sort({ updatedAt: -1 })
+        .limit(5)
+        .select('id week scripture updatedAt isActive')
+        .lean()
+    ]);
     
     res.json({
       success: true,
@@ -188,16 +159,13 @@ router.get('/admin/stats', verifyToken, (req, res) => {
           currentWeek,
           hasCurrentWeek: !!currentMeditation
         },
-        recentActivity: meditations
-          .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-          .slice(0, 5)
-          .map(m => ({
-            id: m.id,
-            week: m.week,
-            scripture: m.scripture.substring(0, 50) + '...',
-            updatedAt: m.updatedAt,
-            isActive: m.isActive
-          }))
+        recentActivity: recent.map(m => ({
+          id: m.id,
+          week: m.week,
+          scripture: m.scripture.substring(0, 50) + '...',
+          updatedAt: m.updatedAt,
+          isActive: m.isActive
+        }))
       }
     });
   } catch (error) {
@@ -210,7 +178,7 @@ router.get('/admin/stats', verifyToken, (req, res) => {
 });
 
 // Create new meditation (admin only)
-router.post('/', verifyToken, (req, res) => {
+router.post('/', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -229,9 +197,16 @@ router.post('/', verifyToken, (req, res) => {
         message: 'Missing required fields: week, scripture, reflection, prayer'
       });
     }
+
+    if (!Meditation.isValidWeek(week)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Week must be an ISO week such as 2025-W02'
+      });
+    }
     
     // Check if meditation for this week already exists
-    const existingMeditation = meditations.find(m => m.week === week);
+    const existingMeditation = await Meditation.exists({ week: week.trim() });
     if (existingMeditation) {
       return res.status(409).json({
         success: false,
@@ -239,31 +214,52 @@ router.post('/', verifyToken, (req, res) => {
       });
     }
     
-    // Generate new ID
-    const newId = Math.max(...meditations.map(m => m.id), 0) + 1;
-    
-    const newMeditation = {
-      id: newId,
-      week,
+    const resolvedPublishDate = publishDate ? new Date(publishDate) : new Date();
+
+    const meditation = new Meditation({
+      id: await Meditation.nextNumericId(),
+      week: week.trim(),
       scripture,
       reflection,
       prayer,
       isActive,
       scheduled,
-      publishDate: publishDate || new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+      status: resolveStatus(scheduled, resolvedPublishDate),
+      publishDate: resolvedPublishDate,
+      author: req.user.id
+    });
     
-    meditations.push(newMeditation);
+    const savedMeditation = await meditation.save();
+
+    console.log(`✅ Meditation created for week ${savedMeditation.week} (ID: ${savedMeditation.id})`);
     
     res.status(201).json({
       success: true,
       message: 'Meditation created successfully',
-      data: newMeditation
+      data: savedMeditation
     });
   } catch (error) {
     console.error('Error creating meditation:', error);
+
+    // Handle duplicate week / id races
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: error.keyPattern?.week
+          ? `Meditation for week ${req.body.week} already exists`
+          : 'Meditation could not be created, please try again'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to create meditation'
@@ -272,10 +268,10 @@ router.post('/', verifyToken, (req, res) => {
 });
 
 // Get specific meditation by ID (admin only)
-router.get('/:id', verifyToken, (req, res) => {
+router.get('/:id', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const meditation = meditations.find(m => m.id === parseInt(id));
+    const meditation = await Meditation.findByIdentifier(id);
     
     if (!meditation) {
       return res.status(404).json({
@@ -298,7 +294,7 @@ router.get('/:id', verifyToken, (req, res) => {
 });
 
 // Update meditation (admin only)
-router.put('/:id', verifyToken, (req, res) => {
+router.put('/:id', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -311,9 +307,9 @@ router.put('/:id', verifyToken, (req, res) => {
     const { id } = req.params;
     const { week, scripture, reflection, prayer, isActive, scheduled, publishDate } = req.body;
     
-    const meditationIndex = meditations.findIndex(m => m.id === parseInt(id));
+    const meditation = await Meditation.findByIdentifier(id);
     
-    if (meditationIndex === -1) {
+    if (!meditation) {
       return res.status(404).json({
         success: false,
         message: 'Meditation not found'
@@ -321,8 +317,15 @@ router.put('/:id', verifyToken, (req, res) => {
     }
     
     // Check if changing week conflicts with another meditation
-    if (week && week !== meditations[meditationIndex].week) {
-      const existingMeditation = meditations.find(m => m.week === week && m.id !== parseInt(id));
+    if (week && week !== meditation.week) {
+      if (!Meditation.isValidWeek(week)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Week must be an ISO week such as 2025-W02'
+        });
+      }
+
+      const existingMeditation = await Meditation.exists({ week: week.trim(), _id: { $ne: meditation._id } });
       if (existingMeditation) {
         return res.status(409).json({
           success: false,
@@ -332,19 +335,16 @@ router.put('/:id', verifyToken, (req, res) => {
     }
     
     // Update meditation
-    const updatedMeditation = {
-      ...meditations[meditationIndex],
-      ...(week && { week }),
-      ...(scripture && { scripture }),
-      ...(reflection && { reflection }),
-      ...(prayer && { prayer }),
-      ...(isActive !== undefined && { isActive }),
-      ...(scheduled !== undefined && { scheduled }),
-      ...(publishDate && { publishDate }),
-      updatedAt: new Date().toISOString()
-    };
+    if (week) meditation.week = week.trim();
+    if (scripture) meditation.scripture = scripture;
+    if (reflection) meditation.reflection = reflection;
+    if (prayer) meditation.prayer = prayer;
+    if (isActive !== undefined) meditation.isActive = isActive;
+    if (scheduled !== undefined) meditation.scheduled = scheduled;
+    if (publishDate) meditation.publishDate = new Date(publishDate);
+    meditation.updatedBy = req.user.id;
     
-    meditations[meditationIndex] = updatedMeditation;
+    const updatedMeditation = await meditation.save();
     
     res.json({
       success: true,
@@ -353,6 +353,23 @@ router.put('/:id', verifyToken, (req, res) => {
     });
   } catch (error) {
     console.error('Error updating meditation:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Another meditation for week ${req.body.week} already exists`
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validationErrors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update meditation'
@@ -361,7 +378,7 @@ router.put('/:id', verifyToken, (req, res) => {
 });
 
 // Delete meditation (admin only)
-router.delete('/:id', verifyToken, (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -372,16 +389,18 @@ router.delete('/:id', verifyToken, (req, res) => {
     }
 
     const { id } = req.params;
-    const meditationIndex = meditations.findIndex(m => m.id === parseInt(id));
+    const meditation = await Meditation.findByIdentifier(id);
     
-    if (meditationIndex === -1) {
+    if (!meditation) {
       return res.status(404).json({
         success: false,
         message: 'Meditation not found'
       });
     }
     
-    const deletedMeditation = meditations.splice(meditationIndex, 1)[0];
+    const deletedMeditation = await Meditation.findByIdAndDelete(meditation._id);
+
+    console.log(`🗑️ Meditation deleted: week ${deletedMeditation.week} (ID: ${deletedMeditation.id})`);
     
     res.json({
       success: true,
@@ -398,7 +417,7 @@ router.delete('/:id', verifyToken, (req, res) => {
 });
 
 // Schedule meditation for specific week (admin only)
-router.post('/:id/schedule', verifyToken, (req, res) => {
+router.post('/:id/schedule', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -411,29 +430,39 @@ router.post('/:id/schedule', verifyToken, (req, res) => {
     const { id } = req.params;
     const { publishDate, reminderSettings, weeklyRecurrence } = req.body;
     
-    const meditationIndex = meditations.findIndex(m => m.id === parseInt(id));
+    const meditation = await Meditation.findByIdentifier(id);
     
-    if (meditationIndex === -1) {
+    if (!meditation) {
       return res.status(404).json({
         success: false,
         message: 'Meditation not found'
       });
     }
+
+    const resolvedPublishDate = publishDate ? new Date(publishDate) : new Date();
+    if (isNaN(resolvedPublishDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid publish date format'
+      });
+    }
     
     // Update meditation with schedule information
-    meditations[meditationIndex] = {
-      ...meditations[meditationIndex],
-      scheduled: true,
-      publishDate: publishDate || new Date().toISOString(),
-      reminderSettings,
-      weeklyRecurrence,
-      updatedAt: new Date().toISOString()
-    };
+    meditation.scheduled = true;
+    meditation.publishDate = resolvedPublishDate;
+    meditation.status = resolveStatus(true, resolvedPublishDate);
+    meditation.reminderSettings = reminderSettings;
+    meditation.weeklyRecurrence = weeklyRecurrence;
+    meditation.updatedBy = req.user.id;
+
+    const scheduledMeditation = await meditation.save();
+
+    console.log(`⏰ Meditation for week ${scheduledMeditation.week} scheduled for ${resolvedPublishDate.toISOString()}`);
     
     res.json({
       success: true,
       message: 'Meditation scheduled successfully',
-      data: meditations[meditationIndex]
+      data: scheduledMeditation
     });
   } catch (error) {
     console.error('Error scheduling meditation:', error);
@@ -445,7 +474,7 @@ router.post('/:id/schedule', verifyToken, (req, res) => {
 });
 
 // Get meditation templates (admin only)
-router.get('/admin/templates', verifyToken, (req, res) => {
+router.get('/admin/templates', verifyToken, requirePermission('meditations:manage'), (req, res) => {
   try {
     const templates = [
       {
@@ -491,7 +520,7 @@ router.get('/admin/templates', verifyToken, (req, res) => {
 });
 
 // Bulk operations (admin only)
-router.post('/admin/bulk', verifyToken, (req, res) => {
+router.post('/admin/bulk', verifyToken, requirePermission('meditations:manage'), async (req, res) => {
   try {
     // Validate user authentication
     if (!req.user || !req.user.id) {
@@ -509,58 +538,35 @@ router.post('/admin/bulk', verifyToken, (req, res) => {
         message: 'Missing required fields: action, meditationIds'
       });
     }
+
+    if (!['activate', 'deactivate', 'delete'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Supported actions: activate, deactivate, delete'
+      });
+    }
     
-    let updatedCount = 0;
-    const results = [];
-    
-    switch (action) {
-      case 'activate':
-        meditationIds.forEach(id => {
-          const index = meditations.findIndex(m => m.id === parseInt(id));
-          if (index !== -1) {
-            meditations[index].isActive = true;
-            meditations[index].updatedAt = new Date().toISOString();
-            updatedCount++;
-            results.push(meditations[index]);
-          }
-        });
-        break;
-        
-      case 'deactivate':
-        meditationIds.forEach(id => {
-          const index = meditations.findIndex(m => m.id === parseInt(id));
-          if (index !== -1) {
-            meditations[index].isActive = false;
-            meditations[index].updatedAt = new Date().toISOString();
-            updatedCount++;
-            results.push(meditations[index]);
-          }
-        });
-        break;
-        
-      case 'delete':
-        meditationIds.forEach(id => {
-          const index = meditations.findIndex(m => m.id === parseInt(id));
-          if (index !== -1) {
-            const deleted = meditations.splice(index, 1)[0];
-            updatedCount++;
-            results.push(deleted);
-          }
-        });
-        break;
-        
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid action. Supported actions: activate, deactivate, delete'
-        });
+    const query = Meditation.identifierQuery(meditationIds);
+    let results;
+
+    if (action === 'delete') {
+      results = await Meditation.find(query).lean();
+      await Meditation.deleteMany(query);
+    } else {
+      await Meditation.updateMany(query, {
+        isActive: action === 'activate',
+        updatedBy: req.user.id
+      });
+      results = await Meditation.find(query).lean();
     }
+
+    console.log(`📋 Bulk meditation ${action} completed: ${results.length} meditations affected`);
     
     res.json({
       success: true,
       message: `Bulk ${action} completed successfully`,
       data: {
-        updatedCount,
+        updatedCount: results.length,
         results
       }
     });
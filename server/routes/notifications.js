@@ -1,37 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-
-// Notification Schema (if not already defined elsewhere)
-const notificationSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  title: { type: String, required: true },
-  message: { type: String, required: true },
-  type: {
-    type: String,
-    enum: ["announcement", "prayer", "service", "event", "reminder", "welcome", "general"],
-    default: "general",
-  },
-  data: { type: mongoose.Schema.Types.Mixed, default: {} },
-  read: { type: Boolean, default: false },
-  readAt: { type: Date, default: null },
-  receivedAt: { type: Date, default: Date.now },
-  createdAt: { type: Date, default: Date.now },
-});
 
-notificationSchema.index({ userId: 1, createdAt: -1 });
-notificationSchema.index({ userId: 1, read: 1 });
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const AudienceSegment = require('../models/AudienceSegment');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const User = require('../models/User');
+const Broadcast = require('../models/Broadcast');
+const { previewNotification } = require('../../utils/notificationService');
+const { normalizeCriteria, hasCriteria, resolveAudience } = require('../../utils/audienceSegments');
+const { createBroadcast, processBroadcast, buildReport } = require('../../utils/notificationOutbox');
+const {
+  TEMPLATE_VARIABLES,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  previewTemplate
+} = require('../../utils/notificationTemplates');
 
-// Try to get existing model or create new one
-let Notification;
-try {
-  Notification = mongoose.model("Notification");
-} catch (error) {
-  Notification = mongoose.model("Notification", notificationSchema);
-}
+// How far back a received push is matched against inbox entries with the same title and message
+const RECEIVED_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
 
 // Import authentication middleware
-const { verifyToken, requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { verifyToken } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
 // GET /notifications - Get user notifications
 router.get('/', verifyToken, async (req, res) => {
@@ -41,24 +35,10 @@ router.get('/', verifyToken, async (req, res) => {
     const skip = parseInt(req.query.skip) || 0;
     const unreadOnly = req.query.unread === 'true';
 
-    // Build query
-    const query = { userId };
-    if (unreadOnly) {
-      query.read = false;
-    }
-
-    // Get notifications for the user
-    const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .lean();
-
-    // Get counts
-    const totalCount = await Notification.countDocuments({ userId });
-    const unreadCount = await Notification.countDocuments({
-      userId,
-      read: false,
+    const { notifications, total: totalCount, unread: unreadCount } = await Notification.getInbox(userId, {
+      limit,
+      skip,
+      unreadOnly
     });
 
     console.log(`📱 Retrieved ${notifications.length} notifications for user ${userId}`);
@@ -90,12 +70,33 @@ router.post('/received', verifyToken, async (req, res) => {
     const { notificationId, title, message, type } = req.body;
     const userId = req.user.id;
 
-    // Store the notification in database
+    // Pushes sent through the notification service are already in the inbox
+    const existing = notificationId && mongoose.Types.ObjectId.isValid(notificationId)
+      ? await Notification.findOne({ _id: notificationId, userId })
+      : await Notification.findOne({
+          userId,
+          title: title || "New Notification",
+          message: message || "",
+          createdAt: { $gte: new Date(Date.now() - RECEIVED_MATCH_WINDOW_MS) }
+        }).sort({ createdAt: -1 });
+
+    if (existing) {
+      existing.receivedAt = new Date();
+      await existing.save();
+
+      return res.json({
+        success: true,
+        message: "Notification already stored",
+        notificationId: existing._id,
+      });
+    }
+
+    // Store pushes that did not come through the service (e.g. sent from the Firebase console)
     const notification = new Notification({
       userId,
       title: title || "New Notification",
       message: message || "",
-      type: type || "general",
+      type: Notification.TYPES.includes(type) ? type : "general",
       data: req.body.data || {},
       receivedAt: new Date(),
     });
@@ -155,16 +156,57 @@ router.patch('/:notificationId/read', verifyToken, async (req, res) => {
   }
 });
 
+// PATCH /notifications/:notificationId/opened - Record that the member opened the push or inbox entry
+router.patch('/:notificationId/opened', verifyToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user.id;
+
+    const notification = await Notification.findOne({ _id: notificationId, userId });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    // Keep the first time it was opened
+    if (!notification.openedAt) {
+      notification.openedAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as opened",
+      openedAt: notification.openedAt,
+    });
+  } catch (err) {
+    console.error("❌ Error marking notification as opened:", err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID format",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as opened",
+      error: err.message,
+    });
+  }
+});
+
 // POST /notifications/clear - Clear (mark all as read) notifications
 router.post('/clear', verifyToken, async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Mark all notifications as read for the user
-    const result = await Notification.updateMany(
-      { userId, read: false },
-      { read: true, readAt: new Date() }
-    );
+    const result = await Notification.markAllRead(userId);
 
     console.log(`✅ Cleared ${result.modifiedCount} notifications for user ${userId}`);
 
@@ -184,112 +226,301 @@ router.post('/clear', verifyToken, async (req, res) => {
 });
 
 // POST /notifications/send - Admin route to send notifications to users
-router.post('/send', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/send', verifyToken, requirePermission('notifications:send'), async (req, res) => {
   try {
-    // Import Firebase utility
-    const { sendPushNotifications, sendToAllUsers } = require('../../utils/firebaseUtils');
-
     // Support both frontend formats
     const {
       title,
       message,
       body, // frontend sends 'body' instead of 'message'
-      type = 'general',
+      type: requestedType,
       userIds,
       targetUsers, // frontend sends 'targetUsers' instead of 'userIds'
       priority = 'normal',
+      urgent = false, // must be explicitly true to push during members' quiet hours
+      segment, // audience segment definition (see utils/audienceSegments.js)
+      segmentId, // saved segment id or name
+      dryRun = false, // only count the recipients
+      sendAt, // optional ISO date to schedule the broadcast
+      template: templateKey, // notification template key, instead of title and message
+      variables = {}, // values for the template's placeholders
       data = {}
     } = req.body;
 
     // Use body as message if message is not provided (for frontend compatibility)
     const messageText = message || body;
 
-    if (!title || !messageText) {
+    const template = templateKey ? await getTemplate(templateKey) : null;
+    if (templateKey && !template) {
+      return res.status(404).json({
+        success: false,
+        message: `Notification template not found: ${templateKey}`
+      });
+    }
+
+    if (template && (title || messageText)) {
       return res.status(400).json({
         success: false,
-        message: "Title and message/body are required"
+        message: "Send either a template or a title and message, not both"
       });
     }
 
-    // Handle both userIds and targetUsers, or send to all users if neither specified
-    let targetUserIds = userIds || targetUsers;
-    let sendToAll = false;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+        Object.values(variables).some(value => typeof value !== 'string' && typeof value !== 'number')) {
+      return res.status(400).json({
+        success: false,
+        message: "variables must be an object of text values"
+      });
+    }
 
-    if (!targetUserIds || !Array.isArray(targetUserIds) || targetUserIds.length === 0) {
-      sendToAll = true;
-      // Get all users with FCM tokens for database storage
-      const User = require('../models/User');
-      const allUsers = await User.find({
-        fcmToken: { $ne: null, $exists: true },
-        isActive: { $ne: false }
-      }).select('_id');
+    const type = requestedType || (template ? template.type : 'general');
 
-      targetUserIds = allUsers.map(user => user._id.toString());
+    if (!Notification.TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid type. Must be one of: " + Notification.TYPES.join(', ')
+      });
+    }
 
-      if (targetUserIds.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: "No users found with notification tokens"
-        });
-      }
+    if (typeof urgent !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "urgent must be true or false"
+      });
     }
 
-    // Prepare notification data for FCM
-    const notificationData = {
-      type,
-      priority,
-      timestamp: new Date().toISOString(),
-      ...data
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "dryRun must be true or false"
+      });
+    }
+
+    // Handle both userIds and targetUsers, a segment, or send to all members if none specified
+    const targetUserIds = userIds || targetUsers;
+    const hasUserIds = Array.isArray(targetUserIds) && targetUserIds.length > 0;
+    const useSegment = !!segmentId || (segment !== undefined && segment !== null);
+
+    if (hasUserIds && !targetUserIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+
+    const sendAtDate = sendAt ? new Date(sendAt) : null;
+    if (sendAtDate && isNaN(sendAtDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "sendAt must be a valid date"
+      });
+    }
+
+    if (hasUserIds && useSegment) {
+      return res.status(400).json({
+        success: false,
+        message: "Send either userIds or a segment, not both"
+      });
+    }
+
+    const audience = useSegment
+      ? await resolveAudience({ segment: segment || {}, segmentId })
+      : null;
+    const recipientIds = audience ? audience.userIds : targetUserIds;
+    const sendToAll = !hasUserIds && !useSegment;
+    const audienceDetails = {
+      audience: sendToAll ? 'all' : useSegment ? 'segment' : 'users',
+      segmentId: audience && audience.savedSegment ? audience.savedSegment._id : null,
+      segmentName: audience && audience.savedSegment ? audience.savedSegment.name : null,
+      criteria: audience ? audience.criteria : null
     };
 
-    // Send FCM push notifications
-    let fcmResult;
-    if (sendToAll) {
-      fcmResult = await sendToAllUsers(title, messageText, notificationData);
-    } else {
-      fcmResult = await sendPushNotifications(targetUserIds, title, messageText, notificationData);
+    if (dryRun) {
+      const preview = await previewNotification(
+        sendToAll ? (await resolveAudience()).userIds : recipientIds,
+        { type, urgent }
+      );
+
+      return res.json({
+        ...(template && { template: { key: template.key, ...previewTemplate(template, variables) } }),
+        success: true,
+        dryRun: true,
+        message: `Would notify ${preview.recipients} member(s)` +
+          (preview.optedOut > 0 ? `, ${preview.optedOut} opted out` : '') +
+          (preview.deferred > 0 ? `, ${preview.deferred} push(es) held for quiet hours` : '') +
+          (preview.emails > 0 ? `, ${preview.emails} by email` : ''),
+        ...audienceDetails,
+        recipientCount: preview.recipients,
+        optedOut: preview.optedOut,
+        pushDeferred: preview.deferred,
+        emailCount: preview.emails
+      });
     }
 
-    // Create notifications in database (for notification history)
-    const notifications = targetUserIds.map(userId => ({
-      userId,
-      title,
-      message: messageText,
+    if (!template && (!title || !messageText)) {
+      return res.status(400).json({
+        success: false,
+        message: "Title and message/body (or a template) are required"
+      });
+    }
+
+    // The broadcast history shows the English text; {{name}} and the like are filled in per member
+    const text = template
+      ? renderTemplate(template, { variables, keepMissing: true })
+      : { title, message: messageText };
+
+    // Every broadcast goes through the outbox so failed sends can be retried
+    const broadcast = await createBroadcast({
+      title: text.title,
+      message: text.message,
+      template: template ? { key: template.key, variants: template.variants, variables } : null,
       type,
-      data: notificationData,
-      createdAt: new Date(),
-      receivedAt: new Date()
-    }));
+      urgent,
+      data: {
+        priority,
+        ...data
+      },
+      audience: {
+        type: audienceDetails.audience,
+        userIds: hasUserIds ? targetUserIds : [],
+        segment: useSegment ? segment || null : null,
+        segmentId: useSegment ? segmentId || (segment && segment.segmentId) || null : null,
+        segmentName: audienceDetails.segmentName
+      },
+      sendAt: sendAtDate,
+      createdBy: req.user.id
+    });
+
+    if (broadcast.status === 'scheduled') {
+      await AuditLog.record('notification.scheduled', {
+        req,
+        targetType: 'Broadcast',
+        targetId: broadcast._id,
+        details: {
+          title: text.title,
+          template: templateKey || null,
+          type,
+          urgent,
+          ...audienceDetails,
+          sendAt: broadcast.sendAt,
+          recipientsNow: recipientIds ? recipientIds.length : null
+        }
+      });
 
-    const createdNotifications = await Notification.insertMany(notifications);
+      console.log(`🗓️ Broadcast "${text.title}" scheduled for ${broadcast.sendAt.toISOString()}`);
 
-    console.log(`📤 Database notifications created: ${createdNotifications.length}`);
-    console.log(`📱 FCM push notifications: ${fcmResult.success ? 'Success' : 'Failed'}`);
+      return res.status(202).json({
+        success: true,
+        message: `Broadcast scheduled for ${broadcast.sendAt.toISOString()}`,
+        broadcastId: broadcast._id,
+        status: broadcast.status,
+        sendAt: broadcast.sendAt,
+        ...audienceDetails
+      });
+    }
 
-    // Combine stats from database and FCM
-    const combinedStats = {
-      databaseCount: createdNotifications.length,
-      pushNotifications: fcmResult.stats,
-      fcmSuccess: fcmResult.success
-    };
+    // Stores the inbox entries and sends the push in one go
+    const sent = await processBroadcast(broadcast._id);
+
+    if (!sent) {
+      // The send-broadcasts job claimed it first and is sending it
+      return res.status(202).json({
+        success: true,
+        message: 'Broadcast queued; it is being sent by the outbox',
+        broadcastId: broadcast._id,
+        status: 'sending'
+      });
+    }
+
+    const {
+      broadcast: processed,
+      notifications: createdNotifications,
+      push,
+      optedOut,
+      deferred,
+      email,
+      error: sendError
+    } = sent;
+
+    if (sendError) {
+      if (processed.status === 'failed') throw sendError;
+
+      // The outbox picks it up again
+      return res.status(202).json({
+        success: true,
+        message: processed.status === 'queued'
+          ? `Broadcast queued; sending failed (${sendError.message}) and will be retried`
+          : `Broadcast stored for ${processed.targetCount} member(s); failed pushes will be retried`,
+        broadcastId: processed._id,
+        status: processed.status,
+        nextAttemptAt: processed.nextAttemptAt
+      });
+    }
+
+    if (createdNotifications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: optedOut > 0
+          ? "All targeted users have turned off this kind of notification"
+          : useSegment
+            ? "No active users match this segment"
+            : "No active users found to notify",
+        optedOut
+      });
+    }
+
+    // No push result means every push is waiting for quiet hours to end, or the members get email only
+    const pushResult = push || { success: true, message: `${deferred} push(es) held until quiet hours end`, stats: {} };
+    const pushStats = pushResult.stats || {};
+
+    await AuditLog.record('notification.sent', {
+      req,
+      targetType: 'Broadcast',
+      targetId: processed._id,
+      details: {
+        title: text.title,
+        template: templateKey || null,
+        type,
+        urgent,
+        ...audienceDetails,
+        recipients: createdNotifications.length,
+        optedOut,
+        deferred,
+        pushDelivered: pushStats.successCount || 0,
+        emailQueued: email.queued
+      }
+    });
+
+    console.log(`📤 Database notifications created: ${createdNotifications.length}`);
+    console.log(`📱 FCM push notifications: ${pushResult.success ? 'Success' : 'Failed'}`);
 
     res.json({
       success: true,
-      message: fcmResult.success
-        ? `Notifications sent successfully! Database: ${createdNotifications.length}, Push: ${fcmResult.stats.successCount}/${fcmResult.stats.totalTargets}`
-        : `Database notifications saved (${createdNotifications.length}), but push notifications failed: ${fcmResult.message}`,
+      message: pushResult.success
+        ? `Notifications sent successfully! Database: ${createdNotifications.length}, Push: ${pushStats.successCount || 0}/${pushStats.totalTargets || 0}` +
+          (deferred > 0 ? `, held for quiet hours: ${deferred}` : '') +
+          (email.queued > 0 ? `, queued for email: ${email.queued}` : '')
+        : `Database notifications saved (${createdNotifications.length}), but push notifications failed: ${pushResult.message}` +
+          (pushResult.retrying > 0 ? ` (${pushResult.retrying} will be retried)` : ''),
       sentCount: createdNotifications.length,
+      broadcastId: processed._id,
+      status: processed.status,
+      ...audienceDetails,
       stats: {
-        successCount: fcmResult.stats.successCount || 0,
-        totalTargets: Math.max(targetUserIds.length, fcmResult.stats.totalTargets || 0),
+        successCount: pushStats.successCount || 0,
+        totalTargets: Math.max(createdNotifications.length, pushStats.totalTargets || 0),
         databaseStored: createdNotifications.length,
-        pushDelivered: fcmResult.stats.successCount || 0,
-        pushFailed: fcmResult.stats.failureCount || 0
+        pushDelivered: pushStats.successCount || 0,
+        pushFailed: pushStats.failureCount || 0,
+        pushDeferred: deferred,
+        pushRetrying: pushResult.retrying || 0,
+        emailQueued: email.queued,
+        optedOut
       },
       fcm: {
-        success: fcmResult.success,
-        message: fcmResult.message,
-        stats: fcmResult.stats
+        success: pushResult.success,
+        message: pushResult.message,
+        stats: pushStats
       },
       notifications: createdNotifications.map(n => ({
         id: n._id,
@@ -300,6 +531,22 @@ router.post('/send', verifyToken, requireAdminAccess, async (req, res) => {
     });
   } catch (err) {
     console.error("❌ Error sending notifications:", err);
+
+    // Invalid segments and unknown saved segments or events
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: "Failed to send notifications",
@@ -308,6 +555,746 @@ router.post('/send', verifyToken, requireAdminAccess, async (req, res) => {
   }
 });
 
+// GET /notifications/broadcasts - Broadcast history with delivery, open and read rates
+router.get('/broadcasts', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      if (!Broadcast.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid status. Must be one of: " + Broadcast.STATUSES.join(', ')
+        });
+      }
+      query.status = status;
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [broadcasts, totalCount] = await Promise.all([
+      Broadcast.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('-audience.userIds')
+        .populate('createdBy', 'name')
+        .lean(),
+      Broadcast.countDocuments(query)
+    ]);
+
+    const reports = await Broadcast.getDeliveryReports(broadcasts.map(broadcast => broadcast._id));
+
+    res.json({
+      success: true,
+      data: {
+        broadcasts: broadcasts.map(broadcast => buildReport(broadcast, reports.get(broadcast._id.toString()))),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limitNum),
+          hasNext: skip + limitNum < totalCount,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (err) {
+    console.error("❌ Error fetching broadcasts:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch broadcasts",
+      error: err.message,
+    });
+  }
+});
+
+// GET /notifications/broadcasts/:broadcastId - Delivery report of one broadcast with per-recipient results
+router.get('/broadcasts/:broadcastId', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const broadcast = await Broadcast.findById(req.params.broadcastId)
+      .select('-audience.userIds')
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        message: "Broadcast not found"
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const skip = (pageNum - 1) * limitNum;
+
+    const [reports, recipients, totalCount] = await Promise.all([
+      Broadcast.getDeliveryReports([broadcast._id]),
+      Notification.find({ broadcastId: broadcast._id })
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('userId read readAt openedAt receivedAt push email')
+        .populate('userId', 'name phone fellowshipZone')
+        .lean(),
+      Notification.countDocuments({ broadcastId: broadcast._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        broadcast: buildReport(broadcast, reports.get(broadcast._id.toString())),
+        recipients: recipients.map(({ userId, push, email, ...entry }) => ({
+          notificationId: entry._id,
+          user: userId,
+          delivered: push.delivered,
+          pending: !push.attempted && !!push.deferredUntil,
+          nextAttemptAt: !push.attempted ? push.deferredUntil : null,
+          attempts: push.attempts,
+          lastError: push.lastError,
+          email: email && email.status !== 'none'
+            ? { status: email.status, attempts: email.attempts, sentAt: email.sentAt, lastError: email.lastError }
+            : null,
+          opened: !!entry.openedAt || entry.read,
+          openedAt: entry.openedAt,
+          read: entry.read,
+          readAt: entry.readAt
+        })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limitNum),
+          hasNext: skip + limitNum < totalCount,
+          hasPrev: pageNum > 1
+        }
+      }
+    });
+  } catch (err) {
+    console.error("❌ Error fetching broadcast:", err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid broadcast ID format"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch broadcast",
+      error: err.message,
+    });
+  }
+});
+
+// POST /notifications/broadcasts/:broadcastId/cancel - Cancel a broadcast that has not gone out yet
+router.post('/broadcasts/:broadcastId/cancel', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findOneAndUpdate(
+      { _id: req.params.broadcastId, status: { $in: ['scheduled', 'queued'] } },
+      { status: 'cancelled', cancelledBy: req.user.id, completedAt: new Date() },
+      { new: true }
+    );
+
+    if (!broadcast) {
+      const exists = await Broadcast.exists({ _id: req.params.broadcastId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? "Only scheduled or queued broadcasts can be cancelled" : "Broadcast not found"
+      });
+    }
+
+    await AuditLog.record('notification.cancelled', {
+      req,
+      targetType: 'Broadcast',
+      targetId: broadcast._id,
+      details: { title: broadcast.title, sendAt: broadcast.sendAt }
+    });
+
+    console.log(`🚫 Broadcast "${broadcast.title}" cancelled`);
+
+    res.json({
+      success: true,
+      message: "Broadcast cancelled",
+      broadcastId: broadcast._id,
+      status: broadcast.status
+    });
+  } catch (err) {
+    console.error("❌ Error cancelling broadcast:", err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid broadcast ID format"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel broadcast",
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * Validate the criteria of a saved segment
+ * @returns {Object} { criteria, error }
+ */
+const validateSegmentCriteria = (criteria) => {
+  if (criteria && criteria.segmentId !== undefined) {
+    return { error: 'A saved segment cannot include another saved segment' };
+  }
+
+  const { criteria: normalized, errors } = normalizeCriteria(criteria);
+  if (errors.length > 0) {
+    return { error: `Invalid segment: ${errors.join('; ')}` };
+  }
+  if (!hasCriteria(normalized)) {
+    return { error: 'A saved segment needs at least one criterion' };
+  }
+
+  return { criteria: normalized };
+};
+
+// GET /notifications/segments - List saved audience segments
+router.get('/segments', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const segments = await AudienceSegment.find()
+      .sort({ name: 1 })
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({
+      success: true,
+      segments
+    });
+  } catch (err) {
+    console.error("❌ Error fetching audience segments:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audience segments",
+      error: err.message,
+    });
+  }
+});
+
+// GET /notifications/segments/:segmentId - Get a saved segment with its current member count
+router.get('/segments/:segmentId', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findByIdOrName(req.params.segmentId)
+      .populate('createdBy', 'name')
+      .lean();
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found"
+      });
+    }
+
+    const { userIds } = await resolveAudience({ segmentId: segment._id });
+
+    res.json({
+      success: true,
+      segment,
+      memberCount: userIds.length
+    });
+  } catch (err) {
+    console.error("❌ Error fetching audience segment:", err);
+
+    if (err.status) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audience segment",
+      error: err.message,
+    });
+  }
+});
+
+// POST /notifications/segments - Save an audience segment
+router.post('/segments', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { name, description = '', criteria } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Segment name is required"
+      });
+    }
+
+    const validation = validateSegmentCriteria(criteria);
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const segment = await AudienceSegment.create({
+      name: name.trim(),
+      description,
+      criteria: validation.criteria,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await AuditLog.record('audience_segment.created', {
+      req,
+      targetType: 'AudienceSegment',
+      targetId: segment._id,
+      after: segment
+    });
+
+    console.log(`🎯 Audience segment "${segment.name}" saved`);
+
+    res.status(201).json({
+      success: true,
+      message: "Segment saved successfully",
+      segment
+    });
+  } catch (err) {
+    console.error("❌ Error saving audience segment:", err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A segment with this name already exists"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to save audience segment",
+      error: err.message,
+    });
+  }
+});
+
+// PUT /notifications/segments/:segmentId - Update a saved audience segment
+router.put('/segments/:segmentId', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findById(req.params.segmentId);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found"
+      });
+    }
+
+    const { name = segment.name, description = segment.description, criteria } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Segment name is required"
+      });
+    }
+
+    // Criteria are only replaced when given
+    const validation = criteria !== undefined ? validateSegmentCriteria(criteria) : {};
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+
+    const before = segment.toObject();
+    segment.name = name.trim();
+    segment.description = description;
+    if (validation.criteria) {
+      segment.criteria = validation.criteria;
+    }
+    segment.updatedBy = req.user.id;
+    await segment.save();
+
+    await AuditLog.record('audience_segment.updated', {
+      req,
+      targetType: 'AudienceSegment',
+      targetId: segment._id,
+      before,
+      after: segment
+    });
+
+    res.json({
+      success: true,
+      message: "Segment updated successfully",
+      segment
+    });
+  } catch (err) {
+    console.error("❌ Error updating audience segment:", err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid segment ID format"
+      });
+    }
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A segment with this name already exists"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to update audience segment",
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /notifications/segments/:segmentId - Delete a saved audience segment
+router.delete('/segments/:segmentId', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const segment = await AudienceSegment.findByIdAndDelete(req.params.segmentId);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: "Segment not found"
+      });
+    }
+
+    await AuditLog.record('audience_segment.deleted', {
+      req,
+      targetType: 'AudienceSegment',
+      targetId: segment._id,
+      before: segment
+    });
+
+    console.log(`🗑️ Deleted audience segment "${segment.name}"`);
+
+    res.json({
+      success: true,
+      message: "Segment deleted successfully"
+    });
+  } catch (err) {
+    console.error("❌ Error deleting audience segment:", err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid segment ID format"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete audience segment",
+      error: err.message,
+    });
+  }
+});
+
+// GET /notifications/templates - Notification templates, the placeholders they may use and the languages
+router.get('/templates', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const templates = await listTemplates();
+
+    res.json({
+      success: true,
+      templates,
+      variables: TEMPLATE_VARIABLES,
+      languages: NotificationTemplate.LANGUAGES
+    });
+  } catch (err) {
+    console.error("❌ Error fetching notification templates:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification templates",
+      error: err.message,
+    });
+  }
+});
+
+// POST /notifications/templates/preview - Render an unsaved template definition
+router.post('/templates/preview', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { template: definition, variables = {} } = req.body;
+    const { template, errors } = validateTemplate({ key: 'preview', name: 'Preview', ...definition });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors
+      });
+    }
+
+    res.json({
+      success: true,
+      preview: previewTemplate({ variants: { en: template['variants.en'], sw: template['variants.sw'] } }, variables)
+    });
+  } catch (err) {
+    console.error("❌ Error previewing notification template:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview notification template",
+      error: err.message,
+    });
+  }
+});
+
+// GET /notifications/templates/:key - One notification template
+router.get('/templates/:key', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+  } catch (err) {
+    console.error("❌ Error fetching notification template:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification template",
+      error: err.message,
+    });
+  }
+});
+
+// POST /notifications/templates/:key/preview - Render a template with sample values, or as a member would get it
+router.post('/templates/:key/preview', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { variables = {}, userId } = req.body;
+    const template = await getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found"
+      });
+    }
+
+    let forMember = null;
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID format"
+        });
+      }
+
+      const member = await User.findById(userId).select('name preferences.language').lean();
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found"
+        });
+      }
+
+      forMember = renderTemplate(template, {
+        language: member.preferences && member.preferences.language,
+        variables: { ...variables, name: member.name }
+      });
+    }
+
+    res.json({
+      success: true,
+      preview: previewTemplate(template, variables),
+      forMember
+    });
+  } catch (err) {
+    console.error("❌ Error previewing notification template:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to preview notification template",
+      error: err.message,
+    });
+  }
+});
+
+// POST /notifications/templates - Create a notification template
+router.post('/templates', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const { template: fields, errors } = validateTemplate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors
+      });
+    }
+
+    if (await getTemplate(fields.key)) {
+      return res.status(409).json({
+        success: false,
+        message: "A template with this key already exists; use PUT to change it"
+      });
+    }
+
+    const template = await NotificationTemplate.create({
+      ...fields,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    await AuditLog.record('notification_template.created', {
+      req,
+      targetType: 'NotificationTemplate',
+      targetId: template._id,
+      after: template
+    });
+
+    console.log(`📝 Created notification template "${template.key}"`);
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      template
+    });
+  } catch (err) {
+    console.error("❌ Error creating notification template:", err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A template with this key already exists; use PUT to change it"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to create notification template",
+      error: err.message,
+    });
+  }
+});
+
+// PUT /notifications/templates/:key - Update a template; for a system template this stores a customized copy
+router.put('/templates/:key', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const existing = await getTemplate(req.params.key);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found"
+      });
+    }
+
+    const { key, ...changes } = req.body;
+    if (key !== undefined && key !== existing.key) {
+      return res.status(400).json({
+        success: false,
+        message: "A template's key cannot be changed"
+      });
+    }
+
+    const { template: fields, errors } = validateTemplate(changes, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors
+      });
+    }
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { key: existing.key },
+      {
+        $set: { ...fields, updatedBy: req.user.id },
+        // First change to a system template: start from its default
+        $setOnInsert: {
+          key: existing.key,
+          createdBy: req.user.id,
+          ...(fields.name === undefined && { name: existing.name }),
+          ...(fields.description === undefined && { description: existing.description }),
+          ...(fields.type === undefined && { type: existing.type }),
+          ...(fields['variants.en'] === undefined && { 'variants.en': existing.variants.en }),
+          ...(fields['variants.sw'] === undefined && { 'variants.sw': existing.variants.sw || null })
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await AuditLog.record('notification_template.updated', {
+      req,
+      targetType: 'NotificationTemplate',
+      targetId: template._id,
+      before: existing,
+      after: template
+    });
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      template
+    });
+  } catch (err) {
+    console.error("❌ Error updating notification template:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification template",
+      error: err.message,
+    });
+  }
+});
+
+// DELETE /notifications/templates/:key - Delete a template; a system template goes back to its default
+router.delete('/templates/:key', verifyToken, requirePermission('notifications:send'), async (req, res) => {
+  try {
+    const template = await NotificationTemplate.findOneAndDelete({ key: String(req.params.key).trim().toLowerCase() });
+    const system = await getTemplate(req.params.key);
+
+    if (!template) {
+      return res.status(system ? 400 : 404).json({
+        success: false,
+        message: system ? "System templates cannot be deleted" : "Template not found"
+      });
+    }
+
+    await AuditLog.record('notification_template.deleted', {
+      req,
+      targetType: 'NotificationTemplate',
+      targetId: template._id,
+      before: template
+    });
+
+    console.log(`🗑️ Deleted notification template "${template.key}"`);
+
+    res.json({
+      success: true,
+      message: system ? "Template restored to its default" : "Template deleted successfully"
+    });
+  } catch (err) {
+    console.error("❌ Error deleting notification template:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete notification template",
+      error: err.message,
+    });
+  }
+});
+
 // DELETE /notifications/:notificationId - Delete a specific notification
 router.delete('/:notificationId', verifyToken, async (req, res) => {
   try {
@@ -343,7 +1330,7 @@ router.delete('/:notificationId', verifyToken, async (req, res) => {
 });
 
 // GET /notifications/stats - Get notification statistics for admin
-router.get('/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/stats', verifyToken, requirePermission('notifications:send'), async (req, res) => {
   try {
     const totalNotifications = await Notification.countDocuments();
     const readNotifications = await Notification.countDocuments({ read: true });
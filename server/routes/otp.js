@@ -0,0 +1,317 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const User = require('../models/User');
+const OtpCode = require('../models/OtpCode');
+const { optionalAuth } = require('../../middlewares/auth');
+const { sendSms } = require('../../utils/smsProvider');
+const { createSession, revokeAllSessions } = require('../../utils/authTokens');
+
+const OTP_CODE_TTL_MINUTES = parseInt(process.env.OTP_CODE_TTL_MINUTES || '10');
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_RESEND_INTERVAL_SECONDS = parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS || '60');
+const OTP_MAX_REQUESTS_PER_HOUR = parseInt(process.env.OTP_MAX_REQUESTS_PER_HOUR || '5');
+
+const MESSAGES = {
+  login: code => `Your PCEA Turi login code is ${code}. It expires in ${OTP_CODE_TTL_MINUTES} minutes. Do not share it with anyone.`,
+  reset_password: code => `Your PCEA Turi password reset code is ${code}. It expires in ${OTP_CODE_TTL_MINUTES} minutes. If you did not ask for it, ignore this message.`,
+  verify_phone: code => `Your PCEA Turi verification code is ${code}. It expires in ${OTP_CODE_TTL_MINUTES} minutes.`
+};
+
+const normalizePhoneNumber = (phone) => {
+  if (!phone) return '';
+  return phone.toString().replace(/\D/g, '');
+};
+
+/**
+ * Work out which phone number and member a request is for.
+ * verify_phone always uses the logged-in member's own number.
+ */
+const resolveTarget = async (req, purpose) => {
+  if (purpose === 'verify_phone') {
+    if (!req.user || !req.user.id) {
+      return { error: { status: 401, message: 'Log in to verify your phone number', code: 'AUTH_REQUIRED' } };
+    }
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return { error: { status: 404, message: 'User not found', code: 'USER_NOT_FOUND' } };
+    }
+    return { phone: normalizePhoneNumber(user.phone), user };
+  }
+
+  const phone = normalizePhoneNumber(req.body.phone);
+  if (phone.length < 9) {
+    return { error: { status: 400, message: 'A valid phone number is required', code: 'INVALID_PHONE' } };
+  }
+
+  const user = await User.findOne({ phone });
+  return { phone, user };
+};
+
+// POST /api/user/otp/request-code - Send a one-time code by SMS
+router.post('/request-code', optionalAuth, async (req, res) => {
+  try {
+    const { purpose = 'login' } = req.body;
+
+    if (!OtpCode.PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purpose. Must be one of: ' + OtpCode.PURPOSES.join(', ')
+      });
+    }
+
+    const target = await resolveTarget(req, purpose);
+    if (target.error) {
+      return res.status(target.error.status).json({
+        success: false,
+        message: target.error.message,
+        code: target.error.code
+      });
+    }
+
+    const { phone, user } = target;
+
+    // Per-phone throttling: a short wait between codes and a cap per hour
+    const now = Date.now();
+    const recentRequests = await OtpCode.findRecentRequests(phone, new Date(now - 60 * 60 * 1000));
+
+    if (recentRequests.length > 0) {
+      const secondsSinceLast = Math.floor((now - recentRequests[0].createdAt.getTime()) / 1000);
+      if (secondsSinceLast < OTP_RESEND_INTERVAL_SECONDS) {
+        return res.status(429).json({
+          success: false,
+          message: 'Please wait before requesting another code',
+          code: 'OTP_THROTTLED',
+          retryAfter: OTP_RESEND_INTERVAL_SECONDS - secondsSinceLast
+        });
+      }
+    }
+
+    if (recentRequests.length >= OTP_MAX_REQUESTS_PER_HOUR) {
+      const oldest = recentRequests[recentRequests.length - 1].createdAt.getTime();
+      return res.status(429).json({
+        success: false,
+        message: 'Too many codes requested for this number. Please try again later.',
+        code: 'OTP_THROTTLED',
+        retryAfter: Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000)
+      });
+    }
+
+    // Do not reveal whether the number is registered
+    if (!user || user.isActive === false) {
+      console.log(`📵 OTP ${purpose} requested for unknown or inactive number ${phone}`);
+      return res.json({
+        success: true,
+        message: 'If this number is registered, a code has been sent',
+        expiresIn: OTP_CODE_TTL_MINUTES * 60,
+        resendAfter: OTP_RESEND_INTERVAL_SECONDS
+      });
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const otp = await OtpCode.issue({
+      phone,
+      purpose,
+      user: user._id,
+      code,
+      ttlMinutes: OTP_CODE_TTL_MINUTES,
+      maxAttempts: OTP_MAX_ATTEMPTS,
+      ipAddress: req.ip
+    });
+
+    const delivery = await sendSms(phone, MESSAGES[purpose](code));
+    otp.delivery = {
+      provider: delivery.provider,
+      messageId: delivery.messageId,
+      success: delivery.success,
+      error: delivery.error
+    };
+    await otp.save();
+
+    if (!delivery.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the code. Please try again shortly.',
+        code: 'SMS_FAILED'
+      });
+    }
+
+    console.log(`📨 OTP ${purpose} code sent to ${user.name} (${phone}) via ${delivery.provider}`);
+
+    res.json({
+      success: true,
+      message: 'If this number is registered, a code has been sent',
+      expiresIn: OTP_CODE_TTL_MINUTES * 60,
+      resendAfter: OTP_RESEND_INTERVAL_SECONDS
+    });
+  } catch (error) {
+    console.error('❌ Error requesting OTP code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send code',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/user/otp/verify-code - Check a code and log in, reset the password or verify the phone
+router.post('/verify-code', optionalAuth, async (req, res) => {
+  try {
+    const { code, purpose = 'login', newPassword } = req.body;
+
+    if (!OtpCode.PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purpose. Must be one of: ' + OtpCode.PURPOSES.join(', ')
+      });
+    }
+
+    if (!code || !/^\d{6}$/.test(String(code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A 6-digit code is required'
+      });
+    }
+
+    if (purpose === 'reset_password' && (!newPassword || newPassword.length < 8)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 8 characters long'
+      });
+    }
+
+    const target = await resolveTarget(req, purpose);
+    if (target.error) {
+      return res.status(target.error.status).json({
+        success: false,
+        message: target.error.message,
+        code: target.error.code
+      });
+    }
+
+    const otp = await OtpCode.findOpen(target.phone, purpose);
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is invalid or has expired. Please request a new code.',
+        code: 'INVALID_CODE'
+      });
+    }
+
+    // Claim the attempt before comparing, so parallel guesses cannot get past maxAttempts
+    const claimed = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+    if (!claimed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many wrong attempts. Please request a new code.',
+        code: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    if (!(await claimed.checkCode(code))) {
+      const attemptsRemaining = Math.max(0, claimed.maxAttempts - claimed.attempts);
+      console.log(`❌ Wrong OTP ${purpose} code for ${target.phone} (${attemptsRemaining} attempts left)`);
+
+      return res.status(400).json({
+        success: false,
+        message: attemptsRemaining > 0
+          ? 'Incorrect code'
+          : 'Too many wrong attempts. Please request a new code.',
+        code: attemptsRemaining > 0 ? 'INVALID_CODE' : 'TOO_MANY_ATTEMPTS',
+        attemptsRemaining
+      });
+    }
+
+    // Consume the code atomically so it cannot be used twice; the right code is not a wrong attempt
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { consumedAt: new Date(), $inc: { attempts: -1 } }
+    );
+    if (!consumed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code has already been used. Please request a new code.',
+        code: 'INVALID_CODE'
+      });
+    }
+
+    const user = await User.findById(otp.user);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is deactivated. Please contact the church office.',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    // Receiving the code proves the member owns the number
+    user.isVerified = true;
+
+    if (purpose === 'verify_phone') {
+      await user.save();
+      console.log(`✅ Phone verified for ${user.name} (${user.phone})`);
+
+      return res.json({
+        success: true,
+        message: 'Phone number verified successfully',
+        user: {
+          id: user._id,
+          name: user.name,
+          phone: user.phone,
+          isVerified: true
+        }
+      });
+    }
+
+    if (purpose === 'reset_password') {
+      user.password = await bcrypt.hash(newPassword, 12);
+    }
+    user.lastLogin = new Date();
+    await user.save();
+
+    // A new password logs out every other device
+    if (purpose === 'reset_password') {
+      await revokeAllSessions(user._id, 'password_reset', user._id);
+    }
+
+    const tokens = await createSession(user, req, { loginMethod: 'otp' });
+
+    console.log(purpose === 'reset_password'
+      ? `🔑 Password reset by OTP for ${user.name} (${user.phone})`
+      : `✅ User logged in by OTP: ${user.name} (${user.phone})`);
+
+    res.json({
+      success: true,
+      ...tokens,
+      message: purpose === 'reset_password' ? 'Password reset successfully' : 'Login successful',
+      user: {
+        id: user._id,
+        name: user.name,
+        phone: user.phone,
+        isVerified: true,
+        hasFCMToken: User.collectPushTokens(user).length > 0,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error verifying OTP code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify code',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const PrayerPartnerRequest = require('../models/PrayerPartnerRequest');
 const User = require('../models/User');
+const PartnerPairing = require('../models/PartnerPairing');
 const { verifyToken, requireAdmin } = require('../../middlewares/auth');
-const { requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
+const AuditLog = require('../models/AuditLog');
 
 // Send a partnership request
 router.post('/send', verifyToken, async (req, res) => {
@@ -224,14 +226,23 @@ router.post('/:id/accept', verifyToken, async (req, res) => {
     await Promise.all([
       User.findByIdAndUpdate(partnershipRequest.requester._id, {
         currentPartner: partnershipRequest.recipient._id,
-        paired_this_week: true
+        paired_this_week: true,
+        partnerGroup: [partnershipRequest.recipient._id]
       }),
       User.findByIdAndUpdate(partnershipRequest.recipient._id, {
         currentPartner: partnershipRequest.requester._id,
-        paired_this_week: true
+        paired_this_week: true,
+        partnerGroup: [partnershipRequest.requester._id]
       })
     ]);
 
+    await PartnerPairing.create({
+      members: [partnershipRequest.requester._id, partnershipRequest.recipient._id],
+      source: 'request',
+      createdBy: partnershipRequest.requester._id,
+      request: partnershipRequest._id
+    });
+
     console.log(`✅ Partnership request accepted: ${partnershipRequest.requesterName} & ${partnershipRequest.recipientName} are now prayer partners`);
 
     res.json({
@@ -299,7 +310,7 @@ router.post('/:id/decline', verifyToken, async (req, res) => {
 });
 
 // Admin: Get all partnership requests
-router.get('/admin/all', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/all', verifyToken, requirePermission('partners:manage'), async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
 
@@ -359,7 +370,7 @@ router.get('/admin/all', verifyToken, requireAdminAccess, async (req, res) => {
 });
 
 // Admin: Get partnership request statistics
-router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('partners:manage'), async (req, res) => {
   try {
     const stats = await PrayerPartnerRequest.getStatistics();
     
@@ -384,7 +395,7 @@ router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // Admin: Update partnership request (add notes, change status)
-router.patch('/admin/:id', verifyToken, requireAdminAccess, async (req, res) => {
+router.patch('/admin/:id', verifyToken, requirePermission('partners:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { adminNotes, status } = req.body;
@@ -397,6 +408,8 @@ router.patch('/admin/:id', verifyToken, requireAdminAccess, async (req, res) =>
       });
     }
 
+    const before = partnershipRequest.toObject();
+
     if (adminNotes !== undefined) {
       partnershipRequest.adminNotes = adminNotes;
     }
@@ -411,6 +424,14 @@ router.patch('/admin/:id', verifyToken, requireAdminAccess, async (req, res) =>
 
     await partnershipRequest.save();
 
+    await AuditLog.record('partnership_request.updated', {
+      req,
+      targetType: 'PrayerPartnerRequest',
+      targetId: partnershipRequest._id,
+      before,
+      after: partnershipRequest
+    });
+
     res.json({
       success: true,
       message: 'Partnership request updated successfully',
@@ -431,10 +452,16 @@ router.patch('/admin/:id', verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // Cleanup expired requests (this could be called by a cron job)
-router.post('/admin/cleanup-expired', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/admin/cleanup-expired', verifyToken, requirePermission('partners:manage'), async (req, res) => {
   try {
     const result = await PrayerPartnerRequest.cleanupExpiredRequests();
 
+    await AuditLog.record('partnership_request.expired_cleanup', {
+      req,
+      targetType: 'PrayerPartnerRequest',
+      details: { expiredCount: result.modifiedCount }
+    });
+
     res.json({
       success: true,
       message: `Cleaned up ${result.modifiedCount} expired requests`,
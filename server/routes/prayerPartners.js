@@ -1,90 +1,61 @@
 const express = require("express");
 const router = express.Router();
-const mongoose = require("mongoose");
 const User = require("../models/User");
 const { verifyToken, requireAdmin } = require("../../middlewares/auth");
-const { requireAdminAccess } = require("../../middlewares/flexible-auth");
-
-// Helper function to pair users
-const assignPartners = async () => {
-  try {
-    // Get all active users who haven't been paired this week
-    let users = await User.find({
-      paired_this_week: false,
-      isActive: true
-    });
-    if (users.length < 2) return { pairs: [], error: "Not enough users to pair." };
-
-    const pairs = [];
-    const unpairedUsers = [...users];
-
-    while (unpairedUsers.length > 1) {
-      let user1 = unpairedUsers.pop(); // Take one user
-      let user2Index = unpairedUsers.findIndex(
-        (u) => u._id.toString() !== user1.last_paired_with?.toString()
-      );
-
-      if (user2Index === -1) continue; // No valid pair found, skip this user for now
-
-      let user2 = unpairedUsers.splice(user2Index, 1)[0]; // Pair user1 with user2
-
-      // Check if user2 is valid and has not been deleted
-      if (!user2 || !user2._id) {
-        console.error(`User2 is invalid, skipping pairing with ${user1.name}`);
-        continue; // Skip pairing if user2 is invalid
-      }
-
-      // Save the pair in the database
-      await User.findByIdAndUpdate(user1._id, {
-        currentPartner: user2._id,
-        last_paired_with: user2._id,
-        paired_this_week: true,
-      });
-
-      await User.findByIdAndUpdate(user2._id, {
-        currentPartner: user1._id,
-        last_paired_with: user1._id,
-        paired_this_week: true,
-      });
+const { requirePermission } = require("../../middlewares/permissions");
+const PrayerPartnerSettings = require("../models/PrayerPartnerSettings");
+const PrayerPartnerReshuffle = require("../models/PrayerPartnerReshuffle");
+const PartnerPairing = require("../models/PartnerPairing");
+const AuditLog = require("../models/AuditLog");
+const {
+  assignPartners,
+  reshufflePartners,
+  getNextReshuffleWeek
+} = require("../../utils/prayerPartnerPairing");
+const { ZONE_MODES } = require("../../utils/prayerPartnerMatching");
+const { CHURCH_TIMEZONE, getIsoWeekKey } = require("../../utils/dateUtils");
+
+// Helper to group paired users into pairs and trios (each group listed once)
+const groupPairedUsers = (users) => {
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  const seen = new Set();
+  const groups = [];
+
+  users.forEach((user) => {
+    if (seen.has(user._id.toString())) return;
+
+    // Ensure the partner is valid and exists
+    if (!user.currentPartner || !user.currentPartner._id) {
+      console.warn(`User ${user.name} has an invalid or deleted partner.`);
+      return;
+    }
 
-      pairs.push({ user1, user2 });
+    let members = [user, user.currentPartner];
+    if (user.partnerGroup && user.partnerGroup.length > 1) {
+      const trio = user.partnerGroup.map(id => byId.get(id.toString())).filter(Boolean);
+      if (trio.length === user.partnerGroup.length) members = [user, ...trio];
     }
 
-    return { pairs, error: null };
-  } catch (error) {
-    console.error("Error assigning partners:", error);
-    return { pairs: [], error: error.message };
-  }
-};
+    members.forEach(member => seen.add(member._id.toString()));
+    groups.push(members);
+  });
 
-// Automatically check for new users and pair them
-const pairNewUsers = async () => {
-  try {
-    // Fetch unpaired active users
-    const unpairedUsers = await User.find({
-      paired_this_week: false,
-      isActive: true
-    });
-    if (unpairedUsers.length >= 2) {
-      console.log("New users detected, attempting to pair...");
-      const { pairs, error } = await assignPartners();
-      if (error) console.error("Error during pairing:", error);
-      else console.log("Pairs created:", pairs);
-    } else {
-      console.log("Not enough unpaired users to create new pairs.");
-    }
-  } catch (error) {
-    console.error("Error in pairing new users:", error.message);
-  }
+  return groups;
 };
 
 // Route to trigger pairing manually
-router.post("/pair-users", verifyToken, requireAdminAccess, async (req, res) => {
+router.post("/pair-users", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
-    const { pairs, error } = await assignPartners();
+    const { pairs, unmatched, error } = await assignPartners();
     if (error) return res.status(500).json({ message: "Error pairing users", error });
 
-    res.status(200).json({ message: "Users paired successfully.", pairs });
+    await AuditLog.record('prayer_partner.paired', {
+      req,
+      targetType: 'PartnerPairing',
+      details: { pairs: pairs.length, unmatched: unmatched.length }
+    });
+
+    res.status(200).json({ message: "Users paired successfully.", pairs, unmatched });
   } catch (error) {
     console.error("Error pairing users:", error);
     res.status(500).json({ message: "Error pairing users", error: error.message });
@@ -109,24 +80,12 @@ router.get("/current-pairs", async (req, res) => {
       unpairedUsers: []
     });
 
-    const pairs = [];
-    const seen = new Set();
-
-    users.forEach((user) => {
-      if (!seen.has(user._id.toString())) {
-        seen.add(user._id.toString());
-
-        // Ensure the partner is valid and exists
-        if (user.currentPartner && user.currentPartner._id) {
-          seen.add(user.currentPartner._id.toString());
-          pairs.push({
-            user1: { name: user.name, phone: user.phone, id: user._id },
-            user2: { name: user.currentPartner.name, phone: user.currentPartner.phone, id: user.currentPartner._id },
-          });
-        } else {
-          console.warn(`User ${user.name} has an invalid or deleted partner.`);
-        }
-      }
+    const pairs = groupPairedUsers(users).map((members) => {
+      const pair = {};
+      members.forEach((member, index) => {
+        pair[`user${index + 1}`] = { name: member.name, phone: member.phone, id: member._id };
+      });
+      return pair;
     });
 
     // Get unpaired active users
@@ -155,19 +114,60 @@ router.get("/current-pairs", async (req, res) => {
   }
 });
 
-// Admin route to get detailed statistics
-router.get("/admin/stats", verifyToken, requireAdminAccess, async (req, res) => {
+// Route for a member to see their own past and current prayer partners
+router.get("/my-history", verifyToken, async (req, res) => {
   try {
-    // Get all active users with prayer partner data
-    const allUsers = await User.find({ isActive: true });
-    const pairedUsers = await User.find({
-      currentPartner: { $ne: null },
-      isActive: true
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const userId = req.user.id;
+
+    const { pairings, total } = await PartnerPairing.getHistoryForUser(userId, {
+      page: pageNum,
+      limit: limitNum
     });
-    const unpairedUsers = await User.find({
-      currentPartner: null,
-      isActive: true
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pairings: pairings.map(p => ({
+          id: p._id,
+          partners: p.members
+            .filter(m => m && m._id.toString() !== userId)
+            .map(m => ({ id: m._id, name: m.name, profileImage: m.profileImage, fellowshipZone: m.fellowshipZone })),
+          weekKey: p.weekKey,
+          source: p.source,
+          startedAt: p.createdAt,
+          endedAt: p.endedAt,
+          endReason: p.endReason,
+          isCurrent: !p.endedAt
+        })),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalCount: total,
+          hasNextPage: pageNum < Math.ceil(total / limitNum),
+          hasPrevPage: pageNum > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching prayer partner history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching prayer partner history",
+      error: error.message
     });
+  }
+});
+
+// Admin route to get detailed statistics
+router.get("/admin/stats", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const [totalUsers, unpairedUsers, pairingStats] = await Promise.all([
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ currentPartner: null, isActive: true }),
+      PartnerPairing.getStatistics(getIsoWeekKey())
+    ]);
 
     // Get partnership request statistics
     let partnershipRequestStats = { pending: 0 };
@@ -194,9 +194,11 @@ router.get("/admin/stats", verifyToken, requireAdminAccess, async (req, res) =>
     }
 
     const stats = {
-      totalUsers: allUsers.length,
-      totalPairs: Math.floor(pairedUsers.length / 2),
-      unpairedUsers: unpairedUsers.length,
+      totalUsers,
+      totalPairs: pairingStats.active,
+      unpairedUsers,
+      pairingsThisWeek: pairingStats.thisWeek,
+      totalPairingsAllTime: pairingStats.total,
       weeklyActivity: 85, // This could be calculated based on actual activity data
       pendingRequests: prayerRequestStats.pending || 0,
       pendingPartnershipRequests: partnershipRequestStats.pending || 0
@@ -214,7 +216,7 @@ router.get("/admin/stats", verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // Admin route to get detailed pairs with more information
-router.get("/admin/pairs", verifyToken, requireAdminAccess, async (req, res) => {
+router.get("/admin/pairs", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
     const users = await User.find({
       currentPartner: { $ne: null },
@@ -238,35 +240,22 @@ router.get("/admin/pairs", verifyToken, requireAdminAccess, async (req, res) =>
       });
     }
 
-    const pairs = [];
-    const seen = new Set();
-
-    users.forEach((user) => {
-      if (!seen.has(user._id.toString())) {
-        seen.add(user._id.toString());
-
-        // Ensure the partner is valid and exists
-        if (user.currentPartner && user.currentPartner._id) {
-          seen.add(user.currentPartner._id.toString());
-          pairs.push({
-            id: `${user._id}_${user.currentPartner._id}`,
-            user1: {
-              id: user._id,
-              name: user.name,
-              phone: user.phone
-            },
-            user2: {
-              id: user.currentPartner._id,
-              name: user.currentPartner.name,
-              phone: user.currentPartner.phone
-            },
-            connectionDate: user.updatedAt || new Date(),
-            status: 'active'
-          });
-        } else {
-          console.warn(`User ${user.name} has an invalid or deleted partner.`);
-        }
-      }
+    const pairs = groupPairedUsers(users).map((members) => {
+      const pair = {
+        id: members.map(member => member._id).join('_'),
+        connectionDate: members[0].updatedAt || new Date(),
+        status: 'active',
+        pinned: members[0].partnerPinned === true,
+        type: members.length === 3 ? 'trio' : 'pair'
+      };
+      members.forEach((member, index) => {
+        pair[`user${index + 1}`] = {
+          id: member._id,
+          name: member.name,
+          phone: member.phone
+        };
+      });
+      return pair;
     });
 
     // Format unpaired users
@@ -293,29 +282,37 @@ router.get("/admin/pairs", verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // Admin route to unpair users
-router.delete("/admin/unpair/:pairId", verifyToken, requireAdminAccess, async (req, res) => {
+router.delete("/admin/unpair/:pairId", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
     const { pairId } = req.params;
 
-    // Extract user IDs from pairId (format: "userId1_userId2")
-    const [user1Id, user2Id] = pairId.split('_');
+    // Extract user IDs from pairId (format: "userId1_userId2", or "userId1_userId2_userId3" for a trio)
+    const memberIds = pairId.split('_').filter(Boolean);
 
-    if (!user1Id || !user2Id) {
+    if (memberIds.length < 2 || memberIds.length > 3) {
       return res.status(400).json({
         success: false,
         message: "Invalid pair ID format"
       });
     }
 
-    // Update both users to remove their current partner
-    await User.findByIdAndUpdate(user1Id, {
-      currentPartner: null,
-      paired_this_week: false
-    });
+    // Update all members to remove their current partner (and any admin pin)
+    await User.updateMany(
+      { _id: { $in: memberIds } },
+      {
+        currentPartner: null,
+        paired_this_week: false,
+        partnerGroup: [],
+        partnerPinned: false
+      }
+    );
+    await PartnerPairing.endActive(memberIds, 'unpaired', req.user.id);
 
-    await User.findByIdAndUpdate(user2Id, {
-      currentPartner: null,
-      paired_this_week: false
+    await AuditLog.record('prayer_partner.unpaired', {
+      req,
+      targetType: 'PartnerPairing',
+      targetId: pairId,
+      details: { members: memberIds }
     });
 
     res.status(200).json({
@@ -333,9 +330,9 @@ router.delete("/admin/unpair/:pairId", verifyToken, requireAdminAccess, async (r
 });
 
 // Admin route to manually create a specific pair
-router.post("/admin/create-pair", verifyToken, requireAdminAccess, async (req, res) => {
+router.post("/admin/create-pair", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
-    const { user1Id, user2Id } = req.body;
+    const { user1Id, user2Id, pinned = true } = req.body;
 
     if (!user1Id || !user2Id) {
       return res.status(400).json({
@@ -369,17 +366,29 @@ router.post("/admin/create-pair", verifyToken, requireAdminAccess, async (req, r
       });
     }
 
-    // Create the pair
-    await User.findByIdAndUpdate(user1Id, {
-      currentPartner: user2Id,
-      last_paired_with: user2Id,
-      paired_this_week: true
+    // Create the pair; pinned pairs stay together through the weekly reshuffle
+    for (const [member, partner] of [[user1, user2], [user2, user1]]) {
+      await User.findByIdAndUpdate(member._id, {
+        currentPartner: partner._id,
+        last_paired_with: partner._id,
+        paired_this_week: true,
+        partnerGroup: [partner._id],
+        partnerPinned: pinned === true
+      });
+    }
+
+    const pairing = await PartnerPairing.create({
+      members: [user1._id, user2._id],
+      source: 'manual',
+      createdBy: req.user.id,
+      pinned: pinned === true
     });
 
-    await User.findByIdAndUpdate(user2Id, {
-      currentPartner: user1Id,
-      last_paired_with: user1Id,
-      paired_this_week: true
+    await AuditLog.record('prayer_partner.pair_created', {
+      req,
+      targetType: 'PartnerPairing',
+      targetId: pairing._id,
+      after: { members: pairing.members, pinned: pairing.pinned }
     });
 
     res.status(200).json({
@@ -387,7 +396,9 @@ router.post("/admin/create-pair", verifyToken, requireAdminAccess, async (req, r
       message: "Pair created successfully",
       pair: {
         user1: { id: user1._id, name: user1.name },
-        user2: { id: user2._id, name: user2.name }
+        user2: { id: user2._id, name: user2.name },
+        pinned: pinned === true,
+        pairingId: pairing._id
       }
     });
   } catch (error) {
@@ -401,22 +412,12 @@ router.post("/admin/create-pair", verifyToken, requireAdminAccess, async (req, r
 });
 
 // Admin route to force reshuffle (alias for existing pair-users endpoint)
-router.post("/admin/reshuffle", verifyToken, requireAdminAccess, async (req, res) => {
+router.post("/admin/reshuffle", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
-    // First, unpair all current active users
-    await User.updateMany(
-      {
-        currentPartner: { $ne: null },
-        isActive: true
-      },
-      {
-        currentPartner: null,
-        paired_this_week: false
-      }
-    );
-
-    // Then use the existing pairing algorithm
-    const { pairs, error } = await assignPartners();
+    const { pairs, unmatched, error } = await reshufflePartners({
+      type: 'manual',
+      triggeredBy: req.user.id
+    });
     if (error) {
       return res.status(500).json({
         success: false,
@@ -425,11 +426,18 @@ router.post("/admin/reshuffle", verifyToken, requireAdminAccess, async (req, res
       });
     }
 
+    await AuditLog.record('prayer_partner.reshuffled', {
+      req,
+      targetType: 'PartnerPairing',
+      details: { pairs: pairs.length, unmatched: unmatched.length }
+    });
+
     res.status(200).json({
       success: true,
       message: "Prayer partners reshuffled successfully",
       pairs: pairs.length,
-      data: pairs
+      data: pairs,
+      unmatched
     });
   } catch (error) {
     console.error("Error during reshuffle:", error);
@@ -441,69 +449,64 @@ router.post("/admin/reshuffle", verifyToken, requireAdminAccess, async (req, res
   }
 });
 
-// Admin route to get pairing history
-router.get("/admin/history", verifyToken, requireAdminAccess, async (req, res) => {
+// Admin route to get pairing history (one entry per week)
+router.get("/admin/history", verifyToken, requirePermission("partners:manage"), async (req, res) => {
   try {
-    // Check if PrayerPartnership model exists
-    let history = [];
-    
-    try {
-      // Try to get the PrayerPartnership model from the backend server
-      const PrayerPartnership = mongoose.models.PrayerPartnership || require('../../../backend/server').PrayerPartnership;
-      
-      if (PrayerPartnership) {
-        const partnerships = await PrayerPartnership.find({})
-          .sort({ createdAt: -1 })
-          .limit(20)
-          .lean();
-
-        history = partnerships.map(p => ({
-          id: p._id,
-          week: p.weekNumber,
-          year: p.year,
-          totalPairs: 1, // Each record represents one pair
-          date: p.createdAt.toISOString().split('T')[0],
-          type: p.notes?.includes('manual') ? 'manual' : 'automatic'
-        }));
-      }
-    } catch (modelError) {
-      console.warn("PrayerPartnership model not available, using fallback data");
-    }
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
 
-    // If no history from database, provide some recent calculated data
-    if (history.length === 0) {
-      const currentPairCount = Math.floor((await User.countDocuments({
-        currentPartner: { $ne: null },
-        isActive: true
-      })) / 2);
-      
-      history = [
-        {
-          id: 1,
-          week: 49,
-          year: 2024,
-          totalPairs: currentPairCount,
-          date: new Date().toISOString().split('T')[0],
-          type: 'automatic'
-        },
-        {
-          id: 2,
-          week: 48,
-          year: 2024,
-          totalPairs: Math.max(0, currentPairCount - 1),
-          date: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          type: 'automatic'
-        },
-        {
-          id: 3,
-          week: 47,
-          year: 2024,
-          totalPairs: Math.max(0, currentPairCount - 2),
-          date: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          type: 'manual'
+    const weeks = await PartnerPairing.aggregate([
+      {
+        $group: {
+          _id: '$weekKey',
+          year: { $first: '$year' },
+          week: { $first: '$week' },
+          totalPairs: { $sum: 1 },
+          totalTrios: { $sum: { $cond: [{ $eq: [{ $size: '$members' }, 3] }, 1, 0] } },
+          auto: { $sum: { $cond: [{ $eq: ['$source', 'auto'] }, 1, 0] } },
+          manual: { $sum: { $cond: [{ $eq: ['$source', 'manual'] }, 1, 0] } },
+          request: { $sum: { $cond: [{ $eq: ['$source', 'request'] }, 1, 0] } },
+          firstPairedAt: { $min: '$createdAt' }
         }
-      ];
-    }
+      },
+      { $sort: { _id: -1 } },
+      { $limit: limit }
+    ]);
+
+    // Latest reshuffle run of each week, for its type and unmatched report
+    const reshuffles = await PrayerPartnerReshuffle.find({ weekKey: { $in: weeks.map(w => w._id) } })
+      .sort({ createdAt: -1 })
+      .populate("triggeredBy", "name")
+      .lean();
+    const reshuffleByWeek = new Map();
+    reshuffles.forEach(r => {
+      if (!reshuffleByWeek.has(r.weekKey)) reshuffleByWeek.set(r.weekKey, r);
+    });
+
+    const history = weeks.map(w => {
+      const reshuffle = reshuffleByWeek.get(w._id);
+      return {
+        id: w._id,
+        weekKey: w._id,
+        week: w.week,
+        year: w.year,
+        totalPairs: w.totalPairs,
+        totalTrios: w.totalTrios,
+        bySource: { auto: w.auto, manual: w.manual, request: w.request },
+        date: w.firstPairedAt.toISOString().split('T')[0],
+        type: reshuffle ? reshuffle.type : (w.auto > 0 ? 'automatic' : 'manual'),
+        reshuffle: reshuffle ? {
+          id: reshuffle._id,
+          type: reshuffle.type,
+          date: reshuffle.createdAt,
+          triggeredBy: reshuffle.triggeredBy ? { id: reshuffle.triggeredBy._id, name: reshuffle.triggeredBy.name } : null,
+          pinnedPairs: reshuffle.pinnedPairs || 0,
+          unpairedCount: reshuffle.unpairedUsers.length,
+          unmatched: reshuffle.unmatched || [],
+          notificationsSent: reshuffle.notificationsSent,
+          error: reshuffle.error
+        } : null
+      };
+    });
 
     res.status(200).json({
       success: true,
@@ -519,9 +522,297 @@ router.get("/admin/history", verifyToken, requireAdminAccess, async (req, res) =
   }
 });
 
-// Middleware to detect changes in the database (polling example)
-setInterval(async () => {
-  await pairNewUsers();
-}, 30000); // Check for new users every 30 seconds
+// Admin route to list every pairing that started in a given week
+router.get("/admin/history/:weekKey", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const { weekKey } = req.params;
+
+    if (!/^\d{4}-W\d{2}$/.test(weekKey)) {
+      return res.status(400).json({
+        success: false,
+        message: "weekKey must be an ISO week such as 2025-W10"
+      });
+    }
+
+    const pairings = await PartnerPairing.find({ weekKey })
+      .sort({ createdAt: 1 })
+      .populate("members", "name phone fellowshipZone")
+      .populate("createdBy endedBy", "name")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      weekKey,
+      pairings: pairings.map(p => ({
+        id: p._id,
+        members: p.members.map(m => ({ id: m._id, name: m.name, phone: m.phone, fellowshipZone: m.fellowshipZone })),
+        source: p.source,
+        pinned: p.pinned,
+        createdBy: p.createdBy ? { id: p.createdBy._id, name: p.createdBy.name } : null,
+        startedAt: p.createdAt,
+        endedAt: p.endedAt,
+        endReason: p.endReason,
+        endedBy: p.endedBy ? { id: p.endedBy._id, name: p.endedBy.name } : null
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching pairings for week:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching pairings for week",
+      error: error.message
+    });
+  }
+});
+
+// Helper to format the reshuffle schedule for responses
+const formatSchedule = (settings) => ({
+  dayOfWeek: settings.reshuffle.dayOfWeek,
+  time: settings.reshuffle.time,
+  timezone: CHURCH_TIMEZONE,
+  paused: settings.reshuffle.paused,
+  skipWeeks: settings.reshuffle.skipWeeks,
+  lastRunWeek: settings.reshuffle.lastRunWeek,
+  lastRunAt: settings.reshuffle.lastRunAt,
+  nextRunWeek: getNextReshuffleWeek(settings),
+  updatedAt: settings.updatedAt
+});
+
+// Admin route to get the automatic reshuffle schedule
+router.get("/admin/schedule", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const settings = await PrayerPartnerSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      schedule: formatSchedule(settings)
+    });
+  } catch (error) {
+    console.error("Error fetching reshuffle schedule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reshuffle schedule",
+      error: error.message
+    });
+  }
+});
+
+// Admin route to update the automatic reshuffle schedule (day, time, pause)
+router.put("/admin/schedule", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const { dayOfWeek, time, paused } = req.body;
+
+    if (dayOfWeek !== undefined && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+      return res.status(400).json({
+        success: false,
+        message: "dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)"
+      });
+    }
+
+    if (time !== undefined && !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
+      return res.status(400).json({
+        success: false,
+        message: "time must be in HH:mm format"
+      });
+    }
+
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "paused must be a boolean value"
+      });
+    }
+
+    const settings = await PrayerPartnerSettings.getSettings();
+    const before = settings.toObject();
+    if (dayOfWeek !== undefined) settings.reshuffle.dayOfWeek = dayOfWeek;
+    if (time !== undefined) settings.reshuffle.time = time;
+    if (paused !== undefined) settings.reshuffle.paused = paused;
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    await AuditLog.record('prayer_partner.schedule_updated', {
+      req,
+      targetType: 'PrayerPartnerSettings',
+      targetId: settings._id,
+      before,
+      after: settings
+    });
+
+    console.log(`⏰ Admin ${req.user.id} updated reshuffle schedule: day ${settings.reshuffle.dayOfWeek} at ${settings.reshuffle.time}${settings.reshuffle.paused ? ' (paused)' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Reshuffle schedule updated successfully",
+      schedule: formatSchedule(settings)
+    });
+  } catch (error) {
+    console.error("Error updating reshuffle schedule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating reshuffle schedule",
+      error: error.message
+    });
+  }
+});
+
+// Admin route to skip the automatic reshuffle for a week (defaults to the next scheduled week)
+router.post("/admin/schedule/skip", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const settings = await PrayerPartnerSettings.getSettings();
+    const week = req.body.week || getNextReshuffleWeek(settings);
+
+    if (!/^\d{4}-W\d{2}$/.test(week)) {
+      return res.status(400).json({
+        success: false,
+        message: "week must be an ISO week such as 2025-W10"
+      });
+    }
+
+    const before = settings.toObject();
+    if (!settings.reshuffle.skipWeeks.includes(week)) {
+      settings.reshuffle.skipWeeks.push(week);
+    }
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    await AuditLog.record('prayer_partner.week_skipped', {
+      req,
+      targetType: 'PrayerPartnerSettings',
+      targetId: settings._id,
+      before,
+      after: settings,
+      details: { week }
+    });
+
+    console.log(`⏭️ Admin ${req.user.id} skipped the prayer partner reshuffle for ${week}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Reshuffle skipped for ${week}`,
+      schedule: formatSchedule(settings)
+    });
+  } catch (error) {
+    console.error("Error skipping reshuffle week:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error skipping reshuffle week",
+      error: error.message
+    });
+  }
+});
+
+// Admin route to undo a skipped week
+router.delete("/admin/schedule/skip/:week", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const { week } = req.params;
+    const settings = await PrayerPartnerSettings.getSettings();
+
+    const before = settings.toObject();
+    settings.reshuffle.skipWeeks = settings.reshuffle.skipWeeks.filter(w => w !== week);
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    await AuditLog.record('prayer_partner.week_unskipped', {
+      req,
+      targetType: 'PrayerPartnerSettings',
+      targetId: settings._id,
+      before,
+      after: settings,
+      details: { week }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reshuffle re-enabled for ${week}`,
+      schedule: formatSchedule(settings)
+    });
+  } catch (error) {
+    console.error("Error removing skipped week:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing skipped week",
+      error: error.message
+    });
+  }
+});
+
+// Admin route to get the matching rules used when pairing
+router.get("/admin/matching", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const settings = await PrayerPartnerSettings.getSettings();
+
+    res.status(200).json({
+      success: true,
+      matching: settings.matching
+    });
+  } catch (error) {
+    console.error("Error fetching matching settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching matching settings",
+      error: error.message
+    });
+  }
+});
+
+// Admin route to update the matching rules (repeat window, fellowship zone mode, trios)
+router.put("/admin/matching", verifyToken, requirePermission("partners:manage"), async (req, res) => {
+  try {
+    const { avoidRepeatWeeks, zoneMode, allowTrio } = req.body;
+
+    if (avoidRepeatWeeks !== undefined && (!Number.isInteger(avoidRepeatWeeks) || avoidRepeatWeeks < 0 || avoidRepeatWeeks > 52)) {
+      return res.status(400).json({
+        success: false,
+        message: "avoidRepeatWeeks must be an integer from 0 to 52"
+      });
+    }
+
+    if (zoneMode !== undefined && !ZONE_MODES.includes(zoneMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `zoneMode must be one of: ${ZONE_MODES.join(', ')}`
+      });
+    }
+
+    if (allowTrio !== undefined && typeof allowTrio !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: "allowTrio must be a boolean value"
+      });
+    }
+
+    const settings = await PrayerPartnerSettings.getSettings();
+    const before = settings.toObject();
+    if (avoidRepeatWeeks !== undefined) settings.matching.avoidRepeatWeeks = avoidRepeatWeeks;
+    if (zoneMode !== undefined) settings.matching.zoneMode = zoneMode;
+    if (allowTrio !== undefined) settings.matching.allowTrio = allowTrio;
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    await AuditLog.record('prayer_partner.matching_updated', {
+      req,
+      targetType: 'PrayerPartnerSettings',
+      targetId: settings._id,
+      before,
+      after: settings
+    });
+
+    console.log(`⚙️ Admin ${req.user.id} updated prayer partner matching: avoid repeats ${settings.matching.avoidRepeatWeeks} weeks, zone ${settings.matching.zoneMode}, trios ${settings.matching.allowTrio ? 'on' : 'off'}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Matching settings updated successfully",
+      matching: settings.matching
+    });
+  } catch (error) {
+    console.error("Error updating matching settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating matching settings",
+      error: error.message
+    });
+  }
+});
 
 module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 const PrayerRequest = require('../models/PrayerRequest');
 const User = require('../models/User');
 const { verifyToken, requireAdmin } = require('../../middlewares/auth');
-const { requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
+const AuditLog = require('../models/AuditLog');
 
 // Create a new prayer request
 router.post('/', verifyToken, async (req, res) => {
@@ -185,7 +186,7 @@ router.get('/my-requests', verifyToken, async (req, res) => {
 });
 
 // Admin: Get all prayer requests for moderation
-router.get('/admin', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin', verifyToken, requirePermission('prayer:moderate'), async (req, res) => {
   try {
     const { status, category, urgency, page = 1, limit = 20 } = req.query;
 
@@ -254,7 +255,7 @@ router.get('/admin', verifyToken, requireAdminAccess, async (req, res) => {
 });
 
 // Admin: Get pending prayer requests
-router.get('/admin/pending', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/pending', verifyToken, requirePermission('prayer:moderate'), async (req, res) => {
   try {
     const pendingRequests = await PrayerRequest.find({ status: 'pending' })
       .populate('requesterId', 'name phone fellowshipZone')
@@ -288,7 +289,7 @@ router.get('/admin/pending', verifyToken, requireAdminAccess, async (req, res) =
 });
 
 // Admin: Approve a prayer request
-router.post('/:id/approve', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/:id/approve', verifyToken, requirePermission('prayer:moderate'), async (req, res) => {
   try {
     const { id } = req.params;
     const moderatorId = req.user.id;
@@ -309,6 +310,7 @@ router.post('/:id/approve', verifyToken, requireAdminAccess, async (req, res) =>
       });
     }
 
+    const before = prayerRequest.toObject();
     prayerRequest.approve(moderatorId);
     if (notes) {
       prayerRequest.moderatorNotes = notes;
@@ -316,6 +318,14 @@ router.post('/:id/approve', verifyToken, requireAdminAccess, async (req, res) =>
     
     await prayerRequest.save();
 
+    await AuditLog.record('prayer_request.approved', {
+      req,
+      targetType: 'PrayerRequest',
+      targetId: prayerRequest._id,
+      before,
+      after: prayerRequest
+    });
+
     console.log(`✅ Prayer request approved: ${prayerRequest.title} by moderator ${moderatorId}`);
 
     res.json({
@@ -338,7 +348,7 @@ router.post('/:id/approve', verifyToken, requireAdminAccess, async (req, res) =>
 });
 
 // Admin: Reject a prayer request
-router.post('/:id/reject', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/:id/reject', verifyToken, requirePermission('prayer:moderate'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -365,9 +375,18 @@ router.post('/:id/reject', verifyToken, requireAdminAccess, async (req, res) =>
       });
     }
 
+    const before = prayerRequest.toObject();
     prayerRequest.reject(reason.trim());
     await prayerRequest.save();
 
+    await AuditLog.record('prayer_request.rejected', {
+      req,
+      targetType: 'PrayerRequest',
+      targetId: prayerRequest._id,
+      before,
+      after: prayerRequest
+    });
+
     console.log(`❌ Prayer request rejected: ${prayerRequest.title} - Reason: ${reason}`);
 
     res.json({
@@ -2,6 +2,9 @@ const express = require("express");
 const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const User = require("../models/User");
+const { getEffectivePermissions } = require("../../utils/permissions");
+const { checkTokenSubject } = require("../../utils/authTokens");
+const { CHURCH_TIMEZONE, parseTimeOfDay } = require("../../utils/dateUtils");
 const dotenv = require("dotenv");
 
 dotenv.config();
@@ -29,14 +32,43 @@ const authenticateToken = (req, res, next) => {
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
     if (err) {
       console.log(`❌ Token verification failed:`, err.message);
+      // Expired access tokens get a 401 so clients know to use their refresh token
+      if (err.name === "TokenExpiredError") {
+        return res.status(401).json({
+          success: false,
+          message: "Token has expired. Please log in again.",
+          code: "TOKEN_EXPIRED"
+        });
+      }
       return res.status(403).json({
         success: false,
         message: "Invalid or expired token."
       });
     }
-    console.log(`✅ Token verified for user: ${user.id}`);
-    req.user = user;
-    next();
+
+    // Reject tokens of deleted or deactivated users and of revoked sessions
+    checkTokenSubject(user)
+      .then((problem) => {
+        if (problem) {
+          console.log(`❌ Token rejected for user ${user.id}: ${problem.code}`);
+          return res.status(problem.status).json({
+            success: false,
+            message: problem.message,
+            code: problem.code
+          });
+        }
+
+        console.log(`✅ Token verified for user: ${user.id}`);
+        req.user = user;
+        next();
+      })
+      .catch((error) => {
+        console.error(`❌ Session check failed:`, error);
+        res.status(500).json({
+          success: false,
+          message: "Server error."
+        });
+      });
   });
 };
 
@@ -108,6 +140,38 @@ router.get("/userinfo", authenticateToken, async (req, res) => {
   }
 });
 
+// Get the permissions of the logged-in user (used by the app to show admin tools)
+router.get("/permissions", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("role isAdmin permissionOverrides");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found."
+      });
+    }
+
+    const permissions = await getEffectivePermissions(user);
+
+    res.json({
+      success: true,
+      data: {
+        role: user.role,
+        isAdmin: user.isAdminUser(),
+        permissions: Array.from(permissions)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching user permissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error.",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Update user profile - simplified to handle only essential fields
 router.put("/userinfo", authenticateToken, async (req, res) => {
   try {
@@ -295,6 +359,205 @@ router.put("/userinfo", authenticateToken, async (req, res) => {
   }
 });
 
+const NOTIFICATION_CATEGORIES = ["announcements", "events", "prayerPartners", "general", "weeklyDigest"];
+const VISIBILITY_OPTIONS = ["public", "members", "private"];
+
+// Shape the stored preferences for the app, filling in defaults for older accounts
+const formatPreferences = (preferences = {}) => {
+  const notifications = preferences.notifications || {};
+  const quietHours = notifications.quietHours || {};
+  const channels = notifications.channels || {};
+  const privacy = preferences.privacy || {};
+
+  return {
+    language: preferences.language || "en",
+    notifications: {
+      ...NOTIFICATION_CATEGORIES.reduce((acc, category) => {
+        acc[category] = notifications[category] !== false;
+        return acc;
+      }, {}),
+      // How each category reaches the member besides the in-app inbox
+      channels: NOTIFICATION_CATEGORIES.reduce((acc, category) => {
+        acc[category] = channels[category] || User.DEFAULT_NOTIFICATION_CHANNELS[category];
+        return acc;
+      }, {}),
+      quietHours: {
+        enabled: quietHours.enabled === true,
+        start: quietHours.start || "22:00",
+        end: quietHours.end || "06:00",
+        timezone: CHURCH_TIMEZONE
+      }
+    },
+    privacy: {
+      profileVisibility: privacy.profileVisibility || "public",
+      phoneVisibility: privacy.phoneVisibility || "members"
+    }
+  };
+};
+
+// Get the language, notification and privacy preferences of the logged-in user
+router.get("/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("preferences").lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found."
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatPreferences(user.preferences)
+    });
+  } catch (error) {
+    console.error("Error fetching preferences:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error.",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update preferences; only the fields sent are changed
+router.put("/preferences", authenticateToken, async (req, res) => {
+  try {
+    const { language, notifications, privacy } = req.body;
+    const errors = [];
+    const updateFields = {};
+
+    if (language !== undefined) {
+      if (!User.LANGUAGES.includes(language)) {
+        errors.push(`language must be one of: ${User.LANGUAGES.join(", ")}`);
+      } else {
+        updateFields["preferences.language"] = language;
+      }
+    }
+
+    if (notifications !== undefined) {
+      if (!notifications || typeof notifications !== "object") {
+        errors.push("notifications must be an object");
+      } else {
+        NOTIFICATION_CATEGORIES.forEach(category => {
+          if (notifications[category] === undefined) return;
+          if (typeof notifications[category] !== "boolean") {
+            errors.push(`notifications.${category} must be true or false`);
+          } else {
+            updateFields[`preferences.notifications.${category}`] = notifications[category];
+          }
+        });
+
+        const { quietHours } = notifications;
+        if (quietHours !== undefined) {
+          if (!quietHours || typeof quietHours !== "object") {
+            errors.push("notifications.quietHours must be an object");
+          } else {
+            if (quietHours.enabled !== undefined) {
+              if (typeof quietHours.enabled !== "boolean") {
+                errors.push("quietHours.enabled must be true or false");
+              } else {
+                updateFields["preferences.notifications.quietHours.enabled"] = quietHours.enabled;
+              }
+            }
+            ["start", "end"].forEach(field => {
+              if (quietHours[field] === undefined) return;
+              if (!parseTimeOfDay(quietHours[field])) {
+                errors.push(`quietHours.${field} must be a time in HH:mm format`);
+              } else {
+                updateFields[`preferences.notifications.quietHours.${field}`] = quietHours[field];
+              }
+            });
+            if (quietHours.start !== undefined && quietHours.start === quietHours.end) {
+              errors.push("quietHours.start and quietHours.end must differ");
+            }
+          }
+        }
+
+        const { channels } = notifications;
+        if (channels !== undefined) {
+          if (!channels || typeof channels !== "object") {
+            errors.push("notifications.channels must be an object");
+          } else {
+            NOTIFICATION_CATEGORIES.forEach(category => {
+              const selected = channels[category];
+              if (selected === undefined) return;
+              if (!Array.isArray(selected) || selected.some(channel => !User.NOTIFICATION_CHANNELS.includes(channel))) {
+                errors.push(`channels.${category} must be a list of: ${User.NOTIFICATION_CHANNELS.join(", ")}`);
+              } else {
+                updateFields[`preferences.notifications.channels.${category}`] = Array.from(new Set(selected));
+              }
+            });
+          }
+        }
+      }
+    }
+
+    if (privacy !== undefined) {
+      if (!privacy || typeof privacy !== "object") {
+        errors.push("privacy must be an object");
+      } else {
+        ["profileVisibility", "phoneVisibility"].forEach(field => {
+          if (privacy[field] === undefined) return;
+          if (!VISIBILITY_OPTIONS.includes(privacy[field])) {
+            errors.push(`privacy.${field} must be one of: ${VISIBILITY_OPTIONS.join(", ")}`);
+          } else {
+            updateFields[`preferences.privacy.${field}`] = privacy[field];
+          }
+        });
+      }
+    }
+
+    // Email only works for members with an address on file
+    const wantsEmail = Object.keys(updateFields).some(field =>
+      field.startsWith("preferences.notifications.channels.") && updateFields[field].includes("email")
+    );
+    if (wantsEmail && errors.length === 0) {
+      const current = await User.findById(req.user.id).select("email").lean();
+      if (current && !current.email) {
+        errors.push("Add an email address to your profile before choosing email notifications");
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updateFields },
+      { new: true, runValidators: true }
+    ).select("preferences").lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found."
+      });
+    }
+
+    console.log(`⚙️ Preferences updated for user ${req.user.id}: ${Object.keys(updateFields).join(", ") || "no changes"}`);
+
+    res.json({
+      success: true,
+      message: "Preferences updated successfully",
+      data: formatPreferences(user.preferences)
+    });
+  } catch (error) {
+    console.error("Error updating preferences:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating preferences.",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Get public profile (limited information) - simplified for essential info only
 router.get("/profile/:userId", async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Sermon = require('../models/Sermon');
 const { verifyToken, optionalAuth } = require('../../middlewares/auth');
+const { requirePermission, hasPermission } = require('../../middlewares/permissions');
 
 // Import upload handler for file uploads
 // Note: Requires multer and cloudinary packages to be installed
@@ -13,6 +14,22 @@ try {
   console.warn('Upload handler not available. Install multer and cloudinary for file upload functionality.');
 }
 
+// The publisher job only picks up scheduled sermons whose scheduledDate has come,
+// so scheduling needs a valid date in the future
+const checkScheduledDate = (scheduledDate) => {
+  if (!scheduledDate) {
+    return 'scheduledDate is required to schedule a sermon';
+  }
+  const when = new Date(scheduledDate);
+  if (isNaN(when.getTime())) {
+    return 'Invalid scheduled date format';
+  }
+  if (when <= new Date()) {
+    return 'Scheduled date must be in the future';
+  }
+  return null;
+};
+
 // GET all sermons (public endpoint with optional auth)
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -288,7 +305,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // POST new sermon (admin only)
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('sermons:edit'), async (req, res) => {
   try {
     const {
       title,
@@ -305,6 +322,7 @@ router.post('/', verifyToken, async (req, res) => {
       tags,
       featured = false,
       status = 'draft',
+      scheduledDate,
       metadata
     } = req.body;
 
@@ -316,6 +334,26 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
+    // Editors without sermons:publish can only save drafts
+    if ((status !== 'draft' || featured) && !hasPermission(req, 'sermons:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish, schedule or feature sermons',
+        code: 'PERMISSION_DENIED',
+        required: ['sermons:publish']
+      });
+    }
+
+    if (status === 'scheduled') {
+      const scheduleError = checkScheduledDate(scheduledDate);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+    }
+
     // Optional field validation - validate only if provided
     if (duration && duration < 1) {
       return res.status(400).json({
@@ -349,6 +387,7 @@ router.post('/', verifyToken, async (req, res) => {
       tags: Array.isArray(tags) ? tags.map(tag => tag.trim().toLowerCase()) : [],
       featured: Boolean(featured),
       status: status,
+      scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
       metadata: metadata || {},
       uploadedBy: req.user.id
     });
@@ -403,7 +442,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT update sermon (admin only)
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('sermons:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -418,6 +457,33 @@ router.put('/:id', verifyToken, async (req, res) => {
       });
     }
 
+    // Editors without sermons:publish cannot change the status or featured flag
+    const changesPublishing = (updateData.status !== undefined && updateData.status !== sermon.status) ||
+      (updateData.featured !== undefined && Boolean(updateData.featured) !== sermon.featured) ||
+      (updateData.scheduledDate !== undefined && sermon.status === 'scheduled');
+    if (changesPublishing && !hasPermission(req, 'sermons:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to publish, schedule or feature sermons',
+        code: 'PERMISSION_DENIED',
+        required: ['sermons:publish']
+      });
+    }
+
+    // Scheduling (or moving the date of a scheduled sermon) needs a future date
+    const nextStatus = updateData.status !== undefined ? updateData.status : sermon.status;
+    if (nextStatus === 'scheduled' && (nextStatus !== sermon.status || updateData.scheduledDate !== undefined)) {
+      const scheduleError = checkScheduledDate(
+        updateData.scheduledDate !== undefined ? updateData.scheduledDate : sermon.scheduledDate
+      );
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+    }
+
     // Build update object (only update provided fields)
     const updateFields = {};
     
@@ -438,6 +504,9 @@ router.put('/:id', verifyToken, async (req, res) => {
     }
     if (updateData.featured !== undefined) updateFields.featured = Boolean(updateData.featured);
     if (updateData.status !== undefined) updateFields.status = updateData.status;
+    if (updateData.scheduledDate !== undefined) {
+      updateFields.scheduledDate = updateData.scheduledDate ? new Date(updateData.scheduledDate) : null;
+    }
     if (updateData.metadata !== undefined) updateFields.metadata = updateData.metadata;
 
     // Update the sermon
@@ -500,7 +569,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE sermon (admin only)
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('sermons:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -542,7 +611,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
 });
 
 // POST publish sermon (admin only)
-router.post('/:id/publish', verifyToken, async (req, res) => {
+router.post('/:id/publish', verifyToken, requirePermission('sermons:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -578,8 +647,75 @@ router.post('/:id/publish', verifyToken, async (req, res) => {
   }
 });
 
+// POST schedule sermon for automatic publishing (admin only)
+router.post('/:id/schedule', verifyToken, requirePermission('sermons:publish'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledDate, scheduledTime } = req.body;
+
+    if (!scheduledDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled date is required'
+      });
+    }
+
+    const scheduledDateTime = new Date(scheduledTime ? `${scheduledDate}T${scheduledTime}` : scheduledDate);
+
+    if (isNaN(scheduledDateTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduled date format'
+      });
+    }
+
+    if (scheduledDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled time must be in the future'
+      });
+    }
+
+    const sermon = await Sermon.findByIdAndUpdate(
+      id,
+      {
+        status: 'scheduled',
+        scheduledDate: scheduledDateTime
+      },
+      { new: true }
+    );
+
+    if (!sermon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sermon not found'
+      });
+    }
+
+    console.log(`⏰ Sermon scheduled: "${sermon.title}" for ${scheduledDateTime} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Sermon scheduled successfully',
+      data: {
+        id: sermon._id.toString(),
+        title: sermon.title,
+        status: sermon.status,
+        scheduledDate: sermon.scheduledDate
+      }
+    });
+  } catch (error) {
+    console.error('Error scheduling sermon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule sermon',
+      error: error.message
+    });
+  }
+});
+
 // POST toggle featured status (admin only)
-router.post('/:id/toggle-featured', verifyToken, async (req, res) => {
+router.post('/:id/toggle-featured', verifyToken, requirePermission('sermons:publish'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -846,7 +982,7 @@ router.get('/admin/series', async (req, res) => {
 });
 
 // GET sermon statistics (admin only)
-router.get('/admin/stats', verifyToken, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('sermons:edit', 'sermons:publish'), async (req, res) => {
   try {
     const stats = await Sermon.getStats();
     
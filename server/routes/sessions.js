@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const UserSession = require('../models/UserSession');
+const { verifyToken } = require('../../middlewares/auth');
+const { refreshSession } = require('../../utils/authTokens');
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  loginMethod: session.loginMethod,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  isCurrent: session._id.toString() === currentSessionId
+});
+
+// POST /api/user/token/refresh - Exchange a refresh token for new tokens
+router.post('/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    const result = await refreshSession(refreshToken, req);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+        code: result.error.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/user/logout - End the current device session
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await UserSession.updateOne(
+        { _id: req.user.sid, user: req.user.id, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: req.user.id, revokeReason: 'logout' }
+      );
+    }
+
+    console.log(`👋 User ${req.user.id} logged out${req.user.sid ? ` (session ${req.user.sid})` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/user/sessions - List the devices the user is logged in on
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await UserSession.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sessions.map(session => formatSession(session, req.user.sid)),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/user/sessions - Log out of every other device
+router.delete('/sessions', verifyToken, async (req, res) => {
+  try {
+    const result = await UserSession.revokeForUser(req.user.id, 'revoked', req.user.id, req.user.sid || null);
+    const revoked = result.modifiedCount;
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} other device(s)`,
+      revoked
+    });
+  } catch (error) {
+    console.error('❌ Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/user/sessions/:id - Log out of one device
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const session = await UserSession.findActive(req.params.id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    session.revokedAt = new Date();
+    session.revokedBy = req.user.id;
+    session.revokeReason = session._id.toString() === req.user.sid ? 'logout' : 'revoked';
+    await session.save();
+
+    console.log(`🔒 User ${req.user.id} revoked session ${session._id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: formatSession(session, req.user.sid)
+    });
+  } catch (error) {
+    console.error('❌ Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { verifyToken } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
 // Note: These packages need to be installed:
 // npm install multer cloudinary
@@ -143,7 +144,7 @@ const uploadToCloudinary = (buffer, options = {}) => {
 };
 
 // POST upload video file for sermon
-router.post('/sermons/upload-video', verifyToken, uploadVideo.single('video'), async (req, res) => {
+router.post('/sermons/upload-video', verifyToken, requirePermission('sermons:edit'), uploadVideo.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -250,7 +251,7 @@ router.post('/sermons/upload-video', verifyToken, uploadVideo.single('video'), a
 });
 
 // POST upload thumbnail/image for sermon
-router.post('/sermons/upload-image', verifyToken, uploadImage.single('image'), async (req, res) => {
+router.post('/sermons/upload-image', verifyToken, requirePermission('sermons:edit'), uploadImage.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -336,7 +337,7 @@ router.post('/sermons/upload-image', verifyToken, uploadImage.single('image'), a
 });
 
 // POST upload audio file for sermon
-router.post('/sermons/upload-audio', verifyToken, async (req, res) => {
+router.post('/sermons/upload-audio', verifyToken, requirePermission('sermons:edit'), async (req, res) => {
   try {
     const uploadAudio = multer({
       storage: storage,
@@ -438,7 +439,7 @@ router.post('/sermons/upload-audio', verifyToken, async (req, res) => {
 });
 
 // POST upload PDF/document file for sermon notes
-router.post('/sermons/upload-document', verifyToken, async (req, res) => {
+router.post('/sermons/upload-document', verifyToken, requirePermission('sermons:edit'), async (req, res) => {
   try {
     const uploadDocument = multer({
       storage: storage,
@@ -535,7 +536,7 @@ router.post('/sermons/upload-document', verifyToken, async (req, res) => {
 });
 
 // DELETE uploaded file from Cloudinary (admin only)
-router.delete('/upload/:publicId', verifyToken, async (req, res) => {
+router.delete('/upload/:publicId', verifyToken, requirePermission('sermons:edit', 'videos:manage', 'gallery:manage'), async (req, res) => {
   try {
     const { publicId } = req.params;
     const { resourceType = 'auto' } = req.query;
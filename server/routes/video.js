@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Sermon = require('../models/Sermon');
 const { verifyToken, optionalAuth } = require('../../middlewares/auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
 // GET single video (latest/featured video for video player page)
 // This endpoint is used by WatchVideos.jsx component
@@ -325,7 +326,7 @@ router.get('/video/:id', optionalAuth, async (req, res) => {
 
 // POST create new video (admin only)
 // Note: This creates a sermon with video content
-router.post('/videos', verifyToken, async (req, res) => {
+router.post('/videos', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const {
       title,
@@ -484,7 +485,7 @@ router.post('/videos', verifyToken, async (req, res) => {
 });
 
 // PUT update video (admin only)
-router.put('/video/:id', verifyToken, async (req, res) => {
+router.put('/video/:id', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -590,7 +591,7 @@ router.put('/video/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE video (admin only)
-router.delete('/video/:id', verifyToken, async (req, res) => {
+router.delete('/video/:id', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
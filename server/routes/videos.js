@@ -3,7 +3,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Video = require('../models/Video');
 const { verifyToken, optionalAuth, requireAdmin } = require('../../middlewares/auth');
-const { requireAdminAccess } = require('../../middlewares/flexible-auth');
+const { requirePermission } = require('../../middlewares/permissions');
 
 // Import upload handler for file uploads
 let uploadHandler = null;
@@ -160,7 +160,7 @@ router.get('/featured', async (req, res) => {
 });
 
 // GET /api/videos/stats - Get video statistics (admin only)
-router.get('/admin/stats', verifyToken, requireAdminAccess, async (req, res) => {
+router.get('/admin/stats', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     console.log('📊 Fetching video statistics...');
 
@@ -253,7 +253,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // POST /api/videos - Create new video (admin only)
-router.post('/', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const {
       title,
@@ -368,7 +368,7 @@ router.post('/', verifyToken, requireAdminAccess, async (req, res) => {
 });
 
 // PUT /api/videos/:id - Update video (admin only)
-router.put('/:id', verifyToken, requireAdminAccess, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -448,7 +448,7 @@ router.put('/:id', verifyToken, requireAdminAccess, async (req, res) => {
 });
 
 // DELETE /api/videos/:id - Delete video (admin only) - Soft delete
-router.delete('/:id', verifyToken, requireAdminAccess, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -599,7 +599,7 @@ router.post('/:id/share', optionalAuth, async (req, res) => {
 });
 
 // POST /api/videos/bulk - Bulk create videos (admin only)
-router.post('/bulk', verifyToken, requireAdminAccess, async (req, res) => {
+router.post('/bulk', verifyToken, requirePermission('videos:manage'), async (req, res) => {
   try {
     const { videos } = req.body;
 
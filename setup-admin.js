@@ -1,16 +1,16 @@
 /**
  * Admin Setup Script
  * 
- * This script helps set up admin permissions for a user
- * Usage: node setup-admin.js <phone_number>
- * Example: node setup-admin.js 0712345678
+ * This script helps set up admin permissions for a user, optionally with a personal admin PIN
+ * Usage: node setup-admin.js <phone_number> [admin_pin]
+ * Example: node setup-admin.js 0712345678 4821pcea
  */
 
 const mongoose = require('mongoose');
 const User = require('./server/models/User');
 require('dotenv').config();
 
-async function setupAdmin(phoneNumber) {
+async function setupAdmin(phoneNumber, adminPin) {
   try {
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGO_URI, {
@@ -90,6 +90,17 @@ async function setupAdmin(phoneNumber) {
     console.log(`   Admin: ${updatedUser.isAdmin}`);
     console.log(`   Can send notifications: ${updatedUser.isAdminUser ? updatedUser.isAdminUser() : 'Yes'}`);
 
+    // Optionally set the user's personal admin PIN (used with /api/admin-pin/verify)
+    if (adminPin) {
+      if (!/^[A-Za-z0-9]{6,32}$/.test(adminPin)) {
+        console.log('\n❌ Admin PIN must be 6-32 letters or digits - PIN not set');
+      } else {
+        await updatedUser.setAdminPin(adminPin);
+        await updatedUser.save();
+        console.log('\n🔑 Admin PIN set successfully');
+      }
+    }
+
   } catch (error) {
     console.error('❌ Error setting up admin:', error.message);
   } finally {
@@ -99,10 +110,11 @@ async function setupAdmin(phoneNumber) {
   }
 }
 
-// Get phone number from command line arguments
+// Get phone number and optional admin PIN from command line arguments
 const phoneNumber = process.argv[2];
+const adminPin = process.argv[3];
 
 console.log('🔧 Admin Setup Script');
 console.log('='.repeat(50));
 
-setupAdmin(phoneNumber);
+setupAdmin(phoneNumber, adminPin);
@@ -9,6 +9,10 @@
  * 3. Sends test notification
  * 4. Verifies delivery
  *
+ * The backend can run with a local push transport (PUSH_TRANSPORT=file or
+ * memory) so the pipeline can be tested without Firebase credentials; the
+ * Firebase checks are skipped in that case.
+ *
  * Usage: node test-notification-system.js
  */
 
@@ -22,6 +26,7 @@ const BACKEND_URL = process.env.PROJECT_DOMAIN
 
 class NotificationSystemTester {
   constructor() {
+    this.usesLocalTransport = false;
     this.results = {
       passed: 0,
       failed: 0,
@@ -63,7 +68,7 @@ class NotificationSystemTester {
       throw new Error("Server health check failed");
     }
 
-    if (response.data.services.firebase !== "connected") {
+    if (!this.usesLocalTransport && response.data.services.firebase !== "connected") {
       throw new Error("Firebase not connected");
     }
 
@@ -87,7 +92,7 @@ class NotificationSystemTester {
 
     const status = response.data.status;
 
-    if (!status.system.firebaseInitialized) {
+    if (!this.usesLocalTransport && !status.system.firebaseInitialized) {
       throw new Error("Firebase not initialized");
     }
 
@@ -113,8 +118,17 @@ class NotificationSystemTester {
     }
 
     const data = response.data.data;
+    const push = response.data.push || { transport: "firebase" };
+    this.usesLocalTransport = push.transport !== "firebase";
 
-    if (!data.canSendNotifications) {
+    if (this.usesLocalTransport) {
+      this.log(
+        `Using the local "${push.transport}" push transport - pushes are recorded, not sent`,
+        "warning",
+      );
+    }
+
+    if (!this.usesLocalTransport && !data.canSendNotifications) {
       throw new Error(
         `FCM not ready - Firebase: ${data.firebaseStatus}, Users with tokens: ${data.usersWithTokens}`,
       );
@@ -234,11 +248,12 @@ class NotificationSystemTester {
     console.log(`🔑 API Key: ${API_KEY}`);
     console.log("═".repeat(60));
 
+    // Runs first so the other checks know which push transport is in use
+    await this.test("FCM Status Check", () => this.checkFCMStatus());
     await this.test("Server Health Check", () => this.checkServerHealth());
     await this.test("Notification System Status", () =>
       this.checkNotificationStatus(),
     );
-    await this.test("FCM Status Check", () => this.checkFCMStatus());
     await this.test("CLI Authentication", () => this.testCLIAuthentication());
     await this.test("Test Notification Sending", () =>
       this.sendTestNotification(),
@@ -307,6 +322,8 @@ if (process.argv.includes("--help") || process.argv.includes("-h")) {
   console.log("  CLI_API_KEY         API key for CLI access");
   console.log("  PROJECT_DOMAIN      Glitch project domain");
   console.log("");
+  console.log("Start the backend with PUSH_TRANSPORT=file to test without Firebase.");
+  console.log("");
   console.log("What it tests:");
   console.log("  • Server health and Firebase connection");
   console.log("  • FCM token availability");
@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const User = require('../server/models/User');
+const Event = require('../server/models/Event');
+const AudienceSegment = require('../server/models/AudienceSegment');
+const { ROLES } = require('./permissions');
+const { getZonedParts } = require('./dateUtils');
+
+/**
+ * Audience segments for admin broadcasts.
+ *
+ * A segment definition selects active members by any combination of:
+ *   fellowshipZones  - e.g. ["Youth", "Teens"]
+ *   roles            - e.g. ["elder", "pastor"]
+ *   age              - { min, max } in whole years, from dateOfBirth
+ *   event            - { id, rsvpStatuses } members who answered the event's RSVP
+ *                      with one of the statuses (default ["attending"]), for any
+ *                      occurrence of a recurring event
+ *   prayerPartner    - "paired" or "unpaired"
+ * Every given criterion has to match. A definition may also name a saved
+ * segment (segmentId, by id or name), whose criteria are then combined with
+ * the ones given alongside it.
+ */
+
+const FELLOWSHIP_ZONES = User.schema.path('fellowshipZone').enumValues;
+const RSVP_STATUSES = Event.schema.path('attendees').schema.path('status').enumValues;
+const PRAYER_PARTNER_STATUSES = ['paired', 'unpaired'];
+const MAX_AGE = 120;
+
+// Keys a definition may use; anything else is rejected rather than silently widening the audience
+const DEFINITION_KEYS = ['fellowshipZones', 'roles', 'age', 'event', 'prayerPartner', 'segmentId'];
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ */
+function segmentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Accept a single value or a list, and drop empty entries
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value])
+    .filter(item => item !== null && item !== undefined && item !== '');
+}
+
+/**
+ * Validate a segment definition and bring it into the stored criteria shape
+ * @param {Object} definition - Segment definition (see above)
+ * @returns {Object} { criteria, errors } where errors lists what is wrong with the definition
+ */
+function normalizeCriteria(definition = {}) {
+  const errors = [];
+  const criteria = {
+    fellowshipZones: [],
+    roles: [],
+    age: { min: null, max: null },
+    event: { id: null, rsvpStatuses: [] },
+    prayerPartner: null
+  };
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { criteria, errors: ['Segment must be an object'] };
+  }
+
+  const unknownKeys = Object.keys(definition).filter(key => !DEFINITION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown segment field(s): ${unknownKeys.join(', ')}. Allowed: ${DEFINITION_KEYS.join(', ')}`);
+  }
+
+  criteria.fellowshipZones = [...new Set(toList(definition.fellowshipZones))];
+  const unknownZones = criteria.fellowshipZones.filter(zone => !FELLOWSHIP_ZONES.includes(zone));
+  if (unknownZones.length > 0) {
+    errors.push(`Unknown fellowship zone(s): ${unknownZones.join(', ')}. Must be one of: ${FELLOWSHIP_ZONES.join(', ')}`);
+  }
+
+  criteria.roles = [...new Set(toList(definition.roles))];
+  const unknownRoles = criteria.roles.filter(role => !ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    errors.push(`Unknown role(s): ${unknownRoles.join(', ')}. Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (definition.age !== undefined && definition.age !== null) {
+    const { min = null, max = null } = definition.age;
+    [['min', min], ['max', max]].forEach(([bound, value]) => {
+      if (value !== null && (!Number.isInteger(value) || value < 0 || value > MAX_AGE)) {
+        errors.push(`age.${bound} must be a whole number between 0 and ${MAX_AGE}`);
+      }
+    });
+    if (Number.isInteger(min) && Number.isInteger(max) && min > max) {
+      errors.push('age.min cannot be greater than age.max');
+    }
+    criteria.age = { min, max };
+  }
+
+  if (definition.event !== undefined && definition.event !== null) {
+    const { id, rsvpStatuses } = definition.event;
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      errors.push('event.id must be a valid event ID');
+    } else {
+      criteria.event.id = id.toString();
+    }
+
+    criteria.event.rsvpStatuses = [...new Set(toList(rsvpStatuses))];
+    if (criteria.event.rsvpStatuses.length === 0) {
+      criteria.event.rsvpStatuses = ['attending'];
+    }
+    const unknownStatuses = criteria.event.rsvpStatuses.filter(status => !RSVP_STATUSES.includes(status));
+    if (unknownStatuses.length > 0) {
+      errors.push(`Unknown RSVP status(es): ${unknownStatuses.join(', ')}. Must be one of: ${RSVP_STATUSES.join(', ')}`);
+    }
+  }
+
+  if (definition.prayerPartner !== undefined && definition.prayerPartner !== null) {
+    if (!PRAYER_PARTNER_STATUSES.includes(definition.prayerPartner)) {
+      errors.push(`prayerPartner must be one of: ${PRAYER_PARTNER_STATUSES.join(', ')}`);
+    } else {
+      criteria.prayerPartner = definition.prayerPartner;
+    }
+  }
+
+  return { criteria, errors };
+}
+
+/**
+ * Read the criteria of a saved segment (validated when it was saved)
+ * @param {Object} stored - AudienceSegment.criteria
+ * @returns {Object} Normalized criteria
+ */
+function fromStoredCriteria(stored = {}) {
+  const age = stored.age || {};
+  const event = stored.event || {};
+  return {
+    fellowshipZones: stored.fellowshipZones || [],
+    roles: stored.roles || [],
+    age: {
+      min: typeof age.min === 'number' ? age.min : null,
+      max: typeof age.max === 'number' ? age.max : null
+    },
+    event: {
+      id: event.id ? event.id.toString() : null,
+      rsvpStatuses: event.id ? event.rsvpStatuses || [] : []
+    },
+    prayerPartner: stored.prayerPartner || null
+  };
+}
+
+/**
+ * Check whether criteria narrow the audience at all
+ * @param {Object} criteria - Normalized criteria
+ * @returns {boolean}
+ */
+function hasCriteria(criteria) {
+  return criteria.fellowshipZones.length > 0 ||
+    criteria.roles.length > 0 ||
+    criteria.age.min !== null ||
+    criteria.age.max !== null ||
+    !!criteria.event.id ||
+    !!criteria.prayerPartner;
+}
+
+/**
+ * Combine two sets of criteria so that members have to match both
+ * @param {Object} base - Normalized criteria (e.g. of a saved segment)
+ * @param {Object} extra - Normalized criteria given alongside it
+ * @returns {Object} Combined criteria, or null when they can never match together
+ */
+function combineCriteria(base, extra) {
+  const intersect = (a, b) => (a.length === 0 ? b : b.length === 0 ? a : a.filter(item => b.includes(item)));
+  const pickBound = (a, b, pick) => (a === null ? b : b === null ? a : pick(a, b));
+
+  // Two different events or prayer-partner statuses can never both match
+  if (base.event.id && extra.event.id && base.event.id.toString() !== extra.event.id.toString()) {
+    return null;
+  }
+  if (base.prayerPartner && extra.prayerPartner && base.prayerPartner !== extra.prayerPartner) {
+    return null;
+  }
+
+  const combined = {
+    fellowshipZones: intersect(base.fellowshipZones, extra.fellowshipZones),
+    roles: intersect(base.roles, extra.roles),
+    age: {
+      min: pickBound(base.age.min, extra.age.min, Math.max),
+      max: pickBound(base.age.max, extra.age.max, Math.min)
+    },
+    event: {
+      id: base.event.id || extra.event.id,
+      rsvpStatuses: base.event.id && extra.event.id
+        ? intersect(base.event.rsvpStatuses, extra.event.rsvpStatuses)
+        : (base.event.id ? base.event.rsvpStatuses : extra.event.rsvpStatuses)
+    },
+    prayerPartner: base.prayerPartner || extra.prayerPartner
+  };
+
+  const emptied = (a, b, result) => (a.length > 0 || b.length > 0) && result.length === 0;
+  if (emptied(base.fellowshipZones, extra.fellowshipZones, combined.fellowshipZones) ||
+      emptied(base.roles, extra.roles, combined.roles) ||
+      (combined.event.id && combined.event.rsvpStatuses.length === 0) ||
+      (combined.age.min !== null && combined.age.max !== null && combined.age.min > combined.age.max)) {
+    return null;
+  }
+
+  return combined;
+}
+
+/**
+ * Build the User query selecting the active members that match criteria
+ * @param {Object} criteria - Normalized criteria
+ * @param {Object} options - { now } used to work out ages
+ * @returns {Promise<Object>} Mongo filter for User
+ */
+async function buildUserQuery(criteria, { now = new Date() } = {}) {
+  const query = { isActive: { $ne: false } };
+
+  if (criteria.fellowshipZones.length > 0) {
+    query.fellowshipZone = { $in: criteria.fellowshipZones };
+  }
+
+  if (criteria.roles.length > 0) {
+    query.role = { $in: criteria.roles };
+  }
+
+  // Ages are counted from today's date in the church timezone; members
+  // without a date of birth never match an age range
+  const { min, max } = criteria.age;
+  if (min !== null || max !== null) {
+    const { year, month, day } = getZonedParts(now);
+    query.dateOfBirth = { $ne: null };
+    if (min !== null) {
+      query.dateOfBirth.$lte = new Date(Date.UTC(year - min, month - 1, day, 23, 59, 59, 999));
+    }
+    if (max !== null) {
+      query.dateOfBirth.$gt = new Date(Date.UTC(year - max - 1, month - 1, day, 23, 59, 59, 999));
+    }
+  }
+
+  if (criteria.event.id) {
+    const event = await Event.findById(criteria.event.id).select('attendees').lean();
+    if (!event) {
+      throw segmentError('Event not found', 404);
+    }
+    const attendeeIds = (event.attendees || [])
+      .filter(attendee => criteria.event.rsvpStatuses.includes(attendee.status))
+      .map(attendee => attendee.user);
+    query._id = { $in: attendeeIds };
+  }
+
+  if (criteria.prayerPartner === 'paired') {
+    query['partnerGroup.0'] = { $exists: true };
+  } else if (criteria.prayerPartner === 'unpaired') {
+    query['partnerGroup.0'] = { $exists: false };
+  }
+
+  return query;
+}
+
+/**
+ * Work out which members a broadcast targets
+ * @param {Object} options
+ * @param {Object} options.segment - Segment definition (may carry segmentId)
+ * @param {string} options.segmentId - Saved segment id or name
+ * @param {Date} options.now - Reference time for ages
+ * @returns {Promise<Object>} { userIds, criteria, savedSegment }
+ * @throws {Error} with status 400 for an invalid definition, 404 for an unknown saved segment or event
+ */
+async function resolveAudience({ segment = {}, segmentId = null, now = new Date() } = {}) {
+  const { criteria: given, errors } = normalizeCriteria(segment);
+  if (errors.length > 0) {
+    throw segmentError(`Invalid segment: ${errors.join('; ')}`);
+  }
+
+  let criteria = given;
+  let savedSegment = null;
+  const savedRef = segmentId || (segment && segment.segmentId);
+
+  if (savedRef) {
+    savedSegment = await AudienceSegment.findByIdOrName(savedRef).lean();
+    if (!savedSegment) {
+      throw segmentError(`Saved segment not found: ${savedRef}`, 404);
+    }
+    criteria = combineCriteria(fromStoredCriteria(savedSegment.criteria), given);
+  }
+
+  if (!criteria) {
+    return { userIds: [], criteria: null, savedSegment };
+  }
+
+  const query = await buildUserQuery(criteria, { now });
+  const users = await User.find(query).select('_id').lean();
+
+  return { userIds: users.map(user => user._id), criteria, savedSegment };
+}
+
+module.exports = {
+  FELLOWSHIP_ZONES,
+  RSVP_STATUSES,
+  PRAYER_PARTNER_STATUSES,
+  normalizeCriteria,
+  fromStoredCriteria,
+  hasCriteria,
+  buildUserQuery,
+  resolveAudience
+};
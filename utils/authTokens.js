@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+/**
+ * Access and refresh tokens.
+ *
+ * Logging in opens a UserSession for the device and returns a short-lived
+ * access token (JWT carrying the session id as `sid`) plus a refresh token.
+ * Refresh tokens rotate on every use; presenting an already-rotated token
+ * means it was copied, so every session of that user is revoked.
+ *
+ * Tokens issued before sessions existed carry no `sid`; they are still
+ * accepted until they expire, as long as the user is active.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a refresh token for a session; the session id prefix lets it be looked up directly
+ * @param {string} sessionId - UserSession id
+ * @returns {string} Refresh token
+ */
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Sign an access token
+ * @param {string} userId - User id
+ * @param {string} sessionId - UserSession id
+ * @returns {string} JWT
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Build the token part of a login/refresh response
+ */
+function buildTokenResponse(userId, session, refreshToken) {
+  const token = signAccessToken(userId, session._id);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - iat,
+    refreshExpiresAt: session.expiresAt,
+    sessionId: session._id.toString()
+  };
+}
+
+/**
+ * Open a session for a device after a successful login
+ * @param {Object} user - The logged-in user
+ * @param {Object} req - Express request (deviceId, deviceName and platform are read from the body)
+ * @param {Object} options - { loginMethod: 'password' | 'otp' | 'register' }
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshExpiresAt, sessionId }
+ */
+async function createSession(user, req, { loginMethod = 'password' } = {}) {
+  const UserSession = require('../server/models/UserSession');
+  const { deviceId, deviceName, platform } = req.body || {};
+
+  // Logging in again on the same device replaces its old session
+  if (deviceId) {
+    await UserSession.updateMany(
+      { user: user._id, deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokeReason: 'replaced' }
+    );
+  }
+
+  const session = new UserSession({
+    user: user._id,
+    deviceId: deviceId || null,
+    deviceName: deviceName || null,
+    platform: platform || null,
+    loginMethod,
+    ip: req.ip || null,
+    userAgent: req.get ? (req.get('User-Agent') || null) : null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokenResponse(user._id, session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - The current refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Token response, or { error: { status, message, code } }
+ */
+async function refreshSession(refreshToken, req) {
+  const UserSession = require('../server/models/UserSession');
+  const User = require('../server/models/User');
+
+  const invalid = { error: { status: 401, message: 'Invalid refresh token. Please log in again.', code: 'INVALID_REFRESH_TOKEN' } };
+
+  const [sessionId] = (refreshToken || '').split('.');
+  if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return invalid;
+
+  const session = await UserSession.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+  if (!session) return invalid;
+
+  if (!session.isActive) {
+    return { error: { status: 401, message: 'Session has ended. Please log in again.', code: 'SESSION_EXPIRED' } };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousRefreshTokenHash && presentedHash === session.previousRefreshTokenHash) {
+    await UserSession.revokeForUser(session.user, 'token_reuse', null);
+    console.log(`🚨 Refresh token reuse detected for session ${session._id} (user ${session.user}); all sessions revoked`);
+    return { error: { status: 401, message: 'Session has ended. Please log in again.', code: 'REFRESH_TOKEN_REUSED' } };
+  }
+
+  if (presentedHash !== session.refreshTokenHash) return invalid;
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || user.isActive === false) {
+    await UserSession.revokeForUser(session.user, user ? 'deactivated' : 'deleted', null);
+    return { error: { status: 403, message: 'Your account is deactivated', code: 'ACCOUNT_INACTIVE' } };
+  }
+
+  // Rotate only if nobody rotated this token in the meantime
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await UserSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousRefreshTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      ip: req.ip || session.ip,
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+  if (!rotated) return invalid;
+
+  return buildTokenResponse(session.user, rotated, newRefreshToken);
+}
+
+/**
+ * Revoke every session of a user, including admin PIN sessions
+ * @param {string} userId - User id
+ * @param {string} reason - 'deactivated' | 'deleted' | 'password_reset' | 'revoked'
+ * @param {string} revokedBy - Who did it (optional)
+ * @returns {Promise<number>} Number of user sessions revoked
+ */
+async function revokeAllSessions(userId, reason, revokedBy = null) {
+  const UserSession = require('../server/models/UserSession');
+  const AdminSession = require('../server/models/AdminSession');
+
+  const [result] = await Promise.all([
+    UserSession.revokeForUser(userId, reason, revokedBy),
+    AdminSession.revokeForUser(userId, reason, revokedBy)
+  ]);
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔒 Revoked ${result.modifiedCount} session(s) of user ${userId} (${reason})`);
+  }
+
+  return result.modifiedCount;
+}
+
+/**
+ * Check that a verified access token still belongs to an active user and session
+ * @param {Object} decoded - Decoded JWT ({ id, sid })
+ * @returns {Promise<Object|null>} null when usable, otherwise { status, message, code }
+ */
+async function checkTokenSubject(decoded) {
+  const User = require('../server/models/User');
+  const UserSession = require('../server/models/UserSession');
+
+  const user = await User.findById(decoded.id).select('isActive').lean();
+  if (!user) {
+    return { status: 401, message: 'Account no longer exists. Please log in again.', code: 'USER_NOT_FOUND' };
+  }
+  if (user.isActive === false) {
+    return { status: 403, message: 'Your account is deactivated', code: 'ACCOUNT_INACTIVE' };
+  }
+
+  if (decoded.sid) {
+    const session = await UserSession.findActive(decoded.sid, decoded.id).select('lastUsedAt');
+    if (!session) {
+      return { status: 401, message: 'Session has ended. Please log in again.', code: 'SESSION_REVOKED' };
+    }
+
+    // Track activity without writing on every request
+    if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+      UserSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => {});
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  createSession,
+  refreshSession,
+  revokeAllSessions,
+  checkTokenSubject
+};
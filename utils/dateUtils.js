@@ -0,0 +1,138 @@
+/**
+ * Date helpers for working in the church's local timezone
+ */
+
+const CHURCH_TIMEZONE = process.env.CHURCH_TIMEZONE || 'Africa/Nairobi';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Get the calendar parts of a date as seen in a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timeZone - IANA timezone name (defaults to the church timezone)
+ * @returns {Object} { year, month, day, hour, minute, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+function getZonedParts(date = new Date(), timeZone = CHURCH_TIMEZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+
+  const parts = formatter.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Find the instant at which a wall-clock time occurs in a timezone
+ * @param {Object} parts - { year, month, day, hour, minute } (month 1-12)
+ * @param {string} timeZone - IANA timezone name (defaults to the church timezone)
+ * @returns {Date} The instant
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = CHURCH_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock;
+
+  // Correct by the zone's offset; the second pass settles times next to a DST change
+  for (let pass = 0; pass < 2; pass++) {
+    const zoned = getZonedParts(new Date(instant), timeZone);
+    const seen = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute);
+    instant += wallClock - seen;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Get the ISO week key (e.g. "2025-W02") of a date in a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timeZone - IANA timezone name (defaults to the church timezone)
+ * @returns {string} ISO week key
+ */
+function getIsoWeekKey(date = new Date(), timeZone = CHURCH_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const d = new Date(Date.UTC(year, month - 1, day));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Split an ISO week key into its year and week number
+ * @param {string} weekKey - ISO week key (e.g. "2025-W02")
+ * @returns {Object} { year, week }
+ */
+function parseIsoWeekKey(weekKey) {
+  const [year, week] = weekKey.split('-W');
+  return { year: parseInt(year), week: parseInt(week) };
+}
+
+/**
+ * Parse a "HH:mm" time string
+ * @param {string} time - Time of day
+ * @returns {Object|null} { hour, minute } or null when invalid
+ */
+function parseTimeOfDay(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  if (!match) return null;
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+/**
+ * Find when a daily time window ends, if a date falls inside it
+ * @param {Date} date - The instant to check
+ * @param {string} start - Window start ("HH:mm")
+ * @param {string} end - Window end ("HH:mm"); earlier than start for windows that cross midnight
+ * @param {string} timeZone - IANA timezone name (defaults to the church timezone)
+ * @returns {Date|null} When the window ends, or null when the date is outside it
+ */
+function getDailyWindowEnd(date, start, end, timeZone = CHURCH_TIMEZONE) {
+  const startTime = parseTimeOfDay(start);
+  const endTime = parseTimeOfDay(end);
+  if (!startTime || !endTime) return null;
+
+  const startMinute = startTime.hour * 60 + startTime.minute;
+  const endMinute = endTime.hour * 60 + endTime.minute;
+  if (startMinute === endMinute) return null;
+
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const current = hour * 60 + minute;
+
+  const inside = startMinute < endMinute
+    ? current >= startMinute && current < endMinute
+    : current >= startMinute || current < endMinute;
+  if (!inside) return null;
+
+  const minutesLeft = (endMinute - current + 24 * 60) % (24 * 60);
+  const startOfMinute = new Date(date);
+  startOfMinute.setUTCSeconds(0, 0);
+  return new Date(startOfMinute.getTime() + minutesLeft * 60 * 1000);
+}
+
+module.exports = {
+  CHURCH_TIMEZONE,
+  getZonedParts,
+  zonedTimeToUtc,
+  getIsoWeekKey,
+  parseIsoWeekKey,
+  parseTimeOfDay,
+  getDailyWindowEnd
+};
@@ -0,0 +1,207 @@
+/**
+ * HTML and plain text email templates.
+ *
+ * Every template returns { subject, text, html }. The HTML uses inline styles
+ * only, since most mail clients ignore style sheets.
+ */
+
+const { CHURCH_TIMEZONE } = require('./dateUtils');
+
+const CHURCH_NAME = process.env.CHURCH_NAME || 'PCEA Turi Church';
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn plain text into HTML paragraphs, keeping line breaks
+ * @param {string} text - Text
+ * @returns {string} HTML
+ */
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Wrap email content in the church layout
+ * @param {Object} options
+ * @param {string} options.heading - Heading shown at the top (plain text)
+ * @param {string} options.bodyHtml - Content HTML
+ * @param {string} options.footer - Footer line (plain text)
+ * @returns {string} Complete HTML document
+ */
+function renderLayout({ heading, bodyHtml, footer }) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#333;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;">
+          <tr>
+            <td style="background:#1a3a6b;color:#FFD700;padding:20px 24px;border-radius:8px 8px 0 0;font-size:18px;font-weight:bold;">
+              ${escapeHtml(CHURCH_NAME)}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:24px;font-size:16px;">
+              <h1 style="margin:0 0 16px;font-size:22px;color:#1a3a6b;">${escapeHtml(heading)}</h1>
+              ${bodyHtml}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:16px 24px;font-size:12px;color:#888;border-top:1px solid #eee;">
+              ${escapeHtml(footer)}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+// Footer explaining why the member gets the email
+const PREFERENCES_FOOTER = `You receive this email because you are a member of ${CHURCH_NAME}. ` +
+  'You can choose how you receive notifications under Settings > Notifications in the church app.';
+
+/**
+ * Email for a single notification
+ * @param {Object} options
+ * @param {string} options.name - Member's name
+ * @param {string} options.title - Notification title
+ * @param {string} options.message - Notification body text
+ * @returns {Object} { subject, text, html }
+ */
+function renderNotificationEmail({ name, title, message }) {
+  const greeting = name ? `Dear ${name},` : 'Dear member,';
+
+  return {
+    subject: `${title} - ${CHURCH_NAME}`,
+    text: `${greeting}\n\n${title}\n\n${message}\n\n--\n${PREFERENCES_FOOTER}\n`,
+    html: renderLayout({
+      heading: title,
+      bodyHtml: textToHtml(greeting) + textToHtml(message),
+      footer: PREFERENCES_FOOTER
+    })
+  };
+}
+
+/**
+ * Format a date and time in the church timezone, e.g. "Sun 26 Oct, 10:00"
+ * @param {Date} date - The instant
+ * @returns {string} Formatted date
+ */
+function formatDateTime(date) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: CHURCH_TIMEZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(date));
+}
+
+/**
+ * Email for the weekly church digest
+ * @param {Object} options
+ * @param {string} options.name - Member's name
+ * @param {Object} options.digest - Digest with week, content and summary (see the Digest model)
+ * @returns {Object} { subject, text, html }
+ */
+function renderDigestEmail({ name, digest }) {
+  const { announcements = [], events = [], sermons = [], meditation = null } = digest.content || {};
+  const greeting = name ? `Dear ${name},` : 'Dear member,';
+  const sections = [];
+
+  if (announcements.length > 0) {
+    sections.push({
+      heading: 'Announcements',
+      items: announcements.map(announcement => ({
+        title: announcement.title,
+        lines: [
+          announcement.description,
+          [announcement.date, announcement.time, announcement.location].filter(Boolean).join(' · ')
+        ]
+      }))
+    });
+  }
+
+  if (events.length > 0) {
+    sections.push({
+      heading: 'Coming Up This Week',
+      items: events.map(event => ({
+        title: event.title,
+        lines: [[formatDateTime(event.start), event.location].filter(Boolean).join(' · ')]
+      }))
+    });
+  }
+
+  if (sermons.length > 0) {
+    sections.push({
+      heading: 'New Sermons',
+      items: sermons.map(sermon => ({
+        title: sermon.title,
+        lines: [sermon.speaker]
+      }))
+    });
+  }
+
+  if (meditation) {
+    sections.push({
+      heading: 'Meditation for the Week',
+      items: [{ title: meditation.scripture, lines: [meditation.prayer] }]
+    });
+  }
+
+  const text = sections.map(section =>
+    `${section.heading.toUpperCase()}\n\n` + section.items.map(item =>
+      [`* ${item.title}`, ...item.lines.filter(Boolean).map(line => `  ${line}`)].join('\n')
+    ).join('\n\n')
+  ).join('\n\n');
+
+  const bodyHtml = sections.map(section =>
+    `<h2 style="margin:24px 0 8px;font-size:18px;color:#1a3a6b;">${escapeHtml(section.heading)}</h2>` +
+    section.items.map(item =>
+      `<p style="margin:0 0 12px;line-height:1.5;"><strong>${escapeHtml(item.title)}</strong>` +
+      item.lines.filter(Boolean).map(line => `<br>${escapeHtml(line)}`).join('') +
+      '</p>'
+    ).join('')
+  ).join('');
+
+  return {
+    subject: `${digest.summary.title} - ${CHURCH_NAME}`,
+    text: `${greeting}\n\nHere is what is happening at ${CHURCH_NAME} this week.\n\n${text}\n\n--\n${PREFERENCES_FOOTER}\n`,
+    html: renderLayout({
+      heading: digest.summary.title,
+      bodyHtml: textToHtml(greeting) + textToHtml(`Here is what is happening at ${CHURCH_NAME} this week.`) + bodyHtml,
+      footer: PREFERENCES_FOOTER
+    })
+  };
+}
+
+module.exports = {
+  CHURCH_NAME,
+  escapeHtml,
+  textToHtml,
+  renderLayout,
+  formatDateTime,
+  renderNotificationEmail,
+  renderDigestEmail
+};
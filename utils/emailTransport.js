@@ -0,0 +1,131 @@
+/**
+ * Pluggable email sending.
+ *
+ * The transport is chosen with EMAIL_TRANSPORT:
+ *   - file  writes each email as an .eml file to EMAIL_DROP_DIR instead of sending it
+ *           (default, for local runs; open the files with any mail client)
+ *   - smtp  sends through the SMTP server in SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *
+ * Other transports can be added with registerEmailTransport(name, { send }).
+ * A transport's send(message) receives { from, to, subject, text, html } and
+ * resolves to { success, messageId, error, transient } where transient tells
+ * whether a failed email is worth retrying.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const transports = new Map();
+
+const EMAIL_FROM = process.env.EMAIL_FROM || '"PCEA Turi Church" <no-reply@pceaturichurch.com>';
+
+/**
+ * Register an email transport
+ * @param {string} name - Transport name used in EMAIL_TRANSPORT
+ * @param {Object} transport - { send: async (message) => ({ success, messageId, error, transient }) }
+ */
+function registerEmailTransport(name, transport) {
+  if (!name || !transport || typeof transport.send !== 'function') {
+    throw new Error('Email transport name and send function are required');
+  }
+  transports.set(name, { name, ...transport });
+}
+
+/**
+ * Get the configured email transport
+ * @returns {Object} The transport
+ */
+function getEmailTransport() {
+  const name = process.env.EMAIL_TRANSPORT || 'file';
+  const transport = transports.get(name);
+
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}. Available: ${Array.from(transports.keys()).join(', ')}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} email
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.text - Plain text body
+ * @param {string} email.html - HTML body
+ * @returns {Promise<Object>} { success, transport, messageId, error, transient }
+ */
+async function sendEmail({ to, subject, text, html }) {
+  const transport = getEmailTransport();
+
+  try {
+    const result = await transport.send({ from: EMAIL_FROM, to, subject, text, html });
+    if (!result.success) {
+      console.error(`❌ Email to ${to} via ${transport.name} failed:`, result.error);
+    }
+    return { transport: transport.name, ...result };
+  } catch (error) {
+    console.error(`❌ Email to ${to} via ${transport.name} failed:`, error.message);
+    return { success: false, transport: transport.name, error: error.message, transient: true };
+  }
+}
+
+// File transport - builds the full message and drops it into a folder
+const EMAIL_DROP_DIR = process.env.EMAIL_DROP_DIR || path.join('logs', 'emails');
+const fileMailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+registerEmailTransport('file', {
+  send: async (message) => {
+    const info = await fileMailer.sendMail(message);
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+
+    await fs.promises.mkdir(EMAIL_DROP_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(EMAIL_DROP_DIR, fileName), info.message);
+
+    console.log(`📧 [Email to ${message.to}] "${message.subject}" saved as ${fileName}`);
+    return { success: true, messageId: info.messageId };
+  }
+});
+
+// SMTP transport - the connection is created on first use
+let smtpMailer = null;
+
+registerEmailTransport('smtp', {
+  send: async (message) => {
+    if (!process.env.SMTP_HOST) {
+      return { success: false, error: 'SMTP_HOST must be set', transient: false };
+    }
+
+    if (!smtpMailer) {
+      const port = parseInt(process.env.SMTP_PORT || '587');
+      smtpMailer = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    try {
+      const info = await smtpMailer.sendMail(message);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      // 5xx replies (e.g. unknown mailbox) fail the same way again; 4xx and connection errors may not
+      return {
+        success: false,
+        error: error.response || error.message,
+        transient: !(error.responseCode >= 500)
+      };
+    }
+  }
+});
+
+module.exports = {
+  registerEmailTransport,
+  getEmailTransport,
+  sendEmail
+};
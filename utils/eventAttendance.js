@@ -0,0 +1,255 @@
+const jwt = require('jsonwebtoken');
+const Attendance = require('../server/models/Attendance');
+const Event = require('../server/models/Event');
+const User = require('../server/models/User');
+const { isRecurringEvent, buildOccurrence } = require('./eventRecurrence');
+
+/**
+ * Event check-in and attendance.
+ *
+ * Members with an "attending" RSVP get a signed ticket - a short JWT naming
+ * the event, the member and the occurrence - which the app shows as a QR
+ * code. Ushers scan it (or look the member up by phone) with
+ * POST /api/events/:id/check-in, which writes an Attendance record with the
+ * time and the usher. Reports compare who RSVP'd with who came, per event
+ * and per member.
+ */
+
+const TICKET_AUDIENCE = 'event-ticket';
+
+// Tickets are signed with their own secret when one is set
+const getTicketSecret = () => process.env.EVENT_TICKET_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ */
+function attendanceError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sameOccurrence = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const occurrenceKey = (eventId, occurrence) => `${eventId}|${occurrence ? new Date(occurrence).getTime() : ''}`;
+
+/**
+ * Issue the ticket of a member's RSVP
+ * @param {string} eventId - Event
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence (recurring events only)
+ * @returns {string} Signed ticket, the content of the QR code
+ */
+function issueTicket(eventId, userId, occurrence = null) {
+  const payload = { eid: eventId.toString(), uid: userId.toString() };
+  if (occurrence) payload.occ = new Date(occurrence).toISOString();
+
+  return jwt.sign(payload, getTicketSecret(), { audience: TICKET_AUDIENCE });
+}
+
+/**
+ * Check a scanned ticket
+ * @param {string} ticket - Ticket from the QR code
+ * @returns {Object} { eventId, userId, occurrence }
+ */
+function verifyTicket(ticket) {
+  let payload;
+  try {
+    payload = jwt.verify(String(ticket || '').trim(), getTicketSecret(), { audience: TICKET_AUDIENCE });
+  } catch (error) {
+    throw attendanceError('Invalid ticket');
+  }
+
+  return {
+    eventId: payload.eid,
+    userId: payload.uid,
+    occurrence: payload.occ ? new Date(payload.occ) : null
+  };
+}
+
+/**
+ * Find an active member by phone number, as typed by an usher
+ * @param {string} phone - Phone number, with or without the country code
+ * @returns {Promise<Object|null>} Member
+ */
+async function findMemberByPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 9) {
+    throw attendanceError('A valid phone number is required');
+  }
+
+  // Numbers are stored as 07XXXXXXXX; accept 2547XXXXXXXX and 7XXXXXXXX too
+  const local = digits.startsWith('254') ? `0${digits.slice(3)}` : (digits.startsWith('0') ? digits : `0${digits}`);
+  return User.findOne({ phone: { $in: [digits, local] }, isActive: true }).select('_id name phone').lean();
+}
+
+/**
+ * Check a member in at an event
+ * @param {Object} event - Event
+ * @param {Object} options
+ * @param {string} options.userId - Member
+ * @param {Date|null} options.occurrence - Original start of the occurrence (recurring events only)
+ * @param {string} options.method - 'ticket' or 'manual'
+ * @param {string} options.checkedInBy - Usher
+ * @returns {Promise<Object>} { attendance, member, rsvpStatus }
+ */
+async function checkIn(event, { userId, occurrence = null, method, checkedInBy }) {
+  const member = await User.findOne({ _id: userId, isActive: true }).select('_id name phone').lean();
+  if (!member) {
+    throw attendanceError('Member not found', 404);
+  }
+
+  const rsvp = (event.attendees || []).find(attendee =>
+    attendee.user && attendee.user.toString() === member._id.toString() && sameOccurrence(attendee.occurrence, occurrence)
+  );
+  const rsvpStatus = rsvp ? rsvp.status : 'none';
+
+  try {
+    const attendance = await Attendance.create({
+      event: event._id,
+      occurrence,
+      user: member._id,
+      checkedInAt: new Date(),
+      checkedInBy,
+      method,
+      rsvpStatus
+    });
+    return { attendance, member, rsvpStatus };
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await Attendance.findOne({ event: event._id, occurrence, user: member._id }).lean();
+      const conflict = attendanceError(`${member.name} is already checked in`, 409);
+      conflict.attendance = existing;
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Compare the RSVPs of an occurrence with who checked in
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence (recurring events only)
+ * @returns {Promise<Object>} { summary, checkedIn, noShows }
+ */
+async function getEventAttendanceReport(event, occurrence = null) {
+  const records = await Attendance.find({ event: event._id, occurrence })
+    .populate('user', 'name phone')
+    .populate('checkedInBy', 'name')
+    .sort({ checkedInAt: 1 })
+    .lean();
+
+  const rsvps = (event.attendees || []).filter(attendee => sameOccurrence(attendee.occurrence, occurrence));
+  const statusOf = new Map(rsvps.map(attendee => [attendee.user.toString(), attendee.status]));
+  const checkedInIds = new Set(records.filter(record => record.user).map(record => record.user._id.toString()));
+
+  const attending = rsvps.filter(attendee => attendee.status === 'attending');
+  const noShowIds = attending
+    .map(attendee => attendee.user.toString())
+    .filter(id => !checkedInIds.has(id));
+  const noShows = await User.find({ _id: { $in: noShowIds } }).select('name phone').sort({ name: 1 }).lean();
+
+  const attendedAsRSVPd = attending.filter(attendee => checkedInIds.has(attendee.user.toString())).length;
+
+  return {
+    summary: {
+      attending: attending.length,
+      maybe: rsvps.filter(attendee => attendee.status === 'maybe').length,
+      notAttending: rsvps.filter(attendee => attendee.status === 'not_attending').length,
+      checkedIn: records.length,
+      attendedAsRSVPd,
+      // Checked in without saying they would come
+      walkIns: records.filter(record =>
+        !record.user || !['attending', 'maybe'].includes(statusOf.get(record.user._id.toString()))
+      ).length,
+      noShows: noShowIds.length,
+      attendanceRate: attending.length > 0 ? Math.round((attendedAsRSVPd / attending.length) * 100) : null
+    },
+    checkedIn: records.map(record => ({
+      user: record.user,
+      checkedInAt: record.checkedInAt,
+      checkedInBy: record.checkedInBy ? record.checkedInBy.name : null,
+      method: record.method,
+      rsvpStatus: statusOf.get(record.user ? record.user._id.toString() : '') || 'none'
+    })),
+    noShows
+  };
+}
+
+/**
+ * Compare a member's RSVPs with the events they checked in at
+ * @param {string} userId - Member
+ * @param {Object} options - { from, to (default now) } limit the occurrences by start
+ * @returns {Promise<Object>} { summary, events } with the most recent events first
+ */
+async function getMemberAttendanceReport(userId, { from = null, to = new Date() } = {}) {
+  const records = await Attendance.find({ user: userId }).lean();
+  const events = await Event.find({
+    $or: [
+      { 'attendees.user': userId },
+      { _id: { $in: records.map(record => record.event) } }
+    ]
+  })
+    .select('title start end location category isActive recurrence exceptionDates overrides attendees')
+    .lean();
+
+  const rows = new Map();
+  const addRow = (event, occurrence, fields) => {
+    const key = occurrenceKey(event._id, occurrence);
+    if (!rows.has(key)) {
+      const details = isRecurringEvent(event) && occurrence
+        ? buildOccurrence(event, occurrence)
+        : { title: event.title, start: event.start, location: event.location };
+      rows.set(key, {
+        eventId: event._id,
+        occurrence,
+        title: details.title,
+        start: details.start,
+        location: details.location,
+        category: event.category,
+        rsvpStatus: 'none',
+        attended: false,
+        checkedInAt: null
+      });
+    }
+    Object.assign(rows.get(key), fields);
+  };
+
+  const eventsById = new Map(events.map(event => [event._id.toString(), event]));
+  events.forEach(event => {
+    (event.attendees || [])
+      .filter(attendee => attendee.user && attendee.user.toString() === userId.toString())
+      .forEach(attendee => addRow(event, attendee.occurrence, { rsvpStatus: attendee.status }));
+  });
+  records.forEach(record => {
+    const event = eventsById.get(record.event.toString());
+    if (event) addRow(event, record.occurrence, { attended: true, checkedInAt: record.checkedInAt });
+  });
+
+  const list = Array.from(rows.values())
+    .filter(row => (!from || row.start >= from) && (!to || row.start <= to))
+    .sort((a, b) => b.start - a.start);
+
+  const rsvpd = list.filter(row => row.rsvpStatus === 'attending');
+  const attendedAsRSVPd = rsvpd.filter(row => row.attended).length;
+
+  return {
+    summary: {
+      rsvpd: rsvpd.length,
+      attended: list.filter(row => row.attended).length,
+      attendedAsRSVPd,
+      noShows: rsvpd.length - attendedAsRSVPd,
+      walkIns: list.filter(row => row.attended && !['attending', 'maybe'].includes(row.rsvpStatus)).length,
+      attendanceRate: rsvpd.length > 0 ? Math.round((attendedAsRSVPd / rsvpd.length) * 100) : null
+    },
+    events: list
+  };
+}
+
+module.exports = {
+  issueTicket,
+  verifyTicket,
+  findMemberByPhone,
+  checkIn,
+  getEventAttendanceReport,
+  getMemberAttendanceReport
+};
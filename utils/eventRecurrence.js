@@ -0,0 +1,476 @@
+const Event = require('../server/models/Event');
+const { CHURCH_TIMEZONE, getZonedParts, zonedTimeToUtc } = require('./dateUtils');
+
+/**
+ * Recurring events.
+ *
+ * A recurring event stores an RFC 5545-style rule in Event.recurrence:
+ *   freq     - "DAILY", "WEEKLY" or "MONTHLY"
+ *   interval - every n days/weeks/months (default 1)
+ *   byDay    - weekly: weekdays, e.g. ["TU", "TH"] (default: the weekday of the start)
+ *              monthly: nth weekday, e.g. ["1SU"] or ["-1FR"] for the last Friday
+ *              (default: the day of the month of the start)
+ *   until    - last possible start, or
+ *   count    - number of occurrences, counted from the start
+ * Rules can also be given as RRULE text ("FREQ=WEEKLY;BYDAY=TU,TH;COUNT=10").
+ *
+ * Occurrences keep the wall-clock time of the event start in the church
+ * timezone. Each occurrence is identified by its original start; exception
+ * dates cancel occurrences and overrides change a single one (e.g. a moved
+ * location) without touching the rest of the series.
+ */
+
+const FREQUENCIES = Event.RECURRENCE_FREQUENCIES;
+
+// RFC 5545 weekday codes, Monday first (weeks start on Monday)
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Fields a single occurrence may override
+const OVERRIDE_FIELDS = ['title', 'description', 'location', 'start', 'end'];
+
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 500;
+
+// Longest window GET /api/events expands, in days
+const MAX_WINDOW_DAYS = 366;
+
+// Periods (days, weeks or months) generated before giving up on a window
+const MAX_PERIODS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BY_DAY_PATTERN = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+/**
+ * Parse a BYDAY entry such as "TU", "2SU" or "-1FR"
+ * @param {string} value - Entry
+ * @returns {Object|null} { nth, weekday } with weekday 0 (Monday) to 6, or null when invalid
+ */
+function parseByDay(value) {
+  const match = BY_DAY_PATTERN.exec(String(value).trim().toUpperCase());
+  if (!match) return null;
+  return {
+    nth: match[1] ? parseInt(match[1], 10) : null,
+    weekday: WEEKDAYS.indexOf(match[2])
+  };
+}
+
+/**
+ * Parse an RRULE UNTIL value: a date (end of that day in the church timezone) or a UTC date-time
+ * @param {string} value - e.g. "20251231" or "20251231T235959Z"
+ * @returns {Date|null} The instant, or null when invalid
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(part => part === undefined ? undefined : parseInt(part, 10));
+  if (hour === undefined) {
+    return new Date(zonedTimeToUtc({ year, month, day, hour: 23, minute: 59 }).getTime() + 59 * 1000);
+  }
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Parse RRULE text into a rule object (not yet validated)
+ * @param {string} text - e.g. "RRULE:FREQ=MONTHLY;BYDAY=1SU;UNTIL=20251231"
+ * @returns {Object} { rule, errors }
+ */
+function parseRRule(text) {
+  const rule = {};
+  const errors = [];
+
+  String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value = ''] = part.split('=');
+    switch (name.trim().toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.trim().toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',');
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL': {
+        const until = parseUntil(value.trim());
+        if (!until) errors.push(`Invalid UNTIL "${value}" (use YYYYMMDD or YYYYMMDDTHHMMSSZ)`);
+        else rule.until = until;
+        break;
+      }
+      case 'WKST':
+        if (value.trim().toUpperCase() !== 'MO') errors.push('Only WKST=MO is supported');
+        break;
+      default:
+        errors.push(`Unsupported rule part "${name}"`);
+    }
+  });
+
+  return { rule, errors };
+}
+
+/**
+ * Validate a recurrence rule from a request
+ * @param {Object|string} input - Rule object or RRULE text
+ * @returns {Object} { recurrence, errors } where recurrence is the normalized rule
+ */
+function normalizeRecurrence(input) {
+  let rule = input;
+  const errors = [];
+
+  if (typeof input === 'string') {
+    const parsed = parseRRule(input);
+    rule = parsed.rule;
+    errors.push(...parsed.errors);
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { recurrence: null, errors: ['Recurrence must be a rule object or RRULE text'] };
+  }
+
+  const recurrence = {
+    freq: String(rule.freq || '').toUpperCase(),
+    interval: rule.interval === undefined || rule.interval === null ? 1 : Number(rule.interval),
+    byDay: [],
+    until: null,
+    count: null
+  };
+
+  if (!FREQUENCIES.includes(recurrence.freq)) {
+    errors.push(`freq must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > MAX_INTERVAL) {
+    errors.push(`interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+  }
+
+  const byDay = rule.byDay === undefined || rule.byDay === null
+    ? []
+    : (Array.isArray(rule.byDay) ? rule.byDay : String(rule.byDay).split(','));
+  byDay.forEach(value => {
+    const parsed = parseByDay(value);
+    if (!parsed) {
+      errors.push(`Invalid byDay "${value}" (use ${WEEKDAYS.join(', ')}, optionally prefixed with a week number such as 2SU or -1FR)`);
+    } else if (parsed.nth !== null && recurrence.freq !== 'MONTHLY') {
+      errors.push(`byDay "${value}" picks a week of the month and needs freq MONTHLY`);
+    } else {
+      const code = `${parsed.nth === null ? '' : parsed.nth}${WEEKDAYS[parsed.weekday]}`;
+      if (!recurrence.byDay.includes(code)) recurrence.byDay.push(code);
+    }
+  });
+  if (recurrence.freq === 'DAILY' && recurrence.byDay.length > 0) {
+    errors.push('byDay cannot be used with freq DAILY');
+  }
+
+  const hasUntil = rule.until !== undefined && rule.until !== null && rule.until !== '';
+  const hasCount = rule.count !== undefined && rule.count !== null && rule.count !== '';
+  if (hasUntil && hasCount) {
+    errors.push('Use either until or count, not both');
+  }
+  if (hasUntil) {
+    recurrence.until = new Date(rule.until);
+    if (isNaN(recurrence.until.getTime())) errors.push('Invalid until date');
+  }
+  if (hasCount) {
+    recurrence.count = Number(rule.count);
+    if (!Number.isInteger(recurrence.count) || recurrence.count < 1 || recurrence.count > MAX_COUNT) {
+      errors.push(`count must be a whole number from 1 to ${MAX_COUNT}`);
+    }
+  }
+
+  return { recurrence: errors.length > 0 ? null : recurrence, errors };
+}
+
+/**
+ * Format a rule as RRULE text
+ * @param {Object} recurrence - Event.recurrence
+ * @returns {string|null} e.g. "FREQ=WEEKLY;BYDAY=TU,TH", or null without a rule
+ */
+function formatRRule(recurrence) {
+  if (!recurrence || !recurrence.freq) return null;
+
+  const parts = [`FREQ=${recurrence.freq}`];
+  if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.byDay && recurrence.byDay.length > 0) parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  if (recurrence.until) parts.push(`UNTIL=${new Date(recurrence.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+  return parts.join(';');
+}
+
+/**
+ * Check whether an event has a recurrence rule
+ * @param {Object} event - Event
+ * @returns {boolean} True for recurring events
+ */
+function isRecurringEvent(event) {
+  return !!(event.recurrence && event.recurrence.freq);
+}
+
+// Calendar days are handled as UTC midnights of the church-timezone date
+const toDayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+// 0 = Monday ... 6 = Sunday
+const weekdayOf = (dayNumber) => (new Date(dayNumber * DAY_MS).getUTCDay() + 6) % 7;
+
+/**
+ * List the days of a month matching the monthly BYDAY entries (or the start's day of the month)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object[]} byDay - Parsed BYDAY entries
+ * @param {number} monthDay - Day of the month of the event start
+ * @returns {number[]} Day numbers, ascending
+ */
+function monthlyDays(year, month, byDay, monthDay) {
+  const first = toDayNumber({ year, month, day: 1 });
+  const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  // Months without that day (e.g. the 31st) are skipped, as RFC 5545 does
+  if (byDay.length === 0) {
+    return monthDay <= length ? [first + monthDay - 1] : [];
+  }
+
+  const days = new Set();
+  byDay.forEach(({ nth, weekday }) => {
+    const matching = [];
+    for (let day = first + ((weekday - weekdayOf(first) + 7) % 7); day < first + length; day += 7) {
+      matching.push(day);
+    }
+    if (nth === null) matching.forEach(day => days.add(day));
+    else if (nth > 0 && matching[nth - 1] !== undefined) days.add(matching[nth - 1]);
+    else if (nth < 0 && matching[matching.length + nth] !== undefined) days.add(matching[matching.length + nth]);
+  });
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+/**
+ * Generate the original start times of a series, in order
+ * @param {Object} event - Event with start and recurrence
+ * @param {Date} until - Stop after this instant
+ * @returns {Date[]} Occurrence starts (exceptions included; they still count towards count)
+ */
+function generateStarts(event, until) {
+  const start = new Date(event.start);
+  const { freq, interval = 1, byDay = [], count, until: ruleUntil } = event.recurrence;
+  const local = getZonedParts(start, CHURCH_TIMEZONE);
+  const startDay = toDayNumber(local);
+  const parsedByDay = byDay.map(parseByDay).filter(Boolean);
+  const limit = ruleUntil && new Date(ruleUntil) < until ? new Date(ruleUntil) : until;
+
+  const daysOfPeriod = (period) => {
+    if (freq === 'DAILY') {
+      return [startDay + period * interval];
+    }
+    if (freq === 'WEEKLY') {
+      const monday = startDay - weekdayOf(startDay) + period * interval * 7;
+      const weekdays = parsedByDay.length > 0 ? parsedByDay.map(entry => entry.weekday) : [weekdayOf(startDay)];
+      return Array.from(new Set(weekdays)).sort((a, b) => a - b).map(weekday => monday + weekday);
+    }
+    const monthIndex = (local.month - 1) + period * interval;
+    return monthlyDays(local.year + Math.floor(monthIndex / 12), (monthIndex % 12) + 1, parsedByDay, local.day);
+  };
+
+  const starts = [];
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    const days = daysOfPeriod(period).filter(day => day >= startDay);
+
+    for (const day of days) {
+      const occurrence = zonedTimeToUtc({ ...fromDayNumber(day), hour: local.hour, minute: local.minute }, CHURCH_TIMEZONE);
+      // Keep the seconds of the original start
+      occurrence.setUTCSeconds(start.getUTCSeconds(), start.getUTCMilliseconds());
+
+      if (occurrence > limit || (count && starts.length >= count)) {
+        return starts;
+      }
+      starts.push(occurrence);
+    }
+  }
+
+  return starts;
+}
+
+/**
+ * Find the override of an occurrence
+ * @param {Object} event - Event
+ * @param {Date} occurrenceStart - Original start of the occurrence
+ * @returns {Object|null} Override
+ */
+function findOverride(event, occurrenceStart) {
+  const time = new Date(occurrenceStart).getTime();
+  return (event.overrides || []).find(override => new Date(override.occurrence).getTime() === time) || null;
+}
+
+/**
+ * Check whether an occurrence was cancelled with an exception date
+ * @param {Object} event - Event
+ * @param {Date} occurrenceStart - Original start of the occurrence
+ * @returns {boolean} True when cancelled
+ */
+function isException(event, occurrenceStart) {
+  const time = new Date(occurrenceStart).getTime();
+  return (event.exceptionDates || []).some(date => new Date(date).getTime() === time);
+}
+
+/**
+ * Check whether a date is the original start of an occurrence of the series
+ * @param {Object} event - Event with start and recurrence
+ * @param {Date} date - Candidate
+ * @param {Object} options - { includeCancelled: also accept occurrences cancelled with an exception date }
+ * @returns {boolean} True when it is an occurrence
+ */
+function isOccurrence(event, date, { includeCancelled = false } = {}) {
+  const time = new Date(date).getTime();
+  if (!isRecurringEvent(event) || isNaN(time) || time < new Date(event.start).getTime()) {
+    return false;
+  }
+  if (!includeCancelled && isException(event, date)) {
+    return false;
+  }
+  return generateStarts(event, new Date(time)).some(start => start.getTime() === time);
+}
+
+/**
+ * Build a single occurrence, with its override applied
+ * @param {Object} event - Event
+ * @param {Date} occurrenceStart - Original start of the occurrence
+ * @returns {Object} { occurrenceStart, start, end, title, description, location, isOverridden }
+ */
+function buildOccurrence(event, occurrenceStart) {
+  const duration = event.end ? new Date(event.end) - new Date(event.start) : null;
+  const override = findOverride(event, occurrenceStart) || {};
+  const start = override.start ? new Date(override.start) : new Date(occurrenceStart);
+
+  let end = duration === null ? null : new Date(start.getTime() + duration);
+  if (override.end) end = new Date(override.end);
+
+  return {
+    occurrenceStart: new Date(occurrenceStart),
+    start,
+    end,
+    title: override.title || event.title,
+    description: override.description || event.description,
+    location: override.location || event.location,
+    isOverridden: OVERRIDE_FIELDS.some(field => override[field])
+  };
+}
+
+/**
+ * Expand the occurrences of an event that overlap a window.
+ * Events without a rule give their single occurrence when it overlaps.
+ * @param {Object} event - Event
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @returns {Object[]} Occurrences sorted by start (see buildOccurrence)
+ */
+function expandOccurrences(event, from, to) {
+  const overlaps = ({ start, end }) => start <= to && (end || start) >= from;
+
+  if (!isRecurringEvent(event)) {
+    const single = {
+      occurrenceStart: null,
+      start: new Date(event.start),
+      end: event.end ? new Date(event.end) : null,
+      title: event.title,
+      description: event.description,
+      location: event.location,
+      isOverridden: false
+    };
+    return overlaps(single) ? [single] : [];
+  }
+
+  // Occurrences starting before the window can still run into it
+  const duration = event.end ? new Date(event.end) - new Date(event.start) : 0;
+  const windowStart = new Date(from.getTime() - duration);
+
+  const occurrences = generateStarts(event, to)
+    .filter(start => start >= windowStart && !isException(event, start))
+    .map(start => buildOccurrence(event, start));
+
+  // Overrides can move an occurrence into the window from outside it
+  const listed = new Set(occurrences.map(occurrence => occurrence.occurrenceStart.getTime()));
+  (event.overrides || []).forEach(override => {
+    const original = new Date(override.occurrence);
+    if (override.start && !listed.has(original.getTime()) && isOccurrence(event, original)) {
+      occurrences.push(buildOccurrence(event, original));
+    }
+  });
+
+  return occurrences
+    .filter(overlaps)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the identifier of an occurrence used in URLs, e.g. "<eventId>_20250107T070000Z"
+ * @param {Object} event - Event
+ * @param {Date|null} occurrenceStart - Original start of the occurrence (null for single events)
+ * @returns {string} Identifier
+ */
+function getOccurrenceId(event, occurrenceStart) {
+  const id = (event._id || event.id).toString();
+  if (!occurrenceStart) return id;
+  return `${id}_${new Date(occurrenceStart).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`;
+}
+
+/**
+ * Parse an occurrence given in a request: an ISO date or the time part of an occurrence id
+ * @param {string} value - e.g. "2025-01-07T07:00:00.000Z" or "20250107T070000Z"
+ * @returns {Date|null} Original start of the occurrence, or null when invalid
+ */
+function parseOccurrence(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const compact = /^(?:[0-9a-f]{24}_)?(\d{8}T\d{6}Z)$/i.exec(String(value).trim());
+  const date = compact ? parseUntil(compact[1].toUpperCase()) : new Date(value);
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Find the occurrences of active events within a window
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end
+ * @param {Object} filter - Extra Event query conditions (category, tags, $text...)
+ * @returns {Promise<Object[]>} [{ event, occurrence }] sorted by occurrence start; events are lean
+ *   with createdBy populated
+ */
+async function findOccurrences(from, to, filter = {}) {
+  const events = await Event.find({
+    ...filter,
+    isActive: true,
+    $or: [
+      { 'recurrence.freq': { $in: FREQUENCIES }, start: { $lte: to } },
+      { start: { $gte: from, $lte: to } },
+      { start: { $lte: to }, end: { $gte: from } }
+    ]
+  })
+    .populate('createdBy', 'name')
+    .lean();
+
+  return events
+    .flatMap(event => expandOccurrences(event, from, to).map(occurrence => ({ event, occurrence })))
+    .sort((a, b) => a.occurrence.start - b.occurrence.start);
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  OVERRIDE_FIELDS,
+  MAX_WINDOW_DAYS,
+  parseRRule,
+  normalizeRecurrence,
+  formatRRule,
+  isRecurringEvent,
+  isOccurrence,
+  isException,
+  findOverride,
+  buildOccurrence,
+  expandOccurrences,
+  findOccurrences,
+  getOccurrenceId,
+  parseOccurrence
+};
@@ -0,0 +1,333 @@
+const Event = require('../server/models/Event');
+const EventReminder = require('../server/models/EventReminder');
+const { notifyUsers } = require('./notificationService');
+const { getTemplate, templateRenderer } = require('./notificationTemplates');
+const { formatDateTime, CHURCH_NAME } = require('./emailTemplates');
+const {
+  isRecurringEvent,
+  isException,
+  buildOccurrence,
+  findOccurrences
+} = require('./eventRecurrence');
+const { getServingVolunteers } = require('./eventVolunteers');
+
+/**
+ * Event reminders and cancellation notices.
+ *
+ * Every event has reminder offsets in minutes (1 day and 2 hours before by
+ * default). The send-event-reminders job works out which reminders are due
+ * from the current start of each occurrence, so when PUT /api/events/:id or an
+ * occurrence override moves the start, reminders for the old time are never
+ * sent and new ones follow the new time. Members with an "attending" or
+ * "maybe" RSVP get them in their inbox and by push, as their notification
+ * preferences allow ("events" category). Volunteers serving at the
+ * occurrence get a reminder naming their role instead. Each sent reminder is
+ * recorded in EventReminder so it goes out once.
+ *
+ * Members who RSVP'd or volunteered get a cancellation notice when an event is
+ * deleted or one of its occurrences is cancelled.
+ */
+
+// RSVP statuses that get reminders and cancellation notices
+const REMINDER_RSVP_STATUSES = ['attending', 'maybe'];
+
+// Reminders more overdue than this (server down, or the event was moved closer) are skipped
+const REMINDER_GRACE_MINUTES = 30;
+
+const MAX_OFFSETS = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+const sameOccurrence = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const occurrenceKey = (eventId, occurrence) => `${eventId}|${occurrence ? new Date(occurrence).getTime() : ''}`;
+
+/**
+ * Read reminder offsets from a request
+ * @param {number[]|string[]|string} input - Minutes, or durations such as "1d", "2h", "30m";
+ *   a comma-separated string is accepted too. Empty turns reminders off.
+ * @returns {Object} { offsets, error } with the offsets in minutes, largest first
+ */
+function normalizeReminderOffsets(input) {
+  if (input === null || input === '') {
+    return { offsets: [] };
+  }
+
+  const values = Array.isArray(input) ? input : String(input).split(',');
+  const offsets = [];
+
+  for (const value of values) {
+    const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([mhd])?$/);
+    if (!match) {
+      return { error: `Invalid reminder offset "${value}"; use minutes or a duration like "1d", "2h" or "30m"` };
+    }
+
+    const minutes = parseInt(match[1]) * OFFSET_UNITS[match[2] || 'm'];
+    if (minutes < Event.MIN_REMINDER_OFFSET || minutes > Event.MAX_REMINDER_OFFSET) {
+      return { error: `Reminder offsets must be between ${Event.MIN_REMINDER_OFFSET} minutes and ${Event.MAX_REMINDER_OFFSET / (24 * 60)} days before the start` };
+    }
+    if (!offsets.includes(minutes)) offsets.push(minutes);
+  }
+
+  if (offsets.length > MAX_OFFSETS) {
+    return { error: `An event can have at most ${MAX_OFFSETS} reminders` };
+  }
+
+  return { offsets: offsets.sort((a, b) => b - a) };
+}
+
+/**
+ * Get the reminder offsets of an event; events saved before reminders existed use the defaults
+ * @param {Object} event - Event
+ * @returns {number[]} Minutes before the start
+ */
+function getReminderOffsets(event) {
+  return Array.isArray(event.reminderOffsets) ? event.reminderOffsets : Event.DEFAULT_REMINDER_OFFSETS;
+}
+
+/**
+ * Get the template variables of an occurrence
+ * @param {Object} occurrence - { title, start, location } of the occurrence
+ * @returns {Object} Variables
+ */
+function occurrenceVariables(occurrence) {
+  return {
+    eventTitle: occurrence.title,
+    eventDate: formatDateTime(occurrence.start),
+    eventLocation: occurrence.location || CHURCH_NAME
+  };
+}
+
+/**
+ * List the members who RSVP'd attending or maybe to an occurrence
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {string[]} User ids
+ */
+function getReminderRecipients(event, occurrence) {
+  return (event.attendees || [])
+    .filter(attendee => attendee.user &&
+      REMINDER_RSVP_STATUSES.includes(attendee.status) &&
+      sameOccurrence(attendee.occurrence, occurrence))
+    .map(attendee => attendee.user.toString());
+}
+
+/**
+ * Work out the reminder of an occurrence due now: the smallest offset whose
+ * time has come within the grace period
+ * @param {number[]} offsets - Minutes before the start
+ * @param {Date} start - Start of the occurrence
+ * @param {Date} now - Current time
+ * @returns {number|null} Offset, or null when none is due
+ */
+function getDueOffset(offsets, start, now) {
+  const due = offsets.filter(offset => {
+    const dueAt = start.getTime() - offset * MINUTE_MS;
+    return dueAt <= now.getTime() && dueAt > now.getTime() - REMINDER_GRACE_MINUTES * MINUTE_MS;
+  });
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+/**
+ * Send the event reminders that are due
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function sendEventReminders({ now = new Date() } = {}) {
+  const outcome = { itemsAffected: 0, errors: [], details: { reminders: 0, recipients: 0, optedOut: 0 } };
+
+  const to = new Date(now.getTime() + Event.MAX_REMINDER_OFFSET * MINUTE_MS);
+  const upcoming = (await findOccurrences(now, to, {
+    reminderOffsets: { $ne: [] },
+    $and: [{
+      $or: [
+        { 'attendees.status': { $in: REMINDER_RSVP_STATUSES } },
+        { 'volunteerRoles.volunteers.user': { $exists: true } }
+      ]
+    }]
+  })).filter(({ occurrence }) => occurrence.start > now);
+
+  if (upcoming.length === 0) return outcome;
+
+  // Smallest offset already sent per occurrence and start; a reminder closer to the
+  // start makes the earlier ones pointless
+  const sent = await EventReminder.find({
+    event: { $in: upcoming.map(({ event }) => event._id) },
+    start: { $gt: now }
+  }).lean();
+  const sentOffsets = new Map();
+  sent.forEach(reminder => {
+    const key = `${occurrenceKey(reminder.event, reminder.occurrence)}|${reminder.start.getTime()}`;
+    sentOffsets.set(key, Math.min(reminder.offset, sentOffsets.has(key) ? sentOffsets.get(key) : Infinity));
+  });
+
+  const templates = {};
+  const loadTemplate = async (key) => {
+    templates[key] = templates[key] || await getTemplate(key);
+    return templates[key];
+  };
+
+  for (const { event, occurrence } of upcoming) {
+    const offset = getDueOffset(getReminderOffsets(event), occurrence.start, now);
+    if (offset === null) continue;
+
+    const key = `${occurrenceKey(event._id, occurrence.occurrenceStart)}|${occurrence.start.getTime()}`;
+    if (sentOffsets.has(key) && sentOffsets.get(key) <= offset) continue;
+
+    // Volunteers get the reminder of their role rather than the attendees' one
+    const volunteers = getServingVolunteers(event, occurrence.occurrenceStart);
+    const volunteerIds = new Set(volunteers.flatMap(({ userIds }) => userIds));
+    const userIds = getReminderRecipients(event, occurrence.occurrenceStart).filter(id => !volunteerIds.has(id));
+    if (userIds.length === 0 && volunteerIds.size === 0) continue;
+
+    let reminder;
+    try {
+      reminder = await EventReminder.create({
+        event: event._id,
+        occurrence: occurrence.occurrenceStart,
+        offset,
+        start: occurrence.start,
+        sentAt: now
+      });
+    } catch (error) {
+      // Already sent by an earlier run
+      if (error.code === 11000) continue;
+      outcome.errors.push(`Event ${event._id}: ${error.message}`);
+      continue;
+    }
+
+    const variables = occurrenceVariables(occurrence);
+    const data = {
+      eventId: event._id.toString(),
+      occurrence: occurrence.occurrenceStart ? occurrence.occurrenceStart.toISOString() : '',
+      offset: String(offset)
+    };
+    const batches = [
+      { userIds, key: 'event-reminder', variables, data: { ...data, type: 'event_reminder' } },
+      ...volunteers.map(({ role, userIds: roleUserIds }) => ({
+        userIds: roleUserIds,
+        key: 'event-volunteer-reminder',
+        variables: { ...variables, roleName: role.name },
+        data: { ...data, type: 'event_volunteer_reminder', roleId: role._id.toString() }
+      }))
+    ].filter(batch => batch.userIds.length > 0);
+
+    let recipients = 0;
+    let failed = 0;
+    for (const batch of batches) {
+      try {
+        const template = await loadTemplate(batch.key);
+        const { notifications, optedOut } = await notifyUsers(batch.userIds, {
+          render: templateRenderer(template, batch.variables),
+          type: 'reminder',
+          data: batch.data
+        });
+        recipients += notifications.length;
+        outcome.details.optedOut += optedOut;
+      } catch (error) {
+        failed += 1;
+        outcome.errors.push(`Event ${event._id} (${batch.key}): ${error.message}`);
+      }
+    }
+
+    // Nothing went out: let the next run try again while the reminder is still within the grace period
+    if (failed === batches.length) {
+      await EventReminder.deleteOne({ _id: reminder._id }).catch(() => {});
+      continue;
+    }
+
+    await EventReminder.updateOne({ _id: reminder._id }, { recipients });
+    outcome.itemsAffected += recipients;
+    outcome.details.reminders += 1;
+    outcome.details.recipients += recipients;
+  }
+
+  return outcome;
+}
+
+/**
+ * Tell members who RSVP'd or volunteered that an event, or some of its occurrences, is cancelled.
+ * Failures are logged, not thrown: the cancellation itself has already been saved.
+ * @param {Object} event - Event
+ * @param {Object} options
+ * @param {Date[]|null} options.occurrences - Original starts of the cancelled occurrences;
+ *   null for the whole event, whose occurrences that have not ended yet are notified
+ * @param {Date} options.now - Current time
+ * @returns {Promise<number>} Members notified
+ */
+async function notifyEventCancelled(event, { occurrences = null, now = new Date() } = {}) {
+  const recurring = isRecurringEvent(event);
+  const groups = new Map();
+
+  const addRecipient = (userId, occurrence) => {
+    if (recurring && !occurrence) return;
+    if (occurrences && !occurrences.some(candidate => sameOccurrence(candidate, occurrence))) return;
+
+    const key = occurrenceKey(event._id, occurrence);
+    if (!groups.has(key)) groups.set(key, { occurrence, userIds: new Set() });
+    groups.get(key).userIds.add(userId.toString());
+  };
+
+  (event.attendees || [])
+    .filter(attendee => attendee.user && REMINDER_RSVP_STATUSES.includes(attendee.status))
+    .forEach(attendee => addRecipient(attendee.user, recurring ? attendee.occurrence : null));
+  (event.volunteerRoles || []).forEach(role => {
+    role.volunteers.forEach(volunteer => addRecipient(volunteer.user, recurring ? volunteer.occurrence : null));
+  });
+
+  let notified = 0;
+  let template = null;
+
+  for (const { occurrence, userIds } of groups.values()) {
+    const details = recurring
+      ? buildOccurrence(event, occurrence)
+      : { title: event.title, start: event.start, end: event.end, location: event.location };
+
+    // Nobody needs to hear about occurrences that are over or were already cancelled
+    if ((details.end || details.start) <= now) continue;
+    if (!occurrences && recurring && isException(event, occurrence)) continue;
+
+    try {
+      template = template || await getTemplate('event-cancelled');
+      const { notifications } = await notifyUsers(Array.from(userIds), {
+        render: templateRenderer(template, occurrenceVariables(details)),
+        type: 'event',
+        data: {
+          type: 'event_cancelled',
+          eventId: event._id.toString(),
+          occurrence: occurrence ? new Date(occurrence).toISOString() : ''
+        }
+      });
+      notified += notifications.length;
+    } catch (error) {
+      console.error(`❌ Failed to send cancellation notice of event ${event._id}:`, error.message);
+    }
+  }
+
+  if (notified > 0) {
+    console.log(`📅 Cancellation of event ${event._id} sent to ${notified} member(s)`);
+  }
+  return notified;
+}
+
+// Job definitions for the job runner
+const reminderJobs = [
+  {
+    name: 'send-event-reminders',
+    schedule: '*/5 * * * *',
+    description: 'Reminds members who RSVP\'d attending or maybe before an event starts',
+    handler: sendEventReminders
+  }
+];
+
+module.exports = {
+  REMINDER_RSVP_STATUSES,
+  normalizeReminderOffsets,
+  getReminderOffsets,
+  getReminderRecipients,
+  getDueOffset,
+  sendEventReminders,
+  notifyEventCancelled,
+  reminderJobs
+};
@@ -0,0 +1,483 @@
+const mongoose = require('mongoose');
+const Event = require('../server/models/Event');
+const User = require('../server/models/User');
+const { formatDateTime } = require('./emailTemplates');
+const {
+  isRecurringEvent,
+  isOccurrence,
+  buildOccurrence
+} = require('./eventRecurrence');
+
+/**
+ * Event volunteer roles.
+ *
+ * Organizers give an event roles such as ushers, registration, catering or
+ * sound, each with a number of slots and the requirements volunteers should
+ * meet. Members sign up for a slot (per occurrence for recurring events) and
+ * can withdraw again; a member serves in one role per occurrence. Organizers
+ * get the roster, also as CSV. Volunteers are reminded with the event's
+ * reminder offsets (see utils/eventReminders.js) and list their upcoming
+ * roles with GET /api/events/serving/me.
+ */
+
+// Roles an event can have
+const MAX_ROLES = 20;
+
+const ROLE_FIELDS = ['name', 'description', 'requirements', 'slots'];
+
+const ROLE_FIELD_LIMITS = { name: 100, description: 500, requirements: 500 };
+
+const MAX_SLOTS = 500;
+
+const ROSTER_CSV_COLUMNS = ['Role', 'Requirements', 'Slot', 'Name', 'Phone', 'Email', 'Signed up'];
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ */
+function volunteerError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sameOccurrence = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const sameUser = (volunteer, userId) => volunteer.user && volunteer.user.toString() === userId.toString();
+
+/**
+ * Read the fields of a volunteer role from a request
+ * @param {Object} input - { name, description, requirements, slots }
+ * @param {Object} options - { partial: only check the fields given (updates) }
+ * @returns {Object} { role, error } where role holds the fields to set
+ */
+function normalizeRole(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Role must be an object' };
+  }
+
+  const role = {};
+
+  for (const field of ROLE_FIELDS) {
+    const value = input[field];
+    if (value === undefined) {
+      if (!partial && (field === 'name' || field === 'slots')) {
+        return { error: `${field} is required` };
+      }
+      continue;
+    }
+
+    if (field === 'slots') {
+      const slots = Number(value);
+      if (!Number.isInteger(slots) || slots < 1 || slots > MAX_SLOTS) {
+        return { error: `slots must be a whole number from 1 to ${MAX_SLOTS}` };
+      }
+      role.slots = slots;
+    } else if (value !== null && typeof value !== 'string') {
+      return { error: `${field} must be text` };
+    } else {
+      const text = (value || '').trim();
+      if (field === 'name' && !text) {
+        return { error: 'name cannot be empty' };
+      }
+      if (text.length > ROLE_FIELD_LIMITS[field]) {
+        return { error: `${field} can be at most ${ROLE_FIELD_LIMITS[field]} characters` };
+      }
+      role[field] = text;
+    }
+  }
+
+  return { role };
+}
+
+/**
+ * Find a volunteer role of an event
+ * @param {Object} event - Event
+ * @param {string} roleId - Role id
+ * @returns {Object} Role
+ */
+function findRole(event, roleId) {
+  const role = (event.volunteerRoles || []).find(candidate => candidate._id.toString() === String(roleId));
+  if (!role) {
+    throw volunteerError('Volunteer role not found', 404);
+  }
+  return role;
+}
+
+/**
+ * List the volunteers of a role at an occurrence (null for single events)
+ * @param {Object} role - Role
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object[]} Volunteers in sign-up order
+ */
+function getVolunteers(role, occurrence) {
+  return (role.volunteers || []).filter(volunteer => sameOccurrence(volunteer.occurrence, occurrence));
+}
+
+/**
+ * Find the role a member serves in at an occurrence
+ * @param {Object} event - Event
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object|null} Role
+ */
+function findServingRole(event, userId, occurrence) {
+  return (event.volunteerRoles || []).find(role =>
+    getVolunteers(role, occurrence).some(volunteer => sameUser(volunteer, userId))
+  ) || null;
+}
+
+/**
+ * Get the title, start, end and location of an occurrence
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object} { title, start, end, location }
+ */
+function getOccurrenceDetails(event, occurrence) {
+  return isRecurringEvent(event) && occurrence
+    ? buildOccurrence(event, occurrence)
+    : { title: event.title, start: event.start, end: event.end, location: event.location };
+}
+
+/**
+ * Add a volunteer role to an event (does not save)
+ * @param {Object} event - Event document
+ * @param {Object} input - Role fields from the request
+ * @returns {Object} The new role
+ */
+function addRole(event, input) {
+  const { role, error } = normalizeRole(input);
+  if (error) {
+    throw volunteerError(error);
+  }
+  if (event.volunteerRoles.length >= MAX_ROLES) {
+    throw volunteerError(`An event can have at most ${MAX_ROLES} volunteer roles`);
+  }
+  if (event.volunteerRoles.some(existing => existing.name.toLowerCase() === role.name.toLowerCase())) {
+    throw volunteerError(`The event already has a "${role.name}" role`, 409);
+  }
+
+  event.volunteerRoles.push(role);
+  return event.volunteerRoles[event.volunteerRoles.length - 1];
+}
+
+/**
+ * Change a volunteer role (does not save). Slots cannot drop below the
+ * volunteers an occurrence already has.
+ * @param {Object} event - Event document
+ * @param {string} roleId - Role id
+ * @param {Object} input - Role fields to change
+ * @returns {Object} The role
+ */
+function updateRole(event, roleId, input) {
+  const role = findRole(event, roleId);
+  const { role: changes, error } = normalizeRole(input, { partial: true });
+  if (error) {
+    throw volunteerError(error);
+  }
+
+  if (changes.name && event.volunteerRoles.some(existing =>
+    !existing._id.equals(role._id) && existing.name.toLowerCase() === changes.name.toLowerCase()
+  )) {
+    throw volunteerError(`The event already has a "${changes.name}" role`, 409);
+  }
+
+  if (changes.slots !== undefined) {
+    const counts = new Map();
+    role.volunteers.forEach(volunteer => {
+      const key = volunteer.occurrence ? volunteer.occurrence.getTime() : '';
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const filled = Math.max(0, ...counts.values());
+    if (changes.slots < filled) {
+      throw volunteerError(`${filled} volunteer(s) already signed up; slots cannot be fewer`, 409);
+    }
+  }
+
+  Object.assign(role, changes);
+  return role;
+}
+
+/**
+ * Check that a member can sign up for a role, throwing the reason when not
+ * @param {Object} event - Event
+ * @param {Object} role - Role
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {Date} now - Current time
+ */
+function checkSignUp(event, role, userId, occurrence, now) {
+  const details = getOccurrenceDetails(event, occurrence);
+  if ((details.end || details.start) <= now) {
+    throw volunteerError('This event is already over');
+  }
+
+  const serving = findServingRole(event, userId, occurrence);
+  if (serving) {
+    throw volunteerError(serving._id.equals(role._id)
+      ? `You are already signed up as ${role.name}`
+      : `You are already serving as ${serving.name}; withdraw from it first`, 409);
+  }
+
+  if (getVolunteers(role, occurrence).length >= role.slots) {
+    throw volunteerError(`All ${role.slots} ${role.name} slot(s) are taken`, 409);
+  }
+}
+
+/**
+ * Sign a member up for a role and save it. The free slot and the member's other
+ * roles are checked again by the update itself, so members signing up at the
+ * same time cannot overfill a role or take two roles.
+ * @param {Object} event - Event document
+ * @param {string} roleId - Role id
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { event, role } as saved
+ */
+async function signUp(event, roleId, userId, occurrence, { now = new Date() } = {}) {
+  const role = findRole(event, roleId);
+  checkSignUp(event, role, userId, occurrence, now);
+
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const currentRole = {
+    $arrayElemAt: [
+      { $filter: { input: '$volunteerRoles', as: 'candidate', cond: { $eq: ['$$candidate._id', role._id] } } },
+      0
+    ]
+  };
+
+  const updated = await Event.findOneAndUpdate(
+    {
+      _id: event._id,
+      isActive: true,
+      'volunteerRoles.volunteers': { $not: { $elemMatch: { user, occurrence } } },
+      $expr: {
+        $let: {
+          vars: { role: currentRole },
+          in: {
+            $lt: [
+              {
+                $size: {
+                  $filter: {
+                    input: { $ifNull: ['$$role.volunteers', []] },
+                    as: 'volunteer',
+                    cond: { $eq: [{ $ifNull: ['$$volunteer.occurrence', null] }, occurrence] }
+                  }
+                }
+              },
+              '$$role.slots'
+            ]
+          }
+        }
+      }
+    },
+    { $push: { 'volunteerRoles.$[role].volunteers': { user, occurrence, signedUpAt: now } } },
+    { new: true, arrayFilters: [{ 'role._id': role._id }] }
+  );
+
+  if (!updated) {
+    // Someone else signed up (or the organizer changed the event) in the meantime
+    const current = await Event.findOne({ _id: event._id, isActive: true });
+    if (!current) {
+      throw volunteerError('Event not found', 404);
+    }
+    checkSignUp(current, findRole(current, roleId), userId, occurrence, now);
+    throw volunteerError('The role changed while you were signing up; please try again', 409);
+  }
+
+  return { event: updated, role: findRole(updated, roleId) };
+}
+
+/**
+ * Take a member off a role (does not save)
+ * @param {Object} event - Event document
+ * @param {string} roleId - Role id
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object} The role
+ */
+function withdraw(event, roleId, userId, occurrence) {
+  const role = findRole(event, roleId);
+  const volunteer = getVolunteers(role, occurrence).find(candidate => sameUser(candidate, userId));
+  if (!volunteer) {
+    throw volunteerError(`You are not signed up as ${role.name}`, 404);
+  }
+
+  role.volunteers.pull(volunteer._id);
+  return role;
+}
+
+/**
+ * Format the roles of an occurrence for members, without who signed up
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {string|null} userId - Member asking, to flag the role they serve in
+ * @returns {Object[]} Roles with filled and open slots
+ */
+function formatRoles(event, occurrence, userId = null) {
+  return (event.volunteerRoles || []).map(role => {
+    const volunteers = getVolunteers(role, occurrence);
+    return {
+      id: role._id,
+      name: role.name,
+      description: role.description,
+      requirements: role.requirements,
+      slots: role.slots,
+      filled: volunteers.length,
+      open: Math.max(0, role.slots - volunteers.length),
+      signedUp: userId ? volunteers.some(volunteer => sameUser(volunteer, userId)) : false
+    };
+  });
+}
+
+/**
+ * Build the volunteer roster of an occurrence for organizers
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Promise<Object>} { summary, roles } with the volunteers' names and contacts
+ */
+async function getRoster(event, occurrence) {
+  const roles = event.volunteerRoles || [];
+  const userIds = roles.flatMap(role => getVolunteers(role, occurrence).map(volunteer => volunteer.user));
+  const users = await User.find({ _id: { $in: userIds } }).select('name phone email').lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const roster = roles.map(role => {
+    const volunteers = getVolunteers(role, occurrence).map(volunteer => ({
+      user: usersById.get(volunteer.user.toString()) || { _id: volunteer.user, name: 'Unknown member' },
+      signedUpAt: volunteer.signedUpAt
+    }));
+    return {
+      id: role._id,
+      name: role.name,
+      description: role.description,
+      requirements: role.requirements,
+      slots: role.slots,
+      filled: volunteers.length,
+      open: Math.max(0, role.slots - volunteers.length),
+      volunteers
+    };
+  });
+
+  const slots = roster.reduce((sum, role) => sum + role.slots, 0);
+  const filled = roster.reduce((sum, role) => sum + role.filled, 0);
+
+  return {
+    summary: { roles: roster.length, slots, filled, open: slots - filled },
+    roles: roster
+  };
+}
+
+/**
+ * Quote a CSV field; fields that spreadsheets would run as formulas are prefixed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeCsv(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the CSV export of a roster, one row per slot (open slots left blank)
+ * @param {Object} roster - Roster from getRoster
+ * @returns {string} CSV text
+ */
+function buildRosterCsv(roster) {
+  const rows = [ROSTER_CSV_COLUMNS];
+
+  roster.roles.forEach(role => {
+    for (let slot = 0; slot < Math.max(role.slots, role.volunteers.length); slot++) {
+      const volunteer = role.volunteers[slot];
+      rows.push([
+        role.name,
+        role.requirements,
+        slot + 1,
+        volunteer ? volunteer.user.name : 'Open',
+        volunteer ? volunteer.user.phone : '',
+        volunteer ? volunteer.user.email : '',
+        volunteer ? formatDateTime(volunteer.signedUpAt) : ''
+      ]);
+    }
+  });
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * List the roles a member serves in
+ * @param {string} userId - Member
+ * @param {Object} options - { from (default now), to } limit the occurrences by end (or start)
+ * @returns {Promise<Object[]>} Roles by occurrence, soonest first
+ */
+async function getMemberServing(userId, { from = new Date(), to = null } = {}) {
+  const events = await Event.find({ isActive: true, 'volunteerRoles.volunteers.user': userId })
+    .select('title start end location category isActive recurrence exceptionDates overrides volunteerRoles')
+    .lean();
+
+  const serving = [];
+  events.forEach(event => {
+    const recurring = isRecurringEvent(event);
+    event.volunteerRoles.forEach(role => {
+      role.volunteers
+        .filter(volunteer => sameUser(volunteer, userId))
+        // Occurrences that were cancelled or that a changed rule no longer produces are left out
+        .filter(volunteer => !recurring || (volunteer.occurrence && isOccurrence(event, volunteer.occurrence)))
+        .forEach(volunteer => {
+          const details = getOccurrenceDetails(event, recurring ? volunteer.occurrence : null);
+          serving.push({
+            eventId: event._id,
+            occurrence: recurring ? volunteer.occurrence : null,
+            title: details.title,
+            start: details.start,
+            end: details.end,
+            location: details.location,
+            category: event.category,
+            role: {
+              id: role._id,
+              name: role.name,
+              description: role.description,
+              requirements: role.requirements
+            },
+            signedUpAt: volunteer.signedUpAt
+          });
+        });
+    });
+  });
+
+  return serving
+    .filter(entry => (!from || (entry.end || entry.start) >= from) && (!to || entry.start <= to))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * List who serves at an occurrence, for reminders and notices
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object[]} [{ role, userIds }] per role with volunteers
+ */
+function getServingVolunteers(event, occurrence) {
+  return (event.volunteerRoles || [])
+    .map(role => ({
+      role,
+      userIds: getVolunteers(role, occurrence).map(volunteer => volunteer.user.toString())
+    }))
+    .filter(({ userIds }) => userIds.length > 0);
+}
+
+module.exports = {
+  MAX_ROLES,
+  normalizeRole,
+  findRole,
+  getVolunteers,
+  findServingRole,
+  addRole,
+  updateRole,
+  signUp,
+  withdraw,
+  formatRoles,
+  getRoster,
+  buildRosterCsv,
+  getMemberServing,
+  getServingVolunteers
+};
@@ -0,0 +1,402 @@
+const Event = require('../server/models/Event');
+const { notifyUsers } = require('./notificationService');
+const { getTemplate, templateRenderer } = require('./notificationTemplates');
+const { formatDateTime } = require('./emailTemplates');
+const { isRecurringEvent, buildOccurrence } = require('./eventRecurrence');
+
+/**
+ * Event waitlists.
+ *
+ * Once an event (or an occurrence of a recurring event) is full, members
+ * asking to attend join its waitlist in order. When a seat frees up - an
+ * attendee cancels or is removed, or the capacity grows - the first waiting
+ * member is promoted and notified by push:
+ *   - straight to attending, or
+ *   - when the event has waitlistConfirmHours, with an offer that holds the
+ *     seat for that long. Confirming means RSVPing "attending"; offers that
+ *     are declined or expire pass the seat to the next member.
+ * Admins can view and reorder the waitlist.
+ *
+ * Seats are counted on the loaded event document. Saves that change who holds
+ * a seat are version-checked, so when another request saved the event in the
+ * meantime Mongoose raises a VersionError; withEventRetry then loads the event
+ * again and works the change out once more.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ */
+function waitlistError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sameOccurrence = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const sameUser = (entry, userId) => entry.user && entry.user.toString() === userId.toString();
+
+/**
+ * List the waitlist entries of an occurrence (null for single events), in order
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object[]} Entries
+ */
+function getEntries(event, occurrence) {
+  return (event.waitlist || []).filter(entry => sameOccurrence(entry.occurrence, occurrence));
+}
+
+/**
+ * Find a member's waitlist entry
+ * @param {Object} event - Event
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object|null} Entry
+ */
+function findEntry(event, userId, occurrence) {
+  return getEntries(event, occurrence).find(entry => sameUser(entry, userId)) || null;
+}
+
+/**
+ * Get a member's place in the queue (entries holding an offer are not counted)
+ * @param {Object} event - Event
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {number|null} 1-based position, or null when not waiting
+ */
+function getPosition(event, userId, occurrence) {
+  const waiting = getEntries(event, occurrence).filter(entry => entry.status === 'waiting');
+  const index = waiting.findIndex(entry => sameUser(entry, userId));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Count the seats still free, leaving out seats held by open offers
+ * @param {Object} event - Event document
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {string} exceptUserId - Member whose own seat or offer is not counted
+ * @returns {number} Free seats (Infinity without a capacity)
+ */
+function getFreeSeats(event, occurrence, exceptUserId = null) {
+  if (!event.capacity) return Infinity;
+
+  const attending = event.attendees.filter(attendee =>
+    attendee.status === 'attending' && sameOccurrence(attendee.occurrence, occurrence) &&
+    !(exceptUserId && sameUser(attendee, exceptUserId))
+  ).length;
+  const offered = getEntries(event, occurrence).filter(entry =>
+    entry.status === 'offered' && !(exceptUserId && sameUser(entry, exceptUserId))
+  ).length;
+
+  return Math.max(0, event.capacity - attending - offered);
+}
+
+/**
+ * Apply a change to an event, loading the event again and retrying once when
+ * another request saved it in between (VersionError)
+ * @param {Object} event - Event document
+ * @param {Function} change - async (event) => result; makes the change and saves it
+ * @returns {Promise<Object>} { event, result } with the document the change was saved on
+ */
+async function withEventRetry(event, change) {
+  try {
+    return { event, result: await change(event) };
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+
+    const current = await Event.findOne({ _id: event._id, isActive: true });
+    if (!current) {
+      throw waitlistError('Event not found', 404);
+    }
+    return { event: current, result: await change(current) };
+  }
+}
+
+/**
+ * Add a member to the end of the waitlist (does not save)
+ * @param {Object} event - Event document
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {number} The member's position
+ */
+function joinWaitlist(event, userId, occurrence) {
+  if (!event.waitlistEnabled) {
+    throw waitlistError('Event is full');
+  }
+  if (!findEntry(event, userId, occurrence)) {
+    event.waitlist.push({ user: userId, occurrence, joinedAt: new Date(), status: 'waiting' });
+  }
+  return getPosition(event, userId, occurrence);
+}
+
+/**
+ * Take a member off the waitlist (does not save)
+ * @param {Object} event - Event document
+ * @param {string} userId - Member
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object|null} The removed entry
+ */
+function leaveWaitlist(event, userId, occurrence) {
+  const entry = findEntry(event, userId, occurrence);
+  if (entry) {
+    event.waitlist.pull(entry._id);
+  }
+  return entry;
+}
+
+/**
+ * Promote waiting members into the free seats of an occurrence (does not save)
+ * @param {Object} event - Event document
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {Object} options - { now }
+ * @returns {Object} { promoted, offered } user ids
+ */
+function fillFreeSeats(event, occurrence, { now = new Date() } = {}) {
+  const promoted = [];
+  const offered = [];
+  let freeSeats = getFreeSeats(event, occurrence);
+
+  for (const entry of getEntries(event, occurrence)) {
+    if (freeSeats <= 0) break;
+    if (entry.status !== 'waiting') continue;
+
+    if (event.waitlistConfirmHours) {
+      entry.status = 'offered';
+      entry.offeredAt = now;
+      entry.offerExpiresAt = new Date(now.getTime() + event.waitlistConfirmHours * HOUR_MS);
+      offered.push(entry.user);
+    } else {
+      event.waitlist.pull(entry._id);
+      event.attendees.push({ user: entry.user, status: 'attending', occurrence, rsvpDate: now });
+      promoted.push(entry.user);
+    }
+    freeSeats--;
+  }
+
+  if (promoted.length > 0) {
+    event.rsvpCount = event.attendees.filter(attendee => attendee.status === 'attending').length;
+  }
+  if (promoted.length > 0 || offered.length > 0) {
+    // Fail the save if someone else took a seat since the event was loaded
+    event.increment();
+  }
+
+  return { promoted, offered };
+}
+
+/**
+ * Tell promoted members about their seat
+ * @param {Object} event - Event
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {Object} result - { promoted, offered } from fillFreeSeats
+ * @param {Object} options - { now }
+ * @returns {Promise<number>} Members notified
+ */
+async function notifyPromotions(event, occurrence, { promoted, offered }, { now = new Date() } = {}) {
+  if (promoted.length === 0 && offered.length === 0) return 0;
+
+  const details = isRecurringEvent(event) && occurrence
+    ? buildOccurrence(event, occurrence)
+    : { title: event.title, start: event.start, location: event.location };
+  const variables = {
+    eventTitle: details.title,
+    eventDate: formatDateTime(details.start),
+    eventLocation: details.location
+  };
+  const data = {
+    type: 'event_waitlist',
+    eventId: event._id.toString(),
+    occurrence: occurrence ? new Date(occurrence).toISOString() : ''
+  };
+
+  let notified = 0;
+  const batches = [
+    { userIds: promoted, key: 'event-waitlist-promoted', extra: {}, status: 'promoted' },
+    {
+      userIds: offered,
+      key: 'event-waitlist-offer',
+      extra: { confirmBy: formatDateTime(new Date(now.getTime() + (event.waitlistConfirmHours || 0) * HOUR_MS)) },
+      status: 'offered'
+    }
+  ];
+
+  for (const batch of batches) {
+    if (batch.userIds.length === 0) continue;
+    try {
+      const template = await getTemplate(batch.key);
+      const { notifications } = await notifyUsers(batch.userIds, {
+        render: templateRenderer(template, { ...variables, ...batch.extra }),
+        type: 'event',
+        data: { ...data, status: batch.status },
+        // Offers run out; they should not wait for quiet hours to end
+        urgent: batch.status === 'offered'
+      });
+      notified += notifications.length;
+    } catch (error) {
+      console.error(`❌ Failed to notify waitlisted members of event ${event._id}:`, error.message);
+    }
+  }
+
+  return notified;
+}
+
+/**
+ * Fill the free seats of an occurrence from its waitlist, save and notify
+ * @param {Object} event - Event document
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { promoted, offered } user ids
+ */
+async function promoteFromWaitlist(event, occurrence, { now = new Date() } = {}) {
+  const { event: saved, result } = await withEventRetry(event, async (current) => {
+    const filled = fillFreeSeats(current, occurrence, { now });
+    if (filled.promoted.length > 0 || filled.offered.length > 0) {
+      await current.save();
+    }
+    return filled;
+  });
+  if (result.promoted.length === 0 && result.offered.length === 0) return result;
+
+  console.log(`🎟️ Waitlist of event ${saved._id}: ${result.promoted.length} promoted, ${result.offered.length} offered a seat`);
+  await notifyPromotions(saved, occurrence, result, { now });
+  return result;
+}
+
+/**
+ * Fill free seats of every occurrence with a waitlist, e.g. after the capacity grew
+ * @param {Object} event - Event document
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { promoted, offered } counts
+ */
+async function promoteAllOccurrences(event, { now = new Date() } = {}) {
+  const occurrences = [];
+  (event.waitlist || []).forEach(entry => {
+    if (!occurrences.some(occurrence => sameOccurrence(occurrence, entry.occurrence))) {
+      occurrences.push(entry.occurrence);
+    }
+  });
+
+  const totals = { promoted: 0, offered: 0 };
+  for (const occurrence of occurrences) {
+    const { promoted, offered } = await promoteFromWaitlist(event, occurrence, { now });
+    totals.promoted += promoted.length;
+    totals.offered += offered.length;
+  }
+  return totals;
+}
+
+/**
+ * Put an occurrence's waiting members in a new order (does not save).
+ * Members holding an offer keep it and stay ahead of the queue.
+ * @param {Object} event - Event document
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @param {string[]} userIds - Every waiting member, in the new order
+ */
+function reorderWaitlist(event, occurrence, userIds) {
+  const entries = getEntries(event, occurrence);
+  const waiting = entries.filter(entry => entry.status === 'waiting');
+  const ids = (Array.isArray(userIds) ? userIds : []).map(id => String(id));
+
+  if (ids.length !== waiting.length || new Set(ids).size !== ids.length ||
+      !waiting.every(entry => ids.includes(entry.user.toString()))) {
+    throw waitlistError('userIds must list every waiting member exactly once');
+  }
+
+  const reordered = [
+    ...entries.filter(entry => entry.status !== 'waiting'),
+    ...ids.map(id => waiting.find(entry => entry.user.toString() === id))
+  ];
+  const others = event.waitlist.filter(entry => !sameOccurrence(entry.occurrence, occurrence));
+  event.waitlist = [...others, ...reordered.map(entry => entry.toObject())];
+}
+
+/**
+ * Format an occurrence's waitlist for admins
+ * @param {Object} event - Event (waitlist.user populated with name and phone)
+ * @param {Date|null} occurrence - Original start of the occurrence
+ * @returns {Object[]} Entries with positions
+ */
+function formatWaitlist(event, occurrence) {
+  let position = 0;
+  return getEntries(event, occurrence).map(entry => ({
+    user: entry.user,
+    position: entry.status === 'waiting' ? ++position : null,
+    status: entry.status,
+    joinedAt: entry.joinedAt,
+    offeredAt: entry.offeredAt,
+    offerExpiresAt: entry.offerExpiresAt
+  }));
+}
+
+/**
+ * Pass the seats of expired offers on to the next waiting members
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function expireWaitlistOffers({ now = new Date() } = {}) {
+  const outcome = { itemsAffected: 0, errors: [], details: { expired: 0, promoted: 0, offered: 0 } };
+
+  const events = await Event.find({
+    isActive: true,
+    waitlist: { $elemMatch: { status: 'offered', offerExpiresAt: { $lte: now } } }
+  });
+
+  for (const event of events) {
+    try {
+      // A member may confirm their offer while this runs; then only the other offers expire
+      const { event: saved, result: expired } = await withEventRetry(event, async (current) => {
+        const due = current.waitlist.filter(entry => entry.status === 'offered' && entry.offerExpiresAt <= now);
+        due.forEach(entry => current.waitlist.pull(entry._id));
+        if (due.length > 0) {
+          await current.save();
+        }
+        return due;
+      });
+      outcome.itemsAffected += expired.length;
+      outcome.details.expired += expired.length;
+
+      const occurrences = [];
+      expired.forEach(entry => {
+        if (!occurrences.some(occurrence => sameOccurrence(occurrence, entry.occurrence))) {
+          occurrences.push(entry.occurrence);
+        }
+      });
+      for (const occurrence of occurrences) {
+        const { promoted, offered } = await promoteFromWaitlist(saved, occurrence, { now });
+        outcome.details.promoted += promoted.length;
+        outcome.details.offered += offered.length;
+      }
+    } catch (error) {
+      outcome.errors.push(`Event ${event._id}: ${error.message}`);
+    }
+  }
+
+  return outcome;
+}
+
+// Job definitions for the job runner
+const waitlistJobs = [
+  {
+    name: 'expire-waitlist-offers',
+    schedule: '*/5 * * * *',
+    description: 'Passes waitlist seats that were not confirmed in time to the next member',
+    handler: expireWaitlistOffers
+  }
+];
+
+module.exports = {
+  getEntries,
+  findEntry,
+  getPosition,
+  getFreeSeats,
+  withEventRetry,
+  joinWaitlist,
+  leaveWaitlist,
+  promoteFromWaitlist,
+  promoteAllOccurrences,
+  reorderWaitlist,
+  formatWaitlist,
+  expireWaitlistOffers,
+  waitlistJobs
+};
@@ -1,4 +1,5 @@
 const admin = require("firebase-admin");
+const { registerPushTransport, getPushTransport, classifyFcmError } = require("./pushTransport");
 require("dotenv").config();
 
 let firebaseInitialized = false;
@@ -98,43 +99,91 @@ const initializeFirebase = () => {
   }
 };
 
-// Send FCM push notifications to multiple users with batching and token cleanup
-const sendPushNotifications = async (userIds, title, body, data = {}) => {
+// Turn a Firebase send result into the transport result shape
+const toSendResponse = (response) => (response.success
+  ? { success: true, messageId: response.messageId }
+  : { success: false, error: { code: response.error?.code, message: response.error?.message || 'Unknown error' } });
+
+// Initialize Firebase for a send; setup failures get a permanent error code so they are not retried
+const initializeForSend = () => {
   try {
-    // Initialize Firebase if not already done
     initializeFirebase();
+  } catch (error) {
+    if (!error.code) error.code = 'app/invalid-credential';
+    throw error;
+  }
+};
+
+// Firebase transport (see pushTransport.js)
+registerPushTransport('firebase', {
+  send: async (message) => {
+    initializeForSend();
+    try {
+      const messageId = await admin.messaging().send(message);
+      return { success: true, messageId };
+    } catch (error) {
+      return toSendResponse({ success: false, error });
+    }
+  },
+  sendMulticast: async (message) => {
+    initializeForSend();
+    const response = await admin.messaging().sendEachForMulticast(message);
+    return {
+      successCount: response.successCount,
+      failureCount: response.failureCount,
+      responses: response.responses.map(toSendResponse)
+    };
+  },
+  classifyError: classifyFcmError,
+  getStatus: () => getFirebaseStatus()
+});
+
+// Send push notifications to multiple users' devices with batching and token cleanup
+const sendPushNotifications = async (userIds, title, body, data = {}) => {
+  try {
+    const transport = getPushTransport();
 
     // Get User model
     const User = require('../server/models/User');
 
-    // Get users with FCM tokens
+    // Get users with at least one push device
     const users = await User.find({
       _id: { $in: userIds },
-      fcmToken: { $ne: null, $exists: true },
-      isActive: { $ne: false }
-    }).select('_id fcmToken fcmTokenPlatform name');
+      isActive: { $ne: false },
+      ...User.pushTokenFilter()
+    }).select('_id fcmTokens fcmToken fcmTokenPlatform name').lean();
 
     if (users.length === 0) {
       console.log("❌ No users found with FCM tokens for the specified user IDs");
       return {
         success: false,
         message: "No users found with notification tokens",
-        stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 }
+        stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 },
+        deliveredUserIds: [],
+        failures: []
       };
     }
 
-    const validUsers = users.filter(user => user.fcmToken);
+    // One target per device, so members with a phone and a tablet get the push on both
+    const devices = [];
+    users.forEach(user => {
+      User.collectPushTokens(user).forEach(device => {
+        devices.push({ ...device, userId: user._id.toString(), name: user.name });
+      });
+    });
 
-    if (validUsers.length === 0) {
+    if (devices.length === 0) {
       console.log("❌ No valid FCM tokens found");
       return {
         success: false,
         message: "No valid notification tokens found",
-        stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 }
+        stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 },
+        deliveredUserIds: [],
+        failures: []
       };
     }
 
-    console.log(`🎯 Found ${validUsers.length} valid FCM tokens for ${users.length} users`);
+    console.log(`🎯 Found ${devices.length} valid FCM tokens for ${users.length} users`);
 
     // Prepare FCM message template
     const messageTemplate = {
@@ -173,13 +222,13 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
       }
     };
 
-    console.log(`🚀 Sending FCM notification: "${title}"`);
+    console.log(`🚀 Sending push notification via ${transport.name}: "${title}"`);
 
-    // Split users into batches of 500 (FCM limit)
+    // Split devices into batches of 500 (FCM limit)
     const BATCH_SIZE = 500;
     const batches = [];
-    for (let i = 0; i < validUsers.length; i += BATCH_SIZE) {
-      batches.push(validUsers.slice(i, i + BATCH_SIZE));
+    for (let i = 0; i < devices.length; i += BATCH_SIZE) {
+      batches.push(devices.slice(i, i + BATCH_SIZE));
     }
 
     console.log(`📦 Processing ${batches.length} batch(es) of notifications`);
@@ -187,12 +236,22 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
     let totalSuccessCount = 0;
     let totalFailureCount = 0;
     let totalCleanedTokens = 0;
-    const invalidTokenUserIds = [];
+    const invalidTokens = [];
+    const deliveredUserIds = new Set();
+    // Last error per user, preferring transient ones so the push can be retried
+    const userErrors = new Map();
+    const recordError = (device, code) => {
+      const transient = transport.classifyError(code) === 'transient';
+      const current = userErrors.get(device.userId);
+      if (!current || (!current.transient && transient)) {
+        userErrors.set(device.userId, { userId: device.userId, code, transient });
+      }
+    };
 
     // Process each batch
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
       const batch = batches[batchIndex];
-      const tokens = batch.map(user => user.fcmToken);
+      const tokens = batch.map(device => device.token);
 
       console.log(`📤 Sending batch ${batchIndex + 1}/${batches.length} (${tokens.length} tokens)`);
 
@@ -203,30 +262,33 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
 
       try {
         // Send the notification batch
-        const response = await admin.messaging().sendEachForMulticast(message);
+        const response = await transport.sendMulticast(message);
 
         totalSuccessCount += response.successCount;
         totalFailureCount += response.failureCount;
 
         console.log(`📊 Batch ${batchIndex + 1} - Success: ${response.successCount}/${tokens.length}, Failed: ${response.failureCount}`);
 
+        response.responses.forEach((resp, idx) => {
+          if (resp.success) deliveredUserIds.add(batch[idx].userId);
+        });
+
         // Process failed responses for token cleanup
         if (response.failureCount > 0) {
           console.log(`🔍 Processing ${response.failureCount} failed tokens in batch ${batchIndex + 1}:`);
 
           response.responses.forEach((resp, idx) => {
             if (!resp.success) {
-              const user = batch[idx];
+              const device = batch[idx];
               const errorCode = resp.error?.code;
               const errorMessage = resp.error?.message || 'Unknown error';
 
-              console.log(`  - ${user.name || 'Unknown'} (${user._id}): ${errorCode} - ${errorMessage}`);
+              console.log(`  - ${device.name || 'Unknown'} (${device.userId}, device ${device.deviceId || 'unknown'}): ${errorCode} - ${errorMessage}`);
+              recordError(device, errorCode || 'unknown');
 
               // Mark tokens for cleanup based on error codes
-              if (errorCode === 'messaging/registration-token-not-registered' ||
-                  errorCode === 'messaging/invalid-registration-token' ||
-                  errorCode === 'messaging/invalid-argument') {
-                invalidTokenUserIds.push(user._id);
+              if (transport.classifyError(errorCode) === 'invalid_token') {
+                invalidTokens.push(device.token);
                 console.log(`    🗑️ Marking token for cleanup: ${errorCode}`);
               }
             }
@@ -236,6 +298,10 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
       } catch (batchError) {
         console.error(`❌ Error sending batch ${batchIndex + 1}:`, batchError);
         totalFailureCount += tokens.length; // Count entire batch as failed
+        // The transport decides whether the error is worth retrying; errors without a code
+        // (e.g. a dropped connection) are treated as FCM internal errors
+        const batchCode = batchError.code || 'messaging/internal-error';
+        batch.forEach(device => recordError(device, batchCode));
       }
 
       // Small delay between batches to avoid rate limiting
@@ -244,20 +310,12 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
       }
     }
 
-    // Clean up invalid tokens
-    if (invalidTokenUserIds.length > 0) {
-      console.log(`🧹 Cleaning up ${invalidTokenUserIds.length} invalid FCM tokens`);
+    // Clean up invalid tokens; only the dead devices are removed
+    if (invalidTokens.length > 0) {
+      console.log(`🧹 Cleaning up ${invalidTokens.length} invalid FCM tokens`);
 
       try {
-        const cleanupResult = await User.updateMany(
-          { _id: { $in: invalidTokenUserIds } },
-          {
-            $unset: { fcmToken: 1, fcmTokenPlatform: 1 },
-            $set: { fcmTokenUpdated: new Date() }
-          }
-        );
-
-        totalCleanedTokens = cleanupResult.modifiedCount;
+        totalCleanedTokens = await User.removePushTokens(invalidTokens);
         console.log(`✅ Cleaned up ${totalCleanedTokens} invalid tokens`);
       } catch (cleanupError) {
         console.error("❌ Error cleaning up invalid tokens:", cleanupError);
@@ -265,19 +323,22 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
     }
 
     console.log(`✅ FCM notification completed!`);
-    console.log(`📊 Total Results: Success: ${totalSuccessCount}/${validUsers.length}, Failed: ${totalFailureCount}, Cleaned: ${totalCleanedTokens}`);
+    console.log(`📊 Total Results: Success: ${totalSuccessCount}/${devices.length}, Failed: ${totalFailureCount}, Cleaned: ${totalCleanedTokens}`);
 
     return {
       success: totalSuccessCount > 0,
-      message: `Push notification sent to ${totalSuccessCount}/${validUsers.length} devices` +
+      message: `Push notification sent to ${totalSuccessCount}/${devices.length} devices` +
                (totalCleanedTokens > 0 ? `, cleaned ${totalCleanedTokens} invalid tokens` : ''),
       stats: {
         successCount: totalSuccessCount,
         failureCount: totalFailureCount,
-        totalTargets: validUsers.length,
+        totalTargets: devices.length,
         cleanedTokens: totalCleanedTokens,
         batchesProcessed: batches.length
-      }
+      },
+      deliveredUserIds: Array.from(deliveredUserIds),
+      // Users none of whose devices got the push: [{ userId, code, transient }]
+      failures: Array.from(userErrors.values()).filter(failure => !deliveredUserIds.has(failure.userId))
     };
 
   } catch (error) {
@@ -286,7 +347,9 @@ const sendPushNotifications = async (userIds, title, body, data = {}) => {
       success: false,
       message: "Failed to send push notifications: " + error.message,
       error: error.message,
-      stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 }
+      stats: { successCount: 0, failureCount: 0, totalTargets: 0, cleanedTokens: 0 },
+      deliveredUserIds: [],
+      failures: []
     };
   }
 };
@@ -299,10 +362,10 @@ const sendToAllUsers = async (title, body, data = {}) => {
     // Get User model
     const User = require('../server/models/User');
 
-    // Get all users with FCM tokens
+    // Get all users with at least one push device
     const users = await User.find({
-      fcmToken: { $ne: null, $exists: true },
-      isActive: { $ne: false }
+      isActive: { $ne: false },
+      ...User.pushTokenFilter()
     }).select('_id');
 
     const userIds = users.map(user => user._id);
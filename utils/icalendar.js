@@ -0,0 +1,247 @@
+const Event = require('../server/models/Event');
+const { CHURCH_NAME } = require('./emailTemplates');
+const { CHURCH_TIMEZONE } = require('./dateUtils');
+const {
+  isRecurringEvent,
+  expandOccurrences,
+  buildOccurrence,
+  getOccurrenceId
+} = require('./eventRecurrence');
+
+/**
+ * iCalendar (RFC 5545) feeds of church events.
+ *
+ * Feeds list every occurrence as its own VEVENT with UTC times, so calendar
+ * apps show exactly what GET /api/events?from=&to= expands (overrides
+ * included). Cancelled occurrences and events deleted recently stay in the
+ * feed with STATUS:CANCELLED, which makes subscribed calendars mark them
+ * cancelled instead of silently dropping them.
+ */
+
+// Window of the feeds, around the time they are generated
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+// How often calendar apps are asked to refresh a subscription
+const FEED_REFRESH_INTERVAL = 'PT6H';
+
+const UID_DOMAIN = 'events.pcea-backend';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += character;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. "20250107T160000Z"
+ * @param {Date} date - The instant
+ * @returns {string} Formatted date
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the VEVENT of an occurrence
+ * @param {Object} event - Event (lean)
+ * @param {Object} occurrence - Occurrence from expandOccurrences/buildOccurrence
+ * @param {Object} options - { cancelled, now }
+ * @returns {string[]} Content lines
+ */
+function buildVEvent(event, occurrence, { cancelled = false, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getOccurrenceId(event, occurrence.occurrenceStart)}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(occurrence.start)}`
+  ];
+
+  if (occurrence.end) lines.push(`DTEND:${formatDateTime(occurrence.end)}`);
+  lines.push(`SUMMARY:${escapeText(occurrence.title)}`);
+  if (occurrence.description) lines.push(`DESCRIPTION:${escapeText(occurrence.description)}`);
+  if (occurrence.location) lines.push(`LOCATION:${escapeText(occurrence.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build the VEVENTs of an event within a window: its occurrences, plus cancelled
+ * occurrences and, for deleted events, everything marked cancelled
+ * @param {Object} event - Event (lean)
+ * @param {Object} options
+ * @param {Date} options.from - Window start
+ * @param {Date} options.to - Window end
+ * @param {Function} options.includeOccurrence - (occurrenceStart) => boolean, to pick occurrences
+ * @param {Date} options.now - Generation time
+ * @returns {Object[]} [{ start, lines }] so entries of several events can be sorted
+ */
+function buildEventEntries(event, { from, to, includeOccurrence = () => true, now = new Date() }) {
+  const deleted = event.isActive === false;
+  const entries = expandOccurrences(event, from, to)
+    .filter(occurrence => includeOccurrence(occurrence.occurrenceStart))
+    .map(occurrence => ({
+      start: occurrence.start,
+      lines: buildVEvent(event, occurrence, { cancelled: deleted, now })
+    }));
+
+  if (isRecurringEvent(event)) {
+    (event.exceptionDates || [])
+      .map(date => buildOccurrence(event, date))
+      .filter(occurrence => occurrence.start <= to && (occurrence.end || occurrence.start) >= from)
+      .filter(occurrence => includeOccurrence(occurrence.occurrenceStart))
+      .forEach(occurrence => entries.push({
+        start: occurrence.start,
+        lines: buildVEvent(event, occurrence, { cancelled: true, now })
+      }));
+  }
+
+  return entries;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Object[]} options.entries - Entries from buildEventEntries
+ * @param {boolean} options.subscription - Add the refresh hints of a subscribed feed
+ * @returns {string} iCalendar text
+ */
+function buildCalendar({ name, entries, subscription = true }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(CHURCH_NAME)}//Church Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CHURCH_TIMEZONE}`
+  ];
+
+  if (subscription) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`);
+    lines.push(`X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`);
+  }
+
+  entries
+    .slice()
+    .sort((a, b) => a.start - b.start)
+    .forEach(entry => lines.push(...entry.lines));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an events feed for the window around now
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {Object} options.filter - Extra Event query conditions (category, tags, attendees...)
+ * @param {Function} options.includeOccurrence - (event, occurrenceStart) => boolean, to pick occurrences
+ * @param {Date} options.now - Generation time
+ * @returns {Promise<string>} iCalendar text
+ */
+async function buildEventsFeed({ name, filter = {}, includeOccurrence = () => true, now = new Date() }) {
+  const from = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS);
+  const to = new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS);
+
+  const events = await Event.find({
+    ...filter,
+    $and: [
+      // Events deleted within the window are kept to show them cancelled
+      { $or: [{ isActive: true }, { updatedAt: { $gte: from } }] },
+      {
+        $or: [
+          { 'recurrence.freq': { $in: Event.RECURRENCE_FREQUENCIES }, start: { $lte: to } },
+          { start: { $gte: from, $lte: to } },
+          { start: { $lte: to }, end: { $gte: from } }
+        ]
+      }
+    ]
+  }).lean();
+
+  const entries = events.flatMap(event => buildEventEntries(event, {
+    from,
+    to,
+    includeOccurrence: occurrenceStart => includeOccurrence(event, occurrenceStart),
+    now
+  }));
+
+  return buildCalendar({ name, entries });
+}
+
+/**
+ * Build the .ics download of a single event (every occurrence in the feed window,
+ * or one occurrence)
+ * @param {Object} event - Event (lean)
+ * @param {Object} options - { occurrence: original start of the occurrence to export, now }
+ * @returns {string} iCalendar text
+ */
+function buildEventCalendar(event, { occurrence = null, now = new Date() } = {}) {
+  let entries;
+
+  if (!isRecurringEvent(event)) {
+    // Single events are exported even when they are long past
+    entries = buildEventEntries(event, { from: new Date(event.start), to: new Date(event.start), now });
+  } else if (occurrence) {
+    entries = [{ start: occurrence, lines: buildVEvent(event, buildOccurrence(event, occurrence), { now }) }];
+  } else {
+    entries = buildEventEntries(event, {
+      from: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+      to: new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS),
+      now
+    });
+  }
+
+  return buildCalendar({ name: event.title, entries, subscription: false });
+}
+
+module.exports = {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  buildEventEntries,
+  buildEventsFeed,
+  buildEventCalendar
+};
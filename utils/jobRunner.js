@@ -0,0 +1,195 @@
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../server/models/JobRun');
+const JobLock = require('../server/models/JobLock');
+
+/**
+ * In-process background job runner.
+ *
+ * Jobs are registered with a cron expression and a handler. Every run takes a
+ * MongoDB lock first so that only one instance executes a job when the API is
+ * scaled out, and every run is recorded in the JobRun collection.
+ */
+
+const JOB_TIMEZONE = process.env.JOB_TIMEZONE || 'Africa/Nairobi';
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// Identifies this process in locks and run records
+const instanceId = process.env.DYNO || `${os.hostname()}-${process.pid}`;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a background job
+ * @param {Object} definition - Job definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.schedule - Cron expression (evaluated in JOB_TIMEZONE)
+ * @param {string} definition.description - Human readable description
+ * @param {Function} definition.handler - async ({ trigger, triggeredBy, now }) => ({ itemsAffected, errors, details })
+ * @param {string} definition.lockName - Lock shared with other jobs that must not overlap (optional, defaults to name)
+ * @param {number} definition.lockTtlMs - How long the lock is held if the process dies mid-run (optional)
+ */
+function registerJob(definition) {
+  const { name, schedule, handler } = definition;
+
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Job name and handler are required');
+  }
+
+  if (schedule && !cron.validate(schedule)) {
+    throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+  }
+
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, {
+    name,
+    schedule,
+    description: definition.description || '',
+    handler,
+    lockName: definition.lockName || name,
+    lockTtlMs: definition.lockTtlMs || DEFAULT_LOCK_TTL_MS,
+    task: null,
+    running: false
+  });
+}
+
+/**
+ * Run a registered job now, taking the cross-instance lock first
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy: userId }
+ * @returns {Promise<Object>} { ran, reason, run }
+ */
+async function runJob(name, options = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const trigger = options.trigger || 'schedule';
+
+  if (job.running) {
+    return { ran: false, reason: 'Job is already running on this instance' };
+  }
+
+  const acquired = await JobLock.acquire(job.lockName, instanceId, job.lockTtlMs);
+  if (!acquired) {
+    return { ran: false, reason: 'Job (or a job sharing its lock) is already running' };
+  }
+
+  job.running = true;
+  let run = null;
+
+  try {
+    run = await JobRun.create({
+      job: name,
+      trigger,
+      triggeredBy: options.triggeredBy || null,
+      instanceId
+    });
+
+    const outcome = await job.handler({
+      trigger,
+      triggeredBy: options.triggeredBy || null,
+      now: new Date()
+    }) || {};
+    await run.finish(outcome);
+
+    if (outcome.itemsAffected > 0 || (outcome.errors && outcome.errors.length > 0)) {
+      console.log(`⚙️ Job ${name} finished: ${outcome.itemsAffected || 0} items affected, ${(outcome.errors || []).length} errors`);
+    }
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+    // Without a run record there is nothing to report the failure on
+    if (!run) throw error;
+    await run.finish({ failed: true, errors: [error.message] });
+  } finally {
+    job.running = false;
+    await JobLock.release(job.lockName, instanceId).catch(error => {
+      console.error(`❌ Failed to release lock for job ${name}:`, error.message);
+    });
+  }
+
+  return { ran: true, run: run.toObject() };
+}
+
+/**
+ * Start the cron schedules of all registered jobs.
+ * Set JOBS_ENABLED=false to keep an instance from scheduling anything.
+ */
+function startJobs() {
+  if (started) return;
+
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️ Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+
+  jobs.forEach(job => {
+    if (!job.schedule) return;
+
+    job.task = cron.schedule(job.schedule, () => {
+      runJob(job.name, { trigger: 'schedule' }).catch(error => {
+        console.error(`❌ Scheduled run of job ${job.name} failed:`, error.message);
+      });
+    }, { timezone: JOB_TIMEZONE });
+  });
+
+  started = true;
+  console.log(`⏰ Started ${jobs.size} background job(s) on instance ${instanceId} (${JOB_TIMEZONE})`);
+}
+
+/**
+ * Stop all cron schedules (used on shutdown)
+ */
+function stopJobs() {
+  jobs.forEach(job => {
+    if (job.task) {
+      job.task.stop();
+      job.task = null;
+    }
+  });
+  started = false;
+}
+
+/**
+ * List registered jobs with their latest run
+ * @returns {Promise<Object[]>} Job summaries
+ */
+async function listJobs() {
+  const latestRuns = await JobRun.getLatestByJob();
+
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    timezone: JOB_TIMEZONE,
+    scheduled: !!job.task,
+    runningOnThisInstance: job.running,
+    lastRun: latestRuns[job.name] || null
+  }));
+}
+
+/**
+ * Check whether a job is registered
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+function hasJob(name) {
+  return jobs.has(name);
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  listJobs,
+  hasJob,
+  instanceId
+};
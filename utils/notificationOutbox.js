@@ -0,0 +1,290 @@
+const Broadcast = require('../server/models/Broadcast');
+const Notification = require('../server/models/Notification');
+const { notifyUsers } = require('./notificationService');
+const { resolveAudience } = require('./audienceSegments');
+const { templateRenderer } = require('./notificationTemplates');
+
+/**
+ * Notification outbox for admin broadcasts.
+ *
+ * Every broadcast is stored before anything is sent. Immediate broadcasts are
+ * processed right away by the request that created them; scheduled ones (sendAt
+ * in the future) and ones whose first attempt failed are picked up by the
+ * send-broadcasts job. Processing resolves the audience, stores the inbox
+ * entries and pushes them through the notification service, which retries
+ * transient FCM and email errors per recipient. A broadcast is marked sent once
+ * none of its pushes or emails are waiting for quiet hours or a retry.
+ */
+
+// Attempts at storing a broadcast's inbox entries before it is marked failed
+const MAX_BROADCAST_ATTEMPTS = 5;
+
+// Delay before the first broadcast retry; doubles with every further attempt
+const BROADCAST_RETRY_BASE_MS = 60 * 1000;
+
+// A broadcast stuck in "sending" this long has probably lost its instance; it is
+// requeued when none of its inbox entries were stored, and completed otherwise
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+/**
+ * Store a broadcast in the outbox
+ * @param {Object} broadcast
+ * @param {string} broadcast.title - Title
+ * @param {string} broadcast.message - Body text
+ * @param {string} broadcast.type - One of Notification.TYPES
+ * @param {Object} broadcast.data - Extra data sent with the push
+ * @param {boolean} broadcast.urgent - Push even during quiet hours
+ * @param {Object} broadcast.template - { key, variants, variables } when written from a template
+ * @param {Object} broadcast.audience - { type: 'all' | 'users' | 'segment', userIds, segment, segmentId, segmentName }
+ * @param {Date} broadcast.sendAt - When to send (default now)
+ * @param {string} broadcast.createdBy - Sending admin
+ * @param {string} broadcast.source - 'admin' or 'cli'
+ * @returns {Promise<Document>} The stored broadcast
+ */
+async function createBroadcast({ sendAt = null, ...broadcast }) {
+  const now = new Date();
+  const scheduled = sendAt && sendAt > now;
+
+  return Broadcast.create({
+    ...broadcast,
+    sendAt: scheduled ? sendAt : now,
+    status: scheduled ? 'scheduled' : 'queued'
+  });
+}
+
+/**
+ * Work out the members a broadcast goes to, as of now
+ * @param {Object} broadcast - Broadcast document
+ * @returns {Promise<Object[]|null>} User ids, or null for every active member
+ */
+async function resolveRecipients(broadcast) {
+  const { audience } = broadcast;
+  if (audience.type === 'users') {
+    return audience.userIds;
+  }
+
+  const { userIds } = await resolveAudience(audience.type === 'segment'
+    ? { segment: audience.segment || {}, segmentId: audience.segmentId }
+    : {});
+  return userIds;
+}
+
+/**
+ * Mark a broadcast sent once none of its pushes or emails are still pending
+ * @param {Document} broadcast - Broadcast in "sending"
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} Whether the broadcast was completed
+ */
+async function completeIfDone(broadcast, now = new Date()) {
+  const pending = await Notification.countDocuments({
+    broadcastId: broadcast._id,
+    $or: [
+      { 'push.attempted': false, 'push.deferredUntil': { $ne: null } },
+      { 'email.status': 'pending' }
+    ]
+  });
+  if (pending > 0) return false;
+
+  const result = await Broadcast.updateOne(
+    { _id: broadcast._id, status: 'sending' },
+    { status: 'sent', completedAt: now }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Send a queued or due broadcast: store the inbox entries and push them
+ * @param {string} broadcastId - Broadcast id
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} { broadcast, notifications, push, optedOut, deferred, email, error },
+ *   or null when the broadcast is not waiting to be sent (e.g. another instance took it)
+ */
+async function processBroadcast(broadcastId, { now = new Date() } = {}) {
+  // Claim the broadcast so it is never sent twice
+  const broadcast = await Broadcast.findOneAndUpdate(
+    {
+      _id: broadcastId,
+      status: { $in: ['scheduled', 'queued'] },
+      sendAt: { $lte: now }
+    },
+    { status: 'sending', startedAt: now, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!broadcast) return null;
+
+  try {
+    // Members who got their entry from an earlier attempt that stopped halfway are not sent it again
+    const storedBefore = await Notification.distinct('userId', { broadcastId: broadcast._id });
+    const storedIds = new Set(storedBefore.map(id => id.toString()));
+    const userIds = (await resolveRecipients(broadcast) || [])
+      .filter(id => !storedIds.has(id.toString()));
+
+    const result = await notifyUsers(userIds, {
+      title: broadcast.title,
+      message: broadcast.message,
+      type: broadcast.type,
+      data: broadcast.data,
+      urgent: broadcast.urgent,
+      broadcastId: broadcast._id,
+      // Template broadcasts are rendered per member, in their language
+      render: broadcast.template
+        ? templateRenderer(broadcast.template, broadcast.template.variables || {})
+        : null
+    });
+
+    broadcast.targetCount = storedIds.size + result.notifications.length;
+    broadcast.optedOut = result.optedOut;
+    broadcast.deferred = result.deferred;
+    broadcast.lastError = null;
+
+    if (broadcast.targetCount === 0) {
+      broadcast.status = 'failed';
+      broadcast.completedAt = new Date();
+      broadcast.lastError = result.optedOut > 0
+        ? 'All targeted members have turned off this kind of notification'
+        : 'No active members to notify';
+    } else if (result.push && !result.push.success && !result.push.retrying) {
+      broadcast.lastError = result.push.message;
+    }
+    await broadcast.save();
+
+    if (broadcast.status === 'sending' && await completeIfDone(broadcast)) {
+      broadcast.status = 'sent';
+    }
+
+    console.log(`📣 Broadcast "${broadcast.title}" (${broadcast._id}) stored for ${broadcast.targetCount} member(s), status: ${broadcast.status}`);
+
+    return { broadcast, ...result, error: null };
+  } catch (error) {
+    console.error(`❌ Error sending broadcast ${broadcast._id}:`, error);
+
+    // Inbox entries that were already stored are not stored again; their pushes are retried per entry
+    const stored = await Notification.countDocuments({ broadcastId: broadcast._id });
+    if (stored > 0) {
+      broadcast.targetCount = stored;
+    } else if (error.status || broadcast.attempts >= MAX_BROADCAST_ATTEMPTS) {
+      // Invalid or deleted segments won't get better by retrying
+      broadcast.status = 'failed';
+      broadcast.completedAt = new Date();
+    } else {
+      broadcast.status = 'queued';
+      broadcast.nextAttemptAt = new Date(now.getTime() + BROADCAST_RETRY_BASE_MS * Math.pow(2, broadcast.attempts - 1));
+    }
+    broadcast.lastError = error.message;
+    await broadcast.save();
+
+    return { broadcast, notifications: [], push: null, optedOut: 0, deferred: 0, email: { queued: 0, sent: 0, failed: 0 }, error };
+  }
+}
+
+/**
+ * Send due broadcasts, requeue stalled ones and complete finished ones
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function sendDueBroadcasts({ now = new Date() } = {}) {
+  const outcome = {
+    itemsAffected: 0,
+    errors: [],
+    details: { sent: [], requeued: 0, completed: 0 }
+  };
+
+  const stale = await Broadcast.find({
+    status: 'sending',
+    targetCount: null,
+    startedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) }
+  }).select('_id startedAt').lean();
+
+  for (const { _id, startedAt } of stale) {
+    // Entries that were stored already have their pushes and emails retried per entry;
+    // requeueing would send them again
+    const update = await Notification.exists({ broadcastId: _id })
+      ? { targetCount: await Notification.countDocuments({ broadcastId: _id }) }
+      : { status: 'queued', nextAttemptAt: null };
+
+    // Only if it was not picked up or finished since
+    const result = await Broadcast.updateOne(
+      { _id, status: 'sending', targetCount: null, startedAt },
+      update
+    );
+    if (result.modifiedCount > 0 && update.status === 'queued') {
+      outcome.details.requeued++;
+    }
+  }
+
+  const due = await Broadcast.find({
+    status: { $in: ['scheduled', 'queued'] },
+    sendAt: { $lte: now },
+    $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+  }).sort({ sendAt: 1 }).select('_id').lean();
+
+  for (const { _id } of due) {
+    const result = await processBroadcast(_id, { now });
+    if (!result) continue;
+
+    outcome.itemsAffected++;
+    outcome.details.sent.push(_id.toString());
+    if (result.error) {
+      outcome.errors.push(`Broadcast ${_id} failed: ${result.error.message}`);
+    }
+  }
+
+  const sending = await Broadcast.find({ status: 'sending', targetCount: { $ne: null } });
+  for (const broadcast of sending) {
+    if (await completeIfDone(broadcast, now)) {
+      outcome.itemsAffected++;
+      outcome.details.completed++;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Turn a broadcast and its delivery counts into the report admins see
+ * @param {Object} broadcast - Broadcast (plain object)
+ * @param {Object} counts - Counts from Broadcast.getDeliveryReports
+ * @returns {Object} Broadcast with delivery stats and rates (percentages)
+ */
+function buildReport(broadcast, counts = {}) {
+  const recipients = broadcast.targetCount || 0;
+  const rate = (count) => (recipients > 0 ? Math.round((count / recipients) * 1000) / 10 : 0);
+  const delivered = counts.delivered || 0;
+  const opened = counts.opened || 0;
+  const read = counts.read || 0;
+
+  return {
+    ...broadcast,
+    delivery: {
+      recipients,
+      delivered,
+      pending: counts.pending || 0,
+      failed: counts.failed || 0,
+      opened,
+      read,
+      emailed: counts.emailed || 0,
+      emailFailed: counts.emailFailed || 0,
+      deliveryRate: rate(delivered),
+      openRate: rate(opened),
+      readRate: rate(read)
+    }
+  };
+}
+
+// Job definitions for the job runner
+const outboxJobs = [
+  {
+    name: 'send-broadcasts',
+    schedule: '* * * * *',
+    description: 'Sends scheduled broadcasts when due, retries failed ones and marks finished ones sent',
+    handler: sendDueBroadcasts
+  }
+];
+
+module.exports = {
+  createBroadcast,
+  processBroadcast,
+  sendDueBroadcasts,
+  buildReport,
+  outboxJobs
+};
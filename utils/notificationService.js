@@ -0,0 +1,521 @@
+const Notification = require('../server/models/Notification');
+const User = require('../server/models/User');
+const { sendPushNotifications } = require('./firebaseUtils');
+const { sendEmail } = require('./emailTransport');
+const { renderNotificationEmail } = require('./emailTemplates');
+const { getDailyWindowEnd } = require('./dateUtils');
+
+/**
+ * Notification service.
+ *
+ * Sending a notification writes an entry to each member's in-app inbox and
+ * pushes it to their devices in the same call, so the inbox always holds
+ * everything that was pushed. Routes, background jobs and CLI scripts send
+ * through here instead of calling firebaseUtils directly.
+ *
+ * Members who switched off a notification category (User.preferences.notifications)
+ * get neither the entry nor the push. During a member's quiet hours the entry
+ * is stored right away but the push waits until the quiet hours end, unless
+ * the sender explicitly marked the notification as urgent.
+ *
+ * Pushes that fail with a transient FCM error are retried with exponential
+ * backoff by the same job that sends pushes held for quiet hours; each inbox
+ * entry records how many attempts were made and the last error.
+ *
+ * Members pick the channels (push, email) per category. Email is also the
+ * fallback for members who want pushes but have no push device. Emails are not
+ * held for quiet hours; they are queued with the inbox entry and sent (and
+ * retried) by the send-pending-emails job, so SMTP never slows a request.
+ */
+
+// Which preference switch covers each notification type
+const TYPE_PREFERENCES = {
+  announcement: 'announcements',
+  service: 'announcements',
+  sermon: 'announcements',
+  meditation: 'announcements',
+  event: 'events',
+  reminder: 'events',
+  prayer_partner: 'prayerPartners',
+  prayer: 'general',
+  welcome: 'general',
+  digest: 'weeklyDigest',
+  general: 'general'
+};
+
+// Deferred pushes sent per job run
+const DEFERRED_BATCH_SIZE = 500;
+
+// Push attempts per inbox entry before a transient error is given up on
+const MAX_PUSH_ATTEMPTS = 5;
+
+// Delay before the first retry; doubles with every further attempt
+const PUSH_RETRY_BASE_MS = 60 * 1000;
+
+// Email attempts per inbox entry, and the delay before the first retry (doubles after that)
+const MAX_EMAIL_ATTEMPTS = 5;
+const EMAIL_RETRY_BASE_MS = 5 * 60 * 1000;
+
+// Pending emails sent per job run
+const EMAIL_BATCH_SIZE = 200;
+
+// Email renderers for notification types that need more than the title and message
+const emailRenderers = new Map();
+
+/**
+ * Use a custom email for a notification type
+ * @param {string} type - Notification type
+ * @param {Function} renderer - async ({ notification, name }) => ({ subject, text, html }),
+ *   or null to fall back to the plain notification email
+ */
+function registerEmailRenderer(type, renderer) {
+  emailRenderers.set(type, renderer);
+}
+
+/**
+ * Render the email for an inbox entry
+ * @param {Object} notification - Inbox entry
+ * @param {string} name - Member's name
+ * @returns {Promise<Object>} { subject, text, html }
+ */
+async function renderEmail(notification, name) {
+  const renderer = emailRenderers.get(notification.type);
+  const content = renderer ? await renderer({ notification, name }) : null;
+
+  return content || renderNotificationEmail({ name, title: notification.title, message: notification.message });
+}
+
+/**
+ * Check whether a member wants notifications of a type
+ * @param {Object} user - User with preferences
+ * @param {string} type - Notification type
+ * @returns {boolean}
+ */
+function wantsNotification(user, type) {
+  const preferences = (user.preferences && user.preferences.notifications) || {};
+  return preferences[TYPE_PREFERENCES[type] || 'general'] !== false;
+}
+
+/**
+ * Work out which channels a notification reaches a member on, besides the inbox
+ * @param {Object} user - User with preferences, email and push tokens
+ * @param {string} type - Notification type
+ * @returns {Object} { push, email } booleans
+ */
+function getChannels(user, type) {
+  const preferences = (user.preferences && user.preferences.notifications) || {};
+  const category = TYPE_PREFERENCES[type] || 'general';
+  const channels = (preferences.channels && preferences.channels[category]) || User.DEFAULT_NOTIFICATION_CHANNELS[category];
+  const hasDevice = User.collectPushTokens(user).length > 0;
+
+  return {
+    push: channels.includes('push') && hasDevice,
+    email: !!user.email && (channels.includes('email') || (channels.includes('push') && !hasDevice))
+  };
+}
+
+/**
+ * Work out until when a member's push has to wait
+ * @param {Object} user - User with preferences
+ * @param {Date} now - Current time
+ * @returns {Date|null} End of the member's quiet hours, or null to push now
+ */
+function getQuietHoursEnd(user, now) {
+  const quietHours = user.preferences && user.preferences.notifications && user.preferences.notifications.quietHours;
+  if (!quietHours || !quietHours.enabled) return null;
+  return getDailyWindowEnd(now, quietHours.start, quietHours.end);
+}
+
+/**
+ * Push stored inbox entries to their members and record the outcome on each entry.
+ * Entries whose push failed with a transient error are scheduled for a retry.
+ * @param {Object[]} notifications - Entries sharing the same title, message, type and data
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} firebaseUtils result plus retrying (entries scheduled for a retry)
+ */
+async function pushEntries(notifications, now = new Date()) {
+  const [first] = notifications;
+  const result = await sendPushNotifications(
+    notifications.map(n => n.userId),
+    first.title,
+    first.message,
+    { type: first.type, ...first.data }
+  );
+
+  const delivered = new Set((result.deliveredUserIds || []).map(id => id.toString()));
+  const failures = new Map((result.failures || []).map(failure => [failure.userId.toString(), failure]));
+  let retrying = 0;
+
+  const updates = notifications.map(notification => {
+    const userId = notification.userId.toString();
+    const attempts = ((notification.push && notification.push.attempts) || 0) + 1;
+
+    if (delivered.has(userId)) {
+      return {
+        updateOne: {
+          filter: { _id: notification._id },
+          update: { $set: { 'push.delivered': true, 'push.attempts': attempts, 'push.lastError': null } }
+        }
+      };
+    }
+
+    // The whole send failing (e.g. FCM unreachable) is worth retrying for everyone
+    const failure = result.error
+      ? { code: 'unavailable', transient: true }
+      : failures.get(userId) || { code: 'no_device', transient: false };
+    const retry = failure.transient && attempts < MAX_PUSH_ATTEMPTS;
+    if (retry) retrying++;
+
+    return {
+      updateOne: {
+        filter: { _id: notification._id },
+        update: {
+          $set: {
+            'push.attempts': attempts,
+            'push.lastError': failure.code,
+            'push.attempted': !retry,
+            ...(retry && {
+              'push.deferredUntil': new Date(now.getTime() + PUSH_RETRY_BASE_MS * Math.pow(2, attempts - 1))
+            })
+          }
+        }
+      }
+    };
+  });
+
+  await Notification.bulkWrite(updates, { ordered: false });
+
+  if (retrying > 0) {
+    console.log(`🔁 ${retrying} push(es) for "${first.title}" will be retried`);
+  }
+
+  return { ...result, retrying };
+}
+
+/**
+ * Group inbox entries that carry the same notification, so each group is pushed together
+ * @param {Object[]} notifications - Inbox entries
+ * @returns {Object[][]} Groups of entries
+ */
+function groupEntries(notifications) {
+  const groups = new Map();
+  notifications.forEach(notification => {
+    const key = JSON.stringify([notification.title, notification.message, notification.type, notification.data]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(notification);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Push inbox entries whose text may differ per member (e.g. rendered from a template),
+ * one send per distinct text
+ * @param {Object[]} notifications - Inbox entries to push now
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} firebaseUtils-style result summed over the sends
+ */
+async function pushPersonalizedEntries(notifications, now = new Date()) {
+  const groups = groupEntries(notifications);
+  if (groups.length === 1) return pushEntries(groups[0], now);
+
+  const results = [];
+  for (const entries of groups) {
+    results.push(await pushEntries(entries, now));
+  }
+
+  const stats = {};
+  results.forEach(result => {
+    Object.entries(result.stats || {}).forEach(([key, value]) => {
+      stats[key] = (stats[key] || 0) + value;
+    });
+  });
+  const delivered = results.some(result => result.success);
+  const failed = results.find(result => !result.success);
+
+  return {
+    success: delivered,
+    message: delivered
+      ? `Push notification sent to ${stats.successCount || 0}/${stats.totalTargets || 0} devices in ${results.length} personalized sends`
+      : failed.message,
+    stats,
+    deliveredUserIds: [].concat(...results.map(result => result.deliveredUserIds || [])),
+    failures: [].concat(...results.map(result => result.failures || [])),
+    retrying: results.reduce((sum, result) => sum + result.retrying, 0)
+  };
+}
+
+/**
+ * Email stored inbox entries and record the outcome on each entry.
+ * Entries whose email failed with a transient error are scheduled for a retry.
+ * @param {Object[]} notifications - Entries with email.status "pending", claimed by the caller
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { queued, sent, failed } where queued counts emails left for a retry
+ */
+async function emailEntries(notifications, now = new Date()) {
+  const outcome = { queued: 0, sent: 0, failed: 0 };
+  if (notifications.length === 0) return outcome;
+
+  const names = new Map();
+  const recipients = await User.find({ _id: { $in: notifications.map(n => n.userId) } }).select('_id name').lean();
+  recipients.forEach(user => names.set(user._id.toString(), user.name));
+
+  for (const notification of notifications) {
+    const attempts = (notification.email.attempts || 0) + 1;
+    let result;
+    try {
+      result = await sendEmail({
+        to: notification.email.to,
+        ...await renderEmail(notification, names.get(notification.userId.toString()))
+      });
+    } catch (error) {
+      console.error(`❌ Error rendering email for notification ${notification._id}:`, error);
+      result = { success: false, error: error.message, transient: true };
+    }
+
+    const update = { 'email.attempts': attempts };
+    if (result.success) {
+      outcome.sent++;
+      Object.assign(update, { 'email.status': 'sent', 'email.sentAt': new Date(), 'email.lastError': null, 'email.nextAttemptAt': null });
+    } else if (result.transient && attempts < MAX_EMAIL_ATTEMPTS) {
+      outcome.queued++;
+      Object.assign(update, {
+        'email.lastError': String(result.error),
+        'email.nextAttemptAt': new Date(now.getTime() + EMAIL_RETRY_BASE_MS * Math.pow(2, attempts - 1))
+      });
+    } else {
+      outcome.failed++;
+      Object.assign(update, { 'email.status': 'failed', 'email.lastError': String(result.error), 'email.nextAttemptAt': null });
+    }
+
+    await Notification.updateOne({ _id: notification._id }, { $set: update });
+  }
+
+  return outcome;
+}
+
+/**
+ * Load the active members among userIds and split off those who opted out of a type
+ * @param {string[]} userIds - Candidate user ids
+ * @param {string} type - Notification type
+ * @returns {Promise<Object>} { recipients, optedOut }
+ */
+async function loadRecipients(userIds, type) {
+  const uniqueIds = [...new Set((userIds || []).map(id => id.toString()))];
+  const users = await User.find({
+    _id: { $in: uniqueIds },
+    isActive: { $ne: false }
+  }).select('_id name email fcmToken fcmTokens preferences.notifications preferences.language').lean();
+
+  const recipients = users.filter(user => wantsNotification(user, type));
+  return { recipients, optedOut: users.length - recipients.length };
+}
+
+/**
+ * Count who a notification would reach, without storing or pushing anything
+ * @param {string[]} userIds - Recipient user ids
+ * @param {Object} notification - { type, push, urgent } as for notifyUsers
+ * @returns {Promise<Object>} { recipients, optedOut, deferred, emails } counts
+ */
+async function previewNotification(userIds, { type = 'general', push = true, urgent = false } = {}) {
+  const { recipients, optedOut } = await loadRecipients(userIds, type);
+  const now = new Date();
+  const channels = push ? recipients.map(user => ({ user, ...getChannels(user, type) })) : [];
+  const deferred = urgent
+    ? 0
+    : channels.filter(({ user, push: viaPush }) => viaPush && getQuietHoursEnd(user, now)).length;
+
+  return {
+    recipients: recipients.length,
+    optedOut,
+    deferred,
+    emails: channels.filter(channel => channel.email).length
+  };
+}
+
+/**
+ * Send a notification to specific members
+ * @param {string[]} userIds - Recipient user ids (inactive or unknown users are skipped)
+ * @param {Object} notification
+ * @param {string} notification.title - Title
+ * @param {string} notification.message - Body text
+ * @param {string} notification.type - One of Notification.TYPES (default 'general')
+ * @param {Object} notification.data - Extra data stored with the entry and sent with the push
+ * @param {boolean} notification.push - Also deliver outside the app by push or email (default true)
+ * @param {boolean} notification.urgent - Push even during quiet hours (default false)
+ * @param {string} notification.broadcastId - Admin broadcast the entries belong to
+ * @param {Function} notification.render - (user) => { title, message } giving each member their own
+ *   text (see notificationTemplates.templateRenderer); title and message are then only used in logs
+ * @returns {Promise<Object>} { notifications, push, optedOut, deferred, email } where push is the
+ *   firebaseUtils result for the pushes sent now, or null when none were, and email is
+ *   { queued, sent, failed }; emails are only queued here and sent by the send-pending-emails job
+ */
+async function notifyUsers(userIds, { title, message, type = 'general', data = {}, push = true, urgent = false, broadcastId = null, render = null } = {}) {
+  if (!render && (!title || !message)) {
+    throw new Error('Notification title and message are required');
+  }
+
+  const { recipients, optedOut } = await loadRecipients(userIds, type);
+
+  if (recipients.length === 0) {
+    return { notifications: [], push: null, optedOut, deferred: 0, email: { queued: 0, sent: 0, failed: 0 } };
+  }
+
+  const now = new Date();
+  const entries = recipients.map(user => {
+    const channels = push ? getChannels(user, type) : { push: false, email: false };
+    const deferredUntil = channels.push && !urgent ? getQuietHoursEnd(user, now) : null;
+    const text = render ? render(user) : { title, message };
+    return {
+      userId: user._id,
+      title: text.title,
+      message: text.message,
+      type,
+      data,
+      urgent,
+      broadcastId,
+      receivedAt: now,
+      createdAt: now,
+      push: { attempted: channels.push && !deferredUntil, delivered: false, deferredUntil },
+      email: channels.email
+        ? { status: 'pending', to: user.email, nextAttemptAt: now }
+        : { status: 'none' }
+    };
+  });
+
+  const notifications = await Notification.insertMany(entries);
+  const pushNow = notifications.filter(n => n.push.attempted);
+  const deferred = notifications.filter(n => n.push.deferredUntil).length;
+  const queuedEmails = notifications.filter(n => n.email.status === 'pending');
+
+  console.log(`📥 Stored "${title || notifications[0].title}" in ${notifications.length} inbox(es)` +
+    (optedOut > 0 ? `, ${optedOut} opted out` : '') +
+    (deferred > 0 ? `, ${deferred} push(es) held for quiet hours` : '') +
+    (queuedEmails.length > 0 ? `, ${queuedEmails.length} by email` : ''));
+
+  const pushResult = pushNow.length > 0
+    ? await (render ? pushPersonalizedEntries(pushNow, now) : pushEntries(pushNow, now))
+    : null;
+
+  return { notifications, push: pushResult, optedOut, deferred, email: { queued: queuedEmails.length, sent: 0, failed: 0 } };
+}
+
+/**
+ * Send a notification to every active member
+ * @param {Object} notification - Same fields as notifyUsers
+ * @returns {Promise<Object>} { notifications, push, optedOut, deferred }
+ */
+async function notifyAllUsers(notification) {
+  const users = await User.find({ isActive: { $ne: false } }).select('_id').lean();
+  console.log(`📢 Sending "${notification.title}" to all ${users.length} active members`);
+  return notifyUsers(users.map(user => user._id), notification);
+}
+
+/**
+ * Send the pushes that were held back for quiet hours that have now ended
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function sendDeferredPushes({ now = new Date() } = {}) {
+  const outcome = {
+    itemsAffected: 0,
+    errors: [],
+    details: { sent: 0, delivered: 0, retrying: 0 }
+  };
+
+  const due = await Notification.find({
+    'push.attempted': false,
+    'push.deferredUntil': { $ne: null, $lte: now }
+  })
+    .sort({ 'push.deferredUntil': 1 })
+    .limit(DEFERRED_BATCH_SIZE)
+    .select('_id userId title message type data push')
+    .lean();
+
+  if (due.length === 0) return outcome;
+
+  await Notification.updateMany(
+    { _id: { $in: due.map(n => n._id) } },
+    { 'push.attempted': true }
+  );
+
+  // Entries of the same notification are pushed together
+  for (const entries of groupEntries(due)) {
+    try {
+      const result = await pushEntries(entries, now);
+      outcome.itemsAffected += entries.length;
+      outcome.details.sent += entries.length;
+      outcome.details.delivered += (result.deliveredUserIds || []).length;
+      outcome.details.retrying += result.retrying;
+      if (!result.success) {
+        outcome.errors.push(`Deferred push "${entries[0].title}" failed: ${result.message}`);
+      }
+    } catch (error) {
+      console.error(`❌ Error sending deferred push "${entries[0].title}":`, error);
+      outcome.errors.push(`Failed to send deferred push "${entries[0].title}": ${error.message}`);
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Send emails that are due: new ones not sent yet and retries after transient errors
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function sendPendingEmails({ now = new Date() } = {}) {
+  const due = await Notification.find({
+    'email.status': 'pending',
+    'email.nextAttemptAt': { $lte: now }
+  })
+    .sort({ 'email.nextAttemptAt': 1 })
+    .limit(EMAIL_BATCH_SIZE)
+    .select('_id userId title message type data email')
+    .lean();
+
+  if (due.length === 0) {
+    return { itemsAffected: 0, errors: [], details: { sent: 0, queued: 0, failed: 0 } };
+  }
+
+  // Claim the batch so another run does not email the same entries
+  await Notification.updateMany(
+    { _id: { $in: due.map(n => n._id) }, 'email.status': 'pending' },
+    { 'email.nextAttemptAt': new Date(now.getTime() + EMAIL_RETRY_BASE_MS) }
+  );
+
+  const result = await emailEntries(due, now);
+
+  return {
+    itemsAffected: result.sent + result.failed,
+    errors: result.failed > 0 ? [`${result.failed} email(s) could not be delivered`] : [],
+    details: result
+  };
+}
+
+// Job definitions for the job runner
+const notificationJobs = [
+  {
+    name: 'send-deferred-pushes',
+    schedule: '* * * * *',
+    description: 'Sends pushes held back during members\' quiet hours once they end, and retries pushes that hit transient FCM errors',
+    handler: sendDeferredPushes
+  },
+  {
+    name: 'send-pending-emails',
+    schedule: '* * * * *',
+    description: 'Sends queued notification emails and retries those that failed with a temporary error',
+    handler: sendPendingEmails
+  }
+];
+
+module.exports = {
+  TYPE_PREFERENCES,
+  MAX_PUSH_ATTEMPTS,
+  notifyUsers,
+  notifyAllUsers,
+  previewNotification,
+  sendDeferredPushes,
+  sendPendingEmails,
+  registerEmailRenderer,
+  notificationJobs
+};
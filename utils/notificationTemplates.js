@@ -0,0 +1,399 @@
+const NotificationTemplate = require('../server/models/NotificationTemplate');
+const Notification = require('../server/models/Notification');
+const { CHURCH_NAME } = require('./emailTemplates');
+
+/**
+ * Notification templates with {{placeholders}} and English/Kiswahili variants.
+ *
+ * Templates are stored in the NotificationTemplate collection. The system
+ * templates below are used by automated notices (prayer partner pairing,
+ * scheduled meditations) and work without being stored; saving a template with
+ * the same key customizes it, and deleting the stored copy restores the default.
+ *
+ * Every recipient gets the variant of their language preference, falling back
+ * to English, with {{name}} set to their own name.
+ */
+
+// Placeholders templates may use, with what they stand for
+const TEMPLATE_VARIABLES = {
+  name: 'Member\'s name (filled in for every recipient)',
+  partnerName: 'Prayer partner name(s)',
+  eventTitle: 'Event title',
+  eventDate: 'Event date and time',
+  eventLocation: 'Event location',
+  confirmBy: 'Deadline to confirm a waitlist seat',
+  roleName: 'Volunteer role at an event',
+  scripture: 'Scripture reference',
+  churchName: 'Church name'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+const SYSTEM_TEMPLATES = [
+  {
+    key: 'prayer-partner-paired',
+    name: 'Prayer partner paired',
+    description: 'Sent to every member the weekly reshuffle pairs',
+    type: 'prayer_partner',
+    variants: {
+      en: {
+        title: 'Your Prayer Partner This Week 🙏',
+        message: 'You have been paired with {{partnerName}}. Reach out and pray together this week!'
+      },
+      sw: {
+        title: 'Mwenzako wa Maombi Wiki Hii 🙏',
+        message: 'Umeunganishwa na {{partnerName}}. Wasiliana naye na mwombe pamoja wiki hii!'
+      }
+    }
+  },
+  {
+    key: 'weekly-meditation',
+    name: 'Weekly meditation published',
+    description: 'Sent when a scheduled meditation is published',
+    type: 'meditation',
+    variants: {
+      en: { title: 'This Week\'s Meditation 🙏', message: '{{scripture}}' },
+      sw: { title: 'Tafakari ya Wiki Hii 🙏', message: '{{scripture}}' }
+    }
+  },
+  {
+    key: 'service-reminder',
+    name: 'Sunday service reminder',
+    description: 'Reminder before the Sunday service',
+    type: 'service',
+    variants: {
+      en: {
+        title: 'Sunday Service ⛪',
+        message: 'Good morning {{name}}! Service starts at 9 AM. See you in church.'
+      },
+      sw: {
+        title: 'Ibada ya Jumapili ⛪',
+        message: 'Habari za asubuhi {{name}}! Ibada inaanza saa tatu asubuhi. Karibu kanisani.'
+      }
+    }
+  },
+  {
+    key: 'event-reminder',
+    name: 'Event reminder',
+    description: 'Reminder before a church event',
+    type: 'reminder',
+    variants: {
+      en: {
+        title: 'Reminder: {{eventTitle}} 📅',
+        message: '{{eventTitle}} starts {{eventDate}} at {{eventLocation}}.'
+      },
+      sw: {
+        title: 'Kumbusho: {{eventTitle}} 📅',
+        message: '{{eventTitle}} itaanza {{eventDate}} mahali {{eventLocation}}.'
+      }
+    }
+  },
+  {
+    key: 'event-waitlist-promoted',
+    name: 'Waitlist seat confirmed',
+    description: 'Sent when a seat frees up and a waitlisted member is moved to attending',
+    type: 'event',
+    variants: {
+      en: {
+        title: 'You\'re in: {{eventTitle}} 🎉',
+        message: 'A seat opened up and you are now attending {{eventTitle}} on {{eventDate}}.'
+      },
+      sw: {
+        title: 'Umepata nafasi: {{eventTitle}} 🎉',
+        message: 'Nafasi imepatikana na sasa umesajiliwa kuhudhuria {{eventTitle}} {{eventDate}}.'
+      }
+    }
+  },
+  {
+    key: 'event-waitlist-offer',
+    name: 'Waitlist seat offered',
+    description: 'Sent when a seat frees up and the waitlisted member has to confirm it',
+    type: 'event',
+    variants: {
+      en: {
+        title: 'A seat opened: {{eventTitle}} 🎟️',
+        message: 'A seat is available for {{eventTitle}} on {{eventDate}}. Confirm by {{confirmBy}} or it passes to the next person.'
+      },
+      sw: {
+        title: 'Nafasi imepatikana: {{eventTitle}} 🎟️',
+        message: 'Kuna nafasi ya {{eventTitle}} {{eventDate}}. Thibitisha kabla ya {{confirmBy}} la sivyo itapewa mtu mwingine.'
+      }
+    }
+  },
+  {
+    key: 'event-cancelled',
+    name: 'Event cancelled',
+    description: 'Sent to members who RSVP\'d when an event or one of its occurrences is cancelled',
+    type: 'event',
+    variants: {
+      en: {
+        title: 'Cancelled: {{eventTitle}}',
+        message: '{{eventTitle}} on {{eventDate}} has been cancelled. We are sorry for the inconvenience.'
+      },
+      sw: {
+        title: 'Imefutwa: {{eventTitle}}',
+        message: '{{eventTitle}} ya {{eventDate}} imefutwa. Samahani kwa usumbufu.'
+      }
+    }
+  },
+  {
+    key: 'event-volunteer-reminder',
+    name: 'Volunteer reminder',
+    description: 'Reminder to members serving in a volunteer role before the event',
+    type: 'reminder',
+    variants: {
+      en: {
+        title: 'Serving: {{eventTitle}} 🙌',
+        message: 'You are serving as {{roleName}} at {{eventTitle}}, {{eventDate}} at {{eventLocation}}.'
+      },
+      sw: {
+        title: 'Huduma: {{eventTitle}} 🙌',
+        message: 'Unahudumu kama {{roleName}} katika {{eventTitle}}, {{eventDate}} mahali {{eventLocation}}.'
+      }
+    }
+  }
+];
+
+/**
+ * List the placeholders used in a text
+ * @param {string} text - Template text
+ * @returns {string[]} Placeholder names, without duplicates
+ */
+function extractPlaceholders(text) {
+  const names = new Set();
+  String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => names.add(name));
+  return Array.from(names);
+}
+
+/**
+ * Fill in the placeholders of a text
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @param {Object} options - { keepMissing: leave placeholders without a value as they are }
+ * @returns {string} Rendered text
+ */
+function renderText(text, variables = {}, { keepMissing = false } = {}) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') {
+      return keepMissing ? match : '';
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Validate a template definition from a request
+ * @param {Object} definition - { key, name, description, type, variants: { en, sw } }
+ * @param {Object} options - { partial: only check the fields given (updates) }
+ * @returns {Object} { template, errors } where template holds the valid fields
+ */
+function validateTemplate(definition, { partial = false } = {}) {
+  const errors = [];
+  const template = {};
+
+  if (!definition || typeof definition !== 'object') {
+    return { template, errors: ['Template must be an object'] };
+  }
+
+  const { key, name, description, type, variants } = definition;
+
+  if (!partial || key !== undefined) {
+    if (typeof key !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(key.trim()) || key.trim().length > 60) {
+      errors.push('key must be lowercase letters, digits and dashes (e.g. "service-reminder")');
+    } else {
+      template.key = key.trim();
+    }
+  }
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      errors.push('name is required (up to 100 characters)');
+    } else {
+      template.name = name.trim();
+    }
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > 500) {
+      errors.push('description must be text up to 500 characters');
+    } else {
+      template.description = description.trim();
+    }
+  }
+
+  if (type !== undefined) {
+    if (!Notification.TYPES.includes(type)) {
+      errors.push(`type must be one of: ${Notification.TYPES.join(', ')}`);
+    } else {
+      template.type = type;
+    }
+  }
+
+  if (!partial || variants !== undefined) {
+    if (!variants || typeof variants !== 'object') {
+      errors.push('variants must be an object with an "en" variant');
+    } else {
+      const unknownLanguages = Object.keys(variants).filter(language => !NotificationTemplate.LANGUAGES.includes(language));
+      if (unknownLanguages.length > 0) {
+        errors.push(`Unknown languages: ${unknownLanguages.join(', ')} (use ${NotificationTemplate.LANGUAGES.join(', ')})`);
+      }
+
+      NotificationTemplate.LANGUAGES.forEach(language => {
+        const variant = variants[language];
+        if (variant === undefined) {
+          if (language === 'en' && !partial) errors.push('variants.en is required');
+          return;
+        }
+        if (variant === null && language !== 'en') {
+          template[`variants.${language}`] = null;
+          return;
+        }
+        if (!variant || typeof variant.title !== 'string' || !variant.title.trim() ||
+            typeof variant.message !== 'string' || !variant.message.trim()) {
+          errors.push(`variants.${language} needs a title and a message`);
+          return;
+        }
+
+        const unknown = extractPlaceholders(`${variant.title} ${variant.message}`)
+          .filter(placeholder => !TEMPLATE_VARIABLES[placeholder]);
+        if (unknown.length > 0) {
+          errors.push(`variants.${language} uses unknown placeholders: ${unknown.join(', ')}`);
+          return;
+        }
+
+        template[`variants.${language}`] = { title: variant.title.trim(), message: variant.message.trim() };
+      });
+    }
+  }
+
+  return { template, errors };
+}
+
+/**
+ * Get the built-in definition of a system template
+ * @param {string} key - Template key
+ * @returns {Object|null} Template, or null when the key is not a system template
+ */
+function getSystemTemplate(key) {
+  const template = SYSTEM_TEMPLATES.find(candidate => candidate.key === key);
+  return template ? { ...template, system: true, customized: false } : null;
+}
+
+/**
+ * Get a template by key: the stored one, or the built-in default of a system template
+ * @param {string} key - Template key
+ * @returns {Promise<Object|null>} Template (plain object) with system and customized flags
+ */
+async function getTemplate(key) {
+  const normalizedKey = String(key || '').trim().toLowerCase();
+  const stored = await NotificationTemplate.findOne({ key: normalizedKey }).lean();
+  const system = getSystemTemplate(normalizedKey);
+
+  if (stored) {
+    return { ...stored, system: !!system, customized: !!system };
+  }
+  return system;
+}
+
+/**
+ * List stored templates together with the system templates that are not customized
+ * @returns {Promise<Object[]>} Templates sorted by name
+ */
+async function listTemplates() {
+  const stored = await NotificationTemplate.find().lean();
+  const storedKeys = new Set(stored.map(template => template.key));
+
+  return [
+    ...stored.map(template => {
+      const system = !!getSystemTemplate(template.key);
+      return { ...template, system, customized: system };
+    }),
+    ...SYSTEM_TEMPLATES
+      .filter(template => !storedKeys.has(template.key))
+      .map(template => getSystemTemplate(template.key))
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Render a template in a language
+ * @param {Object} template - Template with variants
+ * @param {Object} options
+ * @param {string} options.language - Preferred language; English is used when the template has no such variant
+ * @param {Object} options.variables - Values by placeholder name
+ * @param {boolean} options.keepMissing - Leave placeholders without a value as they are
+ * @returns {Object} { language, title, message }
+ */
+function renderTemplate(template, { language = 'en', variables = {}, keepMissing = false } = {}) {
+  const variants = template.variants || {};
+  const used = variants[language] ? language : 'en';
+  const values = { churchName: CHURCH_NAME, ...variables };
+
+  return {
+    language: used,
+    title: renderText(variants[used].title, values, { keepMissing }),
+    message: renderText(variants[used].message, values, { keepMissing })
+  };
+}
+
+/**
+ * Build a notifyUsers render function that gives every member their own text
+ * @param {Object} template - Template with variants
+ * @param {Object} variables - Values shared by every recipient ({{name}} is set per member)
+ * @returns {Function} (user) => { title, message }
+ */
+function templateRenderer(template, variables = {}) {
+  return (user) => {
+    const language = user.preferences && user.preferences.language;
+    const { title, message } = renderTemplate(template, {
+      language,
+      variables: { ...variables, name: user.name }
+    });
+    return { title, message };
+  };
+}
+
+/**
+ * Render a template in every language it has, for admins to check before sending.
+ * Placeholders without a value are left in the text.
+ * @param {Object} template - Template with variants
+ * @param {Object} variables - Values by placeholder name
+ * @returns {Object} { variants: { en, sw }, placeholders, missing } where missing lists the
+ *   placeholders still needing a value ({{name}} is always filled in per member)
+ */
+function previewTemplate(template, variables = {}) {
+  const variants = {};
+  const placeholders = new Set();
+
+  NotificationTemplate.LANGUAGES.forEach(language => {
+    const variant = template.variants && template.variants[language];
+    if (!variant) {
+      variants[language] = null;
+      return;
+    }
+    extractPlaceholders(`${variant.title} ${variant.message}`).forEach(name => placeholders.add(name));
+    variants[language] = renderTemplate(template, { language, variables, keepMissing: true });
+  });
+
+  const values = { churchName: CHURCH_NAME, ...variables };
+  return {
+    variants,
+    placeholders: Array.from(placeholders),
+    missing: Array.from(placeholders).filter(name =>
+      name !== 'name' && (values[name] === undefined || values[name] === null || values[name] === '')
+    )
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  SYSTEM_TEMPLATES,
+  extractPlaceholders,
+  renderText,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  templateRenderer,
+  previewTemplate
+};
@@ -0,0 +1,177 @@
+const RolePermission = require('../server/models/RolePermission');
+
+/**
+ * Role-based permissions.
+ *
+ * Every privileged action is named by a permission (e.g. "sermons:publish").
+ * Roles map to a set of permissions; the defaults below apply until an admin
+ * changes a role through /api/admin/roles, which stores the new set in the
+ * RolePermission collection. Individual users can additionally be granted or
+ * denied single permissions (User.permissionOverrides).
+ *
+ * The admin role (and users flagged isAdmin) always hold every permission.
+ */
+
+const PERMISSIONS = {
+  'announcements:manage': 'Create, edit, publish, schedule and delete announcements',
+  'events:manage': 'Create, edit and delete events',
+  'events:check_in': 'Check members in at events and view attendance (ushers)',
+  'gallery:manage': 'Upload, edit, feature and delete gallery images',
+  'sermons:edit': 'Create, edit and delete sermons and upload sermon media',
+  'sermons:publish': 'Publish, schedule and feature sermons',
+  'videos:manage': 'Add, edit and delete videos',
+  'songs:edit': 'Create, edit and delete song lyrics',
+  'songs:publish': 'Publish, feature and archive songs',
+  'meditations:manage': 'Create, edit, schedule and delete weekly meditations',
+  'prayer:moderate': 'Review, approve and reject prayer requests',
+  'partners:manage': 'Manage prayer partner pairs, the reshuffle schedule and partnership requests',
+  'notifications:send': 'Send push notifications to members',
+  'users:manage': 'Activate, edit, delete and restore members and manage admin PINs and sessions',
+  'roles:manage': 'Change member roles, role permissions and per-member overrides',
+  'jobs:run': 'View and run background jobs',
+  'audit:view': 'Read the audit log of admin and moderation actions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Must match the User.role enum
+const ROLES = ['member', 'ministry_leader', 'elder', 'pastor', 'admin'];
+
+// Roles whose permissions cannot be edited
+const FIXED_ROLES = ['admin'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  member: [],
+  ministry_leader: [
+    'announcements:manage',
+    'events:manage',
+    'events:check_in',
+    'gallery:manage',
+    'songs:edit'
+  ],
+  elder: [
+    'announcements:manage',
+    'events:manage',
+    'events:check_in',
+    'meditations:manage',
+    'prayer:moderate',
+    'partners:manage'
+  ],
+  pastor: [
+    'announcements:manage',
+    'events:manage',
+    'events:check_in',
+    'gallery:manage',
+    'sermons:edit',
+    'sermons:publish',
+    'videos:manage',
+    'songs:edit',
+    'songs:publish',
+    'meditations:manage',
+    'prayer:moderate',
+    'partners:manage',
+    'notifications:send'
+  ],
+  admin: ALL_PERMISSIONS
+};
+
+// The stored mapping is read on most privileged requests, so keep it briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+let cachedMapping = null;
+let cachedAt = 0;
+
+/**
+ * Check that a list only contains known permissions
+ * @param {string[]} permissions - Permission names
+ * @returns {string[]} The unknown names (empty when all are valid)
+ */
+function findUnknownPermissions(permissions) {
+  return permissions.filter(permission => !PERMISSIONS[permission]);
+}
+
+/**
+ * Get the permissions of every role, with stored changes applied over the defaults
+ * @returns {Promise<Object>} { role: { permissions, customized, editable, updatedAt, updatedBy } }
+ */
+async function getRoleMapping() {
+  const stored = await RolePermission.find().lean();
+  const storedByRole = new Map(stored.map(doc => [doc._id, doc]));
+
+  const mapping = {};
+  ROLES.forEach(role => {
+    const doc = FIXED_ROLES.includes(role) ? null : storedByRole.get(role);
+    mapping[role] = {
+      permissions: doc
+        ? doc.permissions.filter(permission => PERMISSIONS[permission])
+        : DEFAULT_ROLE_PERMISSIONS[role],
+      customized: !!doc,
+      editable: !FIXED_ROLES.includes(role),
+      updatedAt: doc ? doc.updatedAt : null,
+      updatedBy: doc ? doc.updatedBy : null
+    };
+  });
+
+  return mapping;
+}
+
+/**
+ * Get the permissions of every role, served from a short-lived cache
+ * @returns {Promise<Object>} { role: [permissions] }
+ */
+async function getRolePermissions() {
+  if (cachedMapping && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMapping;
+  }
+
+  const mapping = await getRoleMapping();
+  cachedMapping = {};
+  Object.entries(mapping).forEach(([role, entry]) => {
+    cachedMapping[role] = entry.permissions;
+  });
+  cachedAt = Date.now();
+
+  return cachedMapping;
+}
+
+/**
+ * Forget the cached role mapping (call after the mapping changes)
+ */
+function clearPermissionCache() {
+  cachedMapping = null;
+  cachedAt = 0;
+}
+
+/**
+ * Work out the permissions a user holds
+ * @param {Object} user - User with role, isAdmin and permissionOverrides
+ * @returns {Promise<Set<string>>} Effective permissions
+ */
+async function getEffectivePermissions(user) {
+  if (user.role === 'admin' || user.isAdmin === true) {
+    return new Set(ALL_PERMISSIONS);
+  }
+
+  const rolePermissions = await getRolePermissions();
+  const permissions = new Set(rolePermissions[user.role] || []);
+
+  const overrides = user.permissionOverrides || {};
+  (overrides.grant || []).forEach(permission => {
+    if (PERMISSIONS[permission]) permissions.add(permission);
+  });
+  (overrides.revoke || []).forEach(permission => permissions.delete(permission));
+
+  return permissions;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLES,
+  FIXED_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  findUnknownPermissions,
+  getRoleMapping,
+  getRolePermissions,
+  clearPermissionCache,
+  getEffectivePermissions
+};
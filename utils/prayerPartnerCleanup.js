@@ -1,9 +1,95 @@
 const User = require('../server/models/User');
+const PartnerPairing = require('../server/models/PartnerPairing');
 
 /**
  * Utility functions for handling prayer partner cleanup when users are deleted or deactivated
  */
 
+// Partner fields of a member who has no partner
+const UNPAIRED_FIELDS = {
+  currentPartner: null,
+  paired_this_week: false,
+  partnerGroup: [],
+  partnerPinned: false
+};
+
+/**
+ * Take members out of their prayer partner pairs and trios. Partners left on their
+ * own are unpaired; the two members left of a trio stay together as a pair.
+ * @param {string[]} userIds - IDs of the members being removed
+ * @param {string} reason - Why their pairings end (PartnerPairing endReason)
+ * @param {string} adminId - The ID of the admin performing the action (optional)
+ * @returns {Promise<Object>} { unpairedIds, repairedPairs } - partners left without a partner,
+ *   and the [id, id] pairs kept from trios
+ */
+async function detachFromPartners(userIds, reason = 'member_removed', adminId = null) {
+  const removedIds = new Set(userIds.map(id => id.toString()));
+  const removed = await User.find({ _id: { $in: userIds } }).select('currentPartner partnerGroup').lean();
+  const linkedIds = removed.flatMap(user => [user.currentPartner, ...(user.partnerGroup || [])]).filter(Boolean);
+
+  const partners = await User.find({
+    _id: { $nin: userIds },
+    $or: [
+      { _id: { $in: linkedIds } },
+      { currentPartner: { $in: userIds } },
+      { partnerGroup: { $in: userIds } }
+    ]
+  }).select('_id currentPartner partnerGroup').lean();
+
+  // Who each partner is still grouped with once the removed members are gone
+  const remaining = new Map(partners.map(partner => {
+    const ids = [partner.currentPartner, ...(partner.partnerGroup || [])]
+      .filter(Boolean)
+      .map(id => id.toString())
+      .filter(id => !removedIds.has(id) && id !== partner._id.toString());
+    return [partner._id.toString(), [...new Set(ids)]];
+  }));
+
+  const unpairedIds = [];
+  const repairedPairs = [];
+  remaining.forEach((others, id) => {
+    const other = others.length === 1 ? others[0] : null;
+    const otherRemaining = other ? remaining.get(other) : null;
+
+    if (otherRemaining && otherRemaining.length === 1 && otherRemaining[0] === id) {
+      if (id < other) repairedPairs.push([id, other]);
+    } else {
+      unpairedIds.push(id);
+    }
+  });
+
+  // Keep where the trios came from for the pairs that carry on
+  const trioPairings = await Promise.all(repairedPairs.map(([id]) =>
+    PartnerPairing.findOne({ members: id, endedAt: null }).select('source createdBy request').lean()
+  ));
+
+  await User.updateMany({ _id: { $in: userIds } }, { ...UNPAIRED_FIELDS });
+  if (unpairedIds.length > 0) {
+    await User.updateMany({ _id: { $in: unpairedIds } }, { ...UNPAIRED_FIELDS });
+  }
+  for (const [first, second] of repairedPairs) {
+    await User.findByIdAndUpdate(first, { currentPartner: second, partnerGroup: [second], partnerPinned: false });
+    await User.findByIdAndUpdate(second, { currentPartner: first, partnerGroup: [first], partnerPinned: false });
+  }
+
+  await PartnerPairing.endActive([...userIds, ...repairedPairs.flat()], reason, adminId);
+  for (const [index, members] of repairedPairs.entries()) {
+    const trio = trioPairings[index];
+    await PartnerPairing.create({
+      members,
+      source: trio ? trio.source : 'auto',
+      createdBy: trio ? trio.createdBy : null,
+      request: trio ? trio.request : null
+    });
+  }
+
+  if (unpairedIds.length > 0 || repairedPairs.length > 0) {
+    console.log(`🔗 Detached ${userIds.length} member(s) from prayer partners: ${unpairedIds.length} partner(s) unpaired, ${repairedPairs.length} trio(s) kept as pairs`);
+  }
+
+  return { unpairedIds, repairedPairs };
+}
+
 /**
  * Clean up prayer partner relationships for a single user
  * @param {string} userId - The ID of the user being deleted
@@ -25,40 +111,12 @@ async function cleanupSingleUserPrayerPartners(userId, adminId = null) {
       return { success: false, error: 'User not found' };
     }
 
-    // Handle prayer partner cleanup if user has a current partner
-    if (user.currentPartner) {
-      console.log(`🔗 User ${userId} has prayer partner ${user.currentPartner}, unpairing...`);
-
-      try {
-        // Remove partner relationship for the current partner
-        await User.findByIdAndUpdate(user.currentPartner, {
-          currentPartner: null,
-          paired_this_week: false
-        });
-
-        cleanupResults.partnersUnpaired++;
-        console.log(`✅ Successfully unpaired partner ${user.currentPartner} from user ${userId}`);
-      } catch (error) {
-        cleanupResults.errors.push(`Failed to unpair partner ${user.currentPartner}: ${error.message}`);
-      }
-    }
-
-    // Also check if this user is someone else's partner and clean up
+    // Unpair the user's partners (a trio's other two stay together) and close the pairing history
     try {
-      const partnerOfThisUser = await User.findOne({ currentPartner: userId });
-      if (partnerOfThisUser) {
-        console.log(`🔗 Found user ${partnerOfThisUser._id} who has ${userId} as partner, unpairing...`);
-
-        await User.findByIdAndUpdate(partnerOfThisUser._id, {
-          currentPartner: null,
-          paired_this_week: false
-        });
-
-        cleanupResults.partnersUnpaired++;
-        console.log(`✅ Successfully unpaired user ${partnerOfThisUser._id} from user ${userId}`);
-      }
+      const { unpairedIds, repairedPairs } = await detachFromPartners([userId], 'member_removed', adminId);
+      cleanupResults.partnersUnpaired = unpairedIds.length + repairedPairs.length * 2;
     } catch (error) {
-      cleanupResults.errors.push(`Failed to find/unpair reverse partner: ${error.message}`);
+      cleanupResults.errors.push(`Failed to unpair partners: ${error.message}`);
     }
 
     // Clean up prayer partner requests
@@ -117,37 +175,13 @@ async function cleanupBulkUserPrayerPartners(userIds, adminId = null) {
       errors: []
     };
 
-    // Get users to be deleted and their prayer partners
-    const usersToDelete = await User.find({ _id: { $in: userIds } });
-    const partnerIds = usersToDelete
-      .filter(user => user.currentPartner)
-      .map(user => user.currentPartner);
-
-    // Find users who have any of the deleted users as partners
-    const usersWithDeletedPartners = await User.find({
-      currentPartner: { $in: userIds }
-    });
-
-    console.log(`🔗 Found ${partnerIds.length} direct partners and ${usersWithDeletedPartners.length} reverse partners to unpair`);
-
-    // Unpair all affected users (both directions)
-    const allAffectedPartnerIds = [...new Set([...partnerIds, ...usersWithDeletedPartners.map(u => u._id)])];
-
-    if (allAffectedPartnerIds.length > 0) {
-      try {
-        await User.updateMany(
-          { _id: { $in: allAffectedPartnerIds } },
-          {
-            currentPartner: null,
-            paired_this_week: false
-          }
-        );
-
-        cleanupResults.partnersUnpaired = allAffectedPartnerIds.length;
-        console.log(`✅ Unpaired ${allAffectedPartnerIds.length} users from prayer partnerships`);
-      } catch (error) {
-        cleanupResults.errors.push(`Failed to unpair users: ${error.message}`);
-      }
+    // Unpair the users' partners (a trio's other two stay together) and close the pairing history
+    try {
+      const { unpairedIds, repairedPairs } = await detachFromPartners(userIds, 'member_removed', adminId);
+      cleanupResults.partnersUnpaired = unpairedIds.length + repairedPairs.length * 2;
+      console.log(`✅ Unpaired ${cleanupResults.partnersUnpaired} users from prayer partnerships`);
+    } catch (error) {
+      cleanupResults.errors.push(`Failed to unpair users: ${error.message}`);
     }
 
     // Clean up prayer partner requests
@@ -206,7 +240,7 @@ async function verifyPrayerPartnerIntegrity() {
     // Find all users with current partners
     const usersWithPartners = await User.find({ 
       currentPartner: { $ne: null } 
-    }).select('_id name currentPartner');
+    }).select('_id name currentPartner partnerGroup');
 
     results.totalChecked = usersWithPartners.length;
 
@@ -222,8 +256,11 @@ async function verifyPrayerPartnerIntegrity() {
           orphanedPartnerId: user.currentPartner
         });
         results.issuesFound++;
-      } else if (partner.currentPartner?.toString() !== user._id.toString()) {
-        // Inconsistent pairing
+      } else if (
+        partner.currentPartner?.toString() !== user._id.toString() &&
+        !partner.partnerGroup?.some(id => id.toString() === user._id.toString())
+      ) {
+        // Inconsistent pairing (trio members point around a circle, so check the group too)
         results.inconsistentPairs.push({
           user1: { id: user._id, name: user.name, partner: user.currentPartner },
           user2: { id: partner._id, name: partner.name, partner: partner.currentPartner }
@@ -259,10 +296,8 @@ async function fixPrayerPartnerIntegrity(integrityResults) {
     if (integrityResults.orphanedPartners?.length > 0) {
       for (const orphan of integrityResults.orphanedPartners) {
         try {
-          await User.findByIdAndUpdate(orphan.userId, {
-            currentPartner: null,
-            paired_this_week: false
-          });
+          await User.findByIdAndUpdate(orphan.userId, { ...UNPAIRED_FIELDS });
+          await PartnerPairing.endActive([orphan.userId], 'integrity_fix');
           fixResults.orphansFixed++;
           console.log(`🔧 Fixed orphaned partner reference for user ${orphan.userId}`);
         } catch (error) {
@@ -277,11 +312,9 @@ async function fixPrayerPartnerIntegrity(integrityResults) {
         try {
           await User.updateMany(
             { _id: { $in: [pair.user1.id, pair.user2.id] } },
-            {
-              currentPartner: null,
-              paired_this_week: false
-            }
+            { ...UNPAIRED_FIELDS }
           );
+          await PartnerPairing.endActive([pair.user1.id, pair.user2.id], 'integrity_fix');
           fixResults.inconsistenciesFixed++;
           console.log(`🔧 Fixed inconsistent pair: ${pair.user1.name} & ${pair.user2.name}`);
         } catch (error) {
@@ -303,6 +336,8 @@ async function fixPrayerPartnerIntegrity(integrityResults) {
 }
 
 module.exports = {
+  UNPAIRED_FIELDS,
+  detachFromPartners,
   cleanupSingleUserPrayerPartners,
   cleanupBulkUserPrayerPartners,
   verifyPrayerPartnerIntegrity,
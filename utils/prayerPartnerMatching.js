@@ -0,0 +1,245 @@
+/**
+ * Prayer partner matching engine.
+ *
+ * Pure functions (no database access) that split a list of members into pairs
+ * and, where needed, one-member extensions of pairs into trios. Constraints:
+ *   - members are never matched with someone they prayed with recently
+ *   - fellowship zone can be ignored, preferred or required
+ *   - members who cannot be matched are reported with a reason
+ */
+
+const ZONE_MODES = ['ignore', 'prefer', 'require'];
+
+// Reasons reported for members left without a partner
+const UNMATCHED_REASONS = {
+  RECENT_REPEAT: 'recent_repeat',
+  NO_ZONE_MATCH: 'no_zone_match',
+  ODD_COUNT: 'odd_count'
+};
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator (defaults to Math.random)
+ * @returns {Array} The same array
+ */
+function shuffle(items, random = Math.random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Build a lookup of who each member prayed with recently
+ * @param {Object[]} users - Members (last_paired_with is used for members without history)
+ * @param {Object[]} recentPairings - Recent pairings, each with a members array of user ids
+ * @returns {Map<string, Set<string>>} userId -> recent partner ids
+ */
+function buildRecentPartnerMap(users, recentPairings = []) {
+  const recent = new Map();
+
+  const add = (a, b) => {
+    if (a === b) return;
+    if (!recent.has(a)) recent.set(a, new Set());
+    recent.get(a).add(b);
+  };
+
+  // The previous partner always counts, even for members paired before history was kept
+  for (const user of users) {
+    if (user.last_paired_with) {
+      add(user._id.toString(), user.last_paired_with.toString());
+      add(user.last_paired_with.toString(), user._id.toString());
+    }
+  }
+
+  for (const pairing of recentPairings) {
+    const memberIds = pairing.members.map(id => id.toString());
+    for (const a of memberIds) {
+      for (const b of memberIds) add(a, b);
+    }
+  }
+
+  return recent;
+}
+
+/**
+ * Match members of a single pool into pairs, most constrained member first
+ * @param {Object[]} pool - Members to match
+ * @param {Function} canPair - (a, b) => boolean
+ * @returns {Object} { pairs: [[a, b]], leftover: [] }
+ */
+function matchPool(pool, canPair) {
+  // Valid partners of each member, kept up to date as members are matched
+  const options = new Map(pool.map(user => [user, new Set()]));
+  for (let i = 0; i < pool.length; i++) {
+    for (let j = i + 1; j < pool.length; j++) {
+      if (canPair(pool[i], pool[j])) {
+        options.get(pool[i]).add(pool[j]);
+        options.get(pool[j]).add(pool[i]);
+      }
+    }
+  }
+
+  const remove = (user) => {
+    for (const other of options.get(user)) options.get(other).delete(user);
+    options.delete(user);
+  };
+
+  const pairs = [];
+  const leftover = [];
+
+  while (options.size > 1) {
+    // Pick the member with the fewest valid partners so they are not crowded out
+    let current = null;
+    for (const user of options.keys()) {
+      if (!current || options.get(user).size < options.get(current).size) current = user;
+    }
+
+    if (options.get(current).size === 0) {
+      leftover.push(current);
+      remove(current);
+      continue;
+    }
+
+    // Prefer the partner who also has the fewest alternatives
+    let partner = null;
+    for (const option of options.get(current)) {
+      if (!partner || options.get(option).size < options.get(partner).size) partner = option;
+    }
+
+    remove(current);
+    remove(partner);
+    pairs.push([current, partner]);
+  }
+
+  return { pairs, leftover: [...leftover, ...options.keys()] };
+}
+
+/**
+ * Group members by fellowship zone
+ * @param {Object[]} users - Members
+ * @returns {Object[][]} One array per zone
+ */
+function groupByZone(users) {
+  const zones = new Map();
+  for (const user of users) {
+    const zone = user.fellowshipZone || 'General';
+    if (!zones.has(zone)) zones.set(zone, []);
+    zones.get(zone).push(user);
+  }
+  return Array.from(zones.values());
+}
+
+/**
+ * Match members into pairs (and trios for leftovers)
+ * @param {Object[]} users - Members to match (need _id, name, fellowshipZone, last_paired_with)
+ * @param {Object} options
+ * @param {Object[]} options.recentPairings - Pairings from the repeat-avoidance window; null disables repeat avoidance
+ * @param {string} options.zoneMode - 'ignore' | 'prefer' | 'require' (default 'prefer')
+ * @param {boolean} options.allowTrio - Let a leftover member join a pair (default true)
+ * @param {Function} options.random - Random number generator used to shuffle members
+ * @returns {Object} { groups: [[user, user(, user)]], unmatched: [{ user, reason, detail }] }
+ */
+function matchMembers(users, options = {}) {
+  const {
+    recentPairings = [],
+    zoneMode = 'prefer',
+    allowTrio = true,
+    random = Math.random
+  } = options;
+
+  const recent = recentPairings ? buildRecentPartnerMap(users, recentPairings) : new Map();
+  const isRecent = (a, b) => recent.get(a._id.toString())?.has(b._id.toString()) || false;
+  const sameZone = (a, b) => (a.fellowshipZone || 'General') === (b.fellowshipZone || 'General');
+  const canPair = (a, b) => !isRecent(a, b) && (zoneMode !== 'require' || sameZone(a, b));
+
+  const members = shuffle([...users], random);
+  let groups = [];
+  let leftover = [];
+
+  if (zoneMode === 'ignore') {
+    const result = matchPool(members, canPair);
+    groups = result.pairs;
+    leftover = result.leftover;
+  } else {
+    for (const zoneMembers of groupByZone(members)) {
+      const result = matchPool(zoneMembers, canPair);
+      groups.push(...result.pairs);
+      leftover.push(...result.leftover);
+    }
+
+    // When the zone is only a preference, match what is left across zones
+    if (zoneMode === 'prefer' && leftover.length > 1) {
+      const result = matchPool(leftover, canPair);
+      groups.push(...result.pairs);
+      leftover = result.leftover;
+    }
+  }
+
+  // Leftover members join a pair to form a trio (at most one extra member per pair)
+  const unmatched = [];
+  for (const user of leftover) {
+    const host = allowTrio
+      ? groups.find(group => group.length === 2 && group.every(member => canPair(user, member)))
+      : null;
+
+    if (host) {
+      host.push(user);
+      continue;
+    }
+
+    unmatched.push({ user, ...explainUnmatched(user, users, { recent, zoneMode, allowTrio }) });
+  }
+
+  return { groups, unmatched };
+}
+
+/**
+ * Work out why a member could not be matched
+ * @param {Object} user - The unmatched member
+ * @param {Object[]} users - Everyone who took part in the matching
+ * @param {Object} context - { recent, zoneMode, allowTrio }
+ * @returns {Object} { reason, detail }
+ */
+function explainUnmatched(user, users, { recent, zoneMode, allowTrio }) {
+  const id = user._id.toString();
+  const others = users.filter(other => other._id.toString() !== id);
+  const zone = user.fellowshipZone || 'General';
+
+  if (zoneMode === 'require') {
+    const zoneMates = others.filter(other => (other.fellowshipZone || 'General') === zone);
+    if (zoneMates.length === 0) {
+      return {
+        reason: UNMATCHED_REASONS.NO_ZONE_MATCH,
+        detail: `No other member in the ${zone} fellowship zone`
+      };
+    }
+    if (zoneMates.every(other => recent.get(id)?.has(other._id.toString()))) {
+      return {
+        reason: UNMATCHED_REASONS.RECENT_REPEAT,
+        detail: `Already prayed with every other ${zone} member recently`
+      };
+    }
+  } else if (others.length > 0 && others.every(other => recent.get(id)?.has(other._id.toString()))) {
+    return {
+      reason: UNMATCHED_REASONS.RECENT_REPEAT,
+      detail: 'Already prayed with every other available member recently'
+    };
+  }
+
+  return {
+    reason: UNMATCHED_REASONS.ODD_COUNT,
+    detail: allowTrio
+      ? 'Odd number of members and no pair could take a third member'
+      : 'Odd number of members'
+  };
+}
+
+module.exports = {
+  ZONE_MODES,
+  UNMATCHED_REASONS,
+  buildRecentPartnerMap,
+  matchMembers
+};
@@ -0,0 +1,417 @@
+const User = require('../server/models/User');
+const PrayerPartnerSettings = require('../server/models/PrayerPartnerSettings');
+const PrayerPartnerReshuffle = require('../server/models/PrayerPartnerReshuffle');
+const PartnerPairing = require('../server/models/PartnerPairing');
+const { notifyUsers } = require('./notificationService');
+const { getTemplate, templateRenderer } = require('./notificationTemplates');
+const {
+  getZonedParts,
+  getIsoWeekKey,
+  parseIsoWeekKey,
+  parseTimeOfDay
+} = require('./dateUtils');
+const { matchMembers } = require('./prayerPartnerMatching');
+
+/**
+ * Prayer partner pairing: matching users, the weekly reshuffle and its schedule
+ */
+
+// How long after the scheduled time a missed reshuffle is still run (e.g. after a restart)
+const RESHUFFLE_CATCH_UP_MINUTES = 24 * 60;
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+/**
+ * Shape a matched group the way the API has always returned pairs
+ * @param {Object[]} group - Two or three users
+ * @returns {Object} { user1, user2, user3? }
+ */
+function toPair(group) {
+  const pair = { user1: group[0], user2: group[1] };
+  if (group[2]) pair.user3 = group[2];
+  return pair;
+}
+
+/**
+ * Get the members of a pair (two, or three for a trio)
+ * @param {Object} pair - { user1, user2, user3? }
+ * @returns {Object[]}
+ */
+function pairMembers(pair) {
+  return [pair.user1, pair.user2, pair.user3].filter(Boolean);
+}
+
+/**
+ * Pair all active users who haven't been paired this week
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { pairs, unmatched, error }
+ */
+async function assignPartners({ now = new Date() } = {}) {
+  try {
+    const settings = await PrayerPartnerSettings.getSettings();
+
+    // Get all active users who haven't been paired this week
+    const users = await User.find({
+      paired_this_week: false,
+      isActive: true
+    });
+
+    // Pairings from the repeat-avoidance window
+    const { avoidRepeatWeeks } = settings.matching;
+    const recentPairings = avoidRepeatWeeks > 0
+      ? await PartnerPairing.findSince(
+        users.map(user => user._id),
+        new Date(now.getTime() - avoidRepeatWeeks * MINUTES_PER_WEEK * 60 * 1000)
+      )
+      : null;
+
+    const { groups, unmatched } = matchMembers(users, {
+      recentPairings,
+      zoneMode: settings.matching.zoneMode,
+      allowTrio: settings.matching.allowTrio
+    });
+
+    // Save each group; in a trio currentPartner points around the circle A -> B -> C -> A
+    for (const group of groups) {
+      await Promise.all(group.map((member, index) => {
+        const partner = group[(index + 1) % group.length];
+        const others = group.filter(other => other !== member);
+
+        return User.findByIdAndUpdate(member._id, {
+          currentPartner: partner._id,
+          last_paired_with: partner._id,
+          paired_this_week: true,
+          partnerGroup: others.map(other => other._id),
+          partnerPinned: false
+        });
+      }));
+
+      await PartnerPairing.create({
+        members: group.map(member => member._id),
+        weekKey: getIsoWeekKey(now),
+        source: 'auto'
+      });
+    }
+
+    const report = unmatched.map(({ user, reason, detail }) => ({
+      user: { id: user._id, name: user.name, fellowshipZone: user.fellowshipZone },
+      reason,
+      detail
+    }));
+
+    if (users.length < 2) {
+      return { pairs: [], unmatched: report, error: "Not enough users to pair." };
+    }
+
+    return { pairs: groups.map(toPair), unmatched: report, error: null };
+  } catch (error) {
+    console.error("Error assigning partners:", error);
+    return { pairs: [], unmatched: [], error: error.message };
+  }
+}
+
+/**
+ * Tell every member of every pair (or trio) who their new partners are
+ * @param {Object[]} pairs - Pairs returned by assignPartners
+ * @returns {Promise<number>} Number of members successfully notified
+ */
+async function notifyPairs(pairs) {
+  let notified = 0;
+  // Admins may have customized the text; each member gets it in their own language
+  const template = await getTemplate('prayer-partner-paired');
+
+  for (const pair of pairs) {
+    const members = pairMembers(pair);
+
+    for (const member of members) {
+      const partners = members.filter(other => other !== member);
+      const partnerNames = partners.map(partner => partner.name).join(' and ');
+
+      try {
+        const { push, deferred } = await notifyUsers([member._id], {
+          render: templateRenderer(template, { partnerName: partnerNames }),
+          type: 'prayer_partner',
+          data: {
+            partnerId: partners[0]._id.toString(),
+            partnerName: partnerNames,
+            partnerIds: partners.map(partner => partner._id.toString()).join(',')
+          }
+        });
+        // A push held back for quiet hours still counts; it goes out when they end
+        if ((push && push.success) || deferred > 0) notified++;
+      } catch (error) {
+        console.error(`❌ Failed to notify ${member.name} about prayer partner:`, error.message);
+      }
+    }
+  }
+
+  return notified;
+}
+
+/**
+ * Automatically check for new users and pair them
+ * @returns {Promise<Object>} { pairs, unmatched, error }
+ */
+async function pairNewUsers() {
+  try {
+    // Fetch unpaired active users
+    const unpairedUsers = await User.find({
+      paired_this_week: false,
+      isActive: true
+    });
+    if (unpairedUsers.length >= 2) {
+      console.log("New users detected, attempting to pair...");
+      const { pairs, unmatched, error } = await assignPartners();
+      if (error) console.error("Error during pairing:", error);
+      else console.log(`Pairs created: ${pairs.length}`);
+      return { pairs, unmatched, error };
+    }
+
+    return { pairs: [], unmatched: [], error: null };
+  } catch (error) {
+    console.error("Error in pairing new users:", error.message);
+    return { pairs: [], unmatched: [], error: error.message };
+  }
+}
+
+/**
+ * Unpin admin-pinned pairs that no longer hold together (a member left or was unpaired)
+ * @returns {Promise<number>} Number of pinned pairs that are kept
+ */
+async function releaseBrokenPins() {
+  const pinned = await User.find({ isActive: true, partnerPinned: true })
+    .select('_id currentPartner')
+    .lean();
+
+  const partnerOf = new Map(pinned.map(user => [user._id.toString(), user.currentPartner?.toString()]));
+  const broken = pinned.filter(user => {
+    const partnerId = user.currentPartner?.toString();
+    return !partnerId || partnerOf.get(partnerId) !== user._id.toString();
+  });
+
+  if (broken.length > 0) {
+    const brokenIds = broken.map(user => user._id);
+    await User.updateMany({ _id: { $in: brokenIds } }, { partnerPinned: false });
+    // Let the reshuffle end whatever is left of their pinned pairings
+    await PartnerPairing.updateMany(
+      { members: { $in: brokenIds }, endedAt: null },
+      { pinned: false }
+    );
+    console.log(`📌 Released ${broken.length} broken pinned prayer partner(s)`);
+  }
+
+  return Math.floor((pinned.length - broken.length) / 2);
+}
+
+/**
+ * Reset every active user's partner (except admin-pinned pairs), pair everyone
+ * again, notify the new partners and record the reshuffle in the history.
+ * Manual reshuffles count for the week too, so the automatic one does not run again.
+ * @param {Object} options - { type: 'automatic' | 'manual', triggeredBy, now }
+ * @returns {Promise<Object>} { pairs, unmatched, error, record }
+ */
+async function reshufflePartners({ type = 'automatic', triggeredBy = null, now = new Date() } = {}) {
+  const weekKey = getIsoWeekKey(now);
+  const { year, week } = parseIsoWeekKey(weekKey);
+
+  const pinnedPairs = await releaseBrokenPins();
+
+  // End last week's pairings and start the week from a clean slate
+  await PartnerPairing.updateMany(
+    { endedAt: null, pinned: { $ne: true } },
+    { endedAt: now, endReason: 'reshuffle', endedBy: triggeredBy }
+  );
+  await User.updateMany(
+    { isActive: true, partnerPinned: { $ne: true } },
+    {
+      currentPartner: null,
+      paired_this_week: false,
+      partnerGroup: []
+    }
+  );
+
+  const totalUsers = await User.countDocuments({ isActive: true });
+  const { pairs, unmatched, error } = await assignPartners({ now });
+  const notificationsSent = pairs.length > 0 ? await notifyPairs(pairs) : 0;
+
+  const unpairedUsers = await User.find({
+    isActive: true,
+    currentPartner: null
+  }).select('_id').lean();
+
+  const record = await PrayerPartnerReshuffle.create({
+    weekKey,
+    year,
+    week,
+    type,
+    triggeredBy,
+    totalPairs: pairs.length,
+    totalTrios: pairs.filter(pair => pair.user3).length,
+    pinnedPairs,
+    totalUsers,
+    unpairedUsers: unpairedUsers.map(user => user._id),
+    unmatched: unmatched.map(({ user, reason, detail }) => ({ user: user.id, reason, detail })),
+    notificationsSent,
+    error
+  });
+
+  const settings = await PrayerPartnerSettings.getSettings();
+  settings.reshuffle.lastRunWeek = weekKey;
+  settings.reshuffle.lastRunAt = now;
+  await settings.save();
+
+  console.log(`🔀 Prayer partners reshuffled (${type}) for ${weekKey}: ${pairs.length} pairs, ${pinnedPairs} pinned, ${unpairedUsers.length} unpaired, ${notificationsSent} notified`);
+
+  return { pairs, unmatched, error, record };
+}
+
+/**
+ * Minutes elapsed since the start of the ISO week (Monday 00:00) in the church timezone
+ * @param {Object} parts - Output of getZonedParts
+ * @returns {number}
+ */
+function minutesIntoWeek(parts) {
+  const isoDay = parts.weekday || 7; // Monday = 1 ... Sunday = 7
+  return ((isoDay - 1) * 24 * 60) + (parts.hour * 60) + parts.minute;
+}
+
+/**
+ * Minutes from the start of the ISO week to the configured reshuffle time
+ * @param {Object} reshuffle - settings.reshuffle
+ * @returns {number}
+ */
+function scheduledMinutesIntoWeek(reshuffle) {
+  const time = parseTimeOfDay(reshuffle.time) || { hour: 6, minute: 0 };
+  const isoDay = reshuffle.dayOfWeek || 7;
+  return ((isoDay - 1) * 24 * 60) + (time.hour * 60) + time.minute;
+}
+
+/**
+ * Check whether the automatic reshuffle should run now
+ * @param {Object} settings - PrayerPartnerSettings document
+ * @param {Date} now - Current time
+ * @returns {Object} { due, reason, weekKey }
+ */
+function isReshuffleDue(settings, now = new Date()) {
+  const { reshuffle } = settings;
+  const weekKey = getIsoWeekKey(now);
+
+  if (reshuffle.paused) {
+    return { due: false, reason: 'Automatic reshuffle is paused', weekKey };
+  }
+
+  if (reshuffle.lastRunWeek === weekKey) {
+    return { due: false, reason: `Already reshuffled for ${weekKey}`, weekKey };
+  }
+
+  if (reshuffle.skipWeeks.includes(weekKey)) {
+    return { due: false, reason: `Reshuffle skipped for ${weekKey}`, weekKey };
+  }
+
+  const elapsed = minutesIntoWeek(getZonedParts(now)) - scheduledMinutesIntoWeek(reshuffle);
+  if (elapsed < 0) {
+    return { due: false, reason: 'Scheduled time not reached yet', weekKey };
+  }
+
+  if (elapsed > RESHUFFLE_CATCH_UP_MINUTES) {
+    return { due: false, reason: 'Scheduled time missed by more than a day', weekKey };
+  }
+
+  return { due: true, reason: null, weekKey };
+}
+
+/**
+ * Work out which ISO week the next automatic reshuffle falls in
+ * @param {Object} settings - PrayerPartnerSettings document
+ * @param {Date} now - Current time
+ * @returns {string} ISO week key
+ */
+function getNextReshuffleWeek(settings, now = new Date()) {
+  const weekKey = getIsoWeekKey(now);
+  const elapsed = minutesIntoWeek(getZonedParts(now)) - scheduledMinutesIntoWeek(settings.reshuffle);
+
+  if (settings.reshuffle.lastRunWeek !== weekKey && elapsed <= RESHUFFLE_CATCH_UP_MINUTES) {
+    return weekKey;
+  }
+
+  return getIsoWeekKey(new Date(now.getTime() + MINUTES_PER_WEEK * 60 * 1000));
+}
+
+/**
+ * Job handler: run the weekly reshuffle when it is due (always when triggered manually)
+ * @param {Object} context - { trigger, triggeredBy, now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function runScheduledReshuffle({ trigger, triggeredBy, now = new Date() } = {}) {
+  const settings = await PrayerPartnerSettings.getSettings();
+
+  if (trigger !== 'manual') {
+    const { due, reason } = isReshuffleDue(settings, now);
+    if (!due) {
+      return { itemsAffected: 0, details: { skipped: reason } };
+    }
+  }
+
+  const { pairs, error, record } = await reshufflePartners({
+    type: trigger === 'manual' ? 'manual' : 'automatic',
+    triggeredBy,
+    now
+  });
+
+  return {
+    itemsAffected: pairs.length,
+    errors: error ? [error] : [],
+    details: {
+      weekKey: record.weekKey,
+      historyId: record._id.toString(),
+      trios: record.totalTrios,
+      pinnedPairs: record.pinnedPairs,
+      unpaired: record.unpairedUsers.length,
+      unmatched: record.unmatched,
+      notificationsSent: record.notificationsSent
+    }
+  };
+}
+
+/**
+ * Job handler: pair members who joined (or lost their partner) since the last reshuffle
+ * @returns {Promise<Object>} Job outcome
+ */
+async function runPairNewUsers() {
+  const { pairs, unmatched, error } = await pairNewUsers();
+  const notificationsSent = pairs.length > 0 ? await notifyPairs(pairs) : 0;
+
+  return {
+    itemsAffected: pairs.length,
+    errors: error ? [error] : [],
+    details: { notificationsSent, unmatched }
+  };
+}
+
+// Job definitions for the job runner (both share a lock so they never pair at the same time)
+const pairingJobs = [
+  {
+    name: 'prayer-partner-weekly-reshuffle',
+    schedule: '*/5 * * * *',
+    description: 'Reshuffles all prayer partners at the configured day and time each week',
+    lockName: 'prayer-partner-pairing',
+    handler: runScheduledReshuffle
+  },
+  {
+    name: 'prayer-partner-pair-new-users',
+    schedule: '2-59/5 * * * *', // Offset from the reshuffle check so they don't compete for the lock
+    description: 'Pairs members who are still without a prayer partner this week',
+    lockName: 'prayer-partner-pairing',
+    handler: runPairNewUsers
+  }
+];
+
+module.exports = {
+  assignPartners,
+  notifyPairs,
+  pairMembers,
+  pairNewUsers,
+  reshufflePartners,
+  isReshuffleDue,
+  getNextReshuffleWeek,
+  pairingJobs
+};
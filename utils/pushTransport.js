@@ -0,0 +1,175 @@
+/**
+ * Pluggable push transport.
+ *
+ * The transport is chosen with PUSH_TRANSPORT:
+ *   - firebase  sends through Firebase Cloud Messaging (default, see firebaseUtils.js)
+ *   - file      appends every message to a JSONL file (PUSH_TRANSPORT_FILE) instead of sending it
+ *   - memory    keeps messages in memory, for scripts that inspect them with getSentPushMessages()
+ *
+ * The file and memory transports let the whole notification pipeline run
+ * without Google credentials. They accept every token except:
+ *   - tokens starting with "invalid-", which fail as unregistered (and get cleaned up)
+ *   - tokens starting with "unavailable-", which fail as if FCM were down (and get retried)
+ *
+ * Other transports can be added with registerPushTransport(name, transport).
+ * A transport implements:
+ *   send(message)          message has a single token; resolves to { success, messageId, error }
+ *   sendMulticast(message) message has tokens; resolves to { successCount, failureCount, responses }
+ *                          with one { success, messageId, error } per token, in order
+ *   classifyError(code)    'invalid_token', 'transient' or 'permanent'
+ *   getStatus()            optional, diagnostics for the status endpoints
+ * Errors are { code, message } using FCM error codes (e.g. "messaging/unavailable").
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const transports = new Map();
+
+// FCM errors meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/invalid-argument'
+];
+
+// FCM errors worth retrying later; anything else will fail the same way again
+const TRANSIENT_ERROR_CODES = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'app/network-error',
+  'app/network-timeout'
+];
+
+/**
+ * Classify an FCM error code
+ * @param {string} code - FCM error code
+ * @returns {string} 'invalid_token', 'transient' or 'permanent'
+ */
+function classifyFcmError(code) {
+  if (INVALID_TOKEN_CODES.includes(code)) return 'invalid_token';
+  if (TRANSIENT_ERROR_CODES.includes(code)) return 'transient';
+  return 'permanent';
+}
+
+/**
+ * Register a push transport
+ * @param {string} name - Transport name used in PUSH_TRANSPORT
+ * @param {Object} transport - { send, sendMulticast, classifyError, getStatus }
+ */
+function registerPushTransport(name, transport) {
+  const required = ['send', 'sendMulticast', 'classifyError'];
+  if (!name || !transport || required.some(method => typeof transport[method] !== 'function')) {
+    throw new Error('Push transport name and send, sendMulticast and classifyError functions are required');
+  }
+  transports.set(name, { name, ...transport });
+}
+
+/**
+ * Get the configured push transport
+ * @returns {Object} The transport
+ */
+function getPushTransport() {
+  const name = process.env.PUSH_TRANSPORT || 'firebase';
+  const transport = transports.get(name);
+
+  if (!transport) {
+    throw new Error(`Unknown push transport: ${name}. Available: ${Array.from(transports.keys()).join(', ')}`);
+  }
+
+  return transport;
+}
+
+/**
+ * Create a transport that records messages instead of sending them
+ * @param {Function} record - async (entry) => void, called once per token
+ * @returns {Object} Transport
+ */
+function createLocalTransport(record) {
+  let sequence = 0;
+
+  const sendOne = async (message, token) => {
+    const messageId = `local-${Date.now()}-${++sequence}`;
+    let error = null;
+
+    if (token.startsWith('invalid-')) {
+      error = { code: 'messaging/registration-token-not-registered', message: 'Simulated unregistered token' };
+    } else if (token.startsWith('unavailable-')) {
+      error = { code: 'messaging/unavailable', message: 'Simulated FCM outage' };
+    }
+
+    const { tokens, ...payload } = message;
+    await record({
+      messageId,
+      sentAt: new Date().toISOString(),
+      ...payload,
+      token,
+      success: !error,
+      error
+    });
+
+    return error ? { success: false, error } : { success: true, messageId };
+  };
+
+  return {
+    send: (message) => sendOne(message, message.token),
+    sendMulticast: async (message) => {
+      const responses = [];
+      for (const token of message.tokens) {
+        responses.push(await sendOne(message, token));
+      }
+      const successCount = responses.filter(response => response.success).length;
+      return { successCount, failureCount: responses.length - successCount, responses };
+    },
+    classifyError: classifyFcmError
+  };
+}
+
+// File transport - one JSON line per message and token
+const PUSH_TRANSPORT_FILE = process.env.PUSH_TRANSPORT_FILE || path.join('logs', 'push-messages.jsonl');
+
+registerPushTransport('file', {
+  ...createLocalTransport(async (entry) => {
+    await fs.promises.mkdir(path.dirname(PUSH_TRANSPORT_FILE), { recursive: true });
+    await fs.promises.appendFile(PUSH_TRANSPORT_FILE, JSON.stringify(entry) + '\n');
+  }),
+  getStatus: () => ({ transport: 'file', file: path.resolve(PUSH_TRANSPORT_FILE) })
+});
+
+// Memory transport - messages are kept until cleared
+const sentMessages = [];
+
+registerPushTransport('memory', {
+  ...createLocalTransport(async (entry) => {
+    sentMessages.push(entry);
+  }),
+  getStatus: () => ({ transport: 'memory', messages: sentMessages.length })
+});
+
+/**
+ * Get the messages recorded by the memory transport
+ * @returns {Object[]} One entry per message and token, oldest first
+ */
+function getSentPushMessages() {
+  return sentMessages.slice();
+}
+
+/**
+ * Forget the messages recorded by the memory transport
+ */
+function clearSentPushMessages() {
+  sentMessages.length = 0;
+}
+
+module.exports = {
+  classifyFcmError,
+  registerPushTransport,
+  getPushTransport,
+  getSentPushMessages,
+  clearSentPushMessages
+};
@@ -0,0 +1,182 @@
+const Announcement = require('../server/models/Announcement');
+const Meditation = require('../server/models/Meditation');
+const Sermon = require('../server/models/Sermon');
+const { notifyAllUsers } = require('./notificationService');
+const { getTemplate, renderTemplate, templateRenderer } = require('./notificationTemplates');
+
+/**
+ * Background jobs that publish scheduled content once it is due and
+ * announce it to members with a notification (inbox entry and push).
+ */
+
+/**
+ * Publish a batch of due documents one at a time.
+ * Each document is claimed with a conditional update so a document is never
+ * published (or announced) twice.
+ * @param {Object} options
+ * @param {Model} options.model - Mongoose model
+ * @param {Object} options.dueQuery - Query matching due documents
+ * @param {Object} options.publishUpdate - Update applied when publishing
+ * @param {Function} options.buildPush - (doc) => ({ title, body, data }), ({ template, variables, data })
+ *   to use a notification template, or null to skip the push
+ * @param {string} options.label - Label used in logs and errors
+ * @returns {Promise<Object>} Job outcome
+ */
+async function publishDue({ model, dueQuery, publishUpdate, buildPush, label }) {
+  const outcome = {
+    itemsAffected: 0,
+    errors: [],
+    details: { published: [], notified: 0 }
+  };
+
+  const dueItems = await model.find(dueQuery).select('_id').lean();
+
+  for (const item of dueItems) {
+    try {
+      const published = await model.findOneAndUpdate(
+        { ...dueQuery, _id: item._id },
+        publishUpdate(),
+        { new: true }
+      );
+
+      // Another instance or an admin got to it first
+      if (!published) continue;
+
+      outcome.itemsAffected++;
+      outcome.details.published.push(published._id.toString());
+      console.log(`📢 Scheduled ${label} published: "${published.title || published.week}" (ID: ${published._id})`);
+
+      const push = buildPush(published);
+      if (!push) continue;
+
+      const template = push.template ? await getTemplate(push.template) : null;
+      const { notifications, push: pushResult } = await notifyAllUsers(template
+        ? {
+          title: renderTemplate(template, { variables: push.variables }).title,
+          render: templateRenderer(template, push.variables),
+          type: push.data.type,
+          data: push.data
+        }
+        : {
+          title: push.title,
+          message: push.body,
+          type: push.data.type,
+          data: push.data
+        });
+      if (notifications.length > 0) {
+        outcome.details.notified++;
+      }
+      // No push result means every push is waiting for quiet hours to end
+      if (pushResult && !pushResult.success) {
+        outcome.errors.push(`Push for ${label} ${published._id} failed: ${pushResult.message}`);
+      }
+    } catch (error) {
+      console.error(`❌ Error publishing scheduled ${label} ${item._id}:`, error);
+      outcome.errors.push(`Failed to publish ${label} ${item._id}: ${error.message}`);
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Publish announcements whose scheduledDate has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function publishDueAnnouncements({ now = new Date() } = {}) {
+  return publishDue({
+    model: Announcement,
+    label: 'announcement',
+    dueQuery: { status: 'scheduled', scheduledDate: { $lte: now } },
+    publishUpdate: () => ({ status: 'published', publishedAt: new Date(), updatedAt: new Date() }),
+    buildPush: (announcement) => ({
+      title: announcement.title,
+      body: announcement.description,
+      data: {
+        type: 'announcement',
+        announcementId: announcement._id.toString(),
+        priority: announcement.priority
+      }
+    })
+  });
+}
+
+/**
+ * Publish meditations whose publishDate has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function publishDueMeditations({ now = new Date() } = {}) {
+  return publishDue({
+    model: Meditation,
+    label: 'meditation',
+    dueQuery: { status: 'scheduled', publishDate: { $lte: now } },
+    publishUpdate: () => ({ status: 'published', scheduled: false, publishedAt: new Date() }),
+    buildPush: (meditation) => {
+      // Inactive meditations are published silently
+      if (!meditation.isActive) return null;
+
+      return {
+        template: 'weekly-meditation',
+        variables: { scripture: meditation.scripture },
+        data: {
+          type: 'meditation',
+          meditationId: String(meditation.id),
+          week: meditation.week
+        }
+      };
+    }
+  });
+}
+
+/**
+ * Publish sermons whose scheduledDate has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function publishDueSermons({ now = new Date() } = {}) {
+  return publishDue({
+    model: Sermon,
+    label: 'sermon',
+    dueQuery: { status: 'scheduled', scheduledDate: { $lte: now }, isActive: true },
+    publishUpdate: () => ({ status: 'published', publishedAt: new Date() }),
+    buildPush: (sermon) => ({
+      title: 'New Sermon Available 🎥',
+      body: sermon.speaker?.name ? `${sermon.title} - ${sermon.speaker.name}` : sermon.title,
+      data: {
+        type: 'sermon',
+        sermonId: sermon._id.toString()
+      }
+    })
+  });
+}
+
+// Job definitions for the job runner
+const publishingJobs = [
+  {
+    name: 'publish-scheduled-announcements',
+    schedule: '* * * * *',
+    description: 'Publishes scheduled announcements when their scheduled date passes and notifies members',
+    handler: publishDueAnnouncements
+  },
+  {
+    name: 'publish-scheduled-meditations',
+    schedule: '* * * * *',
+    description: 'Publishes scheduled meditations when their publish date passes and notifies members',
+    handler: publishDueMeditations
+  },
+  {
+    name: 'publish-scheduled-sermons',
+    schedule: '* * * * *',
+    description: 'Publishes scheduled sermons when their scheduled date passes and notifies members',
+    handler: publishDueSermons
+  }
+];
+
+module.exports = {
+  publishDueAnnouncements,
+  publishDueMeditations,
+  publishDueSermons,
+  publishingJobs
+};
@@ -0,0 +1,136 @@
+/**
+ * Pluggable SMS sending.
+ *
+ * The provider is chosen with SMS_PROVIDER:
+ *   - console        logs messages instead of sending them (default, for local testing)
+ *   - africastalking sends through the Africa's Talking SMS API
+ *
+ * Other providers can be added with registerSmsProvider(name, { send }).
+ * A provider's send(to, message) receives an international number
+ * (e.g. +254712345678) and resolves to { success, messageId, error }.
+ */
+
+require('dotenv').config();
+
+const providers = new Map();
+
+/**
+ * Register an SMS provider
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - { send: async (to, message) => ({ success, messageId, error }) }
+ */
+function registerSmsProvider(name, provider) {
+  if (!name || !provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider name and send function are required');
+  }
+  providers.set(name, { name, ...provider });
+}
+
+/**
+ * Get the configured SMS provider
+ * @returns {Object} The provider
+ */
+function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}. Available: ${Array.from(providers.keys()).join(', ')}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Convert a stored phone number (e.g. 0712345678) to international format
+ * @param {string} phone - Phone number
+ * @returns {string} Number with a leading + and country code
+ */
+function toInternationalNumber(phone) {
+  const digits = (phone || '').toString().replace(/\D/g, '');
+  const countryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '254';
+
+  if (digits.startsWith('0')) {
+    return `+${countryCode}${digits.slice(1)}`;
+  }
+  return `+${digits}`;
+}
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} phone - Recipient phone number
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} { success, provider, messageId, error }
+ */
+async function sendSms(phone, message) {
+  const provider = getSmsProvider();
+  const to = toInternationalNumber(phone);
+
+  try {
+    const result = await provider.send(to, message);
+    if (!result.success) {
+      console.error(`❌ SMS to ${to} via ${provider.name} failed:`, result.error);
+    }
+    return { provider: provider.name, ...result };
+  } catch (error) {
+    console.error(`❌ SMS to ${to} via ${provider.name} failed:`, error.message);
+    return { success: false, provider: provider.name, error: error.message };
+  }
+}
+
+// Console provider - prints the message so codes can be read from the server log
+registerSmsProvider('console', {
+  send: async (to, message) => {
+    console.log(`📱 [SMS to ${to}] ${message}`);
+    return { success: true, messageId: `console-${Date.now()}` };
+  }
+});
+
+// Africa's Talking provider
+registerSmsProvider('africastalking', {
+  send: async (to, message) => {
+    const username = process.env.AT_USERNAME;
+    const apiKey = process.env.AT_API_KEY;
+
+    if (!username || !apiKey) {
+      return { success: false, error: 'AT_USERNAME and AT_API_KEY must be set' };
+    }
+
+    const baseUrl = username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+
+    const body = new URLSearchParams({ username, to, message });
+    if (process.env.AT_SENDER_ID) body.append('from', process.env.AT_SENDER_ID);
+
+    const response = await fetch(`${baseUrl}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body
+    });
+
+    if (!response.ok) {
+      return { success: false, error: `HTTP ${response.status}: ${await response.text()}` };
+    }
+
+    const data = await response.json();
+    const recipient = data.SMSMessageData?.Recipients?.[0];
+
+    if (!recipient || recipient.status !== 'Success') {
+      return { success: false, error: recipient?.status || data.SMSMessageData?.Message || 'Unknown error' };
+    }
+
+    return { success: true, messageId: recipient.messageId };
+  }
+});
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  toInternationalNumber,
+  sendSms
+};
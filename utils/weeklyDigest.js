@@ -0,0 +1,263 @@
+const Announcement = require('../server/models/Announcement');
+const Sermon = require('../server/models/Sermon');
+const Meditation = require('../server/models/Meditation');
+const Digest = require('../server/models/Digest');
+const { previewNotification, registerEmailRenderer } = require('./notificationService');
+const { createBroadcast, processBroadcast } = require('./notificationOutbox');
+const { resolveAudience } = require('./audienceSegments');
+const { renderDigestEmail } = require('./emailTemplates');
+const { findOccurrences } = require('./eventRecurrence');
+const { getIsoWeekKey, getZonedParts } = require('./dateUtils');
+
+/**
+ * Weekly church digest.
+ *
+ * Every Saturday the digest collects the announcements and sermons published
+ * during the past seven days, the events of the next seven days and the
+ * coming week's meditation. It goes out as an admin-style broadcast through
+ * the notification outbox: an inbox entry and a short push summary for every
+ * member, plus the full digest by email (the weeklyDigest channels default to
+ * push and email). Members opt out with the weeklyDigest preference.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days covered on either side of the send date
+const DIGEST_PERIOD_DAYS = 7;
+
+// Items listed per section
+const MAX_ITEMS_PER_SECTION = 10;
+
+const PRIORITY_ORDER = ['urgent', 'high', 'normal', 'low'];
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Get the ISO week key of the Monday after a date (the "coming week")
+ * @param {Date} now - Reference time
+ * @returns {string} ISO week key
+ */
+function getComingWeekKey(now) {
+  const { weekday } = getZonedParts(now);
+  const daysToMonday = ((8 - weekday) % 7) || 7;
+  return getIsoWeekKey(new Date(now.getTime() + daysToMonday * DAY_MS));
+}
+
+/**
+ * Build the push and inbox text for a digest
+ * @param {Object} content - Digest content
+ * @returns {Object} { title, message }
+ */
+function buildSummary(content) {
+  const parts = [];
+  if (content.announcements.length > 0) parts.push(plural(content.announcements.length, 'announcement'));
+  if (content.events.length > 0) parts.push(`${plural(content.events.length, 'event')} coming up`);
+  if (content.sermons.length > 0) parts.push(`${plural(content.sermons.length, 'new sermon')}`);
+  if (content.meditation) parts.push(`the meditation for the week (${content.meditation.scripture})`);
+
+  const list = parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0] || 'nothing new';
+
+  return {
+    title: 'Weekly Church Digest 📰',
+    message: `This week: ${list}.`
+  };
+}
+
+/**
+ * Collect the digest content as of a date
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { week, periodStart, periodEnd, content, summary, isEmpty }
+ */
+async function composeDigest({ now = new Date() } = {}) {
+  const periodStart = new Date(now.getTime() - DIGEST_PERIOD_DAYS * DAY_MS);
+  const eventsUntil = new Date(now.getTime() + DIGEST_PERIOD_DAYS * DAY_MS);
+  const meditationWeek = getComingWeekKey(now);
+
+  const [announcements, events, sermons, meditation] = await Promise.all([
+    Announcement.find({ status: 'published', publishedAt: { $gt: periodStart, $lte: now } })
+      .sort({ publishedAt: -1 })
+      .limit(MAX_ITEMS_PER_SECTION)
+      .lean(),
+    // Recurring events are listed once per occurrence
+    findOccurrences(now, eventsUntil)
+      .then(occurrences => occurrences
+        .filter(({ occurrence }) => occurrence.start >= now)
+        .slice(0, MAX_ITEMS_PER_SECTION)),
+    Sermon.find({ status: 'published', isActive: true, publishedAt: { $gt: periodStart, $lte: now } })
+      .sort({ publishedAt: -1 })
+      .limit(MAX_ITEMS_PER_SECTION)
+      .lean(),
+    // Scheduled meditations are included; they usually go live on Monday
+    Meditation.findOne({ week: meditationWeek, isActive: true, status: { $in: ['published', 'scheduled'] } }).lean()
+  ]);
+
+  const content = {
+    announcements: announcements
+      .sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority))
+      .map(announcement => ({
+        id: announcement._id.toString(),
+        title: announcement.title,
+        description: announcement.description,
+        category: announcement.category,
+        priority: announcement.priority,
+        date: announcement.date,
+        time: announcement.time,
+        location: announcement.location
+      })),
+    events: events.map(({ event, occurrence }) => ({
+      id: event._id.toString(),
+      title: occurrence.title,
+      start: occurrence.start,
+      end: occurrence.end,
+      location: occurrence.location,
+      category: event.category
+    })),
+    sermons: sermons.map(sermon => ({
+      id: sermon._id.toString(),
+      title: sermon.title,
+      speaker: sermon.speaker && sermon.speaker.name,
+      date: sermon.date
+    })),
+    meditation: meditation
+      ? { id: meditation.id, week: meditation.week, scripture: meditation.scripture, prayer: meditation.prayer }
+      : null
+  };
+
+  return {
+    week: getIsoWeekKey(now),
+    periodStart,
+    periodEnd: now,
+    content,
+    summary: buildSummary(content),
+    isEmpty: content.announcements.length === 0 && content.events.length === 0 &&
+      content.sermons.length === 0 && !content.meditation
+  };
+}
+
+/**
+ * Compose the digest as it would go out, without sending or storing anything
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} Composed digest with the email, recipient counts and the digest already sent this week
+ */
+async function previewDigest({ now = new Date() } = {}) {
+  const digest = await composeDigest({ now });
+  const { userIds } = await resolveAudience({ now });
+
+  const [recipients, sent] = await Promise.all([
+    previewNotification(userIds, { type: 'digest' }),
+    Digest.findOne({ week: digest.week }).select('_id status broadcastId createdAt').lean()
+  ]);
+
+  return {
+    ...digest,
+    email: renderDigestEmail({ name: null, digest }),
+    recipients,
+    alreadySent: sent
+  };
+}
+
+/**
+ * Compose and send this week's digest, once per ISO week
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} Job outcome
+ */
+async function sendWeeklyDigest({ now = new Date() } = {}) {
+  const week = getIsoWeekKey(now);
+  const skipped = (reason, details = {}) => ({ itemsAffected: 0, errors: [], details: { week, skipped: reason, ...details } });
+
+  let digest = await Digest.findOne({ week });
+  if (digest && (digest.broadcastId || digest.status === 'skipped')) {
+    return skipped('Digest already sent this week', { digestId: digest._id.toString() });
+  }
+
+  // A digest without a broadcast was stored by a run that stopped halfway; it is sent as stored
+  if (!digest) {
+    const composed = await composeDigest({ now });
+    try {
+      digest = await Digest.create({
+        week,
+        periodStart: composed.periodStart,
+        periodEnd: composed.periodEnd,
+        content: composed.content,
+        summary: composed.summary,
+        status: composed.isEmpty ? 'skipped' : 'sent'
+      });
+    } catch (error) {
+      // Another instance created it first
+      if (error.code === 11000) return skipped('Digest already sent this week');
+      throw error;
+    }
+
+    if (composed.isEmpty) {
+      console.log(`📰 Weekly digest ${week} skipped: nothing new to share`);
+      return skipped('Nothing new to share this week', { digestId: digest._id.toString() });
+    }
+  }
+
+  const broadcast = await createBroadcast({
+    title: digest.summary.title,
+    message: digest.summary.message,
+    type: 'digest',
+    data: { type: 'digest', digestId: digest._id.toString(), week },
+    audience: { type: 'all' },
+    source: 'digest'
+  });
+  digest.broadcastId = broadcast._id;
+  await digest.save();
+
+  const result = await processBroadcast(broadcast._id);
+  const errors = [];
+  if (!result) {
+    errors.push(`Digest broadcast ${broadcast._id} was not picked up`);
+  } else if (result.error) {
+    // The send-broadcasts job retries it
+    errors.push(`Digest broadcast ${broadcast._id} failed: ${result.error.message}`);
+  }
+
+  console.log(`📰 Weekly digest ${week} sent to ${result ? result.notifications.length : 0} member(s)`);
+
+  return {
+    itemsAffected: result ? result.notifications.length : 0,
+    errors,
+    details: {
+      week,
+      digestId: digest._id.toString(),
+      broadcastId: broadcast._id.toString(),
+      recipients: result ? result.notifications.length : 0,
+      emailQueued: result ? result.email.queued : 0
+    }
+  };
+}
+
+// Digest emails carry the full digest; the inbox entry only has the summary.
+// Emails of the same digest are usually sent one after another, so the last one is kept.
+let lastDigest = null;
+
+registerEmailRenderer('digest', async ({ notification, name }) => {
+  const digestId = notification.data && notification.data.digestId;
+  if (!digestId) return null;
+
+  if (!lastDigest || lastDigest._id.toString() !== digestId) {
+    lastDigest = await Digest.findById(digestId).lean();
+  }
+  return lastDigest ? renderDigestEmail({ name, digest: lastDigest }) : null;
+});
+
+// Job definitions for the job runner
+const digestJobs = [
+  {
+    name: 'send-weekly-digest',
+    schedule: '0 9 * * 6',
+    description: 'Sends the weekly church digest every Saturday morning',
+    handler: sendWeeklyDigest
+  }
+];
+
+module.exports = {
+  composeDigest,
+  previewDigest,
+  sendWeeklyDigest,
+  digestJobs
+};